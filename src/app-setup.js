@@ -9,12 +9,15 @@ const helmet = require('helmet');
 const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const { prometheusMiddleware } = require('./monitoring/prometheus');
+const { ServiceType, getService } = require('./services/serviceRegistry');
 
 // Routes
 const authRoutes = require('./routes/auth');
 const resumeRoutes = require('./routes/resume');
 const n8nRoutes = require('./routes/n8n');
 const testRoutes = require('./routes/test');
+const adminRoutes = require('./routes/admin');
+const usageRoutes = require('./routes/usage');
 
 // Load environment variables first
 dotenv.config();
@@ -126,6 +129,8 @@ function setupApp(app) {
   app.use('/api/v1/auth', authRoutes);
   app.use('/api/v1/resumes', resumeRoutes);
   app.use('/api/v1/n8n', n8nRoutes);
+  app.use('/api/v1/admin', adminRoutes);
+  app.use('/api/v1/usage', usageRoutes);
 
   // Health check endpoint
   app.get('/health', (req, res) => {
@@ -136,6 +141,20 @@ function setupApp(app) {
     });
   });
 
+  // AI provider health: circuit breaker state of each implementation of the fallback chain
+  app.get('/health/ai', (req, res) => {
+    const aiService = getService(ServiceType.AI);
+    const health = typeof aiService.getHealth === 'function'
+      ? aiService.getHealth()
+      : { status: 'ok', providers: [] };
+    
+    res.status(health.status === 'unavailable' ? 503 : 200).json({
+      status: health.status === 'unavailable' ? 'fail' : 'success',
+      data: health,
+      timestamp: new Date().toISOString()
+    });
+  });
+
   // Error handling middleware
   app.use(errorHandler);
 
@@ -14,6 +14,43 @@ const logger = require('../utils/logger');
 // Load environment variables from .env file
 dotenv.config();
 
+/**
+ * Schema of the settings of an AI pipeline step, read from AI_<STEP>_* variables
+ * @param {string} step - Step name in environment variables, e.g. 'PROFILER'
+ * @param {Object} defaults - Default temperature and maxTokens of the step
+ * @returns {Object} Configuration section of the step
+ */
+const stepSchema = (step, defaults) => ({
+  provider: {
+    value: process.env[`AI_${step}_PROVIDER`],
+    validator: (val) => ['openai', 'openrouter', 'anthropic', 'ollama', 'llamacpp'].includes(val),
+    required: false
+  },
+  baseUrl: {
+    value: process.env[`AI_${step}_BASE_URL`],
+    validator: (val) => val.startsWith('http'),
+    required: false
+  },
+  apiKey: {
+    value: process.env[`AI_${step}_API_KEY`],
+    required: false
+  },
+  modelName: {
+    value: process.env[`AI_${step}_MODEL`],
+    required: false
+  },
+  temperature: {
+    value: process.env[`AI_${step}_TEMPERATURE`] || defaults.temperature,
+    validator: (val) => !isNaN(val) && val >= 0 && val <= 2,
+    required: false
+  },
+  maxTokens: {
+    value: process.env[`AI_${step}_MAX_TOKENS`] || defaults.maxTokens,
+    validator: (val) => Number.isInteger(Number(val)) && val > 0,
+    required: false
+  }
+});
+
 /**
  * Configuration schema with defaults and validation
  */
@@ -141,6 +178,55 @@ const configSchema = {
     }
   },
   
+  // Local model server configuration (used when AI_SERVICE_IMPLEMENTATION=local_llm)
+  localLlm: {
+    baseUrl: {
+      value: process.env.LOCAL_LLM_BASE_URL || 'http://localhost:11434',
+      validator: (val) => val.startsWith('http'),
+      required: false
+    },
+    server: {
+      value: process.env.LOCAL_LLM_SERVER || 'ollama',
+      validator: (val) => ['ollama', 'llamacpp'].includes(val),
+      required: false
+    },
+    modelName: {
+      value: process.env.LOCAL_LLM_MODEL_NAME || 'llama3.1:8b',
+      required: false
+    },
+    timeoutMs: {
+      // Local models on CPU can take minutes per step
+      value: process.env.LOCAL_LLM_TIMEOUT_MS || 600000,
+      validator: (val) => !isNaN(val),
+      required: false
+    },
+    stream: {
+      value: process.env.LOCAL_LLM_STREAM !== 'false',
+      required: false
+    },
+    keepAlive: {
+      value: process.env.LOCAL_LLM_KEEP_ALIVE || '10m',
+      required: false
+    },
+    apiKey: {
+      value: process.env.LOCAL_LLM_API_KEY,
+      required: false
+    }
+  },
+  
+  // Settings of the AI pipeline steps (direct_llm and local_llm). A step without a
+  // provider, base URL or model uses the connection and model of the AI service;
+  // a base URL needs its own API key, the key of the AI service is not reused.
+  aiSteps: {
+    profiler: stepSchema('PROFILER', { temperature: 0.7, maxTokens: 3000 }),
+    researcher: stepSchema('RESEARCHER', { temperature: 0.7, maxTokens: 3000 }),
+    // Lower temperature for a more deterministic resume, higher token limit for all of it
+    strategist: stepSchema('STRATEGIST', { temperature: 0.5, maxTokens: 4000 }),
+    cover_letter: stepSchema('COVER_LETTER', { temperature: 0.7, maxTokens: 1500 }),
+    // A pack of a dozen questions with answer outlines is longer than a letter
+    interview_prep: stepSchema('INTERVIEW_PREP', { temperature: 0.6, maxTokens: 3000 })
+  },
+  
   // Resume customization configuration
   customization: {
     timeoutMs: {
@@ -20,14 +20,29 @@ const config = {
   
   // Feature flags
   features: {
-    // AI service implementation type: 'n8n' or 'direct_llm'
+    // AI service implementation type: 'n8n', 'direct_llm' or 'local_llm'
     aiServiceImplementation: process.env.AI_SERVICE_IMPLEMENTATION || 'n8n'
   },
   
+  // Fallback chain of AI service implementations, each behind a circuit breaker
+  aiFallback: {
+    // Comma-separated implementations in order of preference, e.g. 'direct_llm,n8n,local_llm';
+    // the AI service implementation above alone when not set
+    chain: process.env.AI_FALLBACK_CHAIN || '',
+    // Consecutive failures of an implementation that open its circuit
+    failureThreshold: parseInt(process.env.AI_BREAKER_FAILURE_THRESHOLD || '3', 10),
+    // How long an open circuit skips its implementation before a probe customization is let through
+    resetTimeoutMs: parseInt(process.env.AI_BREAKER_RESET_TIMEOUT_MS || '60000', 10),
+    // Successful probes that close the circuit again
+    halfOpenSuccesses: parseInt(process.env.AI_BREAKER_HALF_OPEN_SUCCESSES || '1', 10)
+  },
+  
   // N8N webhook configuration
   n8n: {
     webhookUrl: process.env.N8N_WEBHOOK_URL || 'http://localhost:5678',
     webhookPath: process.env.N8N_WEBHOOK_PATH || '/webhook/customize-resume-ai',
+    coverLetterWebhookPath: process.env.N8N_COVER_LETTER_WEBHOOK_PATH || '/webhook/cover-letter-ai',
+    interviewPrepWebhookPath: process.env.N8N_INTERVIEW_PREP_WEBHOOK_PATH || '/webhook/interview-prep-ai',
     timeoutMs: parseInt(process.env.N8N_TIMEOUT_MS || '120000', 10),
     maxRetries: parseInt(process.env.N8N_MAX_RETRIES || '3', 10)
   },
@@ -37,7 +52,91 @@ const config = {
     apiKey: process.env.LLM_API_KEY,
     baseUrl: process.env.LLM_API_BASE_URL || 'https://openrouter.ai/api',
     modelName: process.env.LLM_MODEL_NAME || 'deepseek/deepseek-r1-distill-llama-70b',
-    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '120000', 10)
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS || '120000', 10),
+    // API format: 'openai', 'openrouter' or 'anthropic', detected from the base URL when not set
+    provider: process.env.LLM_PROVIDER,
+    // Chat endpoint overriding the provider default, e.g. '/v1/chat/completions'
+    apiPath: process.env.LLM_API_PATH,
+    // Sent to OpenRouter to attribute requests to this application
+    appName: process.env.LLM_APP_NAME || 'Resume Customizer',
+    // How often the model is asked to fix a resume that is malformed beyond repair
+    maxCorrections: parseInt(process.env.LLM_MAX_CORRECTIONS || '1', 10)
+  },
+  
+  // Versioned prompt templates of the customization steps
+  prompts: {
+    // How long active templates are cached, so other processes pick up activations
+    cacheTtlMs: parseInt(process.env.PROMPT_CACHE_TTL_MS || '60000', 10)
+  },
+  
+  // Document conversion configuration
+  conversion: {
+    // PDF extraction mode: 'layout' (text positions and fonts) or 'heuristic' (plain text)
+    pdfExtractionMode: process.env.PDF_EXTRACTION_MODE || 'layout'
+  },
+  
+  // Verification of customized resumes against the original
+  verification: {
+    enabled: process.env.VERIFICATION_ENABLED !== 'false',
+    // Number of unsupported claims tolerated before the action below is taken
+    maxViolations: parseInt(process.env.VERIFICATION_MAX_VIOLATIONS || '2', 10),
+    // Action above the threshold: 'fail' the job or hold it for 'review'
+    action: process.env.VERIFICATION_ACTION || 'review'
+  },
+  
+  // Cover letters written for the job of a customization
+  coverLetter: {
+    // Default tone: professional, enthusiastic, formal, conversational or confident
+    tone: process.env.COVER_LETTER_TONE || 'professional',
+    // Default length: short (150-200 words), medium (250-350) or long (400-500)
+    length: process.env.COVER_LETTER_LENGTH || 'medium'
+  },
+  
+  // Live preview of customized resumes while they are generated
+  preview: {
+    enabled: process.env.PREVIEW_ENABLED !== 'false',
+    // How long a preview is kept in Redis after its last update
+    ttlSeconds: parseInt(process.env.PREVIEW_TTL_SECONDS || '3600', 10),
+    // Minimum time between Redis writes of a streaming job
+    flushIntervalMs: parseInt(process.env.PREVIEW_FLUSH_INTERVAL_MS || '250', 10),
+    // Milliseconds a preview read or write may take before the preview is dropped
+    operationTimeoutMs: parseInt(process.env.PREVIEW_OPERATION_TIMEOUT_MS || '2000', 10)
+  },
+  
+  // Redis cache of professional profiles and job analyses, keyed by a hash of their source
+  analysisCache: {
+    enabled: process.env.ANALYSIS_CACHE_ENABLED !== 'false',
+    // How long a profile is kept; resumes rarely change between customizations
+    profileTtlSeconds: parseInt(process.env.PROFILE_CACHE_TTL_SECONDS || '604800', 10),
+    // How long a job analysis is kept; postings close within weeks
+    jobAnalysisTtlSeconds: parseInt(process.env.JOB_ANALYSIS_CACHE_TTL_SECONDS || '86400', 10),
+    // Milliseconds a cache read or write may take before it is treated as a miss
+    operationTimeoutMs: parseInt(process.env.ANALYSIS_CACHE_OPERATION_TIMEOUT_MS || '2000', 10)
+  },
+  
+  // Token usage and cost accounting of LLM calls
+  usage: {
+    // JSON prices in USD per million tokens by model, e.g. {"gpt-4o": {"input": 2.5, "output": 10}},
+    // merged over the built-in table
+    priceTable: process.env.LLM_PRICE_TABLE
+  },
+  
+  // Progress estimates of customization jobs
+  progress: {
+    // Number of recently completed customizations the step durations are averaged over
+    historySize: parseInt(process.env.PROGRESS_HISTORY_SIZE || '20', 10)
+  },
+  
+  // Server-Sent Events of customization jobs
+  events: {
+    // Interval of keep-alive comments that stop proxies from closing idle streams
+    heartbeatIntervalMs: parseInt(process.env.EVENTS_HEARTBEAT_INTERVAL_MS || '15000', 10)
+  },
+  
+  // ATS keyword match scoring
+  ats: {
+    // Number of job description keywords a resume is scored against
+    maxKeywords: parseInt(process.env.ATS_MAX_KEYWORDS || '30', 10)
   },
   
   // Storage configuration
@@ -66,7 +165,11 @@ const config = {
     url: process.env.REDIS_URL,
     host: process.env.REDIS_HOST || 'localhost',
     port: parseInt(process.env.REDIS_PORT || '6379', 10),
-    password: process.env.REDIS_PASSWORD
+    password: process.env.REDIS_PASSWORD,
+    // Milliseconds a connection attempt of the preview and cache clients may take
+    connectTimeoutMs: parseInt(process.env.REDIS_CONNECT_TIMEOUT_MS || '5000', 10),
+    // Reconnection attempts of the preview and cache clients before their commands fail
+    maxReconnectAttempts: parseInt(process.env.REDIS_MAX_RECONNECT_ATTEMPTS || '3', 10)
   },
   
   // JWT configuration
@@ -103,10 +206,15 @@ if (config.server.env === 'production') {
     'DATABASE_URL'
   ];
   
-  // Add more required vars based on implementation
-  if (config.features.aiServiceImplementation === 'n8n') {
+  // Add more required vars based on the implementations in use
+  const aiImplementations = (config.aiFallback.chain || config.features.aiServiceImplementation)
+    .split(',')
+    .map(type => type.trim());
+  
+  if (aiImplementations.includes('n8n')) {
     requiredEnvVars.push('N8N_WEBHOOK_URL');
-  } else if (config.features.aiServiceImplementation === 'direct_llm') {
+  }
+  if (aiImplementations.includes('direct_llm')) {
     requiredEnvVars.push('LLM_API_KEY');
   }
   
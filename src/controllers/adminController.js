@@ -0,0 +1,68 @@
+/**
+ * Admin Controller
+ * Handles HTTP requests of the admin API
+ */
+
+const { ServiceType, getService } = require('../services/serviceRegistry');
+const { withErrorHandling, successResponse } = require('../utils/controllerUtils');
+
+// Get prompt template and usage services from registry
+const promptTemplateService = getService(ServiceType.PROMPT_TEMPLATE);
+const usageService = getService(ServiceType.USAGE);
+
+/**
+ * List the versions of the customization prompts
+ */
+exports.listPromptTemplates = withErrorHandling(async (req, res) => {
+  const templates = await promptTemplateService.listTemplates(req.query.name);
+
+  return successResponse(res, 200, 'Prompt templates retrieved successfully', {
+    results: templates.length,
+    templates
+  });
+}, 'List prompt templates');
+
+/**
+ * Create a new version of a prompt
+ */
+exports.createPromptTemplate = withErrorHandling(async (req, res) => {
+  const { name, systemPrompt, userPrompt, description, activate } = req.body;
+
+  const template = await promptTemplateService.createTemplate(
+    { name, systemPrompt, userPrompt, description, activate },
+    req.user.id
+  );
+
+  return successResponse(res, 201, 'Prompt template created successfully', { template });
+}, 'Create prompt template');
+
+/**
+ * Activate a version of a prompt
+ */
+exports.activatePromptTemplate = withErrorHandling(async (req, res) => {
+  const { name, version } = req.params;
+
+  const template = await promptTemplateService.activateTemplate(name, version);
+
+  return successResponse(res, 200, 'Prompt template activated successfully', { template });
+}, 'Activate prompt template');
+
+/**
+ * Roll a prompt back to its previous version
+ */
+exports.rollbackPromptTemplate = withErrorHandling(async (req, res) => {
+  const template = await promptTemplateService.rollbackTemplate(req.params.name);
+
+  return successResponse(res, 200, 'Prompt template rolled back successfully', { template });
+}, 'Roll back prompt template');
+
+/**
+ * Report the LLM token usage and cost of all users
+ */
+exports.getUsageReport = withErrorHandling(async (req, res) => {
+  const { from, to, userId, groupBy } = req.query;
+
+  const report = await usageService.getUsageReport({ from, to, userId, groupBy });
+
+  return successResponse(res, 200, 'Usage report retrieved successfully', { report });
+}, 'Get usage report');
@@ -3,21 +3,36 @@
  * Handles HTTP requests related to resumes
  */
 
+const config = require('../config');
 const { ServiceType, getService } = require('../services/serviceRegistry');
 const { 
   withErrorHandling, 
   successResponse,
+  openEventStream,
   // Commented out as it's unused
   // errorResponse
 } = require('../utils/controllerUtils');
 const {
   ValidationError,
-  NotFoundError
+  NotFoundError,
+  ForbiddenError
 } = require('../utils/errors');
 
 // Get resume service from registry
 const resumeService = getService(ServiceType.RESUME);
 
+/**
+ * Only admins may override the configured AI step settings
+ * @param {Object} req - Express request
+ * @param {Object} stepSettings - Requested step settings
+ * @throws {ForbiddenError} If a non-admin sends step settings
+ */
+const assertCanOverrideStepSettings = (req, stepSettings) => {
+  if (stepSettings && req.user.role !== 'admin') {
+    throw new ForbiddenError('Only admins can override the AI step settings');
+  }
+};
+
 /**
  * Get all resumes for the current user
  */
@@ -135,19 +150,21 @@ exports.convertToMarkdown = withErrorHandling(async (req, res) => {
  */
 exports.customizeResume = withErrorHandling(async (req, res) => {
   const { id } = req.params;
-  const { jobDescription, jobTitle, companyName } = req.body;
+  const { jobDescription, jobTitle, companyName, stepSettings } = req.body;
   const userId = req.user.id;
 
   // Validate input
   if (!jobDescription) {
     throw new ValidationError('Please provide job description');
   }
+  assertCanOverrideStepSettings(req, stepSettings);
 
   // Customize resume
   const customizedResume = await resumeService.customizeResume(id, userId, {
     jobDescription,
     jobTitle,
-    companyName
+    companyName,
+    stepSettings
   });
 
   return successResponse(res, 200, 'Resume customization has been queued', {
@@ -218,7 +235,8 @@ exports.uploadAndCustomize = withErrorHandling(async (req, res) => {
     jobDescription, 
     jobTitle, 
     companyName,
-    name // Optional custom name
+    name, // Optional custom name
+    stepSettings // Optional AI step settings, admins only
   } = req.body;
 
   if (!file) {
@@ -229,6 +247,8 @@ exports.uploadAndCustomize = withErrorHandling(async (req, res) => {
     throw new ValidationError('Please provide job description');
   }
 
+  assertCanOverrideStepSettings(req, stepSettings);
+
   // Process upload and start customization
   const result = await resumeService.uploadAndCustomize({
     userId,
@@ -236,7 +256,8 @@ exports.uploadAndCustomize = withErrorHandling(async (req, res) => {
     file,
     jobDescription,
     jobTitle,
-    companyName
+    companyName,
+    stepSettings
   });
 
   return successResponse(res, 202, 'Resume customization has been queued', {
@@ -259,6 +280,32 @@ exports.getCustomizationStatus = withErrorHandling(async (req, res) => {
   return successResponse(res, 200, 'Customization status retrieved successfully', status);
 }, 'Get customization status');
 
+/**
+ * Stream customization status changes and step progress as Server-Sent Events
+ */
+exports.streamCustomizationEvents = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+  let stream = null;
+  let unsubscribe = null;
+
+  // The stream opens with the first event, so a missing resume is still answered with a 404
+  unsubscribe = await resumeService.subscribeToCustomization(id, userId, ({ event, data, final }) => {
+    if (!stream) {
+      stream = openEventStream(req, res, {
+        heartbeatIntervalMs: config.events.heartbeatIntervalMs,
+        onClose: () => unsubscribe && unsubscribe()
+      });
+    }
+
+    stream.send(event, data);
+
+    if (final) {
+      stream.close();
+    }
+  });
+}, 'Stream customization events');
+
 /**
  * Download resume (original or customized)
  */
@@ -276,4 +323,266 @@ exports.downloadResume = withErrorHandling(async (req, res) => {
   
   // Send file as response
   return res.send(result.fileBuffer);
-}, 'Download resume');
\ No newline at end of file
+}, 'Download resume');
+
+/**
+ * Import a JSON Resume document
+ */
+exports.importJsonResume = withErrorHandling(async (req, res) => {
+  const { name, description } = req.query;
+  const userId = req.user.id;
+
+  const resume = await resumeService.importJsonResume({
+    userId,
+    name,
+    description,
+    document: req.body
+  });
+
+  return successResponse(res, 201, 'Resume imported successfully', { resume });
+}, 'Import JSON Resume');
+
+/**
+ * Export resume as a JSON Resume document (original or customized)
+ */
+exports.exportJsonResume = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const { version = 'original' } = req.query;
+  const userId = req.user.id;
+
+  const result = await resumeService.exportJsonResume(id, userId, version);
+
+  res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+
+  return res.status(200).json(result.document);
+}, 'Export JSON Resume');
+
+/**
+ * Get the structured model of a resume (original or customized)
+ */
+exports.getStructuredResume = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const { version = 'original' } = req.query;
+  const userId = req.user.id;
+
+  const structuredContent = await resumeService.getStructuredResume(id, userId, version);
+
+  return successResponse(res, 200, 'Structured resume retrieved successfully', { structuredContent });
+}, 'Get structured resume');
+
+/**
+ * Get the verification report of the latest customization
+ */
+exports.getVerificationReport = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const report = await resumeService.getVerificationReport(id, userId);
+
+  return successResponse(res, 200, 'Verification report retrieved successfully', { report });
+}, 'Get verification report');
+
+/**
+ * Score the original and the customized resume against the job description
+ */
+exports.getAtsScore = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const atsScore = await resumeService.getAtsScore(id, userId);
+
+  return successResponse(res, 200, 'ATS score retrieved successfully', { atsScore });
+}, 'Get ATS score');
+
+/**
+ * Report which requirements of the job description the original resume meets
+ */
+exports.getSkillGapReport = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const skillGapReport = await resumeService.getSkillGapReport(id, userId);
+
+  return successResponse(res, 200, 'Skill gap report retrieved successfully', { skillGapReport });
+}, 'Get skill gap report');
+
+/**
+ * Approve or reject a customization held for review
+ */
+exports.reviewCustomization = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const { decision, reason } = req.body;
+  const userId = req.user.id;
+
+  const status = await resumeService.reviewCustomization(id, userId, { decision, reason });
+
+  return successResponse(res, 200, 'Customization review recorded successfully', status);
+}, 'Review customization');
+
+/**
+ * Get the customized Markdown as it is generated
+ */
+exports.getCustomizationPreview = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const { offset = 0 } = req.query;
+  const userId = req.user.id;
+
+  const preview = await resumeService.getCustomizationPreview(id, userId, offset);
+
+  return successResponse(res, 200, 'Customization preview retrieved successfully', preview);
+}, 'Get customization preview');
+
+/**
+ * Compare the original and the customized resume (JSON or HTML redline)
+ */
+exports.getResumeDiff = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const { format = 'json' } = req.query;
+  const userId = req.user.id;
+
+  const result = await resumeService.getResumeDiff(id, userId, format);
+
+  if (format === 'html') {
+    return res.status(200).type('html').send(result.html);
+  }
+
+  return successResponse(res, 200, 'Resume diff retrieved successfully', { diff: result.diff });
+}, 'Get resume diff');
+
+/**
+ * List the customization versions of a resume
+ */
+exports.listVersions = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const versions = await resumeService.listVersions(id, userId);
+
+  return successResponse(res, 200, 'Resume versions retrieved successfully', { versions });
+}, 'List resume versions');
+
+/**
+ * Get a customization version of a resume
+ */
+exports.getVersion = withErrorHandling(async (req, res) => {
+  const { id, versionId } = req.params;
+  const userId = req.user.id;
+
+  const version = await resumeService.getVersion(id, versionId, userId);
+
+  return successResponse(res, 200, 'Resume version retrieved successfully', { version });
+}, 'Get resume version');
+
+/**
+ * Download the PDF of a customization version
+ */
+exports.downloadVersion = withErrorHandling(async (req, res) => {
+  const { id, versionId } = req.params;
+  const userId = req.user.id;
+
+  const result = await resumeService.downloadVersion(id, versionId, userId);
+
+  // Versions never change, so they can be cached like downloads
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.setHeader('Content-Type', result.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+
+  return res.send(result.fileBuffer);
+}, 'Download resume version');
+
+/**
+ * Restore a customization version as the current one
+ */
+exports.restoreVersion = withErrorHandling(async (req, res) => {
+  const { id, versionId } = req.params;
+  const userId = req.user.id;
+
+  const status = await resumeService.restoreVersion(id, versionId, userId);
+
+  return successResponse(res, 200, 'Resume version restored successfully', status);
+}, 'Restore resume version');
+
+/**
+ * Queue a cover letter for the job of a resume
+ */
+exports.generateCoverLetter = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const { tone, length } = req.body;
+  const userId = req.user.id;
+
+  const coverLetter = await resumeService.generateCoverLetter(id, userId, { tone, length });
+
+  return successResponse(res, 202, 'Cover letter generation has been queued', { coverLetter });
+}, 'Generate cover letter');
+
+/**
+ * Get the cover letter of a resume
+ */
+exports.getCoverLetter = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const coverLetter = await resumeService.getCoverLetter(id, userId);
+
+  return successResponse(res, 200, 'Cover letter retrieved successfully', { coverLetter });
+}, 'Get cover letter');
+
+/**
+ * Download the cover letter of a resume as PDF or Markdown
+ */
+exports.downloadCoverLetter = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const { format = 'pdf' } = req.query;
+  const userId = req.user.id;
+
+  const result = await resumeService.downloadCoverLetter(id, userId, format);
+
+  // Letters are replaced when written again, so they are not cached
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.setHeader('Content-Type', result.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+
+  return res.send(result.fileBuffer);
+}, 'Download cover letter');
+
+/**
+ * Queue an interview preparation pack for the job a resume was customized for
+ */
+exports.generateInterviewPrep = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const interviewPrep = await resumeService.generateInterviewPrep(id, userId);
+
+  return successResponse(res, 202, 'Interview preparation pack generation has been queued', { interviewPrep });
+}, 'Generate interview preparation pack');
+
+/**
+ * Get the interview preparation pack of a resume
+ */
+exports.getInterviewPrep = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.id;
+
+  const interviewPrep = await resumeService.getInterviewPrep(id, userId);
+
+  return successResponse(res, 200, 'Interview preparation pack retrieved successfully', { interviewPrep });
+}, 'Get interview preparation pack');
+
+/**
+ * Download the interview preparation pack of a resume as PDF or Markdown
+ */
+exports.downloadInterviewPrep = withErrorHandling(async (req, res) => {
+  const { id } = req.params;
+  const { format = 'pdf' } = req.query;
+  const userId = req.user.id;
+
+  const result = await resumeService.downloadInterviewPrep(id, userId, format);
+
+  // Packs are replaced when written again, so they are not cached
+  res.setHeader('Cache-Control', 'private, no-cache');
+  res.setHeader('Content-Type', result.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${result.fileName}"`);
+
+  return res.send(result.fileBuffer);
+}, 'Download interview preparation pack');
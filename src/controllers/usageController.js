@@ -0,0 +1,21 @@
+/**
+ * Usage Controller
+ * Handles HTTP requests for the LLM usage of the current user
+ */
+
+const { ServiceType, getService } = require('../services/serviceRegistry');
+const { withErrorHandling, successResponse } = require('../utils/controllerUtils');
+
+// Get usage service from registry
+const usageService = getService(ServiceType.USAGE);
+
+/**
+ * Get the token usage and cost of the current user's customizations
+ */
+exports.getMyUsage = withErrorHandling(async (req, res) => {
+  const { from, to } = req.query;
+
+  const usage = await usageService.getUserUsage(req.user.id, { from, to });
+
+  return successResponse(res, 200, 'Usage retrieved successfully', { usage });
+}, 'Get usage');
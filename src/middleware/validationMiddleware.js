@@ -23,6 +23,51 @@ const validateRequest = (req, res, next) => {
   next();
 };
 
+// Pipeline steps and providers AI step settings can name, each step has a prompt of the same name
+const AI_STEPS = ['profiler', 'researcher', 'strategist', 'cover_letter', 'interview_prep'];
+const AI_PROVIDERS = ['openai', 'openrouter', 'anthropic', 'ollama', 'llamacpp'];
+
+/**
+ * Check AI step settings overrides, by step name
+ * @param {Object} stepSettings - Step settings
+ * @returns {boolean} True when valid
+ * @throws {Error} Describing the first invalid setting
+ */
+const checkStepSettings = (stepSettings) => {
+  if (!stepSettings || typeof stepSettings !== 'object' || Array.isArray(stepSettings)) {
+    throw new Error('Step settings must be an object keyed by step');
+  }
+  
+  Object.entries(stepSettings).forEach(([step, settings]) => {
+    if (!AI_STEPS.includes(step)) {
+      throw new Error(`Unknown step "${step}", expected one of ${AI_STEPS.join(', ')}`);
+    }
+    if (!settings || typeof settings !== 'object') {
+      throw new Error(`Settings of the ${step} step must be an object`);
+    }
+    
+    const { provider, modelName, temperature, maxTokens, ...unknown } = settings;
+    
+    if (Object.keys(unknown).length > 0) {
+      throw new Error(`Unknown ${step} settings: ${Object.keys(unknown).join(', ')}`);
+    }
+    if (provider !== undefined && !AI_PROVIDERS.includes(provider)) {
+      throw new Error(`Provider of the ${step} step must be one of ${AI_PROVIDERS.join(', ')}`);
+    }
+    if (modelName !== undefined && (typeof modelName !== 'string' || !modelName.trim())) {
+      throw new Error(`Model of the ${step} step must be a non-empty string`);
+    }
+    if (temperature !== undefined && (typeof temperature !== 'number' || temperature < 0 || temperature > 2)) {
+      throw new Error(`Temperature of the ${step} step must be a number between 0 and 2`);
+    }
+    if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+      throw new Error(`Token limit of the ${step} step must be a positive integer`);
+    }
+  });
+  
+  return true;
+};
+
 /**
  * Validate customization request
  */
@@ -53,6 +98,18 @@ const validateCustomizeRequest = [
     .optional()
     .isString().withMessage('Resume name must be a string'),
   
+  // Multipart forms send the step settings as a JSON string
+  body('stepSettings')
+    .optional()
+    .customSanitizer((value) => {
+      try {
+        return typeof value === 'string' ? JSON.parse(value) : value;
+      } catch (error) {
+        return value;
+      }
+    })
+    .custom(checkStepSettings),
+  
   validateRequest
 ];
 
@@ -82,8 +139,254 @@ const validateDownloadRequest = [
   validateRequest
 ];
 
+/**
+ * Validate JSON Resume import request
+ */
+const validateJsonResumeImport = [
+  body()
+    .isObject().withMessage('Request body must be a JSON Resume document'),
+  
+  query('name')
+    .optional()
+    .isString().withMessage('Resume name must be a string'),
+  
+  query('description')
+    .optional()
+    .isString().withMessage('Resume description must be a string'),
+  
+  validateRequest
+];
+
+/**
+ * Validate customization review request
+ */
+const validateReviewRequest = [
+  param('id')
+    .exists().withMessage('Resume ID is required')
+    .isUUID().withMessage('Resume ID must be a valid UUID'),
+  
+  body('decision')
+    .exists().withMessage('Decision is required')
+    .isIn(['approve', 'reject']).withMessage('Decision must be either "approve" or "reject"'),
+  
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string')
+    .isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters'),
+  
+  validateRequest
+];
+
+/**
+ * Validate resume diff request
+ */
+const validateDiffRequest = [
+  param('id')
+    .exists().withMessage('Resume ID is required')
+    .isUUID().withMessage('Resume ID must be a valid UUID'),
+  
+  query('format')
+    .optional()
+    .isIn(['json', 'html']).withMessage('Format must be either "json" or "html"'),
+  
+  validateRequest
+];
+
+/**
+ * Validate cover letter generation request
+ */
+const validateCoverLetterRequest = [
+  param('id')
+    .exists().withMessage('Resume ID is required')
+    .isUUID().withMessage('Resume ID must be a valid UUID'),
+  
+  body('tone')
+    .optional()
+    .isIn(['professional', 'enthusiastic', 'formal', 'conversational', 'confident'])
+    .withMessage('Tone must be one of professional, enthusiastic, formal, conversational, confident'),
+  
+  body('length')
+    .optional()
+    .isIn(['short', 'medium', 'long']).withMessage('Length must be one of "short", "medium" or "long"'),
+  
+  validateRequest
+];
+
+/**
+ * Validate cover letter or interview preparation pack download request
+ */
+const validateDocumentDownload = [
+  param('id')
+    .exists().withMessage('Resume ID is required')
+    .isUUID().withMessage('Resume ID must be a valid UUID'),
+  
+  query('format')
+    .optional()
+    .isIn(['pdf', 'markdown']).withMessage('Format must be either "pdf" or "markdown"'),
+  
+  validateRequest
+];
+
+/**
+ * Validate customization preview request
+ */
+const validatePreviewRequest = [
+  param('id')
+    .exists().withMessage('Resume ID is required')
+    .isUUID().withMessage('Resume ID must be a valid UUID'),
+  
+  query('offset')
+    .optional()
+    .isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+    .toInt(),
+  
+  validateRequest
+];
+
+/**
+ * Validate resume version request
+ */
+const validateVersionRequest = [
+  param('id')
+    .exists().withMessage('Resume ID is required')
+    .isUUID().withMessage('Resume ID must be a valid UUID'),
+  
+  param('versionId')
+    .exists().withMessage('Version ID is required')
+    .isUUID().withMessage('Version ID must be a valid UUID'),
+  
+  validateRequest
+];
+
+/**
+ * Validate prompt template creation request
+ */
+const validateCreatePromptTemplate = [
+  body('name')
+    .exists().withMessage('Prompt name is required')
+    .isIn(AI_STEPS).withMessage(`Prompt name must be one of ${AI_STEPS.join(', ')}`),
+  
+  body('systemPrompt')
+    .exists().withMessage('System prompt is required')
+    .isString().withMessage('System prompt must be a string')
+    .trim()
+    .notEmpty().withMessage('System prompt cannot be empty'),
+  
+  body('userPrompt')
+    .exists().withMessage('User prompt is required')
+    .isString().withMessage('User prompt must be a string')
+    .trim()
+    .notEmpty().withMessage('User prompt cannot be empty'),
+  
+  body('description')
+    .optional()
+    .isString().withMessage('Description must be a string')
+    .isLength({ max: 1000 }).withMessage('Description must be at most 1000 characters'),
+  
+  body('activate')
+    .optional()
+    .isBoolean().withMessage('Activate must be a boolean')
+    .toBoolean(),
+  
+  validateRequest
+];
+
+/**
+ * Validate prompt template list request
+ */
+const validatePromptTemplateList = [
+  query('name')
+    .optional()
+    .isIn(AI_STEPS).withMessage(`Prompt name must be one of ${AI_STEPS.join(', ')}`),
+  
+  validateRequest
+];
+
+/**
+ * Validate prompt name request
+ */
+const validatePromptName = [
+  param('name')
+    .exists().withMessage('Prompt name is required')
+    .isIn(AI_STEPS).withMessage(`Prompt name must be one of ${AI_STEPS.join(', ')}`),
+  
+  validateRequest
+];
+
+/**
+ * Validate prompt version request
+ */
+const validatePromptVersion = [
+  param('name')
+    .exists().withMessage('Prompt name is required')
+    .isIn(AI_STEPS).withMessage(`Prompt name must be one of ${AI_STEPS.join(', ')}`),
+  
+  param('version')
+    .exists().withMessage('Version is required')
+    .isInt({ min: 0 }).withMessage('Version must be a non-negative integer')
+    .toInt(),
+  
+  validateRequest
+];
+
+/**
+ * Usage report period, shared by the user and admin usage requests
+ */
+const usagePeriod = [
+  query('from')
+    .optional()
+    .isISO8601().withMessage('From must be an ISO 8601 date')
+    .toDate(),
+  
+  query('to')
+    .optional()
+    .isISO8601().withMessage('To must be an ISO 8601 date')
+    .toDate()
+];
+
+/**
+ * Validate user usage request
+ */
+const validateUsageRequest = [
+  ...usagePeriod,
+  
+  validateRequest
+];
+
+/**
+ * Validate admin usage report request
+ */
+const validateUsageReport = [
+  ...usagePeriod,
+  
+  query('userId')
+    .optional()
+    .isUUID().withMessage('User ID must be a valid UUID'),
+  
+  query('groupBy')
+    .optional()
+    .customSanitizer(value => String(value).split(',').map(group => group.trim()).filter(Boolean))
+    .custom(groups => groups.length > 0 && groups.every(group => ['user', 'model', 'step', 'provider'].includes(group)))
+    .withMessage('Group by must be a comma-separated list of "user", "model", "step" or "provider"'),
+  
+  validateRequest
+];
+
 module.exports = {
   validateCustomizeRequest,
   validateResumeId,
-  validateDownloadRequest
+  validateDownloadRequest,
+  validateJsonResumeImport,
+  validateReviewRequest,
+  validateDiffRequest,
+  validateCoverLetterRequest,
+  validateDocumentDownload,
+  validatePreviewRequest,
+  validateVersionRequest,
+  validateCreatePromptTemplate,
+  validatePromptTemplateList,
+  validatePromptName,
+  validatePromptVersion,
+  validateUsageRequest,
+  validateUsageReport
 };
\ No newline at end of file
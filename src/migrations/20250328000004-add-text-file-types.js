@@ -0,0 +1,28 @@
+'use strict';
+
+const NEW_FILE_TYPES = ['md', 'txt', 'html'];
+
+module.exports = {
+  up: async (queryInterface, _Sequelize) => {
+    for (const fileType of NEW_FILE_TYPES) {
+      await queryInterface.sequelize.query(
+        `ALTER TYPE "enum_Resumes_fileType" ADD VALUE IF NOT EXISTS '${fileType}'`
+      );
+    }
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Postgres cannot drop enum values, so the type is recreated without them
+    await queryInterface.changeColumn('Resumes', 'fileType', {
+      type: Sequelize.STRING,
+      allowNull: false
+    });
+
+    await queryInterface.sequelize.query('DROP TYPE "enum_Resumes_fileType"');
+
+    await queryInterface.changeColumn('Resumes', 'fileType', {
+      type: Sequelize.ENUM('pdf', 'doc', 'docx'),
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,24 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, _Sequelize) => {
+    await queryInterface.sequelize.query(
+      'ALTER TYPE "enum_Resumes_fileType" ADD VALUE IF NOT EXISTS \'json\''
+    );
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    // Postgres cannot drop enum values, so the type is recreated without it
+    await queryInterface.changeColumn('Resumes', 'fileType', {
+      type: Sequelize.STRING,
+      allowNull: false
+    });
+
+    await queryInterface.sequelize.query('DROP TYPE "enum_Resumes_fileType"');
+
+    await queryInterface.changeColumn('Resumes', 'fileType', {
+      type: Sequelize.ENUM('pdf', 'doc', 'docx', 'md', 'txt', 'html'),
+      allowNull: false
+    });
+  }
+};
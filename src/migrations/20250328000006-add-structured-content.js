@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Resumes', 'structuredContent', {
+      type: Sequelize.JSONB
+    });
+
+    await queryInterface.addColumn('Resumes', 'customizedStructuredContent', {
+      type: Sequelize.JSONB
+    });
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'structuredContent');
+    await queryInterface.removeColumn('Resumes', 'customizedStructuredContent');
+  }
+};
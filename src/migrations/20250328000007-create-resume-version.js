@@ -0,0 +1,90 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('ResumeVersions', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      resumeId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Resumes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      versionNumber: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      jobTitle: {
+        type: Sequelize.STRING
+      },
+      companyName: {
+        type: Sequelize.STRING
+      },
+      jobDescription: {
+        type: Sequelize.TEXT
+      },
+      markdownContent: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      structuredContent: {
+        type: Sequelize.JSONB
+      },
+      s3Key: {
+        type: Sequelize.STRING
+      },
+      s3Url: {
+        type: Sequelize.STRING
+      },
+      model: {
+        type: Sequelize.STRING,
+        comment: 'AI model that generated the version'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('ResumeVersions', ['resumeId', 'versionNumber'], {
+      unique: true
+    });
+
+    await queryInterface.addColumn('Resumes', 'currentVersionId', {
+      type: Sequelize.UUID,
+      references: {
+        model: 'ResumeVersions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'currentVersionId');
+    await queryInterface.dropTable('ResumeVersions');
+  }
+};
@@ -0,0 +1,40 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.sequelize.query(
+      'ALTER TYPE "enum_Resumes_customizationStatus" ADD VALUE IF NOT EXISTS \'needs_review\' AFTER \'processing\''
+    );
+
+    await queryInterface.addColumn('Resumes', 'customizationModel', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.addColumn('Resumes', 'verificationReport', {
+      type: Sequelize.JSONB
+    });
+  },
+
+  down: async (queryInterface, Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'customizationModel');
+    await queryInterface.removeColumn('Resumes', 'verificationReport');
+
+    // Postgres cannot drop enum values, so the type is recreated without it
+    await queryInterface.sequelize.query(
+      'UPDATE "Resumes" SET "customizationStatus" = \'failed\' WHERE "customizationStatus" = \'needs_review\''
+    );
+
+    await queryInterface.changeColumn('Resumes', 'customizationStatus', {
+      type: Sequelize.STRING,
+      allowNull: false
+    });
+
+    await queryInterface.sequelize.query('DROP TYPE "enum_Resumes_customizationStatus"');
+
+    await queryInterface.changeColumn('Resumes', 'customizationStatus', {
+      type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed'),
+      defaultValue: 'pending',
+      allowNull: false
+    });
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Resumes', 'customizationStep', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.addColumn('Resumes', 'customizationStartedAt', {
+      type: Sequelize.DATE
+    });
+
+    await queryInterface.addColumn('Resumes', 'customizationStepStartedAt', {
+      type: Sequelize.DATE
+    });
+
+    await queryInterface.addColumn('Resumes', 'customizationStepDurations', {
+      type: Sequelize.JSONB
+    });
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'customizationStep');
+    await queryInterface.removeColumn('Resumes', 'customizationStartedAt');
+    await queryInterface.removeColumn('Resumes', 'customizationStepStartedAt');
+    await queryInterface.removeColumn('Resumes', 'customizationStepDurations');
+  }
+};
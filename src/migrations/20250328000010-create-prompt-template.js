@@ -0,0 +1,74 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('PromptTemplates', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      name: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      version: {
+        type: Sequelize.INTEGER,
+        allowNull: false
+      },
+      description: {
+        type: Sequelize.TEXT
+      },
+      systemPrompt: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      userPrompt: {
+        type: Sequelize.TEXT,
+        allowNull: false
+      },
+      isActive: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      activatedAt: {
+        type: Sequelize.DATE
+      },
+      createdBy: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      },
+      updatedAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('PromptTemplates', ['name', 'version'], {
+      unique: true
+    });
+
+    await queryInterface.addColumn('Resumes', 'customizationPromptVersions', {
+      type: Sequelize.JSONB
+    });
+
+    await queryInterface.addColumn('ResumeVersions', 'promptVersions', {
+      type: Sequelize.JSONB
+    });
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('ResumeVersions', 'promptVersions');
+    await queryInterface.removeColumn('Resumes', 'customizationPromptVersions');
+    await queryInterface.dropTable('PromptTemplates');
+  }
+};
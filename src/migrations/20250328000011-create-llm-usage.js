@@ -0,0 +1,72 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.createTable('LlmUsages', {
+      id: {
+        type: Sequelize.UUID,
+        defaultValue: Sequelize.UUIDV4,
+        primaryKey: true
+      },
+      userId: {
+        type: Sequelize.UUID,
+        allowNull: false,
+        references: {
+          model: 'Users',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      resumeId: {
+        type: Sequelize.UUID,
+        references: {
+          model: 'Resumes',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'SET NULL'
+      },
+      jobId: {
+        type: Sequelize.STRING
+      },
+      step: {
+        type: Sequelize.STRING,
+        allowNull: false
+      },
+      provider: {
+        type: Sequelize.STRING
+      },
+      model: {
+        type: Sequelize.STRING
+      },
+      promptTokens: {
+        type: Sequelize.INTEGER
+      },
+      completionTokens: {
+        type: Sequelize.INTEGER
+      },
+      totalTokens: {
+        type: Sequelize.INTEGER
+      },
+      cost: {
+        type: Sequelize.DECIMAL(12, 6)
+      },
+      cached: {
+        type: Sequelize.BOOLEAN,
+        defaultValue: false
+      },
+      createdAt: {
+        allowNull: false,
+        type: Sequelize.DATE
+      }
+    });
+
+    await queryInterface.addIndex('LlmUsages', ['userId', 'createdAt']);
+    await queryInterface.addIndex('LlmUsages', ['createdAt']);
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.dropTable('LlmUsages');
+  }
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Resumes', 'coverLetterContent', {
+      type: Sequelize.TEXT
+    });
+
+    await queryInterface.addColumn('Resumes', 'coverLetterS3Key', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.addColumn('Resumes', 'coverLetterS3Url', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.addColumn('Resumes', 'coverLetterOptions', {
+      type: Sequelize.JSONB
+    });
+
+    await queryInterface.addColumn('Resumes', 'coverLetterModel', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.addColumn('Resumes', 'coverLetterPromptVersions', {
+      type: Sequelize.JSONB
+    });
+
+    await queryInterface.addColumn('Resumes', 'coverLetterGeneratedAt', {
+      type: Sequelize.DATE
+    });
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'coverLetterContent');
+    await queryInterface.removeColumn('Resumes', 'coverLetterS3Key');
+    await queryInterface.removeColumn('Resumes', 'coverLetterS3Url');
+    await queryInterface.removeColumn('Resumes', 'coverLetterOptions');
+    await queryInterface.removeColumn('Resumes', 'coverLetterModel');
+    await queryInterface.removeColumn('Resumes', 'coverLetterPromptVersions');
+    await queryInterface.removeColumn('Resumes', 'coverLetterGeneratedAt');
+  }
+};
@@ -0,0 +1,49 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Resumes', 'interviewPrepContent', {
+      type: Sequelize.TEXT
+    });
+
+    await queryInterface.addColumn('Resumes', 'interviewPrepS3Key', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.addColumn('Resumes', 'interviewPrepS3Url', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.addColumn('Resumes', 'interviewPrepVersionId', {
+      type: Sequelize.UUID,
+      references: {
+        model: 'ResumeVersions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+
+    await queryInterface.addColumn('Resumes', 'interviewPrepModel', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.addColumn('Resumes', 'interviewPrepPromptVersions', {
+      type: Sequelize.JSONB
+    });
+
+    await queryInterface.addColumn('Resumes', 'interviewPrepGeneratedAt', {
+      type: Sequelize.DATE
+    });
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'interviewPrepContent');
+    await queryInterface.removeColumn('Resumes', 'interviewPrepS3Key');
+    await queryInterface.removeColumn('Resumes', 'interviewPrepS3Url');
+    await queryInterface.removeColumn('Resumes', 'interviewPrepVersionId');
+    await queryInterface.removeColumn('Resumes', 'interviewPrepModel');
+    await queryInterface.removeColumn('Resumes', 'interviewPrepPromptVersions');
+    await queryInterface.removeColumn('Resumes', 'interviewPrepGeneratedAt');
+  }
+};
@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Resumes', 'jobRequirements', {
+      type: Sequelize.JSONB
+    });
+
+    await queryInterface.addColumn('ResumeVersions', 'jobRequirements', {
+      type: Sequelize.JSONB
+    });
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'jobRequirements');
+    await queryInterface.removeColumn('ResumeVersions', 'jobRequirements');
+  }
+};
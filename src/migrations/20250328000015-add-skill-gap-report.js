@@ -0,0 +1,18 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Resumes', 'skillGapReport', {
+      type: Sequelize.JSONB
+    });
+
+    await queryInterface.addColumn('ResumeVersions', 'skillGapReport', {
+      type: Sequelize.JSONB
+    });
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'skillGapReport');
+    await queryInterface.removeColumn('ResumeVersions', 'skillGapReport');
+  }
+};
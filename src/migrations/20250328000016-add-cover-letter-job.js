@@ -0,0 +1,29 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Resumes', 'coverLetterJobTitle', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.addColumn('Resumes', 'coverLetterCompanyName', {
+      type: Sequelize.STRING
+    });
+
+    await queryInterface.addColumn('Resumes', 'coverLetterVersionId', {
+      type: Sequelize.UUID,
+      references: {
+        model: 'ResumeVersions',
+        key: 'id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'coverLetterJobTitle');
+    await queryInterface.removeColumn('Resumes', 'coverLetterCompanyName');
+    await queryInterface.removeColumn('Resumes', 'coverLetterVersionId');
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Resumes', 'coverLetterStatus', {
+      type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed')
+    });
+
+    await queryInterface.addColumn('Resumes', 'coverLetterError', {
+      type: Sequelize.TEXT
+    });
+
+    // Letters written before they were queued are complete
+    await queryInterface.sequelize.query(
+      'UPDATE "Resumes" SET "coverLetterStatus" = \'completed\' WHERE "coverLetterContent" IS NOT NULL'
+    );
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'coverLetterStatus');
+    await queryInterface.removeColumn('Resumes', 'coverLetterError');
+
+    await queryInterface.sequelize.query('DROP TYPE "enum_Resumes_coverLetterStatus"');
+  }
+};
@@ -0,0 +1,25 @@
+'use strict';
+
+module.exports = {
+  up: async (queryInterface, Sequelize) => {
+    await queryInterface.addColumn('Resumes', 'interviewPrepStatus', {
+      type: Sequelize.ENUM('pending', 'processing', 'completed', 'failed')
+    });
+
+    await queryInterface.addColumn('Resumes', 'interviewPrepError', {
+      type: Sequelize.TEXT
+    });
+
+    // Packs written before they were queued are complete
+    await queryInterface.sequelize.query(
+      'UPDATE "Resumes" SET "interviewPrepStatus" = \'completed\' WHERE "interviewPrepContent" IS NOT NULL'
+    );
+  },
+
+  down: async (queryInterface, _Sequelize) => {
+    await queryInterface.removeColumn('Resumes', 'interviewPrepStatus');
+    await queryInterface.removeColumn('Resumes', 'interviewPrepError');
+
+    await queryInterface.sequelize.query('DROP TYPE "enum_Resumes_interviewPrepStatus"');
+  }
+};
@@ -6,6 +6,7 @@
 
 const User = require('./user');
 const Resume = require('./resume');
+const ResumeVersion = require('./resumeVersion');
 const { Sequelize } = require('sequelize');
 const config = require('../config/database');
 
@@ -16,6 +17,7 @@ const sequelize = config.sequelize;
 module.exports = {
   User,
   Resume,
+  ResumeVersion,
   sequelize,
   Sequelize
 };
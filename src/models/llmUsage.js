@@ -0,0 +1,73 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user');
+const Resume = require('./resume');
+
+// Define the LlmUsage model using Sequelize
+const LlmUsage = sequelize && sequelize.define('LlmUsage', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  resumeId: {
+    type: DataTypes.UUID,
+    references: {
+      model: Resume,
+      key: 'id'
+    },
+    comment: 'Resume customized by the call, null once the resume is deleted'
+  },
+  jobId: {
+    type: DataTypes.STRING,
+    comment: 'Customization job that made the call'
+  },
+  step: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Pipeline step: profiler, researcher, strategist, cover_letter or interview_prep'
+  },
+  provider: {
+    type: DataTypes.STRING
+  },
+  model: {
+    type: DataTypes.STRING
+  },
+  promptTokens: {
+    type: DataTypes.INTEGER,
+    comment: 'Input tokens, null when the provider does not report them'
+  },
+  completionTokens: {
+    type: DataTypes.INTEGER,
+    comment: 'Output tokens, null when the provider does not report them'
+  },
+  totalTokens: {
+    type: DataTypes.INTEGER
+  },
+  cost: {
+    type: DataTypes.DECIMAL(12, 6),
+    comment: 'Cost in USD, null for models without a price'
+  },
+  cached: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Whether the step was served from the analysis cache without a call'
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    { fields: ['userId', 'createdAt'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = LlmUsage;
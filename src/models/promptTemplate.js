@@ -0,0 +1,54 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const User = require('./user');
+
+// Define the PromptTemplate model using Sequelize
+const PromptTemplate = sequelize && sequelize.define('PromptTemplate', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Prompt of a pipeline step: profiler, researcher, strategist, cover_letter or interview_prep'
+  },
+  version: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT
+  },
+  systemPrompt: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  userPrompt: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  isActive: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Whether customizations use this version of the prompt'
+  },
+  activatedAt: {
+    type: DataTypes.DATE
+  },
+  createdBy: {
+    type: DataTypes.UUID,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['name', 'version'] }
+  ]
+});
+
+module.exports = PromptTemplate;
@@ -36,9 +36,17 @@ const Resume = sequelize && sequelize.define('Resume', {
   markdownContent: {
     type: DataTypes.TEXT
   },
+  structuredContent: {
+    type: DataTypes.JSONB,
+    comment: 'Structured resume parsed from markdownContent'
+  },
   customizedContent: {
     type: DataTypes.TEXT
   },
+  customizedStructuredContent: {
+    type: DataTypes.JSONB,
+    comment: 'Structured resume parsed from customizedContent'
+  },
   customizedS3Key: {
     type: DataTypes.STRING
   },
@@ -46,7 +54,7 @@ const Resume = sequelize && sequelize.define('Resume', {
     type: DataTypes.STRING
   },
   customizationStatus: {
-    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+    type: DataTypes.ENUM('pending', 'processing', 'needs_review', 'completed', 'failed'),
     defaultValue: 'pending'
   },
   customizationError: {
@@ -55,6 +63,112 @@ const Resume = sequelize && sequelize.define('Resume', {
   customizationCompletedAt: {
     type: DataTypes.DATE
   },
+  customizationStep: {
+    type: DataTypes.STRING,
+    comment: 'Step the customization job is in, or failed in'
+  },
+  customizationStartedAt: {
+    type: DataTypes.DATE
+  },
+  customizationStepStartedAt: {
+    type: DataTypes.DATE
+  },
+  customizationStepDurations: {
+    type: DataTypes.JSONB,
+    comment: 'Milliseconds the customization job spent in each finished step'
+  },
+  customizationModel: {
+    type: DataTypes.STRING,
+    comment: 'AI model that generated customizedContent'
+  },
+  customizationPromptVersions: {
+    type: DataTypes.JSONB,
+    comment: 'Versions of the prompts that generated customizedContent, by prompt name'
+  },
+  verificationReport: {
+    type: DataTypes.JSONB,
+    comment: 'Claims in customizedContent not supported by the original'
+  },
+  currentVersionId: {
+    type: DataTypes.UUID,
+    comment: 'Customization version the customized fields were taken from'
+  },
+  coverLetterContent: {
+    type: DataTypes.TEXT,
+    comment: 'Cover letter in Markdown for the job of the customization'
+  },
+  coverLetterS3Key: {
+    type: DataTypes.STRING
+  },
+  coverLetterS3Url: {
+    type: DataTypes.STRING
+  },
+  coverLetterOptions: {
+    type: DataTypes.JSONB,
+    comment: 'Tone and length the cover letter was written with'
+  },
+  coverLetterModel: {
+    type: DataTypes.STRING,
+    comment: 'AI model that wrote coverLetterContent'
+  },
+  coverLetterPromptVersions: {
+    type: DataTypes.JSONB,
+    comment: 'Versions of the prompts that wrote coverLetterContent, by prompt name'
+  },
+  coverLetterGeneratedAt: {
+    type: DataTypes.DATE
+  },
+  coverLetterJobTitle: {
+    type: DataTypes.STRING,
+    comment: 'Job title the cover letter was written for'
+  },
+  coverLetterCompanyName: {
+    type: DataTypes.STRING,
+    comment: 'Company the cover letter was written for'
+  },
+  coverLetterVersionId: {
+    type: DataTypes.UUID,
+    comment: 'Customization version the cover letter was written from, null when written before it was completed'
+  },
+  coverLetterStatus: {
+    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+    comment: 'Status of the queued job writing the cover letter, null when none was requested'
+  },
+  coverLetterError: {
+    type: DataTypes.TEXT
+  },
+  interviewPrepContent: {
+    type: DataTypes.TEXT,
+    comment: 'Interview preparation pack in Markdown for the job of a customization'
+  },
+  interviewPrepS3Key: {
+    type: DataTypes.STRING
+  },
+  interviewPrepS3Url: {
+    type: DataTypes.STRING
+  },
+  interviewPrepVersionId: {
+    type: DataTypes.UUID,
+    comment: 'Customization version the interview preparation pack was written for'
+  },
+  interviewPrepModel: {
+    type: DataTypes.STRING,
+    comment: 'AI model that wrote interviewPrepContent'
+  },
+  interviewPrepPromptVersions: {
+    type: DataTypes.JSONB,
+    comment: 'Versions of the prompts that wrote interviewPrepContent, by prompt name'
+  },
+  interviewPrepGeneratedAt: {
+    type: DataTypes.DATE
+  },
+  interviewPrepStatus: {
+    type: DataTypes.ENUM('pending', 'processing', 'completed', 'failed'),
+    comment: 'Status of the queued job writing the interview preparation pack, null when none was requested'
+  },
+  interviewPrepError: {
+    type: DataTypes.TEXT
+  },
   jobTitle: {
     type: DataTypes.STRING
   },
@@ -64,8 +178,16 @@ const Resume = sequelize && sequelize.define('Resume', {
   jobDescription: {
     type: DataTypes.TEXT
   },
+  jobRequirements: {
+    type: DataTypes.JSONB,
+    comment: 'Requirements parsed from jobDescription, each with a confidence'
+  },
+  skillGapReport: {
+    type: DataTypes.JSONB,
+    comment: 'Requirements of jobRequirements the original resume meets, partly meets or misses'
+  },
   fileType: {
-    type: DataTypes.ENUM('pdf', 'doc', 'docx'),
+    type: DataTypes.ENUM('pdf', 'doc', 'docx', 'md', 'txt', 'html', 'json'),
     allowNull: false
   },
   fileSize: {
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const Resume = require('./resume');
+const User = require('./user');
+
+// Define the ResumeVersion model using Sequelize
+const ResumeVersion = sequelize && sequelize.define('ResumeVersion', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  resumeId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Resume,
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: User,
+      key: 'id'
+    }
+  },
+  versionNumber: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  jobTitle: {
+    type: DataTypes.STRING
+  },
+  companyName: {
+    type: DataTypes.STRING
+  },
+  jobDescription: {
+    type: DataTypes.TEXT
+  },
+  jobRequirements: {
+    type: DataTypes.JSONB,
+    comment: 'Requirements parsed from jobDescription, each with a confidence'
+  },
+  skillGapReport: {
+    type: DataTypes.JSONB,
+    comment: 'Requirements of jobRequirements the original resume meets, partly meets or misses'
+  },
+  markdownContent: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  structuredContent: {
+    type: DataTypes.JSONB
+  },
+  s3Key: {
+    type: DataTypes.STRING
+  },
+  s3Url: {
+    type: DataTypes.STRING
+  },
+  model: {
+    type: DataTypes.STRING,
+    comment: 'AI model that generated the version'
+  },
+  promptVersions: {
+    type: DataTypes.JSONB,
+    comment: 'Versions of the prompts that generated the version, by prompt name'
+  }
+}, {
+  timestamps: true,
+  indexes: [
+    { unique: true, fields: ['resumeId', 'versionNumber'] }
+  ]
+});
+
+if (sequelize) {
+  // Establish relationship with Resume
+  ResumeVersion.belongsTo(Resume, { foreignKey: 'resumeId', as: 'resume' });
+  Resume.hasMany(ResumeVersion, { foreignKey: 'resumeId', as: 'versions' });
+}
+
+module.exports = ResumeVersion;
@@ -37,12 +37,34 @@ const n8nWorkflowTriggers = new promClient.Counter({
   labelNames: ['workflow_id']
 });
 
+// LLM usage metrics
+const llmRequests = new promClient.Counter({
+  name: 'llm_requests_total',
+  help: 'Total number of LLM calls, cached steps included',
+  labelNames: ['model', 'step', 'cached']
+});
+
+const llmTokens = new promClient.Counter({
+  name: 'llm_tokens_total',
+  help: 'Total number of LLM tokens by type (prompt or completion)',
+  labelNames: ['model', 'step', 'type']
+});
+
+const llmCost = new promClient.Counter({
+  name: 'llm_cost_usd_total',
+  help: 'Total cost of LLM calls in USD, calls to unpriced models excluded',
+  labelNames: ['model', 'step']
+});
+
 // Register the custom metrics
 register.registerMetric(httpRequestDurationMicroseconds);
 register.registerMetric(resumeUploads);
 register.registerMetric(resumeConversions);
 register.registerMetric(resumeCustomizations);
 register.registerMetric(n8nWorkflowTriggers);
+register.registerMetric(llmRequests);
+register.registerMetric(llmTokens);
+register.registerMetric(llmCost);
 
 // Prometheus middleware for Express
 const prometheusMiddleware = (req, res, next) => {
@@ -91,6 +113,9 @@ module.exports = {
     resumeUploads,
     resumeConversions,
     resumeCustomizations,
-    n8nWorkflowTriggers
+    n8nWorkflowTriggers,
+    llmRequests,
+    llmTokens,
+    llmCost
   }
 };
\ No newline at end of file
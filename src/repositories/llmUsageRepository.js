@@ -0,0 +1,92 @@
+/**
+ * LLM Usage Repository
+ *
+ * This repository handles data access operations for LLM usage records,
+ * the token counts and costs of the LLM calls made by customizations.
+ */
+
+const { Op, fn, col, cast } = require('sequelize');
+const LlmUsage = require('../models/llmUsage');
+const logger = require('../utils/logger');
+
+// Aggregates of a group of usage records
+const USAGE_TOTALS = [
+  [fn('COUNT', col('id')), 'requests'],
+  [fn('SUM', cast(col('cached'), 'INTEGER')), 'cachedRequests'],
+  [fn('SUM', col('promptTokens')), 'promptTokens'],
+  [fn('SUM', col('completionTokens')), 'completionTokens'],
+  [fn('SUM', col('totalTokens')), 'totalTokens'],
+  [fn('SUM', col('cost')), 'cost'],
+  [fn('MIN', col('createdAt')), 'firstUsedAt'],
+  [fn('MAX', col('createdAt')), 'lastUsedAt']
+];
+
+/**
+ * Build the where clause of a usage query
+ * @param {Object} filters - Filters
+ * @param {string} filters.userId - Only records of this user (optional)
+ * @param {Date} filters.from - Only records created at or after this date (optional)
+ * @param {Date} filters.to - Only records created before this date (optional)
+ * @returns {Object} Where clause
+ */
+function buildWhere({ userId, from, to } = {}) {
+  const where = {};
+
+  if (userId) {
+    where.userId = userId;
+  }
+
+  if (from || to) {
+    where.createdAt = {
+      ...(from ? { [Op.gte]: from } : {}),
+      ...(to ? { [Op.lt]: to } : {})
+    };
+  }
+
+  return where;
+}
+
+/**
+ * Create a usage record
+ * @param {Object} usageData - Usage data
+ * @returns {Promise<Object>} Created usage record
+ */
+async function create(usageData) {
+  try {
+    return await LlmUsage.create(usageData);
+  } catch (error) {
+    logger.error(`Repository error - create: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Sum the usage records matching filters
+ * @param {Object} filters - userId, from and to, see buildWhere
+ * @param {Array<string>} groupBy - Columns to group the records by, none for overall totals
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of groups, the most recently used first (optional)
+ * @returns {Promise<Array<Object>>} Raw rows with the group columns and the USAGE_TOTALS aggregates
+ */
+async function summarize(filters = {}, groupBy = [], { limit } = {}) {
+  try {
+    return await LlmUsage.findAll({
+      attributes: [...groupBy, ...USAGE_TOTALS],
+      where: buildWhere(filters),
+      ...(groupBy.length > 0 ? {
+        group: groupBy,
+        order: [[fn('MAX', col('createdAt')), 'DESC']]
+      } : {}),
+      ...(limit ? { limit } : {}),
+      raw: true
+    });
+  } catch (error) {
+    logger.error(`Repository error - summarize: ${error.message}`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  create,
+  summarize
+};
@@ -0,0 +1,117 @@
+/**
+ * Prompt Template Repository
+ *
+ * This repository handles data access operations for prompt templates,
+ * the stored versions of the prompts used by customizations.
+ */
+
+const { sequelize } = require('../config/database');
+const PromptTemplate = require('../models/promptTemplate');
+const logger = require('../utils/logger');
+
+/**
+ * Find all versions of the prompts, newest first
+ * @param {string} name - Prompt name to filter by (optional)
+ * @returns {Promise<Array>} Array of prompt template objects
+ */
+async function findAll(name) {
+  try {
+    return await PromptTemplate.findAll({
+      where: name ? { name } : {},
+      order: [['name', 'ASC'], ['version', 'DESC']]
+    });
+  } catch (error) {
+    logger.error(`Repository error - findAll: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Find the active version of a prompt
+ * @param {string} name - Prompt name
+ * @returns {Promise<Object|null>} Prompt template object or null if no version is active
+ */
+async function findActive(name) {
+  try {
+    return await PromptTemplate.findOne({
+      where: { name, isActive: true }
+    });
+  } catch (error) {
+    logger.error(`Repository error - findActive: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Find a version of a prompt
+ * @param {string} name - Prompt name
+ * @param {number} version - Version number
+ * @returns {Promise<Object|null>} Prompt template object or null if not found
+ */
+async function findByVersion(name, version) {
+  try {
+    return await PromptTemplate.findOne({
+      where: { name, version }
+    });
+  } catch (error) {
+    logger.error(`Repository error - findByVersion: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new version of a prompt, numbered after the latest one
+ * @param {Object} templateData - Template data, including the prompt name
+ * @returns {Promise<Object>} Created prompt template
+ */
+async function create(templateData) {
+  try {
+    const latestVersion = await PromptTemplate.max('version', {
+      where: { name: templateData.name }
+    });
+
+    return await PromptTemplate.create({
+      ...templateData,
+      isActive: false,
+      version: (latestVersion || 0) + 1
+    });
+  } catch (error) {
+    logger.error(`Repository error - create: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Make a version the only active version of its prompt
+ * @param {string} name - Prompt name
+ * @param {number|null} version - Version to activate, null to deactivate every version
+ * @returns {Promise<void>}
+ */
+async function activate(name, version) {
+  try {
+    await sequelize.transaction(async (transaction) => {
+      await PromptTemplate.update(
+        { isActive: false },
+        { where: { name, isActive: true }, transaction }
+      );
+
+      if (version !== null) {
+        await PromptTemplate.update(
+          { isActive: true, activatedAt: new Date() },
+          { where: { name, version }, transaction }
+        );
+      }
+    });
+  } catch (error) {
+    logger.error(`Repository error - activate: ${error.message}`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  findAll,
+  findActive,
+  findByVersion,
+  create,
+  activate
+};
@@ -6,6 +6,7 @@
  * for the service layer.
  */
 
+const { Op } = require('sequelize');
 const Resume = require('../models/resume');
 const logger = require('../utils/logger');
 
@@ -154,6 +155,45 @@ async function updateStatus(resumeId, status, additionalData = {}) {
   }
 }
 
+/**
+ * Update the progress of a customization job (for background processing, no ownership check)
+ * @param {string} resumeId - Resume ID
+ * @param {Object} progressData - Progress fields to update
+ * @returns {Promise<void>}
+ */
+async function updateProgress(resumeId, progressData) {
+  try {
+    await Resume.update(progressData, { where: { id: resumeId } });
+  } catch (error) {
+    logger.error(`Repository error - updateProgress: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Find the step durations of the most recently completed customizations
+ * @param {number} limit - Maximum number of customizations to return
+ * @returns {Promise<Array<Object>>} Step durations in milliseconds, keyed by step
+ */
+async function findRecentStepDurations(limit = 20) {
+  try {
+    const resumes = await Resume.findAll({
+      attributes: ['customizationStepDurations'],
+      where: {
+        customizationStatus: 'completed',
+        customizationStepDurations: { [Op.ne]: null }
+      },
+      order: [['customizationCompletedAt', 'DESC']],
+      limit
+    });
+    
+    return resumes.map(resume => resume.customizationStepDurations);
+  } catch (error) {
+    logger.error(`Repository error - findRecentStepDurations: ${error.message}`, error);
+    throw error;
+  }
+}
+
 /**
  * Find a resume by ID only for background processing (no userId check)
  * @param {string} resumeId - Resume ID
@@ -176,5 +216,7 @@ module.exports = {
   update,
   remove,
   findByStatus,
-  updateStatus
+  updateStatus,
+  updateProgress,
+  findRecentStepDurations
 };
@@ -0,0 +1,87 @@
+/**
+ * Resume Version Repository
+ * 
+ * This repository handles data access operations for resume versions,
+ * the history of customizations made to a resume.
+ */
+
+const { sequelize } = require('../config/database');
+const Resume = require('../models/resume');
+const ResumeVersion = require('../models/resumeVersion');
+const logger = require('../utils/logger');
+
+/**
+ * Find all versions of a resume, newest first
+ * @param {string} resumeId - Resume ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} Array of resume version objects
+ */
+async function findByResume(resumeId, userId) {
+  try {
+    return await ResumeVersion.findAll({
+      where: { resumeId, userId },
+      order: [['versionNumber', 'DESC']]
+    });
+  } catch (error) {
+    logger.error(`Repository error - findByResume: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Find a version of a resume by ID
+ * @param {string} versionId - Version ID
+ * @param {string} resumeId - Resume ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>} Resume version object or null if not found
+ */
+async function findById(versionId, resumeId, userId) {
+  try {
+    return await ResumeVersion.findOne({
+      where: { id: versionId, resumeId, userId }
+    });
+  } catch (error) {
+    logger.error(`Repository error - findById: ${error.message}`, error);
+    throw error;
+  }
+}
+
+/**
+ * Create a new version for a resume, numbered after the latest one
+ *
+ * The resume row is locked while the number is taken, so a review approval
+ * and a customization completing at the same time get consecutive numbers
+ * instead of colliding on the unique (resumeId, versionNumber) index.
+ * @param {Object} versionData - Version data, including the resume ID
+ * @returns {Promise<Object>} Created resume version
+ */
+async function create(versionData) {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      await Resume.findByPk(versionData.resumeId, {
+        attributes: ['id'],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      const latestVersionNumber = await ResumeVersion.max('versionNumber', {
+        where: { resumeId: versionData.resumeId },
+        transaction
+      });
+
+      return ResumeVersion.create({
+        ...versionData,
+        versionNumber: (latestVersionNumber || 0) + 1
+      }, { transaction });
+    });
+  } catch (error) {
+    logger.error(`Repository error - create: ${error.message}`, error);
+    throw error;
+  }
+}
+
+module.exports = {
+  findByResume,
+  findById,
+  create
+};
@@ -0,0 +1,236 @@
+const express = require('express');
+const adminController = require('../controllers/adminController');
+const authMiddleware = require('../middleware/authMiddleware');
+const validationMiddleware = require('../middleware/validationMiddleware');
+
+const router = express.Router();
+
+// All routes require an authenticated admin
+router.use(authMiddleware.protect);
+router.use(authMiddleware.restrictTo('admin'));
+
+/**
+ * @swagger
+ * /admin/prompts:
+ *   get:
+ *     summary: List the versions of the customization prompts
+ *     description: Includes the built-in template (version 0) of each prompt and flags the active version
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *           enum: [profiler, researcher, strategist, cover_letter, interview_prep]
+ *         description: Only list the versions of this prompt
+ *     responses:
+ *       200:
+ *         description: Prompt templates
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: integer
+ *                     templates:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PromptTemplate'
+ *       403:
+ *         description: Not an admin
+ */
+router.get(
+  '/prompts',
+  validationMiddleware.validatePromptTemplateList,
+  adminController.listPromptTemplates
+);
+
+/**
+ * @swagger
+ * /admin/prompts:
+ *   post:
+ *     summary: Create a new version of a prompt
+ *     description: Templates may only use the variables of their prompt, with {{variable}} placeholders and {{#variable}}...{{/variable}} optional sections
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - systemPrompt
+ *               - userPrompt
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 enum: [profiler, researcher, strategist, cover_letter, interview_prep]
+ *               systemPrompt:
+ *                 type: string
+ *               userPrompt:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *                 description: What changed in this version
+ *               activate:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Activate the version right away
+ *     responses:
+ *       201:
+ *         description: Prompt template created
+ *       400:
+ *         description: Invalid template or unknown variables
+ *       403:
+ *         description: Not an admin
+ */
+router.post(
+  '/prompts',
+  validationMiddleware.validateCreatePromptTemplate,
+  adminController.createPromptTemplate
+);
+
+/**
+ * @swagger
+ * /admin/prompts/{name}/versions/{version}/activate:
+ *   post:
+ *     summary: Activate a version of a prompt
+ *     description: New customizations use the activated version, version 0 is the built-in template
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [profiler, researcher, strategist, cover_letter, interview_prep]
+ *         description: Prompt name
+ *       - in: path
+ *         name: version
+ *         required: true
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Version to activate
+ *     responses:
+ *       200:
+ *         description: Prompt template activated
+ *       403:
+ *         description: Not an admin
+ *       404:
+ *         description: Version not found
+ */
+router.post(
+  '/prompts/:name/versions/:version/activate',
+  validationMiddleware.validatePromptVersion,
+  adminController.activatePromptTemplate
+);
+
+/**
+ * @swagger
+ * /admin/prompts/{name}/rollback:
+ *   post:
+ *     summary: Roll a prompt back to the version before the active one
+ *     description: Rolling back the first stored version returns to the built-in template
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [profiler, researcher, strategist, cover_letter, interview_prep]
+ *         description: Prompt name
+ *     responses:
+ *       200:
+ *         description: Prompt rolled back, returns the now active template
+ *       400:
+ *         description: The prompt already uses the built-in template
+ *       403:
+ *         description: Not an admin
+ */
+router.post(
+  '/prompts/:name/rollback',
+  validationMiddleware.validatePromptName,
+  adminController.rollbackPromptTemplate
+);
+
+/**
+ * @swagger
+ * /admin/usage:
+ *   get:
+ *     summary: Report the LLM token usage and cost of all users
+ *     description: Totals of the period and the usage of each group, the most recently used first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count usage from this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count usage before this date
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only count the usage of this user
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           default: model
+ *           example: model,step
+ *         description: Comma-separated fields to group by, of user, model, step and provider
+ *     responses:
+ *       200:
+ *         description: Usage report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/UsageReport'
+ *       400:
+ *         description: Invalid period or grouping
+ *       403:
+ *         description: Not an admin
+ */
+router.get(
+  '/usage',
+  validationMiddleware.validateUsageReport,
+  adminController.getUsageReport
+);
+
+module.exports = router;
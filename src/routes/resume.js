@@ -3,6 +3,7 @@ const resumeController = require('../controllers/resumeController');
 const authMiddleware = require('../middleware/authMiddleware');
 const validationMiddleware = require('../middleware/validationMiddleware');
 const multer = require('multer');
+const { isSupportedUpload } = require('../utils/fileUtils');
 
 // Configure multer for file uploads
 const storage = multer.memoryStorage();
@@ -12,15 +13,11 @@ const upload = multer({
     fileSize: 10 * 1024 * 1024, // 10MB max file size
   },
   fileFilter: (req, file, cb) => {
-    // Accept only pdf, doc, docx
-    if (
-      file.mimetype === 'application/pdf' ||
-      file.mimetype === 'application/msword' ||
-      file.mimetype === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
-    ) {
+    // Accept only pdf, doc, docx, md, txt, html, json
+    if (isSupportedUpload(file.originalname, file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Unsupported file type. Only PDF, DOC, and DOCX files are allowed.'), false);
+      cb(new Error('Unsupported file type. Only PDF, DOC, DOCX, MD, TXT, HTML, and JSON files are allowed.'), false);
     }
   },
 });
@@ -51,7 +48,7 @@ router.use(authMiddleware.protect);
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: Resume file (PDF, DOC, DOCX)
+ *                 description: Resume file (PDF, DOC, DOCX, MD, TXT, HTML, JSON Resume)
  *               jobDescription:
  *                 type: string
  *                 description: Job description text
@@ -64,6 +61,10 @@ router.use(authMiddleware.protect);
  *               name:
  *                 type: string
  *                 description: Custom name for the resume
+ *               stepSettings:
+ *                 type: string
+ *                 description: JSON of the AI step settings overriding the configured ones (admins only), see AIStepSettings
+ *                 example: '{"researcher":{"modelName":"openai/gpt-4o-mini","temperature":0.2}}'
  *     responses:
  *       202:
  *         description: Resume customization in progress
@@ -86,11 +87,13 @@ router.use(authMiddleware.protect);
  *                       format: uuid
  *                     status:
  *                       type: string
- *                       enum: [pending, processing, completed, failed]
+ *                       enum: [pending, processing, needs_review, completed, failed]
  *                     estimatedTimeSeconds:
  *                       type: integer
  *       400:
- *         description: Invalid file format, missing file, or missing job description
+ *         description: Invalid file format, missing file, missing job description or invalid step settings
+ *       403:
+ *         description: Step settings sent by a non-admin
  */
 router.post(
   '/customize', 
@@ -136,11 +139,24 @@ router.post(
  *                       type: string
  *                     status:
  *                       type: string
- *                       enum: [pending, processing, completed, failed]
+ *                       enum: [pending, processing, needs_review, completed, failed]
  *                     progress:
  *                       type: integer
  *                       minimum: 0
  *                       maximum: 100
+ *                       description: Percent done, estimated from past step durations while processing
+ *                     step:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Step the job is in, or failed in
+ *                       enum: [converting, profiling, analyzing_job, writing, verifying, rendering_pdf, uploading]
+ *                     elapsedSeconds:
+ *                       type: integer
+ *                       nullable: true
+ *                     etaSeconds:
+ *                       type: integer
+ *                       nullable: true
+ *                       description: Estimated seconds until the job is done
  *                     error:
  *                       type: string
  *                     completedAt:
@@ -150,6 +166,32 @@ router.post(
  *                       type: boolean
  *                     downloadUrl:
  *                       type: string
+ *                     verification:
+ *                       type: object
+ *                       properties:
+ *                         outcome:
+ *                           type: string
+ *                           enum: [passed, flagged, review, rejected]
+ *                         violationCount:
+ *                           type: integer
+ *                     atsScore:
+ *                       type: object
+ *                       description: Keyword match scores, once the customization is completed
+ *                       properties:
+ *                         original:
+ *                           type: integer
+ *                         customized:
+ *                           type: integer
+ *                         gain:
+ *                           type: integer
+ *                         missingKeywords:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                     jobRequirements:
+ *                       $ref: '#/components/schemas/JobRequirements'
+ *                     skillGapReport:
+ *                       $ref: '#/components/schemas/SkillGapReport'
  *       404:
  *         description: Resume not found
  */
@@ -159,6 +201,101 @@ router.get(
   resumeController.getCustomizationStatus
 );
 
+/**
+ * @swagger
+ * /resumes/{id}/events:
+ *   get:
+ *     summary: Stream customization status and progress as Server-Sent Events
+ *     description: |
+ *       Sends a `status` event with the current customization status, then a `status` event for each
+ *       change and a `progress` event for each step of the job. The stream ends after the status
+ *       completed (with the download URL), failed or needs_review. Requires the bearer token header,
+ *       so browsers need a fetch based event source.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *     responses:
+ *       200:
+ *         description: |
+ *           Event stream. `status` events carry the body of GET /resumes/{id}/status,
+ *           `progress` events a CustomizationProgress.
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 event: status
+ *                 data: {"id":"3f1c...","status":"processing","progress":12,"step":"profiling"}
+ *
+ *                 event: progress
+ *                 data: {"step":"writing","percent":40,"elapsedSeconds":35,"etaSeconds":52}
+ *       404:
+ *         description: Resume not found
+ */
+router.get(
+  '/:id/events',
+  validationMiddleware.validateResumeId,
+  resumeController.streamCustomizationEvents
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/preview:
+ *   get:
+ *     summary: Watch the customized resume being generated
+ *     description: |
+ *       Returns the customized Markdown generated so far while the job is processing, and the
+ *       final Markdown once it is done. Poll with the returned length as offset to receive only new text.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *           default: 0
+ *         description: Number of characters already received
+ *     responses:
+ *       200:
+ *         description: Customization preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   $ref: '#/components/schemas/CustomizationPreview'
+ *       400:
+ *         description: Customization failed or was never requested
+ *       404:
+ *         description: Resume not found
+ */
+router.get(
+  '/:id/preview',
+  validationMiddleware.validatePreviewRequest,
+  resumeController.getCustomizationPreview
+);
+
 /**
  * @swagger
  * /resumes/{id}/download:
@@ -201,4 +338,808 @@ router.get(
   resumeController.downloadResume
 );
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /resumes/import/json-resume:
+ *   post:
+ *     summary: Import a JSON Resume document
+ *     description: Validates the document against the JSON Resume schema and renders it to Markdown for customization
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *         description: Resume name, defaults to basics.name
+ *       - in: query
+ *         name: description
+ *         schema:
+ *           type: string
+ *         description: Resume description
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: JSON Resume document (https://jsonresume.org/schema)
+ *     responses:
+ *       201:
+ *         description: Resume imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     resume:
+ *                       $ref: '#/components/schemas/ResumeDetailed'
+ *       400:
+ *         description: Document does not match the JSON Resume schema
+ */
+router.post(
+  '/import/json-resume',
+  validationMiddleware.validateJsonResumeImport,
+  resumeController.importJsonResume
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/export/json-resume:
+ *   get:
+ *     summary: Export resume as a JSON Resume document (original or customized)
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: string
+ *           enum: [original, customized]
+ *           default: original
+ *         description: Which version to export
+ *     responses:
+ *       200:
+ *         description: JSON Resume document
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Customization not completed or resume does not produce a valid document
+ *       404:
+ *         description: Resume not found
+ */
+router.get(
+  '/:id/export/json-resume',
+  validationMiddleware.validateDownloadRequest,
+  resumeController.exportJsonResume
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/structured:
+ *   get:
+ *     summary: Get the structured model of a resume (original or customized)
+ *     description: Contact block, summary, experience, education, skills and projects parsed from the resume Markdown
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: string
+ *           enum: [original, customized]
+ *           default: original
+ *         description: Which version to return
+ *     responses:
+ *       200:
+ *         description: Structured resume
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     structuredContent:
+ *                       $ref: '#/components/schemas/StructuredResume'
+ *       400:
+ *         description: Customization not completed
+ *       404:
+ *         description: Resume not found
+ */
+router.get(
+  '/:id/structured',
+  validationMiddleware.validateDownloadRequest,
+  resumeController.getStructuredResume
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/verification:
+ *   get:
+ *     summary: Get the verification report of the latest customization
+ *     description: Employers, titles, dates, degrees, certifications and figures in the customized resume that the original does not support
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *     responses:
+ *       200:
+ *         description: Verification report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     report:
+ *                       $ref: '#/components/schemas/VerificationReport'
+ *       404:
+ *         description: Resume or report not found
+ */
+router.get(
+  '/:id/verification',
+  validationMiddleware.validateResumeId,
+  resumeController.getVerificationReport
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/ats-score:
+ *   get:
+ *     summary: Score the resume against the job description
+ *     description: Weighted keywords and skills of the job description matched in the original and the customized resume
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *     responses:
+ *       200:
+ *         description: Keyword match scores
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     atsScore:
+ *                       $ref: '#/components/schemas/AtsScore'
+ *       400:
+ *         description: Resume has no job description or Markdown content
+ *       404:
+ *         description: Resume not found
+ */
+router.get(
+  '/:id/ats-score',
+  validationMiddleware.validateResumeId,
+  resumeController.getAtsScore
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/skill-gaps:
+ *   get:
+ *     summary: Report the skill gaps of the resume for the job
+ *     description: Requirements parsed from the job description, each met, partly met or missing in the original resume, with the resume lines that show it and advice on learning or positioning
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *     responses:
+ *       200:
+ *         description: Skill gap report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     skillGapReport:
+ *                       $ref: '#/components/schemas/SkillGapReport'
+ *       400:
+ *         description: Resume has no job description or Markdown content
+ *       404:
+ *         description: Resume not found
+ */
+router.get(
+  '/:id/skill-gaps',
+  validationMiddleware.validateResumeId,
+  resumeController.getSkillGapReport
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/review:
+ *   post:
+ *     summary: Approve or reject a customization held for review
+ *     description: Approving generates the customized PDF, rejecting marks the customization as failed
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - decision
+ *             properties:
+ *               decision:
+ *                 type: string
+ *                 enum: [approve, reject]
+ *               reason:
+ *                 type: string
+ *                 description: Reason for the decision
+ *     responses:
+ *       200:
+ *         description: Review recorded, returns the customization status
+ *       400:
+ *         description: Customization is not waiting for review
+ *       404:
+ *         description: Resume not found
+ */
+router.post(
+  '/:id/review',
+  validationMiddleware.validateReviewRequest,
+  resumeController.reviewCustomization
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/diff:
+ *   get:
+ *     summary: Compare the original and the customized resume
+ *     description: Section-aware diff listing added, removed and rewritten items, as JSON or as an HTML redline
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, html]
+ *           default: json
+ *         description: Response format
+ *     responses:
+ *       200:
+ *         description: Resume diff
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     diff:
+ *                       $ref: '#/components/schemas/ResumeDiff'
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Customization not completed
+ *       404:
+ *         description: Resume not found
+ */
+router.get(
+  '/:id/diff',
+  validationMiddleware.validateDiffRequest,
+  resumeController.getResumeDiff
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/versions:
+ *   get:
+ *     summary: List customization versions, newest first
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *     responses:
+ *       200:
+ *         description: Resume versions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     versions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ResumeVersion'
+ *       404:
+ *         description: Resume not found
+ */
+router.get(
+  '/:id/versions',
+  validationMiddleware.validateResumeId,
+  resumeController.listVersions
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/versions/{versionId}:
+ *   get:
+ *     summary: Get a customization version with its content
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Version ID
+ *     responses:
+ *       200:
+ *         description: Resume version
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     version:
+ *                       $ref: '#/components/schemas/ResumeVersionDetailed'
+ *       404:
+ *         description: Resume or version not found
+ */
+router.get(
+  '/:id/versions/:versionId',
+  validationMiddleware.validateVersionRequest,
+  resumeController.getVersion
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/versions/{versionId}/download:
+ *   get:
+ *     summary: Download the PDF of a customization version
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Version ID
+ *     responses:
+ *       200:
+ *         description: Customized resume PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Resume or version not found
+ */
+router.get(
+  '/:id/versions/:versionId/download',
+  validationMiddleware.validateVersionRequest,
+  resumeController.downloadVersion
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/versions/{versionId}/restore:
+ *   post:
+ *     summary: Restore a customization version as the current customized resume
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Version ID
+ *     responses:
+ *       200:
+ *         description: Version restored, returns the customization status
+ *       400:
+ *         description: A customization is in progress
+ *       404:
+ *         description: Resume or version not found
+ */
+router.post(
+  '/:id/versions/:versionId/restore',
+  validationMiddleware.validateVersionRequest,
+  resumeController.restoreVersion
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/cover-letter:
+ *   post:
+ *     summary: Queue a cover letter for the job of a resume
+ *     description: Uses the professional profile and job analysis of the customization and, once it completed, the customized resume. The letter is written in the background; poll GET /resumes/{id}/cover-letter until its status is completed or failed. Replaces the letter written before once done.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tone:
+ *                 type: string
+ *                 enum: [professional, enthusiastic, formal, conversational, confident]
+ *                 description: Tone of the letter, COVER_LETTER_TONE by default
+ *               length:
+ *                 type: string
+ *                 enum: [short, medium, long]
+ *                 description: 150-200, 250-350 or 400-500 words, COVER_LETTER_LENGTH by default
+ *     responses:
+ *       202:
+ *         description: Cover letter queued, with the pending status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coverLetter:
+ *                       $ref: '#/components/schemas/CoverLetter'
+ *       400:
+ *         description: Invalid tone or length, the resume has no job description or Markdown yet, or a letter is already being written
+ *       404:
+ *         description: Resume not found
+ *   get:
+ *     summary: Get the cover letter of a resume
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *     responses:
+ *       200:
+ *         description: Cover letter and the status of the job writing it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     coverLetter:
+ *                       $ref: '#/components/schemas/CoverLetter'
+ *       404:
+ *         description: Resume or cover letter not found
+ */
+router.post(
+  '/:id/cover-letter',
+  validationMiddleware.validateCoverLetterRequest,
+  resumeController.generateCoverLetter
+);
+
+router.get(
+  '/:id/cover-letter',
+  validationMiddleware.validateResumeId,
+  resumeController.getCoverLetter
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/cover-letter/download:
+ *   get:
+ *     summary: Download the cover letter of a resume
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, markdown]
+ *           default: pdf
+ *         description: File format
+ *     responses:
+ *       200:
+ *         description: Cover letter file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Resume or cover letter not found
+ */
+router.get(
+  '/:id/cover-letter/download',
+  validationMiddleware.validateDocumentDownload,
+  resumeController.downloadCoverLetter
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/interview-prep:
+ *   post:
+ *     summary: Queue an interview preparation pack for the job a resume was customized for
+ *     description: Behavioral questions tied to the bullets of the customized resume, technical topics from the job analysis and questions to ask the interviewer. The pack is written in the background; poll GET /resumes/{id}/interview-prep until its status is completed or failed. Replaces the pack written before once done.
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *     responses:
+ *       202:
+ *         description: Interview preparation pack queued, with the pending status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     interviewPrep:
+ *                       $ref: '#/components/schemas/InterviewPrep'
+ *       400:
+ *         description: The resume has not been customized for a job, or a pack is already being written
+ *       404:
+ *         description: Resume not found
+ *   get:
+ *     summary: Get the interview preparation pack of a resume
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *     responses:
+ *       200:
+ *         description: Interview preparation pack and the status of the job writing it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     interviewPrep:
+ *                       $ref: '#/components/schemas/InterviewPrep'
+ *       404:
+ *         description: Resume or interview preparation pack not found
+ */
+router.post(
+  '/:id/interview-prep',
+  validationMiddleware.validateResumeId,
+  resumeController.generateInterviewPrep
+);
+
+router.get(
+  '/:id/interview-prep',
+  validationMiddleware.validateResumeId,
+  resumeController.getInterviewPrep
+);
+
+/**
+ * @swagger
+ * /resumes/{id}/interview-prep/download:
+ *   get:
+ *     summary: Download the interview preparation pack of a resume
+ *     tags: [Resumes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Resume ID
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [pdf, markdown]
+ *           default: pdf
+ *         description: File format
+ *     responses:
+ *       200:
+ *         description: Interview preparation pack file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Resume or interview preparation pack not found
+ */
+router.get(
+  '/:id/interview-prep/download',
+  validationMiddleware.validateDocumentDownload,
+  resumeController.downloadInterviewPrep
+);
+
+module.exports = router;
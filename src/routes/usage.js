@@ -0,0 +1,60 @@
+const express = require('express');
+const usageController = require('../controllers/usageController');
+const authMiddleware = require('../middleware/authMiddleware');
+const validationMiddleware = require('../middleware/validationMiddleware');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authMiddleware.protect);
+
+/**
+ * @swagger
+ * /usage:
+ *   get:
+ *     summary: Get the LLM token usage and cost of your customizations
+ *     description: Totals, usage by model and step, and the usage of the 50 most recent customization jobs
+ *     tags: [Usage]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count usage from this date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count usage before this date
+ *     responses:
+ *       200:
+ *         description: Usage of the current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     usage:
+ *                       $ref: '#/components/schemas/UserUsage'
+ *       400:
+ *         description: Invalid period
+ *       401:
+ *         description: Not authenticated
+ */
+router.get(
+  '/',
+  validationMiddleware.validateUsageRequest,
+  usageController.getMyUsage
+);
+
+module.exports = router;
@@ -6,6 +6,8 @@
 
 const N8NAIService = require('../implementations/n8nAIServiceImpl');
 const DirectLLMAIService = require('../implementations/directLLMAIServiceImpl');
+const LocalLLMAIService = require('../implementations/localLLMAIServiceImpl');
+const FallbackAIService = require('../implementations/fallbackAIServiceImpl');
 const logger = require('../../utils/logger');
 
 /**
@@ -13,7 +15,8 @@ const logger = require('../../utils/logger');
  */
 const AIServiceImplementation = {
   N8N: 'n8n',
-  DIRECT_LLM: 'direct_llm'
+  DIRECT_LLM: 'direct_llm',
+  LOCAL_LLM: 'local_llm'
 };
 
 /**
@@ -36,11 +39,31 @@ class AIServiceFactory {
     case AIServiceImplementation.DIRECT_LLM:
       return new DirectLLMAIService(config);
     
+    case AIServiceImplementation.LOCAL_LLM:
+      return new LocalLLMAIService(config);
+    
     default:
       logger.warn(`Unknown implementation type: ${implementationType}, falling back to N8N`);
       return new N8NAIService(config);
     }
   }
+
+  /**
+   * Create an AI service that falls back through a chain of implementations
+   * @param {Array<{type: string, config: Object}>} chain - Implementation types and their configuration,
+   *   in order of preference
+   * @param {Object} breaker - Circuit breaker options shared by the providers
+   * @returns {IAIService} Fallback AI service
+   */
+  static createFallbackAIService(chain, breaker) {
+    return new FallbackAIService({
+      providers: chain.map(({ type, config }) => ({
+        name: type,
+        service: AIServiceFactory.createAIService(type, config)
+      })),
+      breaker
+    });
+  }
 }
 
 module.exports = {
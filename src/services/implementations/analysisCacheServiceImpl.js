@@ -0,0 +1,173 @@
+/**
+ * Analysis Cache Service Implementation
+ *
+ * This service caches the professional profiles and job analyses of the AI
+ * pipeline in Redis, keyed by a hash of the resume or job description, so
+ * the same source is not sent to the LLM again for every customization
+ */
+
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+const { withTimeout } = require('../../utils/timeout');
+
+/**
+ * Hash source content into a cache key part
+ * @param {string} content - Resume Markdown or job description
+ * @returns {string} SHA-256 hex digest
+ */
+const hashContent = (content = '') => crypto.createHash('sha256').update(content).digest('hex');
+
+/**
+ * Analysis Cache Service with dependency injection
+ *
+ * Each source has one Redis hash with a field per prompt version and model,
+ * so invalidating a source drops every result derived from it. Cache errors
+ * and operations that outlast the timeout are logged and treated as misses:
+ * an unreachable cache must not fail or hold a customization.
+ */
+class AnalysisCacheService {
+  /**
+   * Create a new AnalysisCacheService instance
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.redisClient - Redis client (node-redis v4)
+   * @param {Object} deps.ttlSeconds - How long results are kept, by step (profiler, researcher)
+   * @param {number} deps.operationTimeoutMs - How long a read or write may take, connecting included
+   */
+  constructor({ redisClient, ttlSeconds = {}, operationTimeoutMs = 2000 }) {
+    this.redisClient = redisClient;
+    this.ttlSeconds = ttlSeconds;
+    this.operationTimeoutMs = operationTimeoutMs;
+    this.connecting = null;
+
+    logger.info('AnalysisCacheService initialized');
+  }
+
+  /**
+   * Key of the cached results of a source
+   * @private
+   * @param {string} step - Step name
+   * @param {string} source - Source content
+   * @returns {string} Redis key
+   */
+  key(step, source) {
+    return `analysis:${step}:${hashContent(source)}`;
+  }
+
+  /**
+   * Get the connected Redis client
+   * @private
+   * @returns {Promise<Object>} Redis client
+   */
+  async getClient() {
+    if (!this.redisClient.isOpen) {
+      this.connecting = this.connecting || this.redisClient.connect().finally(() => {
+        this.connecting = null;
+      });
+      await this.connecting;
+    }
+
+    return this.redisClient;
+  }
+
+  /**
+   * Run a cache operation on the connected client within the operation timeout
+   *
+   * A Redis that stops answering would otherwise hold every cached step and
+   * the requests that invalidate results.
+   * @private
+   * @param {Function} operation - Operation given the client, returning a promise
+   * @returns {Promise<*>} Result of the operation
+   * @throws {ServiceUnavailableError} If the operation took too long
+   */
+  run(operation) {
+    return withTimeout(
+      this.getClient().then(operation),
+      this.operationTimeoutMs,
+      'Analysis cache Redis operation timed out',
+      'redis'
+    );
+  }
+
+  /**
+   * Check whether results of a step are cached
+   * @param {string} step - Step name
+   * @returns {boolean} True when the step has a TTL
+   */
+  isCached(step) {
+    return this.ttlSeconds[step] > 0;
+  }
+
+  /**
+   * Get the cached result of a step
+   * @param {string} step - Step name
+   * @param {string} source - Source content
+   * @param {string} variant - Prompt version and model settings the result was generated with
+   * @returns {Promise<string|null>} Cached result, null on a miss
+   */
+  async get(step, source, variant) {
+    if (!this.isCached(step)) {
+      return null;
+    }
+
+    try {
+      return await this.run(client => client.hGet(this.key(step, source), variant)) || null;
+    } catch (error) {
+      logger.warn(`Failed to read cached ${step} result: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Cache the result of a step
+   *
+   * The TTL applies to the source, so results of a popular resume or job
+   * description expire together.
+   * @param {string} step - Step name
+   * @param {string} source - Source content
+   * @param {string} variant - Prompt version and model settings the result was generated with
+   * @param {string} result - Step result
+   * @returns {Promise<void>}
+   */
+  async set(step, source, variant, result) {
+    if (!this.isCached(step)) {
+      return;
+    }
+
+    try {
+      const key = this.key(step, source);
+
+      await this.run(client => client.multi()
+        .hSet(key, variant, result)
+        .expire(key, this.ttlSeconds[step])
+        .exec());
+    } catch (error) {
+      logger.warn(`Failed to cache ${step} result: ${error.message}`);
+    }
+  }
+
+  /**
+   * Drop every cached result derived from a source
+   * @param {string} step - Step name
+   * @param {string} source - Source content
+   * @returns {Promise<void>}
+   */
+  async invalidate(step, source) {
+    try {
+      await this.run(client => client.del(this.key(step, source)));
+    } catch (error) {
+      logger.warn(`Failed to invalidate cached ${step} results: ${error.message}`);
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.redisClient.isOpen) {
+      this.redisClient.quit().catch(error => logger.warn(`Failed to close analysis cache Redis client: ${error.message}`));
+    }
+    logger.info('AnalysisCacheService destroyed');
+  }
+}
+
+module.exports = AnalysisCacheService;
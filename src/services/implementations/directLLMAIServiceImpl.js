@@ -6,9 +6,39 @@
 
 const IAIService = require('../interfaces/aiService');
 const LLMClient = require('./llmClient');
+const { detectProviderType } = require('./llmProviders');
+const {
+  PromptName,
+  DEFAULT_PROMPT_TEMPLATES,
+  RESUME_CORRECTION_PROMPT,
+  COVER_LETTER_LENGTHS,
+  INTERVIEW_PREP_SECTIONS
+} = require('./prompts/defaultPromptTemplates');
 const logger = require('../../utils/logger');
+const { renderTemplate } = require('../../utils/promptTemplate');
+const { formatJobRequirements } = require('../../utils/jobDescriptionParser');
+const { sanitizeResumeOutput, sanitizeCoverLetterOutput, findResumeIssues } = require('../../utils/resumeOutputSanitizer');
 const { ServiceError } = require('../../utils/errors');
 
+// Generation settings of the pipeline steps without configured ones
+const STEP_DEFAULTS = {
+  [PromptName.PROFILER]: { temperature: 0.7, maxTokens: 3000 },
+  [PromptName.RESEARCHER]: { temperature: 0.7, maxTokens: 3000 },
+  // Lower temperature for more deterministic output, higher token limit for the full resume
+  [PromptName.STRATEGIST]: { temperature: 0.5, maxTokens: 4000 },
+  [PromptName.COVER_LETTER]: { temperature: 0.7, maxTokens: 1500 },
+  [PromptName.INTERVIEW_PREP]: { temperature: 0.6, maxTokens: 3000 }
+};
+
+/**
+ * Drop the settings that are not set, so they do not replace defaults
+ * @param {Object} settings - Step settings
+ * @returns {Object} Settings with a value
+ */
+const definedSettings = (settings = {}) => Object.fromEntries(
+  Object.entries(settings).filter(([, value]) => value !== undefined && value !== null && value !== '')
+);
+
 /**
  * Direct LLM-based AI Service that implements the IAIService interface
  */
@@ -20,28 +50,204 @@ class DirectLLMAIService extends IAIService {
    * @param {string} config.baseUrl - Base URL for the LLM service
    * @param {string} config.modelName - Model name to use
    * @param {number} config.timeoutMs - Request timeout in milliseconds
+   * @param {string} config.provider - LLM provider type, detected from the base URL when not set
+   * @param {string} config.apiPath - Chat endpoint overriding the provider default
+   * @param {string} config.appUrl - Application URL, sent to OpenRouter for attribution
+   * @param {string} config.appName - Application name, sent to OpenRouter for attribution
+   * @param {Object} config.promptTemplateService - Source of the active prompt templates, the built-in
+   *   templates are used without it
+   * @param {Object} config.steps - Settings by step (profiler, researcher, strategist, cover_letter,
+   *   interview_prep): provider, baseUrl, apiKey, modelName, temperature and maxTokens. Steps without a
+   *   base URL use the connection above.
+   * @param {Object} config.analysisCache - Cache of profiles and job analyses, nothing is cached without it
+   * @param {number} config.maxCorrections - How often the strategist is asked to fix a malformed resume
+   *   before the customization fails (default 1)
    */
   constructor(config) {
     super();
     this.config = config;
     this.llmClient = this.initializeLLMClient();
+    this.connections = this.initializeConnections();
+    this.stepClients = new Map();
     logger.info(`DirectLLMAIService initialized with model: ${config.modelName}`);
   }
 
   /**
    * Initialize the LLM client
    * @private
+   * @param {Object} settings - Connection and model of a step, the service configuration is used without them
    * @returns {LLMClient} LLM client
    */
-  initializeLLMClient() {
+  initializeLLMClient(settings = {}) {
+    const connection = settings.baseUrl ? settings : this.config;
+    
     return new LLMClient({
-      apiKey: this.config.apiKey,
-      baseUrl: this.config.baseUrl,
-      modelName: this.config.modelName || 'deepseek/deepseek-r1-distill-llama-70b',
-      timeout: this.config.timeoutMs
+      apiKey: connection.apiKey,
+      baseUrl: connection.baseUrl,
+      modelName: settings.modelName || this.config.modelName || 'deepseek/deepseek-r1-distill-llama-70b',
+      timeout: this.config.timeoutMs,
+      provider: connection.provider,
+      apiPath: settings.baseUrl ? undefined : this.config.apiPath,
+      appUrl: this.config.appUrl,
+      appName: this.config.appName
     });
   }
 
+  /**
+   * Collect the provider connections steps can use, by provider name
+   * @private
+   * @returns {Map<string, Object>} Connections, the service connection being an empty object
+   */
+  initializeConnections() {
+    const connections = new Map([[this.llmClient.provider.name, {}]]);
+    
+    Object.values(this.config.steps || {}).forEach(({ provider, baseUrl, apiKey } = {}) => {
+      const name = provider || detectProviderType(baseUrl);
+      if (baseUrl && !connections.has(name)) {
+        connections.set(name, { provider: name, baseUrl, apiKey });
+      }
+    });
+    
+    return connections;
+  }
+
+  /**
+   * Resolve the connection of a step
+   *
+   * A requested provider must be one of the configured connections, requests
+   * never bring their own base URL or API key.
+   * @private
+   * @param {string} step - Step name from PromptName
+   * @param {string} provider - Requested provider (optional)
+   * @returns {Object} Connection settings, empty for the service connection
+   * @throws {ServiceError} If no connection is configured for the provider
+   */
+  resolveConnection(step, provider) {
+    const configured = (this.config.steps || {})[step] || {};
+    
+    if (!provider && configured.baseUrl) {
+      return { provider: configured.provider, baseUrl: configured.baseUrl, apiKey: configured.apiKey };
+    }
+    
+    const name = provider || configured.provider;
+    if (!name) {
+      return {};
+    }
+    
+    const connection = this.connections.get(name);
+    if (!connection) {
+      throw new ServiceError(`No ${name} connection is configured for the ${step} step`, 'validation');
+    }
+    
+    return connection;
+  }
+
+  /**
+   * Resolve the client and generation settings of a step
+   * @private
+   * @param {string} step - Step name from PromptName
+   * @param {Object} overrides - Provider, modelName, temperature and maxTokens of this request (optional)
+   * @returns {{client: LLMClient, temperature: number, maxTokens: number}} Step settings
+   */
+  getStepSettings(step, overrides = {}) {
+    const { provider, modelName, temperature, maxTokens } = overrides;
+    const settings = {
+      ...STEP_DEFAULTS[step],
+      ...definedSettings((this.config.steps || {})[step]),
+      ...definedSettings({ modelName, temperature, maxTokens })
+    };
+    
+    return {
+      client: this.getStepClient(this.resolveConnection(step, provider), settings.modelName),
+      temperature: Number(settings.temperature),
+      maxTokens: Number(settings.maxTokens)
+    };
+  }
+
+  /**
+   * Get the client of a connection and model, creating it on first use
+   * @private
+   * @param {Object} connection - Connection settings, empty for the service connection
+   * @param {string} modelName - Model name, the service model when not set
+   * @returns {LLMClient} LLM client
+   */
+  getStepClient(connection, modelName = this.llmClient.config.modelName) {
+    if (!connection.baseUrl && modelName === this.llmClient.config.modelName) {
+      return this.llmClient;
+    }
+    
+    const key = JSON.stringify([connection.baseUrl, connection.provider, modelName]);
+    if (!this.stepClients.has(key)) {
+      this.stepClients.set(key, this.initializeLLMClient({ ...connection, modelName }));
+    }
+    
+    return this.stepClients.get(key);
+  }
+
+  /**
+   * Run a step with its active prompt and settings
+   *
+   * With a cache source, the result is looked up in the analysis cache under
+   * the prompt version and model settings, and stored there on a miss. The
+   * token usage of the step is reported once it completes, cache hits with
+   * no tokens.
+   * @private
+   * @param {string} step - Step name from PromptName
+   * @param {Object} variables - Values of the prompt variables
+   * @param {Object} context - Customization run: stepSettings overrides, the onUsage callback, and the
+   *   promptVersions, models and cachedSteps of the run, which this step adds to
+   * @param {Object} options - Extra completion options, e.g. streaming
+   * @param {string} options.cacheSource - Content the result is derived from, the result is not cached without it
+   * @param {Array<Object>} options.followUp - Messages continuing the conversation of the prompt (optional)
+   * @returns {Promise<string>} Completion text
+   */
+  async runStep(step, variables, context = {}, options = {}) {
+    const { stepSettings = {}, promptVersions = {}, models = {}, cachedSteps = [], onUsage = () => {} } = context;
+    const { cacheSource, followUp = [], ...completionOptions } = options;
+    const { client, temperature, maxTokens } = this.getStepSettings(step, stepSettings[step]);
+    const messages = [...await this.renderPrompt(step, variables, promptVersions), ...followUp];
+    
+    models[step] = client.config.modelName;
+    
+    const cache = cacheSource !== undefined ? this.config.analysisCache : null;
+    const variant = [promptVersions[step], client.provider.name, client.config.modelName, temperature, maxTokens].join(':');
+    
+    if (cache) {
+      const cached = await cache.get(step, cacheSource, variant);
+      if (cached) {
+        logger.info(`Using cached ${step} result`);
+        cachedSteps.push(step);
+        await onUsage({
+          step,
+          provider: client.provider.name,
+          model: client.config.modelName,
+          promptTokens: 0,
+          completionTokens: 0,
+          cached: true
+        });
+        return cached;
+      }
+    }
+    
+    let usage = null;
+    const result = await client.complete({
+      messages,
+      temperature,
+      maxTokens,
+      ...completionOptions,
+      onUsage: (reported) => {
+        usage = reported;
+      }
+    });
+    await onUsage({ step, ...usage, cached: false });
+    
+    if (cache) {
+      await cache.set(step, cacheSource, variant, result);
+    }
+    
+    return result;
+  }
+
   /**
    * Customize a resume based on job description
    * @param {Object} data - Data for customization
@@ -49,11 +255,30 @@ class DirectLLMAIService extends IAIService {
    * @param {string} data.jobDescription - Job description
    * @param {string} data.jobTitle - Job title (optional)
    * @param {string} data.companyName - Company name (optional)
-   * @returns {Promise<Object>} Response with resume content
+   * @param {Object} data.jobRequirements - Requirements parsed from the job description (optional)
+   * @param {Function} data.onToken - Called with each chunk of the resume as it is generated (optional)
+   * @param {Function} data.onRestart - Called before a malformed resume is generated again (optional)
+   * @param {Function} data.onProgress - Called with the name of each step as it starts (optional)
+   * @param {Object} data.stepSettings - Settings overriding the configured ones, by step (optional)
+   * @param {Function} data.onUsage - Called with the step, provider, model and token counts of each
+   *   step as it completes (optional)
+   * @returns {Promise<Object>} Response with resume content, the model that wrote it, the models of
+   *   all steps, the versions of the prompts used and the steps served from the cache
    */
   async customizeResume(data) {
     try {
-      const { resumeContent, jobDescription, jobTitle, companyName } = data;
+      const {
+        resumeContent,
+        jobDescription,
+        jobTitle,
+        companyName,
+        jobRequirements,
+        onToken,
+        onRestart,
+        onProgress = () => {},
+        onUsage,
+        stepSettings = {}
+      } = data;
       
       // Validate required fields
       if (!resumeContent || !jobDescription) {
@@ -61,28 +286,41 @@ class DirectLLMAIService extends IAIService {
       }
       
       logger.info('Starting resume customization process with Direct LLM approach');
+      const context = { stepSettings, onUsage, promptVersions: {}, models: {}, cachedSteps: [] };
       
       // Step 1: Create professional profile
       logger.info('Step 1: Creating professional profile');
-      const profileResult = await this.createProfessionalProfile(resumeContent);
+      await onProgress('profiling');
+      const profileResult = await this.createProfessionalProfile(resumeContent, context);
       
       // Step 2: Analyze job description
       logger.info('Step 2: Analyzing job description');
-      const jobAnalysisResult = await this.analyzeJobDescription(jobDescription);
+      await onProgress('analyzing_job');
+      const jobAnalysisResult = await this.analyzeJobDescription(jobDescription, context);
       
       // Step 3: Create customized resume
       logger.info('Step 3: Creating customized resume');
+      await onProgress('writing');
       const customizedResume = await this.createCustomizedResume({
         profile: profileResult,
         jobAnalysis: jobAnalysisResult,
+        jobRequirements: formatJobRequirements(jobRequirements),
         originalResume: resumeContent,
         jobTitle: jobTitle || '',
-        companyName: companyName || ''
-      });
+        companyName: companyName || '',
+        onToken,
+        onRestart
+      }, context);
       
       logger.info('Resume customization process completed successfully');
       
-      return { resume: customizedResume };
+      return {
+        resume: customizedResume,
+        model: context.models[PromptName.STRATEGIST],
+        models: context.models,
+        promptVersions: context.promptVersions,
+        cachedSteps: context.cachedSteps
+      };
     } catch (error) {
       logger.error(`Error in resume customization: ${error.message}`);
       
@@ -95,39 +333,182 @@ class DirectLLMAIService extends IAIService {
     }
   }
 
+  /**
+   * Write a cover letter for a job
+   *
+   * The letter builds on the same professional profile and job analysis as
+   * the customization, so they come from the analysis cache when the resume
+   * was customized for the job before.
+   * @param {Object} data - Data for the cover letter, see IAIService
+   * @returns {Promise<Object>} Response with the cover letter, the model that wrote it, the models of
+   *   all steps, the versions of the prompts used and the steps served from the cache
+   */
+  async generateCoverLetter(data) {
+    try {
+      const {
+        resumeContent,
+        customizedResume,
+        jobDescription,
+        jobTitle,
+        companyName,
+        tone = 'professional',
+        length = 'medium',
+        onUsage,
+        stepSettings = {}
+      } = data;
+      
+      if (!resumeContent || !jobDescription) {
+        throw new ServiceError('Resume content and job description are required', 'validation');
+      }
+      if (!COVER_LETTER_LENGTHS[length]) {
+        throw new ServiceError(`Unknown cover letter length: ${length}`, 'validation');
+      }
+      
+      logger.info('Starting cover letter generation with Direct LLM approach');
+      const context = { stepSettings, onUsage, promptVersions: {}, models: {}, cachedSteps: [] };
+      
+      const profile = await this.createProfessionalProfile(resumeContent, context);
+      const jobAnalysis = await this.analyzeJobDescription(jobDescription, context);
+      const output = await this.runStep(PromptName.COVER_LETTER, {
+        profile,
+        jobAnalysis,
+        // The customized resume puts forward what the letter should talk about
+        resumeContent: customizedResume || resumeContent,
+        jobTitle: jobTitle || '',
+        companyName: companyName || '',
+        tone,
+        length: COVER_LETTER_LENGTHS[length]
+      }, context);
+      
+      const { content, repairs } = sanitizeCoverLetterOutput(output);
+      if (repairs.length > 0) {
+        logger.info(`Repaired the cover letter: ${repairs.join(', ')}`);
+      }
+      if (!content) {
+        throw new ServiceError('The model returned an empty cover letter', 'ai');
+      }
+      
+      return {
+        coverLetter: content,
+        model: context.models[PromptName.COVER_LETTER],
+        models: context.models,
+        promptVersions: context.promptVersions,
+        cachedSteps: context.cachedSteps
+      };
+    } catch (error) {
+      logger.error(`Error in cover letter generation: ${error.message}`);
+      
+      const enhancedError = new ServiceError(`AI cover letter failed: ${error.message}`, 'ai');
+      enhancedError.originalError = error;
+      enhancedError.modelName = this.config.modelName;
+      
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Write an interview preparation pack for a job
+   *
+   * Like the cover letter, the pack builds on the profile and job analysis of
+   * the customization, which come from the analysis cache when they are known.
+   * @param {Object} data - Data for the pack, see IAIService
+   * @returns {Promise<Object>} Response with the pack, the model that wrote it, the models of all
+   *   steps, the versions of the prompts used and the steps served from the cache
+   */
+  async generateInterviewPrep(data) {
+    try {
+      const {
+        resumeContent,
+        customizedResume,
+        jobDescription,
+        jobTitle,
+        companyName,
+        onUsage,
+        stepSettings = {}
+      } = data;
+      
+      if (!resumeContent || !jobDescription) {
+        throw new ServiceError('Resume content and job description are required', 'validation');
+      }
+      
+      logger.info('Starting interview preparation with Direct LLM approach');
+      const context = { stepSettings, onUsage, promptVersions: {}, models: {}, cachedSteps: [] };
+      
+      const profile = await this.createProfessionalProfile(resumeContent, context);
+      const jobAnalysis = await this.analyzeJobDescription(jobDescription, context);
+      const output = await this.runStep(PromptName.INTERVIEW_PREP, {
+        profile,
+        jobAnalysis,
+        // Behavioral questions are tied to the bullets the candidate sent for this job
+        resumeContent: customizedResume || resumeContent,
+        jobTitle: jobTitle || '',
+        companyName: companyName || ''
+      }, context);
+      
+      // A pack is shaped like a resume, a # heading and ## sections, so it is cleaned the same way
+      const { content, repairs } = sanitizeResumeOutput(output);
+      if (repairs.length > 0) {
+        logger.info(`Repaired the interview preparation pack: ${repairs.join(', ')}`);
+      }
+      if (!content) {
+        throw new ServiceError('The model returned an empty interview preparation pack', 'ai');
+      }
+      
+      const missing = INTERVIEW_PREP_SECTIONS.filter(section =>
+        !new RegExp(`^##\\s+${section}\\b`, 'im').test(content));
+      if (missing.length > 0) {
+        logger.warn(`Interview preparation pack has no ${missing.join(', ')} section`);
+      }
+      
+      return {
+        interviewPrep: content,
+        model: context.models[PromptName.INTERVIEW_PREP],
+        models: context.models,
+        promptVersions: context.promptVersions,
+        cachedSteps: context.cachedSteps
+      };
+    } catch (error) {
+      logger.error(`Error in interview preparation: ${error.message}`);
+      
+      const enhancedError = new ServiceError(`AI interview preparation failed: ${error.message}`, 'ai');
+      enhancedError.originalError = error;
+      enhancedError.modelName = this.config.modelName;
+      
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Render the active template of a prompt
+   * @private
+   * @param {string} name - Prompt name from PromptName
+   * @param {Object} variables - Values of the template variables
+   * @param {Object} promptVersions - Versions of the prompts used, the version of this one is added
+   * @returns {Promise<Array<{role: string, content: string}>>} System and user messages
+   */
+  async renderPrompt(name, variables, promptVersions = {}) {
+    const template = this.config.promptTemplateService
+      ? await this.config.promptTemplateService.getActiveTemplate(name)
+      : DEFAULT_PROMPT_TEMPLATES[name];
+    
+    promptVersions[name] = template.version;
+    
+    return [
+      { role: 'system', content: renderTemplate(template.systemPrompt, variables) },
+      { role: 'user', content: renderTemplate(template.userPrompt, variables) }
+    ];
+  }
+
   /**
    * Create professional profile from resume
    * @private
    * @param {string} resumeContent - Resume content
+   * @param {Object} context - Customization run, see runStep
    * @returns {Promise<string>} Professional profile
    */
-  async createProfessionalProfile(resumeContent) {
-    // Use the same prompt as in the n8n "Profiler" node
-    const prompt = `You are Dr. Maya Kaplan, a Career Intelligence Specialist with a Ph.D. in Industrial-Organizational Psychology and 12 years of experience in talent acquisition analytics at Fortune 500 companies. 
-    
-    You've pioneered data-driven approaches to job market positioning that have helped over 5,000 professionals secure interviews at their target companies. As founder of CareerInsight Labs, you've developed proprietary frameworks for professional narrative development that are used by top career coaches nationwide. Your TED Talk "The Science of Standing Out" has over 2 million views, and your research on applicant differentiation has been featured in Harvard Business Review and The Wall Street Journal.
-    
-    Your mission is to conduct comprehensive candidate research that reveals hidden strengths, untapped experiences, and unique positioning opportunities. You have an exceptional talent for identifying the subtle patterns in a person's professional history that others miss—the transferable skills, accomplishments, and character traits that make them uniquely valuable to employers.
-    
-    For each candidate, create a comprehensive profile document that includes:
-    1. Core Professional Identity: A distillation of the candidate's unique value proposition
-    2. Technical & Soft Skills Analysis: Both explicit and implied skills with evidence of application
-    3. Project Experience Deep Dive: Impact metrics, leadership roles, and notable challenges overcome
-    4. Contribution Pattern Analysis: How the candidate creates value across different contexts
-    5. Professional Interests & Motivations: Career trajectories and underlying drivers
-    6. Communication & Work Style Assessment: Collaboration preferences and interpersonal strengths
-    
-    Your output should be thorough yet concise, highlighting patterns and connections that might not be obvious to the candidate themselves. Focus on elements that differentiate the candidate from others with similar backgrounds. Do not embellish or fabricate information—your analysis should be grounded entirely in the provided data.`;
-    
+  async createProfessionalProfile(resumeContent, context = {}) {
     try {
-      return await this.llmClient.complete({
-        messages: [
-          { role: 'system', content: prompt },
-          { role: 'user', content: resumeContent }
-        ],
-        temperature: 0.7,
-        maxTokens: 3000
-      });
+      return await this.runStep(PromptName.PROFILER, { resumeContent }, context, { cacheSource: resumeContent });
     } catch (error) {
       logger.error(`Error creating professional profile: ${error.message}`);
       throw error;
@@ -138,35 +519,12 @@ class DirectLLMAIService extends IAIService {
    * Analyze job description
    * @private
    * @param {string} jobDescription - Job description
+   * @param {Object} context - Customization run, see runStep
    * @returns {Promise<string>} Job analysis
    */
-  async analyzeJobDescription(jobDescription) {
-    // Use the same prompt as in the n8n "Researcher" node
-    const prompt = `You are Eliza Chen, a Tech Job Description Strategist with 13+ years of experience in technical recruitment and talent acquisition at FAANG companies. After analyzing over 30,000 job postings during your career as former Director of Technical Recruitment at a major tech firm and as founder of HiddenRequirements.io, you've developed an unparalleled ability to decode what employers are truly seeking beyond the obvious bullet points.
-    
-    Your expertise has been featured in Wired, Fast Company, and TechCrunch, where you've explained your proprietary DECODE Method™ for job posting analysis. Your online masterclass "Reading Between the Lines: What Job Descriptions Actually Mean" has helped thousands of tech professionals successfully position themselves for roles they initially thought were out of reach.
-    
-    You specialize in uncovering the unstated preferences, cultural indicators, and priority requirements that most candidates miss. Your analytical approach combines linguistic pattern recognition with deep industry knowledge to identify what truly matters to hiring managers versus what's merely listed as standard boilerplate.
-    
-    For each job posting, create a comprehensive, structured analysis that includes:
-    • Company Profile: Company name, industry position, stage (startup/established), and relevant context
-    • Core Requirements: Technical skills, experience levels, and qualifications truly needed for success
-    • Supplementary Attributes: Secondary skills and qualities that would give candidates an edge
-    • Hidden Expectations: Reading between the lines on team dynamics, work pace, and culture fit
-    • Application Strategy: Specific areas candidates should emphasize and potential red flags to address
-    • Keyword Optimization: Critical terms for ATS optimization, ranked by apparent importance
-    
-    Format your analysis in a clean, structured document with clear headings, bullet points where appropriate, and strategic highlights. Your goal is to provide the applicant with actionable intelligence that gives them a significant advantage over other candidates.`;
-    
+  async analyzeJobDescription(jobDescription, context = {}) {
     try {
-      return await this.llmClient.complete({
-        messages: [
-          { role: 'system', content: prompt },
-          { role: 'user', content: jobDescription }
-        ],
-        temperature: 0.7,
-        maxTokens: 3000
-      });
+      return await this.runStep(PromptName.RESEARCHER, { jobDescription }, context, { cacheSource: jobDescription });
     } catch (error) {
       logger.error(`Error analyzing job description: ${error.message}`);
       throw error;
@@ -175,80 +533,65 @@ class DirectLLMAIService extends IAIService {
 
   /**
    * Create customized resume
+   *
+   * Reasoning, code fences, JSON wrappers and commentary are removed from the
+   * strategist's answer. When what is left is not a well-formed resume, the
+   * strategist is told what is wrong and asked for the resume again.
    * @private
    * @param {Object} data - Data for resume creation
    * @param {string} data.profile - Professional profile
    * @param {string} data.jobAnalysis - Job analysis
+   * @param {string} data.jobRequirements - Requirements parsed from the job description, as prompt text
    * @param {string} data.originalResume - Original resume content
    * @param {string} data.jobTitle - Job title
    * @param {string} data.companyName - Company name
+   * @param {Function} data.onToken - Called with each chunk of the resume as it is generated
+   * @param {Function} data.onRestart - Called before the resume is generated again
+   * @param {Object} context - Customization run, see runStep
    * @returns {Promise<string>} Customized resume
+   * @throws {ServiceError} If the resume is still malformed after the allowed corrections
    */
-  async createCustomizedResume(data) {
-    const { profile, jobAnalysis, originalResume, jobTitle, companyName } = data;
-    
-    // Use the same prompt as in the n8n "Resume Strategist" node
-    const prompt = `IDENTITY: Expert Resume Strategist for Engineering Leaders
-    
-    ROLE AND BACKSTORY
-    You are CareerPeak, a world-class resume strategist with 15+ years of experience helping engineering leaders secure positions at top tech companies. You've developed a proprietary methodology that has helped over 5,000 engineering professionals improve their interview success rate by 78%. You've worked with Google, Meta, and Amazon recruitment teams, giving you insider knowledge of what these companies look for in engineering leadership resumes.
-    
-    CORE CAPABILITIES
-    - Deep understanding of Applicant Tracking Systems (ATS) and keyword optimization
-    - Expert at translating technical achievements into business impact statements
-    - Master of creating powerful, concise professional summaries that grab attention
-    - Skilled at quantifying accomplishments with meaningful metrics
-    - Knowledgeable about current industry trends and job market demands for engineering roles
-    
-    PROCESS
-    - Analyze the Comprehensive Professional Profile thoroughly
-    - Review the Recommendations for Resume Enhancement
-    - Use the original resume to verify factual information (job roles, companies, dates, education)
-    - Restructure content to highlight the most relevant experiences for the target position
-    - Rewrite bullet points to emphasize quantifiable achievements and leadership impact
-    - Ensure proper keyword placement for ATS optimization
-    - Enhance the professional summary to create a compelling narrative
-    - Verify all information is factual - never invent or embellish credentials
-    
-    OUTPUT FORMAT
-    - Return the resume in clean Markdown format
-    - Do not include any JSON wrappers or code blocks around the content
-    - Use Markdown formatting for section headers, emphasis, and structure
-    - Use appropriate header levels (# for name, ## for main sections, etc.)
-    - Format contact information clearly at the top
-    - Use bold (text) for job titles and company names
-    - Use bullet points for achievements and responsibilities
-    - Ensure proper line breaks and spacing for readability
-    
-    CONSTRAINTS
-    - Only use information provided in the professional profile or retrieved via tools
-    - Focus exclusively on engineering leadership positions
-    - Maintain truthful representation while optimizing presentation
-    - Output only the fully updated resume in Markdown with no explanations or alternatives
-    
-    COMMUNICATION STYLE
-    Clear, precise, and impactful. Use strong action verbs, quantify achievements, and emphasize leadership qualities. Maintain a professional tone that conveys competence and authority.`;
-    
-    // Build the user prompt with job title and company name if provided
-    let fullUserPrompt = `comprehensive profile - ${profile}, recommendations ${jobAnalysis} - and original resume - ${originalResume}`;
-    
-    if (jobTitle) {
-      fullUserPrompt = `${fullUserPrompt} for the role of ${jobTitle}`;
-    }
-    
-    if (companyName) {
-      fullUserPrompt = `${fullUserPrompt} at ${companyName}`;
-    }
+  async createCustomizedResume(data, context = {}) {
+    const { profile, jobAnalysis, jobRequirements = '', originalResume, jobTitle, companyName, onToken, onRestart } = data;
+    const variables = { profile, jobAnalysis, jobRequirements, originalResume, jobTitle, companyName };
+    // Stream the resume when someone is watching it build up
+    const streamOptions = onToken ? { stream: true, onToken } : {};
+    const maxCorrections = this.config.maxCorrections ?? 1;
     
     try {
-      return await this.llmClient.complete({
-        messages: [
-          { role: 'system', content: prompt },
-          { role: 'user', content: fullUserPrompt }
-        ],
-        temperature: 0.5,  // Lower temperature for more deterministic output
-        maxTokens: 4000    // Higher token limit for full resume
-      });
+      let output = await this.runStep(PromptName.STRATEGIST, variables, context, streamOptions);
+      
+      for (let corrections = 0; ; corrections++) {
+        const { content, repairs } = sanitizeResumeOutput(output);
+        const issues = findResumeIssues(content);
+        
+        if (repairs.length > 0) {
+          logger.info(`Repaired the customized resume: ${repairs.join(', ')}`);
+        }
+        
+        if (issues.length === 0) {
+          return content;
+        }
+        
+        if (corrections >= maxCorrections) {
+          throw new ServiceError(`The model did not return a well-formed resume: ${issues.join('; ')}`, 'ai');
+        }
+        
+        logger.warn(`Asking for a corrected resume: ${issues.join('; ')}`);
+        if (onRestart) {
+          await onRestart();
+        }
+        
+        const correction = renderTemplate(RESUME_CORRECTION_PROMPT, { issues: issues.map(issue => `- ${issue}`).join('\n') });
+        output = await this.runStep(PromptName.STRATEGIST, variables, context, {
+          ...streamOptions,
+          // Nothing may be left of an answer that was all reasoning
+          followUp: [
+            ...(content ? [{ role: 'assistant', content }] : []),
+            { role: 'user', content: correction }
+          ]
+        });
+      }
     } catch (error) {
       logger.error(`Error creating customized resume: ${error.message}`);
       throw error;
@@ -0,0 +1,180 @@
+/**
+ * Fallback AI Service Implementation
+ *
+ * This service runs customizations through an ordered chain of AI service
+ * implementations, moving on to the next one when a provider fails, with a
+ * circuit breaker per provider so a provider that is down is skipped at once
+ * instead of burning through its retries on every job.
+ */
+
+const IAIService = require('../interfaces/aiService');
+const logger = require('../../utils/logger');
+const { CircuitBreaker, CircuitState } = require('../../utils/circuitBreaker');
+const { ServiceError, ServiceUnavailableError } = require('../../utils/errors');
+
+/**
+ * Check whether a customization failed because of its input rather than the provider
+ *
+ * Such failures would fail on every provider, so they neither trip a breaker
+ * nor fall back.
+ * @param {Error} error - Customization error
+ * @returns {boolean} True for validation failures
+ */
+const isRequestError = error => error.type === 'validation' || error.originalError?.type === 'validation';
+
+/**
+ * AI Service that falls back through a chain of AI services
+ */
+class FallbackAIService extends IAIService {
+  /**
+   * Create a new FallbackAIService instance
+   * @param {Object} config - Configuration object
+   * @param {Array<{name: string, service: IAIService}>} config.providers - AI services in order of preference
+   * @param {Object} config.breaker - Circuit breaker options: failureThreshold, resetTimeoutMs and halfOpenSuccesses
+   */
+  constructor({ providers, breaker = {} }) {
+    super();
+
+    if (!providers || providers.length === 0) {
+      throw new ServiceError('The AI fallback chain needs at least one provider', 'configuration');
+    }
+
+    this.providers = providers.map(({ name, service }) => ({
+      name,
+      service,
+      breaker: new CircuitBreaker({ ...breaker, name })
+    }));
+
+    logger.info(`FallbackAIService initialized with chain: ${providers.map(({ name }) => name).join(' -> ')}`);
+  }
+
+  /**
+   * Customize a resume with the first provider of the chain that succeeds
+   *
+   * Providers with an open circuit are skipped. When a provider fails after
+   * streaming part of the resume, onFallback lets the caller discard it.
+   * @param {Object} data - Data for customization, see IAIService
+   * @param {Function} data.onFallback - Called with the failed provider and its error before the next
+   *   provider is tried (optional)
+   * @returns {Promise<Object>} Response of the provider, with its name and the providers that failed before it
+   */
+  async customizeResume(data) {
+    return this.runWithFallback('customizeResume', data);
+  }
+
+  /**
+   * Write a cover letter with the first provider of the chain that succeeds
+   * @param {Object} data - Data for the cover letter, see IAIService
+   * @returns {Promise<Object>} Response of the provider, with its name and the providers that failed before it
+   */
+  async generateCoverLetter(data) {
+    return this.runWithFallback('generateCoverLetter', data);
+  }
+
+  /**
+   * Write an interview preparation pack with the first provider of the chain that succeeds
+   * @param {Object} data - Data for the pack, see IAIService
+   * @returns {Promise<Object>} Response of the provider, with its name and the providers that failed before it
+   */
+  async generateInterviewPrep(data) {
+    return this.runWithFallback('generateInterviewPrep', data);
+  }
+
+  /**
+   * Call a method of the first provider of the chain that succeeds
+   * @private
+   * @param {string} method - IAIService method
+   * @param {Object} data - Data of the call, with an optional onFallback callback
+   * @returns {Promise<Object>} Response of the provider, with its name and the providers that failed before it
+   */
+  async runWithFallback(method, data) {
+    const { onFallback, ...callData } = data;
+    const failures = [];
+
+    for (const { name, service, breaker } of this.providers) {
+      if (!breaker.tryAcquire()) {
+        logger.warn(`Skipping AI provider ${name}: circuit is open`);
+        continue;
+      }
+
+      try {
+        const result = await service[method](callData);
+        breaker.recordSuccess();
+
+        if (failures.length > 0) {
+          logger.info(`AI provider ${name} completed ${method} after ${failures.map(failure => failure.provider).join(', ')} failed`);
+        }
+
+        return { ...result, provider: name, failedProviders: failures.map(failure => failure.provider) };
+      } catch (error) {
+        if (isRequestError(error)) {
+          breaker.release();
+          throw error;
+        }
+
+        breaker.recordFailure(error);
+        failures.push({ provider: name, message: error.message });
+        logger.warn(`AI provider ${name} failed: ${error.message}`);
+
+        if (onFallback) {
+          await onFallback(name, error);
+        }
+      }
+    }
+
+    if (failures.length === 0) {
+      throw new ServiceUnavailableError('No AI provider is available: every circuit is open', 'ai');
+    }
+
+    const error = new ServiceError(
+      `All AI providers failed: ${failures.map(failure => `${failure.provider}: ${failure.message}`).join('; ')}`,
+      'ai'
+    );
+    error.failures = failures;
+    throw error;
+  }
+
+  /**
+   * Get the circuit breaker state of each provider
+   * @returns {{status: string, providers: Array<Object>}} 'ok' when every circuit is closed, 'degraded'
+   *   when some provider is skipped or probed, 'unavailable' when every circuit is open
+   */
+  getHealth() {
+    const providers = this.providers.map(({ breaker }) => breaker.getState());
+    const open = providers.filter(provider => provider.state === CircuitState.OPEN).length;
+    const closed = providers.filter(provider => provider.state === CircuitState.CLOSED).length;
+
+    let status = 'degraded';
+    if (closed === providers.length) {
+      status = 'ok';
+    } else if (open === providers.length) {
+      status = 'unavailable';
+    }
+
+    return { status, providers };
+  }
+
+  /**
+   * Validate model compatibility
+   * @returns {Promise<boolean>} True when a provider of the chain is compatible
+   */
+  async validateModelCompatibility() {
+    for (const { service } of this.providers) {
+      if (await service.validateModelCompatibility()) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.providers.forEach(({ service }) => service.destroy());
+    logger.info('FallbackAIService destroyed');
+  }
+}
+
+module.exports = FallbackAIService;
@@ -4,10 +4,12 @@
  * Client for interacting with Language Model APIs
  */
 
+const { StringDecoder } = require('string_decoder');
 const axios = require('axios');
 const axiosRetry = require('axios-retry').default;
 const logger = require('../../utils/logger');
 const { ServiceError } = require('../../utils/errors');
+const { createLLMProvider } = require('./llmProviders');
 
 class LLMClient {
   /**
@@ -17,11 +19,18 @@ class LLMClient {
    * @param {string} config.baseUrl - Base URL for API
    * @param {string} config.modelName - Model name
    * @param {number} config.timeout - Request timeout in milliseconds
+   * @param {string} config.provider - Provider type (openai, openrouter or anthropic), detected from the base URL when not set
+   * @param {string} config.apiPath - Chat endpoint overriding the provider default
+   * @param {string} config.appUrl - Application URL, sent to OpenRouter for attribution
+   * @param {string} config.appName - Application name, sent to OpenRouter for attribution
+   * @param {string} config.keepAlive - How long Ollama keeps the model loaded
+   * @param {boolean} config.stream - Whether to stream completions
    */
   constructor(config) {
     this.config = config;
+    this.provider = createLLMProvider(config);
     this.client = this.initializeClient();
-    logger.info(`LLMClient initialized for model: ${this.config.modelName}`);
+    logger.info(`LLMClient initialized for model: ${this.config.modelName} (${this.provider.name})`);
   }
   
   /**
@@ -33,10 +42,7 @@ class LLMClient {
     const client = axios.create({
       baseURL: this.config.baseUrl,
       timeout: this.config.timeout || 60000,
-      headers: {
-        'Authorization': `Bearer ${this.config.apiKey}`,
-        'Content-Type': 'application/json'
-      }
+      headers: this.provider.getHeaders(this.config.apiKey)
     });
     
     // Configure retry logic
@@ -68,74 +74,114 @@ class LLMClient {
    * @param {Array} options.messages - Messages for completion
    * @param {number} options.temperature - Temperature (0.0 to 1.0)
    * @param {number} options.maxTokens - Maximum tokens to generate
+   * @param {boolean} options.stream - Whether to stream, defaults to the client configuration
+   * @param {Function} options.onToken - Called with each chunk of text when streaming
+   * @param {Function} options.onUsage - Called with the provider, model and token counts of the completion,
+   *   the counts being null when the provider does not report them
    * @returns {Promise<string>} Completion text
    */
-  async complete({ messages, temperature = 0.7, maxTokens = 2000 }) {
+  async complete({ messages, temperature = 0.7, maxTokens = 2000, stream = Boolean(this.config.stream), onToken, onUsage }) {
+    let completion;
+    
     try {
-      // Get endpoint based on provider
-      const endpoint = this.getEndpointForProvider();
+      const endpoint = this.provider.getEndpoint();
       
-      logger.info(`Sending completion request to ${this.config.baseUrl}${endpoint}`);
+      logger.info(`Sending ${stream ? 'streaming ' : ''}completion request to ${this.config.baseUrl}${endpoint}`);
       
-      const response = await this.client.post(endpoint, {
+      const body = this.provider.buildRequest({
         model: this.config.modelName,
-        messages: messages,
-        temperature: temperature,
-        max_tokens: maxTokens
+        messages,
+        temperature,
+        maxTokens,
+        stream
       });
       
-      return this.extractContentFromResponse(response.data);
+      if (stream) {
+        const response = await this.client.post(endpoint, body, { responseType: 'stream' });
+        completion = await this.readStream(response.data, onToken);
+      } else {
+        const response = await this.client.post(endpoint, body);
+        completion = {
+          content: this.provider.parseResponse(response.data),
+          usage: this.provider.parseUsage(response.data)
+        };
+      }
     } catch (error) {
-      logger.error(`LLM API error: ${error.message}`);
+      // Prefer the provider's explanation over the generic HTTP error
+      const providerMessage = error.response ? this.provider.parseError(error.response.data) : null;
+      const message = providerMessage ? `${error.message}: ${providerMessage}` : error.message;
+      
+      logger.error(`LLM API error: ${message}`);
       
       // Enhance error with more details
-      const enhancedError = new ServiceError(`LLM request failed: ${error.message}`, 'llm-api');
+      const enhancedError = new ServiceError(`LLM request failed: ${message}`, 'llm-api');
       enhancedError.originalError = error;
       enhancedError.provider = this.config.baseUrl;
+      enhancedError.providerType = this.provider.name;
       enhancedError.model = this.config.modelName;
       enhancedError.status = error.response?.status;
       enhancedError.statusText = error.response?.statusText;
       
       throw enhancedError;
     }
-  }
-  
-  /**
-   * Get API endpoint based on provider
-   * @private
-   * @returns {string} API endpoint
-   */
-  getEndpointForProvider() {
-    // Customize based on which LLM provider you're using
-    if (this.config.baseUrl.includes('openrouter')) {
-      return '/api/v1/chat/completions';
-    } else if (this.config.baseUrl.includes('openai')) {
-      return '/v1/chat/completions';
-    } else if (this.config.baseUrl.includes('anthropic')) {
-      return '/v1/messages';
+    
+    if (onUsage) {
+      onUsage({
+        provider: this.provider.name,
+        model: this.config.modelName,
+        promptTokens: completion.usage?.promptTokens ?? null,
+        completionTokens: completion.usage?.completionTokens ?? null
+      });
     }
     
-    return '/api/chat/completions'; // Default
+    return completion.content;
   }
   
   /**
-   * Extract content from LLM API response
+   * Collect the text and token usage of a streamed completion
    * @private
-   * @param {Object} responseData - Response data
-   * @returns {string} Extracted content
+   * @param {Readable} stream - Response stream
+   * @param {Function} onToken - Called with each chunk of text
+   * @returns {Promise<{content: string, usage: Object|null}>} Completion text and token counts
    */
-  extractContentFromResponse(responseData) {
-    // Handle different API response formats
-    if (responseData.choices?.[0]?.message?.content) {
-      // OpenAI/OpenRouter format
-      return responseData.choices[0].message.content;
-    } else if (responseData.content) {
-      // Anthropic format
-      return responseData.content;
+  async readStream(stream, onToken) {
+    // Decode across chunk boundaries, which can split multi-byte characters
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    
+    const handleLine = (line) => {
+      const chunk = this.provider.parseStreamChunk(line.replace(/\r$/, ''));
+      if (chunk && chunk.usage) {
+        // Providers can report input and output tokens in different events
+        usage = { ...usage, ...chunk.usage };
+      }
+      if (chunk && chunk.content) {
+        content += chunk.content;
+        if (onToken) {
+          onToken(chunk.content);
+        }
+      }
+    };
+    
+    for await (const data of stream) {
+      buffer += decoder.write(data);
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    }
+    
+    buffer += decoder.end();
+    if (buffer) {
+      handleLine(buffer);
+    }
+    
+    if (!content) {
+      throw new ServiceError('Empty streamed response from LLM API', 'llm-response');
     }
     
-    logger.warn('Unexpected LLM response format:', responseData);
-    throw new ServiceError('Unexpected response format from LLM API', 'llm-response');
+    return { content, usage };
   }
 }
 
@@ -0,0 +1,180 @@
+/**
+ * Anthropic LLM Provider
+ *
+ * Adapter for the Anthropic Messages API
+ */
+
+const ILLMProvider = require('../../interfaces/llmProvider');
+const logger = require('../../../utils/logger');
+const { ServiceError } = require('../../../utils/errors');
+
+// Messages API version sent with every request
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Provider adapter for the Anthropic Messages API
+ */
+class AnthropicProvider extends ILLMProvider {
+  /**
+   * Create a new AnthropicProvider instance
+   * @param {Object} options - Provider options
+   * @param {string} options.endpoint - Messages endpoint relative to the base URL
+   */
+  constructor({ endpoint = '/v1/messages' } = {}) {
+    super();
+    this.name = 'anthropic';
+    this.endpoint = endpoint;
+  }
+
+  /**
+   * Get the messages endpoint, relative to the API base URL
+   * @returns {string} API endpoint
+   */
+  getEndpoint() {
+    return this.endpoint;
+  }
+
+  /**
+   * Get the HTTP headers that authenticate requests
+   * @param {string} apiKey - API key
+   * @returns {Object} Request headers
+   */
+  getHeaders(apiKey) {
+    return {
+      'x-api-key': apiKey,
+      'anthropic-version': ANTHROPIC_VERSION,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Build the request body of a message
+   *
+   * The API takes the system prompt as a top-level field rather than as a
+   * message, so system messages are joined into it. Consecutive messages of
+   * the same role are merged, since the API expects alternating turns.
+   * @param {Object} request - Completion request
+   * @param {string} request.model - Model name
+   * @param {Array<{role: string, content: string}>} request.messages - Messages
+   * @param {number} request.temperature - Temperature (0.0 to 1.0)
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {boolean} request.stream - Whether to stream the completion
+   * @returns {Object} Request body
+   */
+  buildRequest({ model, messages, temperature, maxTokens, stream }) {
+    const system = messages
+      .filter(message => message.role === 'system')
+      .map(message => message.content)
+      .join('\n\n');
+
+    const conversation = messages
+      .filter(message => message.role !== 'system')
+      .reduce((turns, { role, content }) => {
+        const previous = turns[turns.length - 1];
+        if (previous && previous.role === role) {
+          previous.content = `${previous.content}\n\n${content}`;
+        } else {
+          turns.push({ role, content });
+        }
+        return turns;
+      }, []);
+
+    return {
+      model,
+      ...(system ? { system } : {}),
+      messages: conversation,
+      temperature,
+      max_tokens: maxTokens,
+      ...(stream ? { stream: true } : {})
+    };
+  }
+
+  /**
+   * Extract the completion text from a response body
+   *
+   * The response content is a list of blocks; only text blocks are kept.
+   * @param {Object} responseData - Response body
+   * @returns {string} Completion text
+   */
+  parseResponse(responseData) {
+    const blocks = Array.isArray(responseData?.content) ? responseData.content : [];
+    const text = blocks
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+
+    if (!text) {
+      logger.warn(`Unexpected anthropic response format: ${JSON.stringify(responseData)}`);
+      throw new ServiceError('Unexpected response format from LLM API', 'llm-response');
+    }
+
+    if (responseData.stop_reason === 'max_tokens') {
+      logger.warn('anthropic completion was truncated at the token limit');
+    }
+
+    return text;
+  }
+
+  /**
+   * Extract the token usage from a response body
+   * @param {Object} responseData - Response body
+   * @returns {{promptTokens: number, completionTokens: number}|null} Token counts, null when not reported
+   */
+  parseUsage(responseData) {
+    const usage = responseData?.usage;
+
+    if (!usage) {
+      return null;
+    }
+
+    return {
+      promptTokens: usage.input_tokens ?? null,
+      completionTokens: usage.output_tokens ?? null
+    };
+  }
+
+  /**
+   * Parse one line of a streamed message
+   *
+   * Streams are server-sent events; text arrives in content_block_delta
+   * events and message_stop ends the message. "event:" lines are skipped
+   * since every data payload repeats its type. message_start reports the
+   * input tokens and message_delta the output tokens so far.
+   * @param {string} line - Line of the response stream
+   * @returns {{content: string, done: boolean, usage: Object}|null} Text of the chunk, with the token
+   *   counts the event reports, null for lines without content
+   */
+  parseStreamChunk(line) {
+    if (!line.startsWith('data:')) {
+      return null;
+    }
+
+    const event = JSON.parse(line.slice(5).trim());
+
+    switch (event.type) {
+    case 'content_block_delta':
+      return { content: event.delta?.type === 'text_delta' ? event.delta.text : '', done: false };
+    case 'message_start':
+      return { content: '', done: false, usage: { promptTokens: event.message?.usage?.input_tokens ?? null } };
+    case 'message_delta':
+      return { content: '', done: false, usage: { completionTokens: event.usage?.output_tokens ?? null } };
+    case 'message_stop':
+      return { content: '', done: true };
+    case 'error':
+      throw new ServiceError(`anthropic stream error: ${event.error?.message || 'Unknown error'}`, 'llm-response');
+    default:
+      return null;
+    }
+  }
+
+  /**
+   * Extract the error message from the body of a failed request
+   * @param {Object} responseData - Response body
+   * @returns {string|null} Error message reported by the provider
+   */
+  parseError(responseData) {
+    return responseData?.error?.message || null;
+  }
+}
+
+module.exports = AnthropicProvider;
@@ -0,0 +1,116 @@
+/**
+ * LLM Providers
+ *
+ * Selects the provider adapter that knows the request format, auth headers
+ * and response format of the configured LLM API
+ */
+
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const OpenRouterProvider = require('./openRouterProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const OllamaProvider = require('./ollamaProvider');
+const LlamaCppProvider = require('./llamaCppProvider');
+const logger = require('../../../utils/logger');
+
+/**
+ * LLM Provider Types
+ */
+const LLMProviderType = {
+  OPENAI: 'openai',
+  OPENROUTER: 'openrouter',
+  ANTHROPIC: 'anthropic',
+  OLLAMA: 'ollama',
+  LLAMA_CPP: 'llamacpp'
+};
+
+// Chat endpoints relative to the API host
+const DEFAULT_ENDPOINTS = {
+  [LLMProviderType.OPENAI]: '/v1/chat/completions',
+  [LLMProviderType.OPENROUTER]: '/api/v1/chat/completions',
+  [LLMProviderType.ANTHROPIC]: '/v1/messages',
+  [LLMProviderType.OLLAMA]: '/api/chat',
+  [LLMProviderType.LLAMA_CPP]: '/v1/chat/completions'
+};
+
+// Endpoint of OpenAI-compatible servers other than OpenAI itself
+const COMPATIBLE_ENDPOINT = '/api/chat/completions';
+
+/**
+ * Detect the provider type from the API base URL
+ * @param {string} baseUrl - API base URL
+ * @returns {string} Provider type
+ */
+const detectProviderType = (baseUrl = '') => {
+  if (baseUrl.includes('openrouter')) {
+    return LLMProviderType.OPENROUTER;
+  } else if (baseUrl.includes('anthropic')) {
+    return LLMProviderType.ANTHROPIC;
+  }
+
+  return LLMProviderType.OPENAI;
+};
+
+/**
+ * Resolve an endpoint against the path the base URL already contains, so
+ * "https://openrouter.ai/api" and "https://openrouter.ai" both work
+ * @param {string} baseUrl - API base URL
+ * @param {string} endpoint - Endpoint relative to the API host
+ * @returns {string} Endpoint relative to the base URL
+ */
+const relativeEndpoint = (baseUrl, endpoint) => {
+  let basePath = '';
+  try {
+    basePath = new URL(baseUrl).pathname.replace(/\/+$/, '');
+  } catch (error) {
+    return endpoint;
+  }
+
+  return basePath && endpoint.startsWith(`${basePath}/`) ? endpoint.slice(basePath.length) : endpoint;
+};
+
+/**
+ * Create the provider adapter for an LLM API
+ * @param {Object} config - LLM client configuration
+ * @param {string} config.baseUrl - API base URL
+ * @param {string} config.provider - Provider type, detected from the base URL when not set
+ * @param {string} config.apiPath - Chat endpoint overriding the provider default
+ * @param {string} config.appUrl - Application URL, sent to OpenRouter for attribution
+ * @param {string} config.appName - Application name, sent to OpenRouter for attribution
+ * @param {string} config.keepAlive - How long Ollama keeps the model loaded
+ * @returns {ILLMProvider} Provider adapter
+ */
+const createLLMProvider = (config) => {
+  const type = config.provider || detectProviderType(config.baseUrl);
+  const isOpenAIHost = (config.baseUrl || '').includes('openai');
+  const defaultEndpoint = type === LLMProviderType.OPENAI && !isOpenAIHost
+    ? COMPATIBLE_ENDPOINT
+    : DEFAULT_ENDPOINTS[type];
+  const endpoint = config.apiPath || relativeEndpoint(config.baseUrl, defaultEndpoint || COMPATIBLE_ENDPOINT);
+
+  switch (type) {
+  case LLMProviderType.OPENROUTER:
+    return new OpenRouterProvider({ endpoint, appUrl: config.appUrl, appName: config.appName });
+
+  case LLMProviderType.ANTHROPIC:
+    return new AnthropicProvider({ endpoint });
+
+  case LLMProviderType.OLLAMA:
+    return new OllamaProvider({ endpoint, keepAlive: config.keepAlive });
+
+  case LLMProviderType.LLAMA_CPP:
+    return new LlamaCppProvider({ endpoint });
+
+  case LLMProviderType.OPENAI:
+    return new OpenAICompatibleProvider({ endpoint });
+
+  default:
+    logger.warn(`Unknown LLM provider: ${type}, falling back to the OpenAI-compatible format`);
+    return new OpenAICompatibleProvider({ endpoint });
+  }
+};
+
+module.exports = {
+  LLMProviderType,
+  createLLMProvider,
+  detectProviderType
+};
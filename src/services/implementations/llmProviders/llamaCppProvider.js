@@ -0,0 +1,38 @@
+/**
+ * llama.cpp LLM Provider
+ *
+ * Adapter for the OpenAI-compatible chat API of a llama.cpp server
+ */
+
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+
+/**
+ * Provider adapter for llama.cpp servers
+ */
+class LlamaCppProvider extends OpenAICompatibleProvider {
+  /**
+   * Create a new LlamaCppProvider instance
+   * @param {Object} options - Provider options
+   * @param {string} options.endpoint - Chat endpoint relative to the base URL
+   */
+  constructor({ endpoint = '/v1/chat/completions' } = {}) {
+    super({ endpoint });
+    this.name = 'llamacpp';
+  }
+
+  /**
+   * Get the HTTP headers of requests
+   *
+   * The server only checks a key when started with --api-key.
+   * @param {string} apiKey - API key, if any
+   * @returns {Object} Request headers
+   */
+  getHeaders(apiKey) {
+    return {
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      'Content-Type': 'application/json'
+    };
+  }
+}
+
+module.exports = LlamaCppProvider;
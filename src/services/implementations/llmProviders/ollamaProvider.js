@@ -0,0 +1,153 @@
+/**
+ * Ollama LLM Provider
+ *
+ * Adapter for the chat API of a local Ollama server
+ */
+
+const ILLMProvider = require('../../interfaces/llmProvider');
+const logger = require('../../../utils/logger');
+const { ServiceError } = require('../../../utils/errors');
+
+/**
+ * Provider adapter for the Ollama chat API
+ */
+class OllamaProvider extends ILLMProvider {
+  /**
+   * Create a new OllamaProvider instance
+   * @param {Object} options - Provider options
+   * @param {string} options.endpoint - Chat endpoint relative to the base URL
+   * @param {string} options.keepAlive - How long the server keeps the model loaded, e.g. "10m"
+   */
+  constructor({ endpoint = '/api/chat', keepAlive } = {}) {
+    super();
+    this.name = 'ollama';
+    this.endpoint = endpoint;
+    this.keepAlive = keepAlive;
+  }
+
+  /**
+   * Get the chat endpoint, relative to the API base URL
+   * @returns {string} API endpoint
+   */
+  getEndpoint() {
+    return this.endpoint;
+  }
+
+  /**
+   * Get the HTTP headers of requests
+   *
+   * Ollama has no authentication; a key is only sent for servers behind an
+   * authenticating proxy.
+   * @param {string} apiKey - API key, if any
+   * @returns {Object} Request headers
+   */
+  getHeaders(apiKey) {
+    return {
+      ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}),
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Build the request body of a chat completion
+   *
+   * Ollama streams by default, so the stream flag is always sent. Sampling
+   * settings go in the options object.
+   * @param {Object} request - Completion request
+   * @param {string} request.model - Model name
+   * @param {Array<{role: string, content: string}>} request.messages - Messages
+   * @param {number} request.temperature - Temperature (0.0 to 1.0)
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {boolean} request.stream - Whether to stream the completion
+   * @returns {Object} Request body
+   */
+  buildRequest({ model, messages, temperature, maxTokens, stream }) {
+    return {
+      model,
+      messages: messages.map(({ role, content }) => ({ role, content })),
+      stream: Boolean(stream),
+      options: {
+        temperature,
+        num_predict: maxTokens
+      },
+      ...(this.keepAlive ? { keep_alive: this.keepAlive } : {})
+    };
+  }
+
+  /**
+   * Extract the completion text from a response body
+   * @param {Object} responseData - Response body
+   * @returns {string} Completion text
+   */
+  parseResponse(responseData) {
+    const content = responseData?.message?.content;
+
+    if (typeof content !== 'string' || !content) {
+      logger.warn(`Unexpected ollama response format: ${JSON.stringify(responseData)}`);
+      throw new ServiceError('Unexpected response format from LLM API', 'llm-response');
+    }
+
+    if (responseData.done_reason === 'length') {
+      logger.warn('ollama completion was truncated at the token limit');
+    }
+
+    return content;
+  }
+
+  /**
+   * Extract the token usage from a response body
+   *
+   * Ollama reports evaluated tokens, so a prompt served from its cache
+   * counts no prompt tokens.
+   * @param {Object} responseData - Response body
+   * @returns {{promptTokens: number, completionTokens: number}|null} Token counts, null when not reported
+   */
+  parseUsage(responseData) {
+    if (responseData?.prompt_eval_count === undefined && responseData?.eval_count === undefined) {
+      return null;
+    }
+
+    return {
+      promptTokens: responseData.prompt_eval_count ?? null,
+      completionTokens: responseData.eval_count ?? null
+    };
+  }
+
+  /**
+   * Parse one line of a streamed completion
+   *
+   * Streams are newline-delimited JSON objects, the last one with done set
+   * and the token counts.
+   * @param {string} line - Line of the response stream
+   * @returns {{content: string, done: boolean, usage: Object}|null} Text of the chunk, with the token
+   *   counts of the last chunk, null for lines without content
+   */
+  parseStreamChunk(line) {
+    if (!line.trim()) {
+      return null;
+    }
+
+    const event = JSON.parse(line);
+    if (event.error) {
+      throw new ServiceError(`ollama stream error: ${event.error}`, 'llm-response');
+    }
+
+    const usage = event.done ? this.parseUsage(event) : null;
+    return {
+      content: event.message?.content || '',
+      done: Boolean(event.done),
+      ...(usage ? { usage } : {})
+    };
+  }
+
+  /**
+   * Extract the error message from the body of a failed request
+   * @param {Object} responseData - Response body
+   * @returns {string|null} Error message reported by the server
+   */
+  parseError(responseData) {
+    return typeof responseData?.error === 'string' ? responseData.error : null;
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,159 @@
+/**
+ * OpenAI-compatible LLM Provider
+ *
+ * Adapter for the OpenAI Chat Completions API and the servers that mirror it
+ */
+
+const ILLMProvider = require('../../interfaces/llmProvider');
+const logger = require('../../../utils/logger');
+const { ServiceError } = require('../../../utils/errors');
+
+/**
+ * Provider adapter for OpenAI-compatible Chat Completions APIs
+ */
+class OpenAICompatibleProvider extends ILLMProvider {
+  /**
+   * Create a new OpenAICompatibleProvider instance
+   * @param {Object} options - Provider options
+   * @param {string} options.endpoint - Chat endpoint relative to the base URL
+   */
+  constructor({ endpoint = '/v1/chat/completions' } = {}) {
+    super();
+    this.name = 'openai';
+    this.endpoint = endpoint;
+  }
+
+  /**
+   * Get the chat endpoint, relative to the API base URL
+   * @returns {string} API endpoint
+   */
+  getEndpoint() {
+    return this.endpoint;
+  }
+
+  /**
+   * Get the HTTP headers that authenticate requests
+   * @param {string} apiKey - API key
+   * @returns {Object} Request headers
+   */
+  getHeaders(apiKey) {
+    return {
+      'Authorization': `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    };
+  }
+
+  /**
+   * Build the request body of a chat completion
+   *
+   * System prompts stay in the message list, as the API expects. Streams
+   * ask for the token usage, which arrives in a last chunk without choices.
+   * @param {Object} request - Completion request
+   * @param {string} request.model - Model name
+   * @param {Array<{role: string, content: string}>} request.messages - Messages
+   * @param {number} request.temperature - Temperature (0.0 to 1.0)
+   * @param {number} request.maxTokens - Maximum tokens to generate
+   * @param {boolean} request.stream - Whether to stream the completion
+   * @returns {Object} Request body
+   */
+  buildRequest({ model, messages, temperature, maxTokens, stream }) {
+    return {
+      model,
+      messages: messages.map(({ role, content }) => ({ role, content })),
+      temperature,
+      max_tokens: maxTokens,
+      ...(stream ? { stream: true, stream_options: { include_usage: true } } : {})
+    };
+  }
+
+  /**
+   * Extract the token usage from a response body
+   * @param {Object} responseData - Response body
+   * @returns {{promptTokens: number, completionTokens: number}|null} Token counts, null when not reported
+   */
+  parseUsage(responseData) {
+    const usage = responseData?.usage;
+
+    if (!usage) {
+      return null;
+    }
+
+    return {
+      promptTokens: usage.prompt_tokens ?? null,
+      completionTokens: usage.completion_tokens ?? null
+    };
+  }
+
+  /**
+   * Extract the completion text from a response body
+   * @param {Object} responseData - Response body
+   * @returns {string} Completion text
+   */
+  parseResponse(responseData) {
+    const choice = responseData?.choices?.[0];
+    let content = choice?.message?.content;
+
+    // Some compatible servers return content parts instead of a string
+    if (Array.isArray(content)) {
+      content = content
+        .filter(part => part.type === 'text')
+        .map(part => part.text)
+        .join('');
+    }
+
+    if (typeof content !== 'string' || !content) {
+      logger.warn(`Unexpected ${this.name} response format: ${JSON.stringify(responseData)}`);
+      throw new ServiceError('Unexpected response format from LLM API', 'llm-response');
+    }
+
+    if (choice.finish_reason === 'length') {
+      logger.warn(`${this.name} completion was truncated at the token limit`);
+    }
+
+    return content;
+  }
+
+  /**
+   * Parse one line of a streamed completion
+   *
+   * Streams are server-sent events: "data: {json}" lines carrying a delta,
+   * ending with "data: [DONE]". Comments and blank lines carry no content.
+   * @param {string} line - Line of the response stream
+   * @returns {{content: string, done: boolean, usage: Object}|null} Text of the chunk, with the token
+   *   counts of the usage chunk, null for lines without content
+   */
+  parseStreamChunk(line) {
+    if (!line.startsWith('data:')) {
+      return null;
+    }
+
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') {
+      return { content: '', done: true };
+    }
+
+    const event = JSON.parse(data);
+    if (event.error) {
+      throw new ServiceError(`${this.name} stream error: ${event.error.message || 'Unknown error'}`, 'llm-response');
+    }
+
+    const choice = event.choices?.[0];
+    const usage = this.parseUsage(event);
+    return {
+      content: choice?.delta?.content || '',
+      done: Boolean(choice?.finish_reason),
+      ...(usage ? { usage } : {})
+    };
+  }
+
+  /**
+   * Extract the error message from the body of a failed request
+   * @param {Object} responseData - Response body
+   * @returns {string|null} Error message reported by the provider
+   */
+  parseError(responseData) {
+    return responseData?.error?.message || null;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,67 @@
+/**
+ * OpenRouter LLM Provider
+ *
+ * Adapter for the OpenRouter API, which follows the OpenAI format with its
+ * own attribution headers and errors reported in successful responses
+ */
+
+const OpenAICompatibleProvider = require('./openAICompatibleProvider');
+const { ServiceError } = require('../../../utils/errors');
+
+/**
+ * Provider adapter for OpenRouter
+ */
+class OpenRouterProvider extends OpenAICompatibleProvider {
+  /**
+   * Create a new OpenRouterProvider instance
+   * @param {Object} options - Provider options
+   * @param {string} options.endpoint - Chat endpoint relative to the base URL
+   * @param {string} options.appUrl - Application URL, sent for attribution
+   * @param {string} options.appName - Application name, sent for attribution
+   */
+  constructor({ endpoint = '/v1/chat/completions', appUrl, appName } = {}) {
+    super({ endpoint });
+    this.name = 'openrouter';
+    this.appUrl = appUrl;
+    this.appName = appName;
+  }
+
+  /**
+   * Get the HTTP headers that authenticate requests
+   * @param {string} apiKey - API key
+   * @returns {Object} Request headers
+   */
+  getHeaders(apiKey) {
+    const headers = super.getHeaders(apiKey);
+
+    if (this.appUrl) {
+      headers['HTTP-Referer'] = this.appUrl;
+    }
+
+    if (this.appName) {
+      headers['X-Title'] = this.appName;
+    }
+
+    return headers;
+  }
+
+  /**
+   * Extract the completion text from a response body
+   *
+   * Upstream provider failures can arrive with a 200 status and an error
+   * object, either at the top level or on the choice.
+   * @param {Object} responseData - Response body
+   * @returns {string} Completion text
+   */
+  parseResponse(responseData) {
+    const error = responseData?.error || responseData?.choices?.[0]?.error;
+
+    if (error) {
+      throw new ServiceError(`OpenRouter error: ${error.message || 'Unknown error'}`, 'llm-response');
+    }
+
+    return super.parseResponse(responseData);
+  }
+}
+
+module.exports = OpenRouterProvider;
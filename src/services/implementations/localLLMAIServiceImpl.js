@@ -0,0 +1,69 @@
+/**
+ * Local LLM AI Service Implementation
+ *
+ * This service provides AI functionality through a model served locally by
+ * Ollama or a llama.cpp server, so customizations run without a hosted LLM
+ */
+
+const DirectLLMAIService = require('./directLLMAIServiceImpl');
+const LLMClient = require('./llmClient');
+const logger = require('../../utils/logger');
+
+/**
+ * Local model AI Service that implements the IAIService interface
+ *
+ * Customization follows the same profile, analysis and strategist steps as
+ * the direct LLM service; only the client talks to the local server.
+ */
+class LocalLLMAIService extends DirectLLMAIService {
+  /**
+   * Create a new LocalLLMAIService instance
+   * @param {Object} config - Configuration object
+   * @param {string} config.baseUrl - Base URL of the local server
+   * @param {string} config.server - Server type: 'ollama' or 'llamacpp'
+   * @param {string} config.modelName - Model name to use
+   * @param {number} config.timeoutMs - Request timeout in milliseconds
+   * @param {boolean} config.stream - Whether to stream completions
+   * @param {string} config.keepAlive - How long Ollama keeps the model loaded
+   * @param {string} config.apiKey - API key, for servers behind an authenticating proxy
+   * @param {Object} config.promptTemplateService - Source of the active prompt templates
+   * @param {Object} config.steps - Settings by step, steps with a base URL can use a hosted provider
+   * @param {number} config.maxCorrections - How often a malformed resume is sent back for a correction
+   */
+  constructor(config) {
+    super(config);
+    logger.info(`LocalLLMAIService initialized with ${config.server} server at ${config.baseUrl}`);
+  }
+
+  /**
+   * Initialize the LLM client for the local server
+   * @private
+   * @param {Object} settings - Connection and model of a step, the local server is used without them
+   * @returns {LLMClient} LLM client
+   */
+  initializeLLMClient(settings = {}) {
+    const connection = settings.baseUrl
+      ? settings
+      : { apiKey: this.config.apiKey, baseUrl: this.config.baseUrl, provider: this.config.server };
+    
+    return new LLMClient({
+      apiKey: connection.apiKey,
+      baseUrl: connection.baseUrl,
+      modelName: settings.modelName || this.config.modelName || 'llama3.1:8b',
+      timeout: this.config.timeoutMs,
+      provider: connection.provider,
+      keepAlive: this.config.keepAlive,
+      stream: this.config.stream
+    });
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    logger.info('LocalLLMAIService destroyed');
+    // No explicit cleanup needed
+  }
+}
+
+module.exports = LocalLLMAIService;
@@ -9,6 +9,8 @@ const axios = require('axios');
 const axiosRetry = require('axios-retry').default;
 const logger = require('../../utils/logger');
 const { ServiceError } = require('../../utils/errors');
+const { sanitizeResumeOutput, sanitizeCoverLetterOutput } = require('../../utils/resumeOutputSanitizer');
+const { COVER_LETTER_LENGTHS } = require('./prompts/defaultPromptTemplates');
 
 /**
  * N8N-based AI Service that implements the IAIService interface
@@ -19,6 +21,8 @@ class N8NAIService extends IAIService {
    * @param {Object} config - Configuration object
    * @param {string} config.webhookUrl - Base URL for the webhook
    * @param {string} config.webhookPath - Path for the webhook
+   * @param {string} config.coverLetterWebhookPath - Path for the cover letter webhook
+   * @param {string} config.interviewPrepWebhookPath - Path for the interview preparation webhook
    * @param {number} config.timeoutMs - Request timeout in milliseconds
    * @param {number} config.maxRetries - Maximum number of retries
    */
@@ -84,11 +88,12 @@ class N8NAIService extends IAIService {
    * @param {string} data.jobDescription - Job description
    * @param {string} data.jobTitle - Job title (optional)
    * @param {string} data.companyName - Company name (optional)
+   * @param {Object} data.jobRequirements - Requirements parsed from the job description (optional)
    * @returns {Promise<Object>} Response with resume content
    */
   async customizeResume(data) {
     try {
-      const { resumeContent, jobDescription, jobTitle, companyName } = data;
+      const { resumeContent, jobDescription, jobTitle, companyName, jobRequirements } = data;
       
       // Validate required fields
       if (!resumeContent || !jobDescription) {
@@ -102,7 +107,8 @@ class N8NAIService extends IAIService {
         resumeContent,
         jobDescription,
         jobTitle: jobTitle || '',
-        companyName: companyName || ''
+        companyName: companyName || '',
+        jobRequirements: jobRequirements || null
       });
       
       logger.info('Resume customization request successful');
@@ -123,6 +129,118 @@ class N8NAIService extends IAIService {
     }
   }
 
+  /**
+   * Write a cover letter for a job
+   * @param {Object} data - Data for the cover letter, see IAIService
+   * @returns {Promise<Object>} Response with the cover letter
+   */
+  async generateCoverLetter(data) {
+    const webhookPath = this.config.coverLetterWebhookPath;
+    
+    try {
+      const { resumeContent, customizedResume, jobDescription, jobTitle, companyName, tone, length } = data;
+      
+      if (!resumeContent || !jobDescription) {
+        throw new ServiceError('Resume content and job description are required', 'validation');
+      }
+      
+      logger.info(`Sending cover letter request to n8n webhook at ${this.config.webhookUrl}${webhookPath}`);
+      
+      const response = await this.client.post(webhookPath, {
+        resumeContent,
+        customizedResume: customizedResume || '',
+        jobDescription,
+        jobTitle: jobTitle || '',
+        companyName: companyName || '',
+        tone,
+        length,
+        wordRange: COVER_LETTER_LENGTHS[length]
+      });
+      
+      logger.info('Cover letter request successful');
+      
+      return this.processDocumentResponse(response, 'coverLetter', sanitizeCoverLetterOutput, 'cover letter');
+    } catch (error) {
+      logger.error(`Error calling n8n cover letter webhook: ${error.message}`);
+      
+      const enhancedError = new ServiceError(`AI cover letter failed: ${error.message}`, 'ai');
+      enhancedError.originalError = error;
+      enhancedError.webhookUrl = `${this.config.webhookUrl}${webhookPath}`;
+      enhancedError.status = error.response?.status;
+      enhancedError.statusText = error.response?.statusText;
+      
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Write an interview preparation pack for a job
+   * @param {Object} data - Data for the pack, see IAIService
+   * @returns {Promise<Object>} Response with the interview preparation pack
+   */
+  async generateInterviewPrep(data) {
+    const webhookPath = this.config.interviewPrepWebhookPath;
+    
+    try {
+      const { resumeContent, customizedResume, jobDescription, jobTitle, companyName } = data;
+      
+      if (!resumeContent || !jobDescription) {
+        throw new ServiceError('Resume content and job description are required', 'validation');
+      }
+      
+      logger.info(`Sending interview preparation request to n8n webhook at ${this.config.webhookUrl}${webhookPath}`);
+      
+      const response = await this.client.post(webhookPath, {
+        resumeContent,
+        customizedResume: customizedResume || '',
+        jobDescription,
+        jobTitle: jobTitle || '',
+        companyName: companyName || ''
+      });
+      
+      logger.info('Interview preparation request successful');
+      
+      return this.processDocumentResponse(response, 'interviewPrep', sanitizeResumeOutput, 'interview preparation pack');
+    } catch (error) {
+      logger.error(`Error calling n8n interview preparation webhook: ${error.message}`);
+      
+      const enhancedError = new ServiceError(`AI interview preparation failed: ${error.message}`, 'ai');
+      enhancedError.originalError = error;
+      enhancedError.webhookUrl = `${this.config.webhookUrl}${webhookPath}`;
+      enhancedError.status = error.response?.status;
+      enhancedError.statusText = error.response?.statusText;
+      
+      throw enhancedError;
+    }
+  }
+
+  /**
+   * Process a response from n8n holding a generated document, either the document itself or an
+   * object with the document in the given field
+   * @private
+   * @param {Object} response - Axios response
+   * @param {string} field - Field of the document, also the field of the processed response
+   * @param {Function} sanitize - Sanitizer of the document
+   * @param {string} name - Name of the document in errors
+   * @returns {Object} Processed response with the document field
+   */
+  processDocumentResponse(response, field, sanitize, name) {
+    const responseData = response && response.data;
+    const document = typeof responseData === 'object' && responseData !== null
+      ? responseData[field]
+      : responseData;
+    
+    const { content } = sanitize(typeof document === 'string' ? document : '');
+    if (!content) {
+      throw new ServiceError(`Empty ${name} from AI service`, 'empty-response');
+    }
+    
+    return {
+      [field]: content,
+      ...(responseData && responseData.model ? { model: responseData.model } : {})
+    };
+  }
+
   /**
    * Process response from n8n - simplified to handle common response formats
    * @private
@@ -0,0 +1,219 @@
+/**
+ * Preview Service Implementation
+ *
+ * This service buffers the customized resume in Redis while the AI service
+ * streams it, so clients can watch the Markdown build up before the job ends
+ */
+
+const logger = require('../../utils/logger');
+const { withTimeout } = require('../../utils/timeout');
+
+/**
+ * Preview Service with dependency injection
+ */
+class PreviewService {
+  /**
+   * Create a new PreviewService instance
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.redisClient - Redis client (node-redis v4)
+   * @param {number} deps.ttlSeconds - How long a preview is kept after its last update
+   * @param {number} deps.flushIntervalMs - Minimum time between writes of a streaming job
+   * @param {number} deps.operationTimeoutMs - How long a read or write may take, connecting included
+   */
+  constructor({ redisClient, ttlSeconds = 3600, flushIntervalMs = 250, operationTimeoutMs = 2000 }) {
+    this.redisClient = redisClient;
+    this.ttlSeconds = ttlSeconds;
+    this.flushIntervalMs = flushIntervalMs;
+    this.operationTimeoutMs = operationTimeoutMs;
+    this.connecting = null;
+
+    logger.info('PreviewService initialized');
+  }
+
+  /**
+   * Key of the buffered Markdown of a job
+   * @private
+   * @param {string} jobId - Job ID
+   * @returns {string} Redis key
+   */
+  contentKey(jobId) {
+    return `preview:job:${jobId}`;
+  }
+
+  /**
+   * Key of the preview state of a resume, which points to its latest job
+   * @private
+   * @param {string} resumeId - Resume ID
+   * @returns {string} Redis key
+   */
+  stateKey(resumeId) {
+    return `preview:resume:${resumeId}`;
+  }
+
+  /**
+   * Get the connected Redis client
+   * @private
+   * @returns {Promise<Object>} Redis client
+   * @throws {ServiceUnavailableError} If Redis cannot be reached in time
+   */
+  async getClient() {
+    if (!this.redisClient.isOpen) {
+      this.connecting = this.connecting || this.redisClient.connect().finally(() => {
+        this.connecting = null;
+      });
+      await withTimeout(this.connecting, this.operationTimeoutMs, 'Preview Redis connection timed out', 'redis');
+    }
+
+    return this.redisClient;
+  }
+
+  /**
+   * Run a preview operation within the operation timeout
+   * @private
+   * @param {Function} operation - Operation returning a promise
+   * @returns {Promise<*>} Result of the operation
+   * @throws {ServiceUnavailableError} If the operation took too long
+   */
+  withinTimeout(operation) {
+    return withTimeout(operation(), this.operationTimeoutMs, 'Preview Redis operation timed out', 'redis');
+  }
+
+  /**
+   * Start the preview of a customization job, replacing any earlier preview
+   * @param {string} resumeId - Resume ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<void>}
+   */
+  async start(resumeId, jobId) {
+    const client = await this.getClient();
+    const now = new Date().toISOString();
+
+    await client.multi()
+      .del(this.contentKey(jobId))
+      .del(this.stateKey(resumeId))
+      .hSet(this.stateKey(resumeId), { jobId: String(jobId), startedAt: now, updatedAt: now, done: 'false' })
+      .expire(this.stateKey(resumeId), this.ttlSeconds)
+      .exec();
+  }
+
+  /**
+   * Append streamed text to the preview of a job
+   * @param {string} resumeId - Resume ID
+   * @param {string} jobId - Job ID
+   * @param {string} text - Text to append
+   * @returns {Promise<void>}
+   */
+  async append(resumeId, jobId, text) {
+    const client = await this.getClient();
+
+    await client.multi()
+      .append(this.contentKey(jobId), text)
+      .expire(this.contentKey(jobId), this.ttlSeconds)
+      .hSet(this.stateKey(resumeId), 'updatedAt', new Date().toISOString())
+      .expire(this.stateKey(resumeId), this.ttlSeconds)
+      .exec();
+  }
+
+  /**
+   * Mark the preview of a job as complete
+   * @param {string} resumeId - Resume ID
+   * @returns {Promise<void>}
+   */
+  async finish(resumeId) {
+    const client = await this.getClient();
+
+    await client.hSet(this.stateKey(resumeId), { done: 'true', updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Get the latest preview of a resume
+   * @param {string} resumeId - Resume ID
+   * @returns {Promise<Object|null>} Preview with the buffered Markdown, null when there is none
+   */
+  async get(resumeId) {
+    return this.withinTimeout(async () => {
+      const client = await this.getClient();
+      const state = await client.hGetAll(this.stateKey(resumeId));
+
+      if (!state || !state.jobId) {
+        return null;
+      }
+
+      const content = await client.get(this.contentKey(state.jobId));
+
+      return {
+        jobId: state.jobId,
+        content: content || '',
+        startedAt: state.startedAt,
+        updatedAt: state.updatedAt,
+        done: state.done === 'true'
+      };
+    });
+  }
+
+  /**
+   * Create a writer that buffers streamed text of a job in memory and writes
+   * it to Redis at most once per flush interval
+   *
+   * Writes never throw nor wait longer than the operation timeout: a preview
+   * that cannot be stored must not fail or hold the customization it shows.
+   * @param {string} resumeId - Resume ID
+   * @param {string} jobId - Job ID
+   * @returns {Object} Writer with start, write and finish methods
+   */
+  createWriter(resumeId, jobId) {
+    let pending = '';
+    let lastFlush = 0;
+    // Writes are chained so chunks reach Redis in order
+    let chain = Promise.resolve();
+
+    const enqueue = (operation) => {
+      chain = chain
+        .then(() => this.withinTimeout(operation))
+        .then(() => undefined, (error) => {
+          logger.warn(`Preview write failed for resume ${resumeId}: ${error.message}`);
+        });
+      return chain;
+    };
+
+    const flush = () => {
+      if (!pending) {
+        return chain;
+      }
+      const text = pending;
+      pending = '';
+      lastFlush = Date.now();
+      return enqueue(() => this.append(resumeId, jobId, text));
+    };
+
+    return {
+      // Starting again discards the text of an attempt that failed midway
+      start: () => {
+        pending = '';
+        return enqueue(() => this.start(resumeId, jobId));
+      },
+      write: (text) => {
+        pending += text;
+        if (Date.now() - lastFlush >= this.flushIntervalMs) {
+          flush();
+        }
+      },
+      finish: () => {
+        flush();
+        return enqueue(() => this.finish(resumeId));
+      }
+    };
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.redisClient.isOpen) {
+      this.redisClient.quit().catch(error => logger.warn(`Failed to close preview Redis client: ${error.message}`));
+    }
+    logger.info('PreviewService destroyed');
+  }
+}
+
+module.exports = PreviewService;
@@ -0,0 +1,234 @@
+/**
+ * Prompt Template Service Implementation
+ *
+ * This service manages the versioned prompts of the customization steps.
+ * Admins create new versions, activate one per prompt and roll back to the
+ * previous one; prompts without an active version use the built-in template.
+ */
+
+const logger = require('../../utils/logger');
+const { extractVariables } = require('../../utils/promptTemplate');
+const { NotFoundError, ValidationError } = require('../../utils/errors');
+const {
+  PROMPT_VARIABLES,
+  DEFAULT_PROMPT_VERSION,
+  DEFAULT_PROMPT_TEMPLATES
+} = require('./prompts/defaultPromptTemplates');
+
+/**
+ * Map a prompt template to a response object
+ * @param {Object} template - Stored or built-in prompt template
+ * @param {boolean} isActive - Whether customizations use the template
+ * @returns {Object} Prompt template response object
+ */
+const mapToPromptTemplateResponse = (template, isActive) => ({
+  id: template.id || null,
+  name: template.name,
+  version: template.version,
+  description: template.description || null,
+  systemPrompt: template.systemPrompt,
+  userPrompt: template.userPrompt,
+  variables: extractVariables(`${template.systemPrompt}\n${template.userPrompt}`),
+  isActive,
+  builtIn: template.version === DEFAULT_PROMPT_VERSION,
+  activatedAt: template.activatedAt || null,
+  createdBy: template.createdBy || null,
+  createdAt: template.createdAt || null
+});
+
+/**
+ * Prompt Template Service with dependency injection
+ */
+class PromptTemplateService {
+  /**
+   * Create a new PromptTemplateService instance
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.promptTemplateRepository - Prompt template repository
+   * @param {number} deps.cacheTtlMs - How long active templates are cached, so workers pick up activations
+   */
+  constructor({ promptTemplateRepository, cacheTtlMs = 60000 }) {
+    this.promptTemplateRepository = promptTemplateRepository;
+    this.cacheTtlMs = cacheTtlMs;
+    this.activeTemplates = new Map();
+
+    logger.info('PromptTemplateService initialized');
+  }
+
+  /**
+   * Check that a prompt name is known
+   * @private
+   * @param {string} name - Prompt name
+   * @throws {ValidationError} If the prompt is unknown
+   */
+  assertPromptName(name) {
+    if (!PROMPT_VARIABLES[name]) {
+      throw new ValidationError(`Unknown prompt: ${name}. Expected one of ${Object.keys(PROMPT_VARIABLES).join(', ')}`);
+    }
+  }
+
+  /**
+   * Get the template customizations use for a prompt
+   * @param {string} name - Prompt name
+   * @returns {Promise<Object>} Active stored template, or the built-in one
+   */
+  async getActiveTemplate(name) {
+    this.assertPromptName(name);
+
+    const cached = this.activeTemplates.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.template;
+    }
+
+    let template = DEFAULT_PROMPT_TEMPLATES[name];
+    try {
+      template = (await this.promptTemplateRepository.findActive(name)) || template;
+    } catch (error) {
+      logger.warn(`Failed to load active ${name} prompt, using the built-in template: ${error.message}`);
+      return template;
+    }
+
+    this.activeTemplates.set(name, { template, expiresAt: Date.now() + this.cacheTtlMs });
+    return template;
+  }
+
+  /**
+   * List the versions of the prompts, built-in templates included
+   * @param {string} name - Prompt name to filter by (optional)
+   * @returns {Promise<Array>} Prompt templates, by prompt and newest first
+   */
+  async listTemplates(name) {
+    if (name) {
+      this.assertPromptName(name);
+    }
+
+    const stored = await this.promptTemplateRepository.findAll(name);
+    const names = name ? [name] : Object.keys(PROMPT_VARIABLES);
+
+    return names.flatMap((promptName) => {
+      const versions = stored.filter(template => template.name === promptName);
+      const hasActiveVersion = versions.some(template => template.isActive);
+
+      return [
+        ...versions.map(template => mapToPromptTemplateResponse(template, Boolean(template.isActive))),
+        mapToPromptTemplateResponse(DEFAULT_PROMPT_TEMPLATES[promptName], !hasActiveVersion)
+      ];
+    });
+  }
+
+  /**
+   * Create a new version of a prompt
+   * @param {Object} templateData - Template data
+   * @param {string} templateData.name - Prompt name
+   * @param {string} templateData.systemPrompt - System prompt template
+   * @param {string} templateData.userPrompt - User prompt template
+   * @param {string} templateData.description - What changed in this version
+   * @param {boolean} templateData.activate - Whether to activate the version right away
+   * @param {string} userId - ID of the admin creating the version
+   * @returns {Promise<Object>} Created prompt template
+   */
+  async createTemplate({ name, systemPrompt, userPrompt, description, activate = false }, userId) {
+    try {
+      this.assertPromptName(name);
+
+      const unknownVariables = extractVariables(`${systemPrompt}\n${userPrompt}`)
+        .filter(variable => !PROMPT_VARIABLES[name].includes(variable));
+
+      if (unknownVariables.length > 0) {
+        throw new ValidationError(
+          `Unknown variables in ${name} prompt: ${unknownVariables.join(', ')}. Available: ${PROMPT_VARIABLES[name].join(', ')}`
+        );
+      }
+
+      const template = await this.promptTemplateRepository.create({
+        name,
+        systemPrompt,
+        userPrompt,
+        description,
+        createdBy: userId
+      });
+
+      logger.info(`Created version ${template.version} of the ${name} prompt`);
+
+      if (activate) {
+        return await this.activateTemplate(name, template.version);
+      }
+
+      return mapToPromptTemplateResponse(template, false);
+    } catch (error) {
+      logger.error(`Create prompt template error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Activate a version of a prompt, version 0 being the built-in template
+   * @param {string} name - Prompt name
+   * @param {number} version - Version to activate
+   * @returns {Promise<Object>} Activated prompt template
+   */
+  async activateTemplate(name, version) {
+    try {
+      this.assertPromptName(name);
+
+      if (version === DEFAULT_PROMPT_VERSION) {
+        await this.promptTemplateRepository.activate(name, null);
+        this.activeTemplates.delete(name);
+
+        logger.info(`Activated the built-in ${name} prompt`);
+        return mapToPromptTemplateResponse(DEFAULT_PROMPT_TEMPLATES[name], true);
+      }
+
+      const template = await this.promptTemplateRepository.findByVersion(name, version);
+
+      if (!template) {
+        throw new NotFoundError(`Version ${version} of the ${name} prompt not found`, 'prompt template');
+      }
+
+      await this.promptTemplateRepository.activate(name, version);
+      this.activeTemplates.delete(name);
+
+      logger.info(`Activated version ${version} of the ${name} prompt`);
+      return { ...mapToPromptTemplateResponse(template, true), activatedAt: new Date() };
+    } catch (error) {
+      logger.error(`Activate prompt template error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Roll a prompt back to the version before the active one
+   *
+   * Rolling back the first stored version returns to the built-in template.
+   * @param {string} name - Prompt name
+   * @returns {Promise<Object>} Prompt template active after the rollback
+   */
+  async rollbackTemplate(name) {
+    try {
+      this.assertPromptName(name);
+
+      const active = await this.promptTemplateRepository.findActive(name);
+
+      if (!active) {
+        throw new ValidationError(`Cannot roll back the ${name} prompt: It already uses the built-in template`);
+      }
+
+      const versions = await this.promptTemplateRepository.findAll(name);
+      const previous = versions.find(template => template.version < active.version);
+
+      return await this.activateTemplate(name, previous ? previous.version : DEFAULT_PROMPT_VERSION);
+    } catch (error) {
+      logger.error(`Roll back prompt template error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    this.activeTemplates.clear();
+    logger.info('PromptTemplateService destroyed');
+  }
+}
+
+module.exports = PromptTemplateService;
@@ -4,10 +4,28 @@
  * This service provides background job processing functionality using Bull/Redis
  */
 
+const { EventEmitter } = require('events');
 const Queue = require('bull');
 const logger = require('../../utils/logger');
 const { ServiceError } = require('../../utils/errors');
 
+/**
+ * Parse a job value published by Bull, which sends return values as JSON
+ * @param {*} value - Published value
+ * @returns {*} Parsed value
+ */
+const parseJobValue = (value) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  
+  try {
+    return JSON.parse(value);
+  } catch (_error) {
+    return value;
+  }
+};
+
 /**
  * Queue Service with dependency injection
  */
@@ -26,6 +44,10 @@ class QueueService {
     this.config = config;
     this.queue = null;
     
+    // Job events relayed to subscribers, one listener per open event stream
+    this.jobEvents = new EventEmitter();
+    this.jobEvents.setMaxListeners(0);
+    
     // Initialize the queue
     this.initialize();
     
@@ -79,10 +101,77 @@ class QueueService {
       logger.error(`Queue error: ${error.message}`);
     });
     
+    // Relay global events so subscribers hear about jobs run by workers in other processes
+    this.queue.on('global:active', (jobId) => {
+      this.publishJobEvent('active', jobId);
+    });
+    
+    this.queue.on('global:progress', (jobId, progress) => {
+      this.publishJobEvent('progress', jobId, { progress });
+    });
+    
+    this.queue.on('global:completed', (jobId, result) => {
+      this.publishJobEvent('completed', jobId, { result: parseJobValue(result) });
+    });
+    
+    this.queue.on('global:failed', (jobId, failedReason) => {
+      this.publishJobEvent('failed', jobId, { error: failedReason });
+    });
+    
     // Clean old jobs on startup
     this.queue.clean(24 * 60 * 60 * 1000, 'failed');
   }
 
+  /**
+   * Publish a job event to subscribers with the data of its job
+   *
+   * Completed jobs may already be removed, so their data is null and
+   * subscribers have to rely on the result.
+   * @private
+   * @param {string} type - Event type: active, progress, completed or failed
+   * @param {string} jobId - ID of the job
+   * @param {Object} payload - Event specific fields
+   * @returns {Promise<void>}
+   */
+  async publishJobEvent(type, jobId, payload = {}) {
+    let job = null;
+    
+    try {
+      job = await this.queue.getJob(jobId);
+    } catch (error) {
+      logger.warn(`Failed to load job ${jobId} for ${type} event: ${error.message}`);
+    }
+    
+    const event = {
+      type,
+      jobId: String(jobId),
+      data: job ? job.data : null,
+      ...payload
+    };
+    
+    // Failed attempts are retried until the attempts of the job are used up or the job is discarded,
+    // which moves it to the failed set with attempts left
+    if (type === 'failed') {
+      event.willRetry = Boolean(job) && job.attemptsMade < ((job.opts && job.opts.attempts) || 1) &&
+        !(await job.isFailed());
+    }
+    
+    this.jobEvents.emit('job', event);
+  }
+
+  /**
+   * Subscribe to events of all jobs in the queue
+   * @param {Function} listener - Called with each event ({ type, jobId, data, progress, result, error, willRetry })
+   * @returns {Function} Function that removes the listener
+   */
+  onJobEvent(listener) {
+    this.jobEvents.on('job', listener);
+    
+    return () => {
+      this.jobEvents.removeListener('job', listener);
+    };
+  }
+
   /**
    * Add a job to the queue
    * @param {string} jobType - Type of job 
@@ -185,6 +274,7 @@ class QueueService {
       logger.info('Closing Queue Service');
       await this.queue.close();
       this.queue = null;
+      this.jobEvents.removeAllListeners();
     }
   }
 }
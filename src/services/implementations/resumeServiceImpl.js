@@ -6,10 +6,26 @@
  */
 
 const logger = require('../../utils/logger');
-const convertPdfToMarkdown = require('../../utils/convertPdfToMarkdown');
+const config = require('../../config');
+const { PromptName } = require('./prompts/defaultPromptTemplates');
+const { convertToMarkdown } = require('../../utils/convertToMarkdown');
 const { generatePdfFromMarkdown } = require('../../utils/pdfGenerator');
+const {
+  parseJsonResume,
+  renderJsonResumeToMarkdown,
+  parseMarkdownToJsonResume
+} = require('../../utils/jsonResume');
+const { parseResumeMarkdown } = require('../../utils/resumeParser');
+const { diffResumes, renderDiffHtml } = require('../../utils/resumeDiff');
+const { verifyCustomizedResume } = require('../../utils/resumeVerifier');
+const { sanitizeResumeOutput, findResumeIssues } = require('../../utils/resumeOutputSanitizer');
+const { scoreKeywordMatch } = require('../../utils/atsScorer');
+const { parseJobDescription } = require('../../utils/jobDescriptionParser');
+const { analyzeSkillGaps } = require('../../utils/skillGapAnalyzer');
+const { averageStepDurations, estimateProgress } = require('../../utils/customizationProgress');
 const { 
   getFileTypeFromExtension, 
+  isTextFileType,
   generateUniqueFilename,
   getContentTypeFromFileType
 } = require('../../utils/fileUtils');
@@ -17,15 +33,78 @@ const {
   mapToBasicResponse,
   mapToDetailedResponse,
   mapToCustomizationStatusResponse,
-  mapToUploadAndCustomizeResponse
+  mapToUploadAndCustomizeResponse,
+  mapToVersionResponse,
+  mapToCoverLetterResponse,
+  mapToInterviewPrepResponse
 } = require('../../utils/resumeMapper');
 const {
   NotFoundError,
   ValidationError,
   FileError,
-  UnsupportedFileTypeError
+  UnsupportedFileTypeError,
+  VerificationError
 } = require('../../utils/errors');
 
+/**
+ * Customization statuses that end a customization job
+ */
+const FINAL_CUSTOMIZATION_STATUSES = ['completed', 'failed', 'needs_review'];
+
+/**
+ * Statuses of a document job that is queued or running
+ */
+const ACTIVE_DOCUMENT_STATUSES = ['pending', 'processing'];
+
+/**
+ * Documents written for a resume by a queued job, with the job type and the
+ * columns holding the status of the job
+ */
+const DOCUMENT_JOBS = {
+  coverLetter: {
+    name: 'cover letter',
+    jobType: 'cover-letter',
+    statusField: 'coverLetterStatus',
+    errorField: 'coverLetterError'
+  },
+  interviewPrep: {
+    name: 'interview preparation pack',
+    jobType: 'interview-prep',
+    statusField: 'interviewPrepStatus',
+    errorField: 'interviewPrepError'
+  }
+};
+
+/**
+ * Check that a cover letter can be written for a resume
+ * @param {Object} resume - Resume entity
+ * @throws {ValidationError} If the resume has no job description or Markdown yet
+ */
+const assertCanWriteCoverLetter = (resume) => {
+  if (!resume.jobDescription) {
+    throw new ValidationError('Cannot write a cover letter: Resume has no job description, customize it for a job first');
+  }
+  
+  if (!resume.markdownContent) {
+    const error = new ValidationError(`Cannot write a cover letter: Resume has not been converted yet, status is ${resume.customizationStatus}`);
+    error.resumeStatus = resume.customizationStatus;
+    throw error;
+  }
+};
+
+/**
+ * Check that an interview preparation pack can be written for a resume
+ * @param {Object} resume - Resume entity
+ * @throws {ValidationError} If the resume has not been customized for a job
+ */
+const assertCanWriteInterviewPrep = (resume) => {
+  if (!['completed', 'needs_review'].includes(resume.customizationStatus) || !resume.customizedContent) {
+    const error = new ValidationError(`Cannot prepare for interviews: Resume has not been customized for a job, status is ${resume.customizationStatus}`);
+    error.resumeStatus = resume.customizationStatus;
+    throw error;
+  }
+};
+
 /**
  * Resume Service with dependency injection
  */
@@ -34,15 +113,32 @@ class ResumeService {
    * Create a new ResumeService instance
    * @param {Object} deps - Dependencies
    * @param {Object} deps.resumeRepository - Resume repository
+   * @param {Object} deps.resumeVersionRepository - Resume version repository
    * @param {Object} deps.storageService - Storage service
    * @param {Object} deps.aiService - AI service
    * @param {Object} deps.queueService - Queue service
+   * @param {Object} deps.previewService - Preview service, null when live previews are disabled
+   * @param {Object} deps.analysisCache - Cache of AI profiles and job analyses, null when caching is disabled
+   * @param {Object} deps.usageService - Usage service recording the LLM token usage of customizations (optional)
    */
-  constructor({ resumeRepository, storageService, aiService, queueService }) {
+  constructor({
+    resumeRepository,
+    resumeVersionRepository,
+    storageService,
+    aiService,
+    queueService,
+    previewService = null,
+    analysisCache = null,
+    usageService = null
+  }) {
     this.resumeRepository = resumeRepository;
+    this.resumeVersionRepository = resumeVersionRepository;
     this.storageService = storageService;
     this.aiService = aiService;
     this.queueService = queueService;
+    this.previewService = previewService;
+    this.analysisCache = analysisCache;
+    this.usageService = usageService;
     
     logger.info('ResumeService initialized with dependencies');
   }
@@ -99,6 +195,11 @@ class ResumeService {
       // Validate and determine file type
       const { fileType } = getFileTypeFromExtension(file.originalname);
       
+      // Text uploads are converted right away, they need no document parsing
+      const markdownContent = isTextFileType(fileType)
+        ? await convertToMarkdown(file.buffer, fileType)
+        : null;
+      
       // Generate unique filename
       const fileName = generateUniqueFilename(userId, file.originalname);
       
@@ -119,6 +220,8 @@ class ResumeService {
         s3Url,
         fileType,
         fileSize: file.size,
+        markdownContent,
+        structuredContent: markdownContent ? parseResumeMarkdown(markdownContent) : null,
         isPublic: false,
         lastModified: new Date()
       });
@@ -145,6 +248,11 @@ class ResumeService {
    */
   async updateResumeDetails(resumeId, userId, updateData) {
     try {
+      // Profiles of replaced Markdown are not used again
+      const previous = updateData.markdownContent !== undefined
+        ? await this.resumeRepository.findById(resumeId, userId)
+        : null;
+      
       const resume = await this.resumeRepository.update(resumeId, userId, {
         ...updateData,
         lastModified: new Date()
@@ -154,6 +262,10 @@ class ResumeService {
         return null;
       }
       
+      if (previous && previous.markdownContent !== updateData.markdownContent) {
+        await this.invalidateCachedProfile(previous.markdownContent);
+      }
+      
       return mapToDetailedResponse(resume);
     } catch (error) {
       logger.error('Update resume details service error:', error);
@@ -176,17 +288,65 @@ class ResumeService {
         return false;
       }
       
+      // Files generated for the resume are only reachable through it and its versions
+      const versions = await this.resumeVersionRepository.findByResume(resumeId, userId);
+      const generatedKeys = [
+        resume.customizedS3Key,
+        resume.coverLetterS3Key,
+        resume.interviewPrepS3Key,
+        ...(versions || []).map(version => version.s3Key)
+      ];
+      
       // Delete file from storage
       await this.storageService.deleteFile(resume.s3Key);
       
       // Delete resume from database
-      return await this.resumeRepository.remove(resumeId, userId);
+      const deleted = await this.resumeRepository.remove(resumeId, userId);
+      
+      if (deleted) {
+        await this.invalidateCachedProfile(resume.markdownContent);
+        await this.deleteGeneratedFiles(resumeId, generatedKeys);
+      }
+      
+      return deleted;
     } catch (error) {
       logger.error('Delete resume service error:', error);
       throw error;
     }
   }
 
+  /**
+   * Delete the files generated for a deleted resume
+   *
+   * The resume is already gone, so a file that cannot be deleted is logged
+   * rather than failing the request.
+   * @private
+   * @param {string} resumeId - Resume ID
+   * @param {Array<string|null>} keys - Storage keys, empty and repeated ones are skipped
+   * @returns {Promise<void>}
+   */
+  async deleteGeneratedFiles(resumeId, keys) {
+    for (const key of new Set(keys.filter(Boolean))) {
+      try {
+        await this.storageService.deleteFile(key);
+      } catch (error) {
+        logger.warn(`Failed to delete ${key} of deleted resume ${resumeId}: ${error.message}`);
+      }
+    }
+  }
+
+  /**
+   * Drop the cached AI profile of resume Markdown that was replaced or deleted
+   * @private
+   * @param {string} markdownContent - Previous Markdown of the resume
+   * @returns {Promise<void>}
+   */
+  async invalidateCachedProfile(markdownContent) {
+    if (this.analysisCache && markdownContent) {
+      await this.analysisCache.invalidate(PromptName.PROFILER, markdownContent);
+    }
+  }
+
   /**
    * Convert resume to markdown
    * @param {string} resumeId - Resume ID
@@ -217,17 +377,13 @@ class ResumeService {
       // Get file from storage
       const fileBuffer = await this.storageService.getFile(resume.s3Key);
       
-      // Convert to markdown
-      let markdown;
-      if (resume.fileType === 'pdf') {
-        markdown = await convertPdfToMarkdown(fileBuffer);
-      } else {
-        throw new UnsupportedFileTypeError('File type not supported for conversion', resume.fileType);
-      }
+      // Convert to markdown using the converter for this file type
+      const markdown = await convertToMarkdown(fileBuffer, resume.fileType);
       
       // Update resume with markdown content
       await this.resumeRepository.update(resumeId, userId, {
-        markdownContent: markdown
+        markdownContent: markdown,
+        structuredContent: parseResumeMarkdown(markdown)
       });
       
       return {
@@ -249,11 +405,12 @@ class ResumeService {
    * @param {string} resumeId - Resume ID
    * @param {string} userId - User ID
    * @param {Object} customizationData - Customization data
+   * @param {Object} customizationData.stepSettings - AI step settings overriding the configured ones (optional)
    * @returns {Promise<Object|null>} Customized resume or null if not found
    */
   async customizeResume(resumeId, userId, customizationData) {
     try {
-      const { jobDescription, jobTitle, companyName } = customizationData;
+      const { jobDescription, jobTitle, companyName, stepSettings } = customizationData;
       
       if (!jobDescription) {
         throw new ValidationError('Job description is required');
@@ -289,11 +446,14 @@ class ResumeService {
         customizationStatus: 'pending',
         customizationError: null,
         customizationCompletedAt: null,
+        verificationReport: null,
+        jobRequirements: null,
+        skillGapReport: null,
         lastModified: new Date()
       });
       
       // Queue customization job
-      const jobId = await this.queueResumeCustomization(resume.id);
+      const jobId = await this.queueResumeCustomization(resume.id, stepSettings);
       
       logger.info(`Resume ${resume.id} added to customization queue with job ID ${jobId}`);
       
@@ -374,6 +534,7 @@ class ResumeService {
   /**
    * Upload and customize resume in one step
    * @param {Object} data - Upload and customize data
+   * @param {Object} data.stepSettings - AI step settings overriding the configured ones (optional)
    * @returns {Promise<Object>} Object with resume and job info
    */
   async uploadAndCustomize(data) {
@@ -384,7 +545,8 @@ class ResumeService {
         file, 
         jobDescription, 
         jobTitle, 
-        companyName 
+        companyName,
+        stepSettings
       } = data;
       
       if (!jobDescription) {
@@ -398,6 +560,11 @@ class ResumeService {
       // Validate and determine file type
       const { fileType } = getFileTypeFromExtension(file.originalname);
       
+      // Text uploads are converted right away, they need no document parsing
+      const markdownContent = isTextFileType(fileType)
+        ? await convertToMarkdown(file.buffer, fileType)
+        : null;
+      
       // Generate unique filename
       const fileName = generateUniqueFilename(userId, file.originalname);
       
@@ -418,6 +585,8 @@ class ResumeService {
           s3Url,
           fileType,
           fileSize: file.size,
+          markdownContent,
+          structuredContent: markdownContent ? parseResumeMarkdown(markdownContent) : null,
           isPublic: false,
           jobDescription,
           jobTitle,
@@ -427,7 +596,7 @@ class ResumeService {
         });
         
         // Queue customization job
-        const jobId = await this.queueResumeCustomization(resume.id);
+        const jobId = await this.queueResumeCustomization(resume.id, stepSettings);
         
         logger.info(`Resume ${resume.id} added to customization queue with job ID ${jobId}`);
         
@@ -459,13 +628,88 @@ class ResumeService {
         throw new NotFoundError('Resume not found', 'resume');
       }
       
-      return mapToCustomizationStatusResponse(resume, { includeDownloadUrl: true });
+      // Completed customizations show the keyword match gain of the tailoring
+      const atsScore = resume.customizationStatus === 'completed' && resume.jobDescription
+        ? this.scoreResumeKeywords(resume)
+        : null;
+      
+      const progress = await this.estimateCustomizationProgress(resume);
+      
+      return mapToCustomizationStatusResponse(resume, { includeDownloadUrl: true, atsScore, progress });
     } catch (error) {
       logger.error(`Get customization status error: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Subscribe to status changes and step progress of a customization
+   *
+   * The listener first receives the current status, then a status event for
+   * each change and a progress event for each step of the job. The final
+   * status event, which carries the download URL of completed customizations,
+   * has final set and ends the subscription.
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {Function} listener - Called with each event ({ event, data, final })
+   * @returns {Promise<Function>} Function that ends the subscription
+   */
+  async subscribeToCustomization(resumeId, userId, listener) {
+    let closed = false;
+    // Events are handled in order, each status event reads the resume again
+    let chain = Promise.resolve();
+    
+    const unsubscribe = () => {
+      closed = true;
+      unsubscribeFromQueue();
+    };
+    
+    const emit = (event, data, final = false) => {
+      if (closed) {
+        return;
+      }
+      listener({ event, data, final });
+      if (final) {
+        unsubscribe();
+      }
+    };
+    
+    const emitStatus = async () => {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
+      
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
+      }
+      
+      const progress = await this.estimateCustomizationProgress(resume);
+      const status = mapToCustomizationStatusResponse(resume, { includeDownloadUrl: true, progress });
+      emit('status', status, FINAL_CUSTOMIZATION_STATUSES.includes(status.status));
+    };
+    
+    // Subscribe before reading the status so no event falls in between
+    const unsubscribeFromQueue = this.queueService.onJobEvent((jobEvent) => {
+      const eventResumeId = (jobEvent.data && jobEvent.data.resumeId) || (jobEvent.result && jobEvent.result.resumeId);
+      
+      if (eventResumeId !== resumeId || (jobEvent.type === 'failed' && jobEvent.willRetry)) {
+        return;
+      }
+      
+      chain = chain
+        .then(() => (jobEvent.type === 'progress' ? emit('progress', jobEvent.progress) : emitStatus()))
+        .catch(error => logger.error(`Customization event error for resume ${resumeId}: ${error.message}`));
+    });
+    
+    try {
+      await emitStatus();
+    } catch (error) {
+      unsubscribe();
+      logger.error(`Subscribe to customization error: ${error.message}`);
+      throw error;
+    }
+    
+    return unsubscribe;
+  }
+
   /**
    * Download resume (original or customized)
    * @param {string} resumeId - Resume ID
@@ -529,146 +773,1402 @@ class ResumeService {
   }
   
   /**
-   * Helper method to handle storage errors
-   * @param {Error} error - Storage error
-   * @param {string} version - Version being downloaded
+   * Import a JSON Resume document as a new resume
+   * @param {Object} importData - Import data
+   * @param {string} importData.userId - User ID
+   * @param {string} importData.name - Resume name
+   * @param {string} importData.description - Resume description
+   * @param {Object} importData.document - JSON Resume document
+   * @returns {Promise<Object>} Created resume
    */
-  handleStorageError(error, version) {
-    logger.error(`S3 download error for ${version} resume: ${error.message}`);
-    throw new FileError(`Failed to download ${version} resume: ${error.message}`, 'download');
+  async importJsonResume(importData) {
+    try {
+      const { userId, name, description, document } = importData;
+      
+      // Validates the document and renders the Markdown the AI pipeline consumes
+      const markdownContent = renderJsonResumeToMarkdown(document);
+      
+      // Keep the document itself as the original file
+      const originalFileName = 'resume.json';
+      const fileName = generateUniqueFilename(userId, originalFileName);
+      const fileBuffer = Buffer.from(JSON.stringify(document, null, 2));
+      
+      const s3Url = await this.storageService.uploadFile(
+        fileBuffer,
+        fileName,
+        getContentTypeFromFileType('json')
+      );
+      
+      const resume = await this.resumeRepository.create({
+        userId,
+        name: name || (document.basics && document.basics.name) || 'Imported resume',
+        description,
+        originalFileName,
+        s3Key: fileName,
+        s3Url,
+        fileType: 'json',
+        fileSize: fileBuffer.length,
+        markdownContent,
+        structuredContent: parseResumeMarkdown(markdownContent),
+        isPublic: false,
+        lastModified: new Date()
+      });
+      
+      return mapToDetailedResponse(resume);
+    } catch (error) {
+      logger.error(`Import JSON Resume service error: ${error.message}`);
+      throw error;
+    }
   }
 
   /**
-   * Queue resume customization job
+   * Export a resume as a JSON Resume document
    * @param {string} resumeId - Resume ID
-   * @returns {Promise<string>} Job ID
+   * @param {string} userId - User ID
+   * @param {string} version - Version to export (original or customized)
+   * @returns {Promise<Object>} Object with the document and a file name
    */
-  async queueResumeCustomization(resumeId) {
+  async exportJsonResume(resumeId, userId, version = 'original') {
     try {
-      const job = await this.queueService.addJob(
-        'resume-customization',
-        { resumeId }
-      );
+      const resume = await this.resumeRepository.findById(resumeId, userId);
       
-      logger.info(`Resume customization job ${job.id} added to queue for resume ${resumeId}`);
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
+      }
       
-      return job.id;
+      let document;
+      
+      if (version === 'customized') {
+        if (resume.customizationStatus !== 'completed' || !resume.customizedContent) {
+          const error = new ValidationError(`Cannot export customized resume: Status is ${resume.customizationStatus}`);
+          error.resumeStatus = resume.customizationStatus;
+          error.resumeError = resume.customizationError;
+          throw error;
+        }
+        
+        document = parseMarkdownToJsonResume(resume.customizedContent);
+      } else if (resume.fileType === 'json') {
+        // Imported documents are returned as they were uploaded
+        try {
+          const fileBuffer = await this.storageService.getFile(resume.s3Key);
+          document = parseJsonResume(fileBuffer.toString('utf8'));
+        } catch (storageError) {
+          this.handleStorageError(storageError, 'original');
+        }
+      } else {
+        const { markdown } = await this.convertResumeToMarkdown(resumeId, userId);
+        document = parseMarkdownToJsonResume(markdown);
+      }
+      
+      return {
+        resume,
+        document,
+        fileName: `${resume.name}${version === 'customized' ? '_customized' : ''}.json`
+      };
     } catch (error) {
-      logger.error(`Failed to queue resume customization for ${resumeId}: ${error.message}`);
+      logger.error(`Export JSON Resume error: ${error.message}`);
       throw error;
     }
   }
-  
+
   /**
-   * Process resume customization job (used by worker)
-   * @param {Object} job - Job object
-   * @returns {Promise<Object>} Result of processing
+   * Get the structured model of a resume (original or customized)
+   *
+   * Resumes converted before structured parsing existed are parsed on
+   * first access and the result is stored.
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {string} version - Version to return (original or customized)
+   * @returns {Promise<Object>} Structured resume
    */
-  async processCustomizationJob(job) {
-    const { resumeId } = job.data;
-    logger.info(`Processing resume customization job ${job.id} for resume ${resumeId}`);
-    
+  async getStructuredResume(resumeId, userId, version = 'original') {
     try {
-      // Find resume only by id for background processing
-      const resume = await this.resumeRepository.findByIdForProcessing(resumeId);
+      const resume = await this.resumeRepository.findById(resumeId, userId);
       
       if (!resume) {
-        throw new NotFoundError(`Resume not found: ${resumeId}`, 'resume');
+        throw new NotFoundError('Resume not found', 'resume');
       }
       
-      // Update status to processing
-      await this.resumeRepository.updateStatus(resumeId, 'processing');
-      
-      // Step 1: Convert to markdown if needed
-      if (!resume.markdownContent) {
-        logger.info(`Converting resume ${resumeId} to markdown`);
+      if (version === 'customized') {
+        if (resume.customizationStatus !== 'completed' || !resume.customizedContent) {
+          const error = new ValidationError(`Cannot get customized resume: Status is ${resume.customizationStatus}`);
+          error.resumeStatus = resume.customizationStatus;
+          error.resumeError = resume.customizationError;
+          throw error;
+        }
         
-        // For PDF files
-        if (resume.fileType === 'pdf') {
-          // Get file from storage
-          const fileBuffer = await this.storageService.getFile(resume.s3Key);
-          
-          // Convert to markdown
-          const markdown = await convertPdfToMarkdown(fileBuffer);
-          
-          // Update resume with markdown content
-          await this.resumeRepository.update(resumeId, resume.userId, {
-            markdownContent: markdown
-          });
-          
-          // Update local reference
-          resume.markdownContent = markdown;
-        } else {
-          // For now, only PDF is supported for conversion
-          throw new UnsupportedFileTypeError('File type not supported for conversion. Only PDF files can be customized.', resume.fileType);
+        if (resume.customizedStructuredContent) {
+          return resume.customizedStructuredContent;
         }
+        
+        const customizedStructuredContent = parseResumeMarkdown(resume.customizedContent);
+        await this.resumeRepository.update(resumeId, userId, { customizedStructuredContent });
+        
+        return customizedStructuredContent;
       }
       
-      // Step 2: Call AI service for customization
-      logger.info(`Sending resume ${resumeId} for AI customization`);
-      const aiResponse = await this.aiService.customizeResume({
-        resumeContent: resume.markdownContent,
-        jobDescription: resume.jobDescription,
-        jobTitle: resume.jobTitle || '',
-        companyName: resume.companyName || ''
-      });
+      if (resume.structuredContent) {
+        return resume.structuredContent;
+      }
       
-      // Step 3: Store customized content
-      logger.info(`Storing customized content for resume ${resumeId}`);
+      const { markdown } = await this.convertResumeToMarkdown(resumeId, userId);
+      const structuredContent = parseResumeMarkdown(markdown);
+      await this.resumeRepository.update(resumeId, userId, { structuredContent });
       
-      // Extract resume content from AI response
-      const resumeContent = aiResponse.resume;
+      return structuredContent;
+    } catch (error) {
+      logger.error(`Get structured resume error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare the original and the customized resume
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {string} format - Output format (json or html)
+   * @returns {Promise<Object>} Object with the diff, or the HTML redline for html
+   */
+  async getResumeDiff(resumeId, userId, format = 'json') {
+    try {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
       
-      // Check if response is valid
-      if (!resumeContent || resumeContent.trim() === '') {
-        throw new Error('Empty content received from AI service');
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
       }
       
-      // For debugging: Log a portion of the content
-      logger.info(`Extracted resume content (first 100 chars): ${resumeContent.substring(0, 100)}...`);
+      // Reviewers compare the resume before approving it
+      if (!['completed', 'needs_review'].includes(resume.customizationStatus) || !resume.customizedContent) {
+        const error = new ValidationError(`Cannot compare resume: Status is ${resume.customizationStatus}`);
+        error.resumeStatus = resume.customizationStatus;
+        error.resumeError = resume.customizationError;
+        throw error;
+      }
       
-      // Update resume with customized content
-      await this.resumeRepository.update(resumeId, resume.userId, {
-        customizedContent: resumeContent
-      });
+      const diff = diffResumes(resume.markdownContent, resume.customizedContent);
       
-      // Step 4: Generate PDF from customized content
-      logger.info(`Generating PDF for customized resume ${resumeId}`);
-      const pdfBuffer = await generatePdfFromMarkdown(resumeContent);
-      
-      // Step 5: Upload customized PDF to storage
-      logger.info(`Uploading customized PDF for resume ${resumeId}`);
-      const customizedFileName = generateUniqueFilename(resume.userId, 'customized.pdf');
-      const customizedS3Url = await this.storageService.uploadFile(
-        pdfBuffer,
-        customizedFileName,
-        'application/pdf'
-      );
+      if (format === 'html') {
+        return { resume, html: renderDiffHtml(diff, { title: `Changes to ${resume.name}` }) };
+      }
       
-      // Step 6: Update resume with customized PDF location
-      await this.resumeRepository.updateStatus(resumeId, 'completed', {
-        customizedS3Key: customizedFileName,
-        customizedS3Url,
-        customizationCompletedAt: new Date()
-      });
+      return { resume, diff };
+    } catch (error) {
+      logger.error(`Get resume diff error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Score the original and the customized resume against the job description
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Keyword match scores with matched and missing keywords
+   */
+  async getAtsScore(resumeId, userId) {
+    try {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
       
-      logger.info(`Resume customization job ${job.id} completed successfully`);
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
+      }
       
-      return {
-        resumeId,
-        status: 'completed',
-        customizedS3Url
-      };
+      if (!resume.jobDescription) {
+        throw new ValidationError('Cannot score resume: No job description provided');
+      }
+      
+      if (!resume.markdownContent) {
+        const error = new ValidationError('Cannot score resume: Resume has not been converted to Markdown');
+        error.resumeStatus = resume.customizationStatus;
+        throw error;
+      }
+      
+      return this.scoreResumeKeywords(resume);
     } catch (error) {
-      logger.error(`Resume customization job ${job.id} failed: ${error.message}`);
+      logger.error(`Get ATS score error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Report which requirements of the job description the original resume meets
+   *
+   * The report is built from the current resume and job description, so it
+   * can be read before customizing and stays current after either changes;
+   * each customization keeps the report it was made with.
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Skill gap report with evidence and advice per requirement
+   */
+  async getSkillGapReport(resumeId, userId) {
+    try {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
       
-      try {
-        // Update resume status to failed
-        await this.resumeRepository.updateStatus(resumeId, 'failed', {
-          customizationError: error.message
-        });
-      } catch (updateError) {
-        logger.error(`Failed to update resume status: ${updateError.message}`);
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
+      }
+      
+      if (!resume.jobDescription) {
+        throw new ValidationError('Cannot analyze skill gaps: No job description provided');
+      }
+      
+      if (!resume.markdownContent) {
+        const error = new ValidationError('Cannot analyze skill gaps: Resume has not been converted to Markdown');
+        error.resumeStatus = resume.customizationStatus;
+        throw error;
+      }
+      
+      const jobRequirements = parseJobDescription(resume.jobDescription, { jobTitle: resume.jobTitle });
+      return analyzeSkillGaps(jobRequirements, resume.markdownContent);
+    } catch (error) {
+      logger.error(`Get skill gap report error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Score a resume against its job description
+   *
+   * The customized resume is only scored once it is available, that is
+   * completed or waiting for review.
+   * @param {Object} resume - Resume entity
+   * @returns {Object} Keyword match scores
+   */
+  scoreResumeKeywords(resume) {
+    const customizedContent = ['completed', 'needs_review'].includes(resume.customizationStatus)
+      ? resume.customizedContent
+      : null;
+    
+    return scoreKeywordMatch(resume.jobDescription, resume.markdownContent, customizedContent, {
+      maxKeywords: config.ats.maxKeywords,
+      exclude: [resume.companyName].filter(Boolean)
+    });
+  }
+
+  /**
+   * Get the customized Markdown as it is generated
+   *
+   * While the job is processing, the Markdown comes from the live preview
+   * buffer; once the customization is done it is the stored result.
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {number} offset - Number of characters the client already has
+   * @returns {Promise<Object>} Preview with the Markdown from the offset on
+   */
+  async getCustomizationPreview(resumeId, userId, offset = 0) {
+    try {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
+      
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
+      }
+      
+      const status = resume.customizationStatus;
+      
+      if (!['pending', 'processing', 'needs_review', 'completed'].includes(status)) {
+        const error = new ValidationError(`Cannot preview customization: Status is ${status}`);
+        error.resumeStatus = status;
+        error.resumeError = resume.customizationError;
+        throw error;
+      }
+      
+      let markdown = '';
+      let done = false;
+      let updatedAt = null;
+      
+      if (['needs_review', 'completed'].includes(status)) {
+        markdown = resume.customizedContent || '';
+        done = true;
+        updatedAt = resume.customizationCompletedAt || resume.updatedAt;
+      } else if (this.previewService) {
+        // A preview that cannot be read is dropped, the status still reports the job
+        const buffered = await this.previewService.get(resumeId).catch((previewError) => {
+          logger.warn(`Failed to read the preview of resume ${resumeId}: ${previewError.message}`);
+          return null;
+        });
+        if (buffered) {
+          markdown = buffered.content;
+          done = buffered.done;
+          updatedAt = buffered.updatedAt;
+        }
+      }
+      
+      return {
+        id: resumeId,
+        status,
+        markdown: markdown.slice(offset),
+        offset,
+        length: markdown.length,
+        done,
+        updatedAt
+      };
+    } catch (error) {
+      logger.error(`Get customization preview error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * List the customization versions of a resume, newest first
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Array of version objects
+   */
+  async listVersions(resumeId, userId) {
+    try {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
+      
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
+      }
+      
+      const versions = await this.resumeVersionRepository.findByResume(resumeId, userId);
+      
+      return versions.map(version => mapToVersionResponse(version, {
+        currentVersionId: resume.currentVersionId
+      }));
+    } catch (error) {
+      logger.error(`List resume versions error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a customization version of a resume, including its content
+   * @param {string} resumeId - Resume ID
+   * @param {string} versionId - Version ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Version object
+   */
+  async getVersion(resumeId, versionId, userId) {
+    try {
+      const { resume, version } = await this.findResumeVersion(resumeId, versionId, userId);
+      
+      return mapToVersionResponse(version, {
+        currentVersionId: resume.currentVersionId,
+        includeContent: true
+      });
+    } catch (error) {
+      logger.error(`Get resume version error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Download the PDF of a customization version
+   * @param {string} resumeId - Resume ID
+   * @param {string} versionId - Version ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Object with file data
+   */
+  async downloadVersion(resumeId, versionId, userId) {
+    try {
+      const { resume, version } = await this.findResumeVersion(resumeId, versionId, userId);
+      
+      try {
+        const fileBuffer = await this.storageService.getFile(version.s3Key);
+        
+        return {
+          resume,
+          fileBuffer,
+          contentType: 'application/pdf',
+          fileName: `${resume.name}_v${version.versionNumber}.pdf`
+        };
+      } catch (storageError) {
+        this.handleStorageError(storageError, `version ${version.versionNumber}`);
+      }
+    } catch (error) {
+      logger.error(`Download resume version error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore a customization version as the current customized resume
+   * @param {string} resumeId - Resume ID
+   * @param {string} versionId - Version ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Customization status of the restored resume
+   */
+  async restoreVersion(resumeId, versionId, userId) {
+    try {
+      const { resume, version } = await this.findResumeVersion(resumeId, versionId, userId);
+      
+      // A running job would overwrite the restored version when it completes
+      if (['pending', 'processing'].includes(resume.customizationStatus)) {
+        const error = new ValidationError(`Cannot restore version: Status is ${resume.customizationStatus}`);
+        error.resumeStatus = resume.customizationStatus;
+        throw error;
+      }
+      
+      const updatedResume = await this.resumeRepository.update(resumeId, userId, {
+        jobTitle: version.jobTitle,
+        companyName: version.companyName,
+        jobDescription: version.jobDescription,
+        customizedContent: version.markdownContent,
+        jobRequirements: version.jobRequirements || null,
+        skillGapReport: version.skillGapReport || null,
+        customizedStructuredContent: version.structuredContent,
+        customizedS3Key: version.s3Key,
+        customizedS3Url: version.s3Url,
+        customizationModel: version.model,
+        customizationPromptVersions: version.promptVersions || null,
+        customizationStatus: 'completed',
+        customizationError: null,
+        customizationCompletedAt: version.createdAt,
+        currentVersionId: version.id,
+        lastModified: new Date()
+      });
+      
+      logger.info(`Resume ${resumeId} restored to version ${version.versionNumber}`);
+      
+      return mapToCustomizationStatusResponse(updatedResume, { includeDownloadUrl: true });
+    } catch (error) {
+      logger.error(`Restore resume version error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a cover letter for the job of a resume
+   *
+   * The letter is written by a queued job, its status is reported with the
+   * letter. A letter written before is replaced once the new one is done.
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {Object} options - Cover letter options
+   * @param {string} options.tone - Tone of the letter, the configured tone when not set
+   * @param {string} options.length - Length of the letter: short, medium or long, the configured length when not set
+   * @returns {Promise<Object>} Cover letter with the pending status
+   */
+  async generateCoverLetter(resumeId, userId, { tone, length } = {}) {
+    try {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
+      
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
+      }
+      
+      assertCanWriteCoverLetter(resume);
+      
+      const queuedResume = await this.queueDocumentJob(resume, userId, DOCUMENT_JOBS.coverLetter, { tone, length });
+      
+      return mapToCoverLetterResponse(queuedResume);
+    } catch (error) {
+      logger.error(`Generate cover letter error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Process cover letter job (used by worker)
+   * @param {Object} job - Job object
+   * @returns {Promise<Object>} Result of processing
+   */
+  async processCoverLetterJob(job) {
+    return await this.processDocumentJob(job, DOCUMENT_JOBS.coverLetter, resume => this.writeCoverLetter(resume, job.data));
+  }
+
+  /**
+   * Write a cover letter for the job of a resume and store it with the resume
+   *
+   * The letter is written from the original resume and, once the customization
+   * completed, the customized one.
+   * @param {Object} resume - Resume entity
+   * @param {Object} options - Job data
+   * @param {string} options.userId - User ID
+   * @param {string} options.tone - Tone of the letter, the configured tone when not set
+   * @param {string} options.length - Length of the letter, the configured length when not set
+   * @returns {Promise<Object>} Updated resume entity
+   */
+  async writeCoverLetter(resume, { userId, tone, length }) {
+    const resumeId = resume.id;
+    assertCanWriteCoverLetter(resume);
+    
+    const options = {
+      tone: tone || config.coverLetter.tone,
+      length: length || config.coverLetter.length
+    };
+    const customized = ['completed', 'needs_review'].includes(resume.customizationStatus);
+    
+    logger.info(`Writing a ${options.tone}, ${options.length} cover letter for resume ${resumeId}`);
+    const aiResponse = await this.aiService.generateCoverLetter({
+      resumeContent: resume.markdownContent,
+      customizedResume: customized ? resume.customizedContent : '',
+      jobDescription: resume.jobDescription,
+      jobTitle: resume.jobTitle || '',
+      companyName: resume.companyName || '',
+      ...options,
+      ...(this.usageService ? { onUsage: usage => this.recordUsage({ resumeId, jobId: null }, userId, usage) } : {})
+    });
+    
+    const pdfBuffer = await generatePdfFromMarkdown(aiResponse.coverLetter);
+    const coverLetterFileName = generateUniqueFilename(userId, 'cover-letter.pdf');
+    const coverLetterS3Url = await this.storageService.uploadFile(pdfBuffer, coverLetterFileName, 'application/pdf');
+    
+    const updatedResume = await this.resumeRepository.update(resumeId, userId, {
+      coverLetterContent: aiResponse.coverLetter,
+      coverLetterS3Key: coverLetterFileName,
+      coverLetterS3Url,
+      coverLetterOptions: options,
+      coverLetterModel: aiResponse.model || null,
+      coverLetterPromptVersions: aiResponse.promptVersions || null,
+      coverLetterGeneratedAt: new Date(),
+      coverLetterJobTitle: resume.jobTitle || null,
+      coverLetterCompanyName: resume.companyName || null,
+      coverLetterVersionId: resume.customizationStatus === 'completed' ? resume.currentVersionId || null : null,
+      coverLetterStatus: 'completed',
+      coverLetterError: null
+    });
+    
+    // The replaced letter is only reachable through the resume
+    if (resume.coverLetterS3Key) {
+      try {
+        await this.storageService.deleteFile(resume.coverLetterS3Key);
+      } catch (deleteError) {
+        logger.warn(`Failed to delete the previous cover letter of resume ${resumeId}: ${deleteError.message}`);
+      }
+    }
+    
+    return updatedResume;
+  }
+
+  /**
+   * Get the cover letter of a resume
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Cover letter
+   */
+  async getCoverLetter(resumeId, userId) {
+    try {
+      const resume = await this.findResumeWithCoverLetter(resumeId, userId, { includeQueued: true });
+      return mapToCoverLetterResponse(resume);
+    } catch (error) {
+      logger.error(`Get cover letter error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Download the cover letter of a resume
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {string} format - File format: pdf or markdown
+   * @returns {Promise<Object>} Object with file data
+   */
+  async downloadCoverLetter(resumeId, userId, format = 'pdf') {
+    try {
+      const resume = await this.findResumeWithCoverLetter(resumeId, userId);
+      
+      return await this.getDocumentFile(resume, {
+        name: 'cover letter',
+        content: resume.coverLetterContent,
+        s3Key: resume.coverLetterS3Key
+      }, format);
+    } catch (error) {
+      logger.error(`Download cover letter error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue an interview preparation pack for the job a resume was customized for
+   *
+   * The pack is written by a queued job, its status is reported with the pack.
+   * A pack written before is replaced once the new one is done.
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Interview preparation pack with the pending status
+   */
+  async generateInterviewPrep(resumeId, userId) {
+    try {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
+      
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
+      }
+      
+      assertCanWriteInterviewPrep(resume);
+      
+      const queuedResume = await this.queueDocumentJob(resume, userId, DOCUMENT_JOBS.interviewPrep);
+      
+      return mapToInterviewPrepResponse(queuedResume);
+    } catch (error) {
+      logger.error(`Generate interview preparation error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Process interview preparation job (used by worker)
+   * @param {Object} job - Job object
+   * @returns {Promise<Object>} Result of processing
+   */
+  async processInterviewPrepJob(job) {
+    return await this.processDocumentJob(job, DOCUMENT_JOBS.interviewPrep, resume => this.writeInterviewPrep(resume, job.data));
+  }
+
+  /**
+   * Write an interview preparation pack for the job a resume was customized for
+   *
+   * The pack ties its questions to the bullets of the customized resume, so
+   * the customization must be done.
+   * @param {Object} resume - Resume entity
+   * @param {Object} options - Job data
+   * @param {string} options.userId - User ID
+   * @returns {Promise<Object>} Updated resume entity
+   */
+  async writeInterviewPrep(resume, { userId }) {
+    const resumeId = resume.id;
+    assertCanWriteInterviewPrep(resume);
+    
+    logger.info(`Writing an interview preparation pack for resume ${resumeId}`);
+    const aiResponse = await this.aiService.generateInterviewPrep({
+      resumeContent: resume.markdownContent,
+      customizedResume: resume.customizedContent,
+      jobDescription: resume.jobDescription,
+      jobTitle: resume.jobTitle || '',
+      companyName: resume.companyName || '',
+      ...(this.usageService ? { onUsage: usage => this.recordUsage({ resumeId, jobId: null }, userId, usage) } : {})
+    });
+    
+    const pdfBuffer = await generatePdfFromMarkdown(aiResponse.interviewPrep);
+    const interviewPrepFileName = generateUniqueFilename(userId, 'interview-prep.pdf');
+    const interviewPrepS3Url = await this.storageService.uploadFile(pdfBuffer, interviewPrepFileName, 'application/pdf');
+    
+    const updatedResume = await this.resumeRepository.update(resumeId, userId, {
+      interviewPrepContent: aiResponse.interviewPrep,
+      interviewPrepS3Key: interviewPrepFileName,
+      interviewPrepS3Url,
+      interviewPrepVersionId: resume.currentVersionId || null,
+      interviewPrepModel: aiResponse.model || null,
+      interviewPrepPromptVersions: aiResponse.promptVersions || null,
+      interviewPrepGeneratedAt: new Date(),
+      interviewPrepStatus: 'completed',
+      interviewPrepError: null
+    });
+    
+    // The replaced pack is only reachable through the resume
+    if (resume.interviewPrepS3Key) {
+      try {
+        await this.storageService.deleteFile(resume.interviewPrepS3Key);
+      } catch (deleteError) {
+        logger.warn(`Failed to delete the previous interview preparation pack of resume ${resumeId}: ${deleteError.message}`);
+      }
+    }
+    
+    return updatedResume;
+  }
+
+  /**
+   * Get the interview preparation pack of a resume
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Interview preparation pack
+   */
+  async getInterviewPrep(resumeId, userId) {
+    try {
+      const resume = await this.findResumeWithInterviewPrep(resumeId, userId, { includeQueued: true });
+      return mapToInterviewPrepResponse(resume);
+    } catch (error) {
+      logger.error(`Get interview preparation error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Download the interview preparation pack of a resume
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {string} format - File format: pdf or markdown
+   * @returns {Promise<Object>} Object with file data
+   */
+  async downloadInterviewPrep(resumeId, userId, format = 'pdf') {
+    try {
+      const resume = await this.findResumeWithInterviewPrep(resumeId, userId);
+      
+      return await this.getDocumentFile(resume, {
+        name: 'interview preparation pack',
+        fileSuffix: 'interview_prep',
+        content: resume.interviewPrepContent,
+        s3Key: resume.interviewPrepS3Key
+      }, format);
+    } catch (error) {
+      logger.error(`Download interview preparation error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Helper method to get the file of a document written for a resume
+   * @param {Object} resume - Resume entity
+   * @param {Object} document - Document
+   * @param {string} document.name - Name of the document in messages
+   * @param {string} document.fileSuffix - Suffix of the file name, the name in snake case when not set
+   * @param {string} document.content - Document in Markdown
+   * @param {string} document.s3Key - Storage key of the PDF
+   * @param {string} format - File format: pdf or markdown
+   * @returns {Promise<Object>} Object with file data
+   */
+  async getDocumentFile(resume, { name, fileSuffix = name.replace(/\s+/g, '_'), content, s3Key }, format) {
+    if (format === 'markdown') {
+      return {
+        resume,
+        fileBuffer: Buffer.from(content, 'utf8'),
+        contentType: 'text/markdown; charset=utf-8',
+        fileName: `${resume.name}_${fileSuffix}.md`
+      };
+    }
+    
+    try {
+      const fileBuffer = await this.storageService.getFile(s3Key);
+      
+      return {
+        resume,
+        fileBuffer,
+        contentType: 'application/pdf',
+        fileName: `${resume.name}_${fileSuffix}.pdf`
+      };
+    } catch (storageError) {
+      logger.error(`S3 download error for ${name}: ${storageError.message}`);
+      throw new FileError(`Failed to download ${name}: ${storageError.message}`, 'download');
+    }
+  }
+
+  /**
+   * Helper method to find a resume that has a cover letter
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.includeQueued - Whether a letter still being written counts
+   * @returns {Promise<Object>} Resume entity
+   */
+  async findResumeWithCoverLetter(resumeId, userId, { includeQueued = false } = {}) {
+    const resume = await this.resumeRepository.findById(resumeId, userId);
+    
+    if (!resume) {
+      throw new NotFoundError('Resume not found', 'resume');
+    }
+    
+    if (!resume.coverLetterContent && !(includeQueued && resume.coverLetterStatus)) {
+      throw new NotFoundError('No cover letter has been written for this resume', 'cover letter');
+    }
+    
+    return resume;
+  }
+
+  /**
+   * Helper method to find a resume that has an interview preparation pack
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {Object} options - Lookup options
+   * @param {boolean} options.includeQueued - Whether a pack still being written counts
+   * @returns {Promise<Object>} Resume entity
+   */
+  async findResumeWithInterviewPrep(resumeId, userId, { includeQueued = false } = {}) {
+    const resume = await this.resumeRepository.findById(resumeId, userId);
+    
+    if (!resume) {
+      throw new NotFoundError('Resume not found', 'resume');
+    }
+    
+    if (!resume.interviewPrepContent && !(includeQueued && resume.interviewPrepStatus)) {
+      throw new NotFoundError('No interview preparation pack has been written for this resume', 'interview preparation pack');
+    }
+    
+    return resume;
+  }
+
+  /**
+   * Helper method to find a resume and one of its versions
+   * @param {string} resumeId - Resume ID
+   * @param {string} versionId - Version ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Object with resume and version
+   */
+  async findResumeVersion(resumeId, versionId, userId) {
+    const resume = await this.resumeRepository.findById(resumeId, userId);
+    
+    if (!resume) {
+      throw new NotFoundError('Resume not found', 'resume');
+    }
+    
+    const version = await this.resumeVersionRepository.findById(versionId, resumeId, userId);
+    
+    if (!version) {
+      throw new NotFoundError('Resume version not found', 'resume version');
+    }
+    
+    return { resume, version };
+  }
+
+  /**
+   * Helper method to handle storage errors
+   * @param {Error} error - Storage error
+   * @param {string} version - Version being downloaded
+   */
+  handleStorageError(error, version) {
+    logger.error(`S3 download error for ${version} resume: ${error.message}`);
+    throw new FileError(`Failed to download ${version} resume: ${error.message}`, 'download');
+  }
+
+  /**
+   * Get the expected duration of each customization step from recent jobs
+   * @returns {Promise<Object>} Expected duration in milliseconds of each step
+   */
+  async getExpectedStepDurations() {
+    try {
+      const history = await this.resumeRepository.findRecentStepDurations(config.progress.historySize);
+      return averageStepDurations(history);
+    } catch (error) {
+      logger.warn(`Failed to load step durations, using defaults: ${error.message}`);
+      return averageStepDurations();
+    }
+  }
+
+  /**
+   * Estimate the progress of a customization that is being processed
+   * @param {Object} resume - Resume entity
+   * @returns {Promise<Object|null>} Progress estimate, null unless the customization is processing
+   */
+  async estimateCustomizationProgress(resume) {
+    if (resume.customizationStatus !== 'processing' || !resume.customizationStartedAt) {
+      return null;
+    }
+    
+    return estimateProgress({
+      step: resume.customizationStep,
+      startedAt: resume.customizationStartedAt,
+      stepStartedAt: resume.customizationStepStartedAt
+    }, await this.getExpectedStepDurations());
+  }
+
+  /**
+   * Create the progress reporter of a customization job
+   *
+   * Each step is saved on the resume with the durations of the steps before
+   * it and reported through the job progress. Progress is informational, so
+   * failures are logged and never fail the job.
+   * @param {Object} job - Job object
+   * @param {string} resumeId - Resume ID
+   * @returns {Promise<Object>} Reporter with step and finish methods
+   */
+  async createProgressReporter(job, resumeId) {
+    const expectedDurations = await this.getExpectedStepDurations();
+    const startedAt = new Date();
+    const durations = {};
+    let current = null;
+    
+    const endCurrentStep = (now) => {
+      if (current) {
+        durations[current.step] = now - current.startedAt;
+      }
+    };
+    
+    const save = async (progressData, description) => {
+      try {
+        await this.resumeRepository.updateProgress(resumeId, progressData);
+      } catch (error) {
+        logger.warn(`Failed to save ${description} of job ${job.id}: ${error.message}`);
+      }
+    };
+    
+    await save({
+      customizationStep: null,
+      customizationStartedAt: startedAt,
+      customizationStepStartedAt: null,
+      customizationStepDurations: null
+    }, 'start');
+    
+    return {
+      step: async (step) => {
+        const now = new Date();
+        endCurrentStep(now);
+        current = { step, startedAt: now };
+        
+        await save({
+          customizationStep: step,
+          customizationStepStartedAt: now,
+          customizationStepDurations: { ...durations }
+        }, `${step} step`);
+        
+        if (typeof job.progress === 'function') {
+          try {
+            await job.progress(estimateProgress({ step, startedAt, stepStartedAt: now }, expectedDurations, now));
+          } catch (error) {
+            logger.warn(`Failed to report ${step} progress of job ${job.id}: ${error.message}`);
+          }
+        }
+      },
+      finish: async () => {
+        endCurrentStep(new Date());
+        current = null;
+        
+        await save({
+          customizationStep: null,
+          customizationStepStartedAt: null,
+          customizationStepDurations: { ...durations }
+        }, 'step durations');
+      }
+    };
+  }
+
+  /**
+   * Record the token usage of an LLM call made for a resume
+   *
+   * Usage accounting is informational, so failures are logged and never
+   * fail the job or request.
+   * @private
+   * @param {Object} source - What the call was made for
+   * @param {string} source.resumeId - Resume ID
+   * @param {string} source.jobId - ID of the customization job, null for calls outside a job
+   * @param {string} userId - ID of the resume owner
+   * @param {Object} usage - Step, provider, model, token counts and cached flag of the call
+   * @returns {Promise<void>}
+   */
+  async recordUsage({ resumeId, jobId }, userId, usage) {
+    try {
+      await this.usageService.recordUsage({
+        ...usage,
+        userId,
+        resumeId,
+        jobId
+      });
+    } catch (error) {
+      logger.warn(`Failed to record ${usage.step} usage of resume ${resumeId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Queue resume customization job
+   * @param {string} resumeId - Resume ID
+   * @param {Object} stepSettings - AI step settings overriding the configured ones (optional)
+   * @returns {Promise<string>} Job ID
+   */
+  async queueResumeCustomization(resumeId, stepSettings) {
+    try {
+      const job = await this.queueService.addJob(
+        'resume-customization',
+        stepSettings ? { resumeId, stepSettings } : { resumeId }
+      );
+      
+      logger.info(`Resume customization job ${job.id} added to queue for resume ${resumeId}`);
+      
+      return job.id;
+    } catch (error) {
+      logger.error(`Failed to queue resume customization for ${resumeId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue the job writing a document for a resume and mark the document pending
+   * @param {Object} resume - Resume entity
+   * @param {string} userId - User ID
+   * @param {Object} document - Document job from DOCUMENT_JOBS
+   * @param {Object} options - Job data besides the resume and user
+   * @returns {Promise<Object>} Updated resume entity
+   * @throws {ValidationError} If the document is already being written
+   */
+  async queueDocumentJob(resume, userId, document, options = {}) {
+    const { name, jobType, statusField, errorField } = document;
+    
+    if (ACTIVE_DOCUMENT_STATUSES.includes(resume[statusField])) {
+      const error = new ValidationError(`A ${name} is already being written for this resume, status is ${resume[statusField]}`);
+      error.resumeStatus = resume[statusField];
+      throw error;
+    }
+    
+    const queuedResume = await this.resumeRepository.update(resume.id, userId, {
+      [statusField]: 'pending',
+      [errorField]: null
+    });
+    
+    try {
+      const job = await this.queueService.addJob(jobType, { resumeId: resume.id, userId, ...options });
+      logger.info(`${jobType} job ${job.id} added to queue for resume ${resume.id}`);
+    } catch (error) {
+      logger.error(`Failed to queue ${name} for ${resume.id}: ${error.message}`);
+      // Left pending, the document could never be requested again
+      await this.resumeRepository.update(resume.id, userId, { [statusField]: 'failed', [errorField]: error.message });
+      throw error;
+    }
+    
+    return queuedResume;
+  }
+  
+  /**
+   * Process the job writing a document for a resume, keeping its status up to date
+   * @param {Object} job - Job object
+   * @param {Object} document - Document job from DOCUMENT_JOBS
+   * @param {Function} write - Writes and stores the document for the resume entity, marking it completed
+   * @returns {Promise<Object>} Result of processing
+   */
+  async processDocumentJob(job, document, write) {
+    const { name, statusField, errorField } = document;
+    const { resumeId, userId } = job.data;
+    logger.info(`Processing ${name} job ${job.id} for resume ${resumeId}`);
+    
+    try {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
+      
+      if (!resume) {
+        throw new NotFoundError(`Resume not found: ${resumeId}`, 'resume');
+      }
+      
+      await this.resumeRepository.update(resumeId, userId, { [statusField]: 'processing' });
+      await write(resume);
+      
+      logger.info(`${name} job ${job.id} for resume ${resumeId} completed`);
+      
+      return { resumeId, status: 'completed' };
+    } catch (error) {
+      logger.error(`${name} job ${job.id} failed: ${error.message}`);
+      
+      try {
+        await this.resumeRepository.update(resumeId, userId, { [statusField]: 'failed', [errorField]: error.message });
+      } catch (updateError) {
+        logger.error(`Failed to update ${name} status: ${updateError.message}`);
+      }
+      
+      // A deleted resume or one no longer fit for the document fails the same way on every attempt
+      if ((error instanceof NotFoundError || error instanceof ValidationError) && typeof job.discard === 'function') {
+        job.discard();
+      }
+      
+      throw error;
+    }
+  }
+  
+  /**
+   * Verify customized content against the original and store the report
+   *
+   * Outcomes are passed (no unsupported claims), flagged (claims within the
+   * configured threshold), review (held for approval) and rejected.
+   * @param {Object} resume - Resume being customized
+   * @param {string} resumeContent - Customized Markdown
+   * @returns {Promise<Object|null>} Verification report, null when verification is disabled
+   * @throws {VerificationError} If the report is rejected
+   */
+  async verifyCustomization(resume, resumeContent) {
+    const { enabled, maxViolations, action } = config.verification;
+    
+    if (!enabled) {
+      return null;
+    }
+    
+    logger.info(`Verifying customized content for resume ${resume.id}`);
+    const report = verifyCustomizedResume(resume.markdownContent, resumeContent);
+    
+    let outcome = report.passed ? 'passed' : 'flagged';
+    if (report.violationCount > maxViolations) {
+      outcome = action === 'fail' ? 'rejected' : 'review';
+    }
+    
+    const verificationReport = { ...report, maxViolations, outcome };
+    await this.resumeRepository.update(resume.id, resume.userId, { verificationReport });
+    
+    if (outcome === 'rejected') {
+      throw new VerificationError(
+        `Customized resume failed verification: ${report.violationCount} unsupported claims`,
+        verificationReport
+      );
+    }
+    
+    return verificationReport;
+  }
+
+  /**
+   * Generate the customized PDF, record the version and mark the resume completed
+   * @param {Object} resume - Resume being customized
+   * @param {Object} customization - Customization result
+   * @param {string} customization.resumeContent - Customized Markdown
+   * @param {Object} customization.customizedStructuredContent - Structured customized resume
+   * @param {string} customization.model - AI model that generated the content
+   * @param {Object} customization.promptVersions - Versions of the prompts that generated the content
+   * @param {Function} reportStep - Called with the name of each step as it starts
+   * @returns {Promise<string>} URL of the customized PDF
+   */
+  async completeCustomization(resume, { resumeContent, customizedStructuredContent, model, promptVersions }, reportStep = async () => {}) {
+    const resumeId = resume.id;
+    
+    // Generate PDF from customized content
+    logger.info(`Generating PDF for customized resume ${resumeId}`);
+    await reportStep('rendering_pdf');
+    const pdfBuffer = await generatePdfFromMarkdown(resumeContent);
+    
+    // Upload customized PDF to storage
+    logger.info(`Uploading customized PDF for resume ${resumeId}`);
+    await reportStep('uploading');
+    const customizedFileName = generateUniqueFilename(resume.userId, 'customized.pdf');
+    const customizedS3Url = await this.storageService.uploadFile(
+      pdfBuffer,
+      customizedFileName,
+      'application/pdf'
+    );
+    
+    // Record the customization in the version history
+    const version = await this.resumeVersionRepository.create({
+      resumeId,
+      userId: resume.userId,
+      jobTitle: resume.jobTitle,
+      companyName: resume.companyName,
+      jobDescription: resume.jobDescription,
+      jobRequirements: resume.jobRequirements || null,
+      skillGapReport: resume.skillGapReport || null,
+      markdownContent: resumeContent,
+      structuredContent: customizedStructuredContent,
+      s3Key: customizedFileName,
+      s3Url: customizedS3Url,
+      model,
+      promptVersions: promptVersions || null
+    });
+    
+    // Update resume with customized PDF location
+    await this.resumeRepository.updateStatus(resumeId, 'completed', {
+      customizedS3Key: customizedFileName,
+      customizedS3Url,
+      customizationCompletedAt: new Date(),
+      currentVersionId: version.id
+    });
+    
+    return customizedS3Url;
+  }
+
+  /**
+   * Get the verification report of the latest customization
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} Verification report
+   */
+  async getVerificationReport(resumeId, userId) {
+    try {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
+      
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
+      }
+      
+      if (!resume.verificationReport) {
+        throw new NotFoundError('Resume has no verification report', 'verification report');
+      }
+      
+      return resume.verificationReport;
+    } catch (error) {
+      logger.error(`Get verification report error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Approve or reject a customization held for review
+   * @param {string} resumeId - Resume ID
+   * @param {string} userId - User ID
+   * @param {Object} review - Review decision
+   * @param {string} review.decision - approve or reject
+   * @param {string} review.reason - Reason for the decision
+   * @returns {Promise<Object>} Customization status after the review
+   */
+  async reviewCustomization(resumeId, userId, { decision, reason }) {
+    try {
+      const resume = await this.resumeRepository.findById(resumeId, userId);
+      
+      if (!resume) {
+        throw new NotFoundError('Resume not found', 'resume');
+      }
+      
+      if (resume.customizationStatus !== 'needs_review') {
+        const error = new ValidationError(`Cannot review customization: Status is ${resume.customizationStatus}`);
+        error.resumeStatus = resume.customizationStatus;
+        throw error;
+      }
+      
+      await this.resumeRepository.update(resumeId, userId, {
+        verificationReport: {
+          ...resume.verificationReport,
+          review: { decision, reason: reason || null, reviewedAt: new Date().toISOString() }
+        }
+      });
+      
+      if (decision === 'approve') {
+        await this.completeCustomization(resume, {
+          resumeContent: resume.customizedContent,
+          customizedStructuredContent: resume.customizedStructuredContent,
+          model: resume.customizationModel,
+          promptVersions: resume.customizationPromptVersions
+        });
+      } else {
+        await this.resumeRepository.updateStatus(resumeId, 'failed', {
+          customizationError: `Rejected in review${reason ? `: ${reason}` : ''}`
+        });
+      }
+      
+      logger.info(`Customization of resume ${resumeId} ${decision === 'approve' ? 'approved' : 'rejected'} in review`);
+      
+      const updatedResume = await this.resumeRepository.findById(resumeId, userId);
+      return mapToCustomizationStatusResponse(updatedResume, { includeDownloadUrl: true });
+    } catch (error) {
+      logger.error(`Review customization error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Process resume customization job (used by worker)
+   * @param {Object} job - Job object
+   * @returns {Promise<Object>} Result of processing
+   */
+  async processCustomizationJob(job) {
+    const { resumeId, stepSettings } = job.data;
+    logger.info(`Processing resume customization job ${job.id} for resume ${resumeId}`);
+    
+    // Buffers the streamed resume for the live preview
+    const preview = this.previewService ? this.previewService.createWriter(resumeId, job.id) : null;
+    
+    try {
+      // Find resume only by id for background processing
+      const resume = await this.resumeRepository.findByIdForProcessing(resumeId);
+      
+      if (!resume) {
+        throw new NotFoundError(`Resume not found: ${resumeId}`, 'resume');
+      }
+      
+      // Update status to processing
+      await this.resumeRepository.updateStatus(resumeId, 'processing');
+      const progress = await this.createProgressReporter(job, resumeId);
+      
+      // Step 1: Convert to markdown if needed
+      if (!resume.markdownContent) {
+        logger.info(`Converting resume ${resumeId} to markdown`);
+        await progress.step('converting');
+        
+        // Get file from storage
+        const fileBuffer = await this.storageService.getFile(resume.s3Key);
+        
+        // Convert to markdown using the converter for this file type
+        const markdown = await convertToMarkdown(fileBuffer, resume.fileType);
+        
+        // Update resume with markdown content
+        await this.resumeRepository.update(resumeId, resume.userId, {
+          markdownContent: markdown,
+          structuredContent: parseResumeMarkdown(markdown)
+        });
+        
+        // Update local reference
+        resume.markdownContent = markdown;
+      }
+      
+      // Step 2: Parse the requirements of the job, they steer the customization, and report those the resume misses
+      const jobRequirements = parseJobDescription(resume.jobDescription, { jobTitle: resume.jobTitle });
+      const skillGapReport = analyzeSkillGaps(jobRequirements, resume.markdownContent);
+      await this.resumeRepository.update(resumeId, resume.userId, { jobRequirements, skillGapReport });
+      resume.jobRequirements = jobRequirements;
+      resume.skillGapReport = skillGapReport;
+      
+      // Step 3: Call AI service for customization
+      logger.info(`Sending resume ${resumeId} for AI customization`);
+      if (preview) {
+        await preview.start();
+      }
+      const restartPreview = () => preview.start();
+      const aiResponse = await this.aiService.customizeResume({
+        resumeContent: resume.markdownContent,
+        jobDescription: resume.jobDescription,
+        jobTitle: resume.jobTitle || '',
+        companyName: resume.companyName || '',
+        jobRequirements,
+        onProgress: progress.step,
+        ...(stepSettings ? { stepSettings } : {}),
+        ...(this.usageService ? { onUsage: usage => this.recordUsage({ resumeId, jobId: job.id }, resume.userId, usage) } : {}),
+        ...(preview ? { onToken: preview.write, onFallback: restartPreview, onRestart: restartPreview } : {})
+      });
+      if (preview) {
+        await preview.finish();
+      }
+      
+      // Step 4: Store customized content
+      logger.info(`Storing customized content for resume ${resumeId}`);
+      
+      // Extract resume content from AI response, without reasoning, wrappers or commentary
+      const { content: resumeContent, repairs } = sanitizeResumeOutput(aiResponse.resume);
+      if (repairs.length > 0) {
+        logger.info(`Repaired the customized content of resume ${resumeId}: ${repairs.join(', ')}`);
+      }
+      
+      // Check if response is valid
+      if (!resumeContent || resumeContent.trim() === '') {
+        throw new Error('Empty content received from AI service');
+      }
+      
+      // Services that cannot be asked for a correction may still return a malformed resume
+      const issues = findResumeIssues(resumeContent);
+      if (issues.length > 0) {
+        logger.warn(`Customized content of resume ${resumeId} may be malformed: ${issues.join('; ')}`);
+      }
+      
+      // For debugging: Log a portion of the content
+      logger.info(`Extracted resume content (first 100 chars): ${resumeContent.substring(0, 100)}...`);
+      
+      // Update resume with customized content
+      const customizedStructuredContent = parseResumeMarkdown(resumeContent);
+      await this.resumeRepository.update(resumeId, resume.userId, {
+        customizedContent: resumeContent,
+        customizedStructuredContent,
+        customizationModel: aiResponse.model || null,
+        customizationPromptVersions: aiResponse.promptVersions || null
+      });
+      
+      // Step 5: Verify the customized content against the original
+      await progress.step('verifying');
+      const verificationReport = await this.verifyCustomization(resume, resumeContent);
+      
+      if (verificationReport && verificationReport.outcome === 'review') {
+        await progress.finish();
+        await this.resumeRepository.updateStatus(resumeId, 'needs_review');
+        
+        logger.info(`Resume customization job ${job.id} held for review with ${verificationReport.violationCount} unsupported claims`);
+        
+        return {
+          resumeId,
+          status: 'needs_review',
+          violationCount: verificationReport.violationCount
+        };
+      }
+      
+      // Steps 6 to 9: Generate the PDF and complete the customization
+      const customizedS3Url = await this.completeCustomization(resume, {
+        resumeContent,
+        customizedStructuredContent,
+        model: aiResponse.model || null,
+        promptVersions: aiResponse.promptVersions || null
+      }, progress.step);
+      await progress.finish();
+      
+      logger.info(`Resume customization job ${job.id} completed successfully`);
+      
+      return {
+        resumeId,
+        status: 'completed',
+        customizedS3Url
+      };
+    } catch (error) {
+      logger.error(`Resume customization job ${job.id} failed: ${error.message}`);
+      
+      if (preview) {
+        await preview.finish();
+      }
+      
+      try {
+        // Update resume status to failed
+        await this.resumeRepository.updateStatus(resumeId, 'failed', {
+          customizationError: error.message
+        });
+      } catch (updateError) {
+        logger.error(`Failed to update resume status: ${updateError.message}`);
+      }
+      
+      // A rejected verification fails the same way on every attempt, retrying would only pay for the LLM calls again
+      if (error instanceof VerificationError && typeof job.discard === 'function') {
+        job.discard();
       }
       
       // Rethrow error to mark job as failed
@@ -0,0 +1,228 @@
+/**
+ * Usage Service Implementation
+ *
+ * This service records the token usage and cost of every LLM call made by
+ * customizations, per job and per user, counts it in the Prometheus
+ * metrics and reports it to users and admins.
+ */
+
+const logger = require('../../utils/logger');
+const { calculateCost } = require('../../utils/llmUsage');
+const { ValidationError } = require('../../utils/errors');
+
+/**
+ * Columns usage reports can be grouped by, by report field
+ */
+const USAGE_GROUPS = {
+  user: 'userId',
+  model: 'model',
+  step: 'step',
+  provider: 'provider'
+};
+
+// Number of recent jobs listed in a user's usage
+const RECENT_JOB_LIMIT = 50;
+
+/**
+ * Map an aggregated usage row to its totals
+ *
+ * Sums arrive as strings from PostgreSQL and as null for groups without
+ * reported tokens or prices.
+ * @param {Object} row - Raw summarized row
+ * @returns {Object} Usage totals
+ */
+const mapToUsageTotals = (row = {}) => ({
+  requests: Number(row.requests || 0),
+  cachedRequests: Number(row.cachedRequests || 0),
+  promptTokens: Number(row.promptTokens || 0),
+  completionTokens: Number(row.completionTokens || 0),
+  totalTokens: Number(row.totalTokens || 0),
+  cost: Number(Number(row.cost || 0).toFixed(6)),
+  firstUsedAt: row.firstUsedAt || null,
+  lastUsedAt: row.lastUsedAt || null
+});
+
+/**
+ * Usage Service with dependency injection
+ */
+class UsageService {
+  /**
+   * Create a new UsageService instance
+   * @param {Object} deps - Dependencies
+   * @param {Object} deps.llmUsageRepository - LLM usage repository
+   * @param {Object} deps.priceTable - Prices in USD per million input and output tokens, by model
+   * @param {Object} deps.metrics - Prometheus counters llmRequests, llmTokens and llmCost (optional)
+   */
+  constructor({ llmUsageRepository, priceTable = {}, metrics = null }) {
+    this.llmUsageRepository = llmUsageRepository;
+    this.priceTable = priceTable;
+    this.metrics = metrics;
+
+    logger.info('UsageService initialized');
+  }
+
+  /**
+   * Record the usage of an LLM call
+   * @param {Object} usage - Usage of the call
+   * @param {string} usage.userId - ID of the user the call was made for
+   * @param {string} usage.resumeId - ID of the customized resume
+   * @param {string} usage.jobId - ID of the customization job
+   * @param {string} usage.step - Customization step
+   * @param {string} usage.provider - Provider name
+   * @param {string} usage.model - Model name
+   * @param {number} usage.promptTokens - Input tokens, null when not reported
+   * @param {number} usage.completionTokens - Output tokens, null when not reported
+   * @param {boolean} usage.cached - Whether the step was served from the cache
+   * @returns {Promise<Object>} Created usage record
+   */
+  async recordUsage({ userId, resumeId, jobId, step, provider, model, promptTokens = null, completionTokens = null, cached = false }) {
+    const cost = cached ? 0 : calculateCost(this.priceTable, { provider, model, promptTokens, completionTokens });
+    const totalTokens = promptTokens === null && completionTokens === null
+      ? null
+      : (promptTokens || 0) + (completionTokens || 0);
+
+    if (cost === null && !cached) {
+      logger.warn(`No price for model ${model}, recording its usage without a cost`);
+    }
+
+    this.countUsage({ step, model, promptTokens, completionTokens, cost, cached });
+
+    return this.llmUsageRepository.create({
+      userId,
+      resumeId,
+      jobId: jobId !== undefined && jobId !== null ? String(jobId) : null,
+      step,
+      provider,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens,
+      cost,
+      cached
+    });
+  }
+
+  /**
+   * Add the usage of a call to the Prometheus counters
+   * @private
+   * @param {Object} usage - Step, model, token counts, cost and cached flag of the call
+   */
+  countUsage({ step, model, promptTokens, completionTokens, cost, cached }) {
+    if (!this.metrics) {
+      return;
+    }
+
+    const labels = { model: model || 'unknown', step };
+
+    this.metrics.llmRequests.inc({ ...labels, cached: String(cached) });
+    if (promptTokens) {
+      this.metrics.llmTokens.inc({ ...labels, type: 'prompt' }, promptTokens);
+    }
+    if (completionTokens) {
+      this.metrics.llmTokens.inc({ ...labels, type: 'completion' }, completionTokens);
+    }
+    if (cost) {
+      this.metrics.llmCost.inc(labels, cost);
+    }
+  }
+
+  /**
+   * Check that a report period is valid
+   * @private
+   * @param {Date} from - Start of the period (optional)
+   * @param {Date} to - End of the period (optional)
+   * @throws {ValidationError} If the period ends before it starts
+   */
+  assertPeriod(from, to) {
+    if (from && to && from >= to) {
+      throw new ValidationError('The end of the period must be after its start');
+    }
+  }
+
+  /**
+   * Get the usage of a user
+   * @param {string} userId - User ID
+   * @param {Object} period - Period of the usage (optional)
+   * @param {Date} period.from - Start of the period
+   * @param {Date} period.to - End of the period
+   * @returns {Promise<Object>} Totals, usage by model and step, and the usage of recent jobs
+   */
+  async getUserUsage(userId, { from, to } = {}) {
+    try {
+      this.assertPeriod(from, to);
+      const filters = { userId, from, to };
+
+      const [[totals], byModel, byStep, jobs] = await Promise.all([
+        this.llmUsageRepository.summarize(filters),
+        this.llmUsageRepository.summarize(filters, ['provider', 'model']),
+        this.llmUsageRepository.summarize(filters, ['step']),
+        this.llmUsageRepository.summarize(filters, ['resumeId', 'jobId'], { limit: RECENT_JOB_LIMIT })
+      ]);
+
+      return {
+        from: from || null,
+        to: to || null,
+        totals: mapToUsageTotals(totals),
+        byModel: byModel.map(row => ({ provider: row.provider, model: row.model, ...mapToUsageTotals(row) })),
+        byStep: byStep.map(row => ({ step: row.step, ...mapToUsageTotals(row) })),
+        jobs: jobs.map(row => ({ resumeId: row.resumeId, jobId: row.jobId, ...mapToUsageTotals(row) }))
+      };
+    } catch (error) {
+      logger.error(`Get user usage error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the usage of all users, grouped for an admin report
+   * @param {Object} options - Report options
+   * @param {Date} options.from - Start of the period (optional)
+   * @param {Date} options.to - End of the period (optional)
+   * @param {string} options.userId - Only report the usage of this user (optional)
+   * @param {Array<string>} options.groupBy - Fields to group by: user, model, step or provider
+   * @returns {Promise<Object>} Totals and the usage of each group, the most recently used first
+   */
+  async getUsageReport({ from, to, userId, groupBy = ['model'] } = {}) {
+    try {
+      this.assertPeriod(from, to);
+
+      const unknownGroups = groupBy.filter(group => !USAGE_GROUPS[group]);
+      if (unknownGroups.length > 0) {
+        throw new ValidationError(
+          `Cannot group usage by ${unknownGroups.join(', ')}. Expected ${Object.keys(USAGE_GROUPS).join(', ')}`
+        );
+      }
+
+      const filters = { userId, from, to };
+      const columns = groupBy.map(group => USAGE_GROUPS[group]);
+
+      const [[totals], rows] = await Promise.all([
+        this.llmUsageRepository.summarize(filters),
+        this.llmUsageRepository.summarize(filters, columns)
+      ]);
+
+      return {
+        from: from || null,
+        to: to || null,
+        groupBy,
+        totals: mapToUsageTotals(totals),
+        rows: rows.map(row => ({
+          ...Object.fromEntries(columns.map(column => [column, row[column]])),
+          ...mapToUsageTotals(row)
+        }))
+      };
+    } catch (error) {
+      logger.error(`Get usage report error: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    logger.info('UsageService destroyed');
+  }
+}
+
+module.exports = UsageService;
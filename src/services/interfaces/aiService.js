@@ -10,12 +10,63 @@ class IAIService {
    * @param {string} _data.jobDescription - Job description
    * @param {string} _data.jobTitle - Job title (optional)
    * @param {string} _data.companyName - Company name (optional)
-   * @returns {Promise<Object>} Response with resume content
+   * @param {Object} _data.jobRequirements - Requirements parsed from the job description, each field
+   *   with a value and a confidence (optional)
+   * @param {Function} _data.onToken - Called with each chunk of the resume as it is generated (optional,
+   *   implementations that cannot stream never call it)
+   * @param {Function} _data.onProgress - Called with the name of each step as it starts: profiling,
+   *   analyzing_job or writing (optional, implementations that run all steps in one call never call it)
+   * @param {Object} _data.stepSettings - Provider, modelName, temperature and maxTokens overriding the
+   *   configured settings, by step: profiler, researcher or strategist (optional, implementations
+   *   without configurable steps ignore it)
+   * @param {Function} _data.onUsage - Called with the step, provider, model, token counts and cached
+   *   flag of each LLM call (optional, implementations that do not see token counts never call it)
+   * @param {Function} _data.onFallback - Called with the failed provider before another one starts over, so
+   *   streamed text can be discarded (optional, only the fallback chain calls it)
+   * @param {Function} _data.onRestart - Called before a malformed resume is generated again, so streamed
+   *   text can be discarded (optional, implementations that cannot ask for a correction never call it)
+   * @returns {Promise<Object>} Response with resume content and, when known, the model used
    */
   async customizeResume(_data) {
     throw new Error('Method not implemented');
   }
 
+  /**
+   * Write a cover letter for a job
+   * @param {Object} _data - Data for the cover letter
+   * @param {string} _data.resumeContent - Content of the original resume
+   * @param {string} _data.customizedResume - Resume customized for the job (optional)
+   * @param {string} _data.jobDescription - Job description
+   * @param {string} _data.jobTitle - Job title (optional)
+   * @param {string} _data.companyName - Company name (optional)
+   * @param {string} _data.tone - Tone of the letter, one of COVER_LETTER_TONES
+   * @param {string} _data.length - Length of the letter: short, medium or long
+   * @param {Object} _data.stepSettings - Settings overriding the configured ones, by step (optional)
+   * @param {Function} _data.onUsage - Called with the step, provider, model, token counts and cached
+   *   flag of each LLM call (optional)
+   * @returns {Promise<Object>} Response with the cover letter in Markdown and, when known, the model used
+   */
+  async generateCoverLetter(_data) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Write an interview preparation pack for a job
+   * @param {Object} _data - Data for the pack
+   * @param {string} _data.resumeContent - Content of the original resume
+   * @param {string} _data.customizedResume - Resume customized for the job
+   * @param {string} _data.jobDescription - Job description
+   * @param {string} _data.jobTitle - Job title (optional)
+   * @param {string} _data.companyName - Company name (optional)
+   * @param {Object} _data.stepSettings - Settings overriding the configured ones, by step (optional)
+   * @param {Function} _data.onUsage - Called with the step, provider, model, token counts and cached
+   *   flag of each LLM call (optional)
+   * @returns {Promise<Object>} Response with the pack in Markdown and, when known, the model used
+   */
+  async generateInterviewPrep(_data) {
+    throw new Error('Method not implemented');
+  }
+
   /**
    * Validate model compatibility
    * @returns {Promise<boolean>} Validation result
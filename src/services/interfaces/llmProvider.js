@@ -0,0 +1,75 @@
+/**
+ * LLM Provider Interface
+ * All LLM provider adapters must follow this interface
+ */
+class ILLMProvider {
+  /**
+   * Get the chat endpoint, relative to the API base URL
+   * @returns {string} API endpoint
+   */
+  getEndpoint() {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Get the HTTP headers that authenticate requests
+   * @param {string} _apiKey - API key
+   * @returns {Object} Request headers
+   */
+  getHeaders(_apiKey) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Build the request body of a chat completion
+   * @param {Object} _request - Completion request
+   * @param {string} _request.model - Model name
+   * @param {Array<{role: string, content: string}>} _request.messages - Messages, system prompts included
+   * @param {number} _request.temperature - Temperature (0.0 to 1.0)
+   * @param {number} _request.maxTokens - Maximum tokens to generate
+   * @param {boolean} _request.stream - Whether to stream the completion
+   * @returns {Object} Request body
+   */
+  buildRequest(_request) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Extract the completion text from a response body
+   * @param {Object} _responseData - Response body
+   * @returns {string} Completion text
+   */
+  parseResponse(_responseData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Extract the token usage from a response body
+   * @param {Object} _responseData - Response body
+   * @returns {{promptTokens: number, completionTokens: number}|null} Token counts, null when not reported
+   */
+  parseUsage(_responseData) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Parse one line of a streamed completion
+   * @param {string} _line - Line of the response stream
+   * @returns {{content: string, done: boolean, usage: Object}|null} Text of the chunk, with the token
+   *   counts the chunk reports if any, null for lines without content
+   */
+  parseStreamChunk(_line) {
+    throw new Error('Method not implemented');
+  }
+
+  /**
+   * Extract the error message from the body of a failed request
+   * @param {Object} _responseData - Response body
+   * @returns {string|null} Error message reported by the provider
+   */
+  parseError(_responseData) {
+    throw new Error('Method not implemented');
+  }
+}
+
+module.exports = ILLMProvider;
@@ -5,19 +5,31 @@
  * It provides a centralized way to access services with dependency injection.
  */
 
+const { createClient } = require('redis');
 const logger = require('../utils/logger');
 const config = require('../config');
+const configManager = require('../config/configManager');
 const { AIServiceFactory, AIServiceImplementation } = require('./factories/aiServiceFactory');
+const { PromptName } = require('./implementations/prompts/defaultPromptTemplates');
+const { parsePriceTable } = require('../utils/llmUsage');
+const { metrics } = require('../monitoring/prometheus');
 
 // Repositories
 const resumeRepository = require('../repositories/resumeRepository');
+const resumeVersionRepository = require('../repositories/resumeVersionRepository');
 const userRepository = require('../repositories/userRepository');
+const promptTemplateRepository = require('../repositories/promptTemplateRepository');
+const llmUsageRepository = require('../repositories/llmUsageRepository');
 
 // Service implementations
 const ResumeService = require('./implementations/resumeServiceImpl');
 const AuthService = require('./implementations/authServiceImpl');
 const StorageService = require('./implementations/storageServiceImpl');
 const QueueService = require('./implementations/queueServiceImpl');
+const PreviewService = require('./implementations/previewServiceImpl');
+const PromptTemplateService = require('./implementations/promptTemplateServiceImpl');
+const AnalysisCacheService = require('./implementations/analysisCacheServiceImpl');
+const UsageService = require('./implementations/usageServiceImpl');
 
 // Cached service instances
 const serviceInstances = new Map();
@@ -30,9 +42,144 @@ const ServiceType = {
   STORAGE: 'storage',
   AI: 'ai',
   QUEUE: 'queue',
-  AUTH: 'auth'
+  AUTH: 'auth',
+  PREVIEW: 'preview',
+  PROMPT_TEMPLATE: 'promptTemplate',
+  ANALYSIS_CACHE: 'analysisCache',
+  USAGE: 'usage'
 };
 
+/**
+ * Create a Redis client for a service, Bull keeps its connections to itself
+ *
+ * node-redis retries a connection forever and queues commands while it is
+ * down, so without limits an unreachable Redis would hold every caller. The
+ * client gives up after a few attempts and fails commands while disconnected;
+ * the next command connects again.
+ * @param {string} name - Service name used in error logs
+ * @returns {Object} Redis client (node-redis v4), connected on first use
+ */
+function createRedisClient(name) {
+  const socket = {
+    connectTimeout: config.redis.connectTimeoutMs,
+    reconnectStrategy: (retries) => (retries >= config.redis.maxReconnectAttempts
+      ? new Error(`${name} Redis client gave up after ${retries} reconnection attempts`)
+      : Math.min(retries * 200, 1000))
+  };
+  const redisClient = createClient(config.redis.url ? { url: config.redis.url, socket, disableOfflineQueue: true } : {
+    socket: {
+      ...socket,
+      host: config.redis.host,
+      port: config.redis.port
+    },
+    password: config.redis.password || undefined,
+    disableOfflineQueue: true
+  });
+  redisClient.on('error', (error) => {
+    logger.error(`${name} Redis client error: ${error.message}`);
+  });
+  
+  return redisClient;
+}
+
+/**
+ * Get the settings of the AI pipeline steps with their numbers parsed
+ * @returns {Object} Settings by step
+ */
+function getAIStepSettings() {
+  return Object.fromEntries(Object.entries(configManager.aiSteps).map(([step, settings]) => [step, {
+    ...settings,
+    temperature: parseFloat(settings.temperature),
+    maxTokens: parseInt(settings.maxTokens, 10)
+  }]));
+}
+
+/**
+ * Get the AI service implementations to try, in order of preference
+ *
+ * Without a fallback chain, the configured implementation is the only one.
+ * Unknown implementations fall back to n8n.
+ * @returns {Array<string>} Implementation types from AIServiceImplementation, without duplicates
+ */
+function getAIFallbackChain() {
+  const chain = (config.aiFallback.chain || config.features.aiServiceImplementation)
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean)
+    .map((type) => {
+      if (!Object.values(AIServiceImplementation).includes(type)) {
+        logger.warn(`Unknown AI service implementation type: ${type}, falling back to N8N`);
+        return AIServiceImplementation.N8N;
+      }
+      return type;
+    });
+  
+  return [...new Set(chain)];
+}
+
+/**
+ * Get the configuration of an AI service implementation
+ * @param {string} implementationType - Implementation type from AIServiceImplementation
+ * @returns {Object} Implementation configuration
+ */
+function getAIServiceConfig(implementationType) {
+  switch (implementationType) {
+  case AIServiceImplementation.DIRECT_LLM:
+    // Direct LLM configuration
+    return {
+      apiKey: config.llm.apiKey,
+      baseUrl: config.llm.baseUrl,
+      modelName: config.llm.modelName,
+      timeoutMs: config.llm.timeoutMs,
+      provider: config.llm.provider,
+      apiPath: config.llm.apiPath,
+      appUrl: config.server.baseUrl,
+      appName: config.llm.appName,
+      promptTemplateService: getService(ServiceType.PROMPT_TEMPLATE),
+      analysisCache: getAnalysisCache(),
+      steps: getAIStepSettings(),
+      maxCorrections: config.llm.maxCorrections
+    };
+    
+  case AIServiceImplementation.LOCAL_LLM: {
+    // Local model server configuration
+    const { localLlm } = configManager;
+    return {
+      baseUrl: localLlm.baseUrl,
+      server: localLlm.server,
+      modelName: localLlm.modelName,
+      timeoutMs: parseInt(localLlm.timeoutMs, 10),
+      stream: localLlm.stream,
+      keepAlive: localLlm.keepAlive,
+      apiKey: localLlm.apiKey,
+      promptTemplateService: getService(ServiceType.PROMPT_TEMPLATE),
+      analysisCache: getAnalysisCache(),
+      steps: getAIStepSettings(),
+      maxCorrections: config.llm.maxCorrections
+    };
+  }
+    
+  default:
+    // N8N configuration
+    return {
+      webhookUrl: config.n8n.webhookUrl,
+      webhookPath: config.n8n.webhookPath,
+      coverLetterWebhookPath: config.n8n.coverLetterWebhookPath,
+      interviewPrepWebhookPath: config.n8n.interviewPrepWebhookPath,
+      timeoutMs: config.n8n.timeoutMs,
+      maxRetries: config.n8n.maxRetries
+    };
+  }
+}
+
+/**
+ * Get the analysis cache, null when caching is disabled
+ * @returns {Object|null} Analysis cache service
+ */
+function getAnalysisCache() {
+  return config.analysisCache.enabled ? getService(ServiceType.ANALYSIS_CACHE) : null;
+}
+
 /**
  * Get a service instance
  * @param {string} serviceType - Service type from ServiceType enum
@@ -52,13 +199,20 @@ function getService(serviceType) {
     const storageService = getService(ServiceType.STORAGE);
     const aiService = getService(ServiceType.AI);
     const queueService = getService(ServiceType.QUEUE);
+    const previewService = config.preview.enabled ? getService(ServiceType.PREVIEW) : null;
+    const analysisCache = getAnalysisCache();
+    const usageService = getService(ServiceType.USAGE);
       
     // Create ResumeService with dependencies
     serviceInstance = new ResumeService({
       resumeRepository,
+      resumeVersionRepository,
       storageService,
       aiService,
-      queueService
+      queueService,
+      previewService,
+      analysisCache,
+      usageService
     });
     break;
   }
@@ -77,50 +231,15 @@ function getService(serviceType) {
   }
     
   case ServiceType.AI: {
-    // Get AI service implementation type from config
-    const implementationType = config.features.aiServiceImplementation;
-    
-    // Create AI service based on implementation type
-    if (implementationType === AIServiceImplementation.N8N) {
-      // N8N configuration
-      const n8nConfig = {
-        webhookUrl: config.n8n.webhookUrl,
-        webhookPath: config.n8n.webhookPath,
-        timeoutMs: config.n8n.timeoutMs,
-        maxRetries: config.n8n.maxRetries
-      };
-      
-      serviceInstance = AIServiceFactory.createAIService(
-        AIServiceImplementation.N8N, 
-        n8nConfig
-      );
-    } else if (implementationType === AIServiceImplementation.DIRECT_LLM) {
-      // Direct LLM configuration
-      const llmConfig = {
-        apiKey: config.llm.apiKey,
-        baseUrl: config.llm.baseUrl,
-        modelName: config.llm.modelName,
-        timeoutMs: config.llm.timeoutMs
-      };
-      
-      serviceInstance = AIServiceFactory.createAIService(
-        AIServiceImplementation.DIRECT_LLM, 
-        llmConfig
-      );
-    } else {
-      // Default to N8N if unknown implementation type
-      logger.warn(`Unknown AI service implementation type: ${implementationType}, falling back to N8N`);
-      
-      serviceInstance = AIServiceFactory.createAIService(
-        AIServiceImplementation.N8N, 
-        {
-          webhookUrl: config.n8n.webhookUrl,
-          webhookPath: config.n8n.webhookPath,
-          timeoutMs: config.n8n.timeoutMs,
-          maxRetries: config.n8n.maxRetries
-        }
-      );
-    }
+    // Every implementation of the chain runs behind its own circuit breaker
+    serviceInstance = AIServiceFactory.createFallbackAIService(
+      getAIFallbackChain().map(type => ({ type, config: getAIServiceConfig(type) })),
+      {
+        failureThreshold: config.aiFallback.failureThreshold,
+        resetTimeoutMs: config.aiFallback.resetTimeoutMs,
+        halfOpenSuccesses: config.aiFallback.halfOpenSuccesses
+      }
+    );
     break;
   }
     
@@ -146,6 +265,47 @@ function getService(serviceType) {
     break;
   }
     
+  case ServiceType.PREVIEW: {
+    serviceInstance = new PreviewService({
+      redisClient: createRedisClient('Preview'),
+      ttlSeconds: config.preview.ttlSeconds,
+      flushIntervalMs: config.preview.flushIntervalMs,
+      operationTimeoutMs: config.preview.operationTimeoutMs
+    });
+    break;
+  }
+    
+  case ServiceType.ANALYSIS_CACHE: {
+    serviceInstance = new AnalysisCacheService({
+      redisClient: createRedisClient('Analysis cache'),
+      ttlSeconds: {
+        [PromptName.PROFILER]: config.analysisCache.profileTtlSeconds,
+        [PromptName.RESEARCHER]: config.analysisCache.jobAnalysisTtlSeconds
+      },
+      operationTimeoutMs: config.analysisCache.operationTimeoutMs
+    });
+    break;
+  }
+    
+  case ServiceType.USAGE: {
+    // Create UsageService with its repository, prices and metrics
+    serviceInstance = new UsageService({
+      llmUsageRepository,
+      priceTable: parsePriceTable(config.usage.priceTable),
+      metrics
+    });
+    break;
+  }
+    
+  case ServiceType.PROMPT_TEMPLATE: {
+    // Create PromptTemplateService with its repository
+    serviceInstance = new PromptTemplateService({
+      promptTemplateRepository,
+      cacheTtlMs: config.prompts.cacheTtlMs
+    });
+    break;
+  }
+    
   case ServiceType.AUTH: {
     // Create AuthService with dependencies
     serviceInstance = new AuthService({
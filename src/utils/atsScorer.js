@@ -0,0 +1,422 @@
+/**
+ * ATS Keyword Scorer
+ *
+ * This module pulls weighted keywords and skills out of a job description
+ * and measures how many of them a resume covers, the way applicant tracking
+ * systems rank candidates, so the gain produced by a customization can be
+ * shown next to the original resume's score.
+ */
+
+const { stripInlineMarkdown } = require('./jsonResume');
+
+// Default number of keywords scored per job description
+const DEFAULT_MAX_KEYWORDS = 30;
+
+// Weight of keywords by the part of the job description they appear in
+const SectionWeight = {
+  REQUIRED: 1.5,
+  DEFAULT: 1,
+  PREFERRED: 0.5
+};
+
+// Known skills are worth more than other recurring terms
+const SKILL_WEIGHT = 2;
+
+const REQUIRED_HEADING_REGEX = /\b(requirements?|required|qualifications|must[- ]haves?|what you (?:bring|need|have)|you have|skills)\b/i;
+const PREFERRED_REGEX = /\b(nice[- ]to[- ]haves?|preferred|bonus|a plus|desirable|ideally)\b/i;
+
+/**
+ * Skills recognised in job descriptions, with the other ways they are written
+ */
+const SKILL_ALIASES = {
+  'javascript': ['js', 'ecmascript'],
+  'typescript': [],
+  'node.js': ['nodejs'],
+  'react': ['react.js', 'reactjs'],
+  'vue': ['vue.js', 'vuejs'],
+  'angular': ['angularjs'],
+  'next.js': ['nextjs'],
+  'express.js': ['expressjs'],
+  'python': [],
+  'django': [],
+  'flask': [],
+  'fastapi': [],
+  'java': [],
+  'spring': ['spring boot'],
+  'kotlin': [],
+  'scala': [],
+  'golang': [],
+  'rust': [],
+  'ruby': [],
+  'rails': ['ruby on rails'],
+  'php': [],
+  'c++': ['cpp'],
+  'c#': ['csharp'],
+  '.net': ['dotnet'],
+  'swift': [],
+  'sql': [],
+  'postgresql': ['postgres'],
+  'mysql': [],
+  'mongodb': ['mongo'],
+  'redis': [],
+  'elasticsearch': [],
+  'kafka': [],
+  'rabbitmq': [],
+  'graphql': [],
+  'rest api': ['restful'],
+  'grpc': [],
+  'microservices': ['microservice'],
+  'aws': ['amazon web services'],
+  'gcp': ['google cloud', 'google cloud platform'],
+  'azure': [],
+  'docker': [],
+  'kubernetes': ['k8s'],
+  'terraform': [],
+  'ansible': [],
+  'linux': [],
+  'ci/cd': ['continuous integration', 'continuous delivery', 'continuous deployment'],
+  'jenkins': [],
+  'git': [],
+  'html': ['html5'],
+  'css': ['css3'],
+  'machine learning': [],
+  'deep learning': [],
+  'data analysis': ['data analytics'],
+  'pytorch': [],
+  'tensorflow': [],
+  'pandas': [],
+  'spark': ['apache spark'],
+  'airflow': [],
+  'tableau': [],
+  'power bi': [],
+  'microsoft excel': [],
+  'agile': [],
+  'scrum': [],
+  'jira': [],
+  'figma': [],
+  'seo': [],
+  'salesforce': [],
+  'project management': [],
+  'product management': [],
+  'stakeholder management': [],
+  'leadership': [],
+  'mentoring': ['mentored', 'mentorship'],
+  'communication': [],
+  'testing': ['unit testing', 'test automation'],
+  'security': []
+};
+
+/**
+ * Skills whose name is also an everyday word, as in "react to incidents" or
+ * "spring hiring". They only count when written through an alias, next to a
+ * word that places them, or as the whole text. Names of tools also count
+ * when capitalised mid-sentence, and any of them counts on a line that names
+ * another skill.
+ */
+const AMBIGUOUS_SKILLS = {
+  'react': { name: true, cues: ['native', 'redux', 'jsx', 'hooks', 'components', 'frontend', 'front-end'] },
+  'spring': { name: true, cues: ['framework', 'mvc', 'batch', 'cloud'] },
+  'swift': { name: true, cues: ['ios', 'swiftui', 'xcode', 'macos'] },
+  'rust': { name: true, cues: ['cargo', 'tokio', 'systems programming'] },
+  'communication': { name: false, cues: ['skills', 'written', 'verbal', 'interpersonal', 'strong', 'excellent', 'clear'] },
+  'security': { name: false, cues: ['application', 'network', 'information', 'cloud', 'web', 'data', 'owasp', 'practices'] }
+};
+
+/**
+ * Words that say nothing about a candidate's fit
+ */
+const STOP_WORDS = new Set([
+  'a', 'about', 'across', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'being',
+  'both', 'but', 'by', 'can', 'could', 'do', 'does', 'each', 'etc', 'for', 'from', 'has', 'have',
+  'how', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'may', 'more', 'most', 'must', 'no', 'not',
+  'of', 'on', 'or', 'other', 'our', 'out', 'over', 'per', 'plus', 'should', 'so', 'some', 'such',
+  'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+  'through', 'to', 'up', 'us', 'using', 'very', 'was', 'we', 'were', 'what', 'when', 'where',
+  'which', 'while', 'who', 'why', 'will', 'with', 'within', 'would', 'you', 'your',
+  // Job posting vocabulary
+  'ability', 'able', 'applicant', 'applicants', 'apply', 'benefits', 'best', 'candidate',
+  'candidates', 'company', 'day', 'degree', 'environment', 'equal', 'excellent', 'experience',
+  'experienced', 'familiarity', 'good', 'great', 'help', 'ideal', 'including', 'join', 'knowledge',
+  'like', 'looking', 'make', 'new', 'offer', 'opportunity', 'part', 'people', 'position',
+  'preferred', 'proficiency', 'proven', 'related', 'required', 'requirements', 'responsibilities',
+  'responsible', 'role', 'salary', 'skills', 'strong', 'team', 'teams', 'understanding', 'well',
+  'work', 'working', 'year', 'years'
+]);
+
+/**
+ * Normalize text for matching: lowercase tokens separated by single spaces,
+ * keeping the symbols of names such as "C++", "C#", "Node.js" and "CI/CD"
+ *
+ * @param {string} text - Text
+ * @returns {Array<string>} Tokens
+ */
+const tokenize = (text) => (text || '')
+  .toLowerCase()
+  .match(/[.]?[a-z0-9][a-z0-9+#./-]*[a-z0-9+#]|[a-z0-9][+#]*/g) || [];
+
+/**
+ * Reduce a token to its singular form so "APIs" matches "API"
+ *
+ * @param {string} token - Token
+ * @returns {string} Stemmed token
+ */
+const stem = (token) => (token.length > 3 && /[^s]s$/.test(token) ? token.slice(0, -1) : token);
+
+/**
+ * Build the searchable form of a text, matched with " phrase " lookups
+ *
+ * @param {string} text - Text
+ * @returns {string} Space delimited stemmed tokens
+ */
+const searchable = (text) => ` ${tokenize(text).map(stem).join(' ')} `;
+
+/**
+ * Searchable phrases of each known skill, the skill itself first
+ */
+const SKILL_PHRASES = Object.entries(SKILL_ALIASES).map(([skill, aliases]) => ({
+  skill,
+  phrases: [skill, ...aliases].map(phrase => searchable(phrase))
+}));
+
+/**
+ * Searchable cues of each ambiguous skill
+ */
+const SKILL_CUES = new Map(Object.entries(AMBIGUOUS_SKILLS)
+  .map(([skill, { cues }]) => [skill, cues.map(cue => searchable(cue))]));
+
+/**
+ * Tokens of the words a text writes with a capital after the first word of a sentence
+ *
+ * @param {string} text - Text
+ * @returns {Set<string>} Stemmed tokens
+ */
+const capitalisedTokens = (text) => {
+  const capitalised = new Set();
+  (text || '').split(/(?<=[.!?;:])\s+|\n/).forEach(sentence => {
+    sentence.trim().split(/\s+/).slice(1).forEach(word => {
+      if (/^[A-Z]/.test(word)) {
+        tokenize(word).forEach(token => capitalised.add(stem(token)));
+      }
+    });
+  });
+  return capitalised;
+};
+
+/**
+ * Find the known skills a text mentions
+ *
+ * @param {string} text - Text
+ * @returns {Array<string>} Skills, in the order of the skill list
+ */
+const findSkills = (text) => {
+  const searchableText = searchable(text);
+  const mentioned = SKILL_PHRASES.filter(({ phrases }) => phrases.some(phrase => searchableText.includes(phrase)));
+  const placed = mentioned.some(({ skill }) => !AMBIGUOUS_SKILLS[skill]);
+
+  return mentioned
+    .filter(({ skill, phrases }) => {
+      const ambiguous = AMBIGUOUS_SKILLS[skill];
+      if (!ambiguous || placed || searchableText === phrases[0]) {
+        return true;
+      }
+      return phrases.slice(1).some(phrase => searchableText.includes(phrase)) ||
+        SKILL_CUES.get(skill).some(cue => searchableText.includes(cue)) ||
+        (ambiguous.name && capitalisedTokens(text).has(stem(skill)));
+    })
+    .map(({ skill }) => skill);
+};
+
+/**
+ * Whether a token can be a keyword on its own
+ *
+ * @param {string} token - Token
+ * @returns {boolean} Whether the token is a keyword candidate
+ */
+const isCandidate = (token) => token.length > 2 && !STOP_WORDS.has(token) && !/^[\d.,/-]+$/.test(token);
+
+/**
+ * Weight of a line of the job description from the section it is in
+ *
+ * @param {string} line - Line content
+ * @param {number} sectionWeight - Weight of the enclosing section
+ * @returns {number} Line weight
+ */
+const lineWeight = (line, sectionWeight) => (PREFERRED_REGEX.test(line) ? SectionWeight.PREFERRED : sectionWeight);
+
+/**
+ * Whether a line heads a section, e.g. "## Requirements" or "What you bring:"
+ *
+ * @param {string} line - Line content
+ * @returns {boolean} Whether the line is a heading
+ */
+const isHeading = (line) => /^#+\s/.test(line) || (/:\s*$/.test(line) && line.length < 60);
+
+/**
+ * Pull weighted keywords out of a job description
+ *
+ * Known skills are always kept. Other words and two word phrases are kept
+ * when they recur, or when written capitalised mid-sentence, which is how
+ * postings name tools missing from the skill list. Keywords in requirement
+ * sections weigh more than those marked as preferred or nice to have.
+ *
+ * @param {string} jobDescription - Job description text
+ * @param {Object} options - Extraction options
+ * @param {number} options.maxKeywords - Maximum number of keywords to return
+ * @param {Array<string>} options.exclude - Names to leave out, such as the company name
+ * @returns {Array<{keyword: string, weight: number, type: string}>} Keywords, heaviest first
+ */
+const extractKeywords = (jobDescription, options = {}) => {
+  const { maxKeywords = DEFAULT_MAX_KEYWORDS, exclude = [] } = options;
+  const excluded = new Set(exclude.flatMap(name => tokenize(name)).map(stem));
+  const skills = new Map();
+  const terms = new Map();
+  let sectionWeight = SectionWeight.DEFAULT;
+
+  const addTerm = (key, label, weight, capitalised) => {
+    const term = terms.get(key) || { keyword: label, weight: 0, count: 0, capitalised: false };
+    term.weight += weight;
+    term.count += 1;
+    term.capitalised = term.capitalised || capitalised;
+    terms.set(key, term);
+  };
+
+  (jobDescription || '').split('\n').forEach(rawLine => {
+    const line = rawLine.replace(/^\s*(?:[-*+•]|\d+\.)\s+/, '').trim();
+    if (!line) {
+      return;
+    }
+
+    if (isHeading(line)) {
+      if (REQUIRED_HEADING_REGEX.test(line)) {
+        sectionWeight = SectionWeight.REQUIRED;
+      } else if (PREFERRED_REGEX.test(line)) {
+        sectionWeight = SectionWeight.PREFERRED;
+      } else {
+        sectionWeight = SectionWeight.DEFAULT;
+      }
+      return;
+    }
+
+    const weight = lineWeight(line, sectionWeight);
+
+    findSkills(line).forEach(skill => {
+      skills.set(skill, (skills.get(skill) || 0) + weight * SKILL_WEIGHT);
+    });
+
+    const capitalised = capitalisedTokens(line);
+
+    const words = tokenize(line);
+    const tokens = words.map(stem);
+    tokens.forEach((token, index) => {
+      if (!isCandidate(token) || excluded.has(token)) {
+        return;
+      }
+      addTerm(token, words[index], weight, capitalised.has(token));
+
+      const next = tokens[index + 1];
+      if (next && isCandidate(next) && !excluded.has(next)) {
+        addTerm(`${token} ${next}`, `${words[index]} ${words[index + 1]}`, weight, false);
+      }
+    });
+  });
+
+  // Words of the skills found are not scored again as terms, nor are the
+  // ambiguous skill names the posting uses as everyday words
+  const skillWords = new Set([
+    ...SKILL_PHRASES
+      .filter(({ skill }) => skills.has(skill))
+      .flatMap(({ phrases }) => phrases.flatMap(phrase => phrase.trim().split(' '))),
+    ...Object.keys(AMBIGUOUS_SKILLS)
+  ]);
+
+  const keywords = [...skills.entries()].map(([keyword, weight]) => ({ keyword, weight, type: 'skill' }));
+
+  // Phrases that recur make their words redundant
+  const recurringPhrases = [...terms.entries()].filter(([key, term]) => key.includes(' ') && term.count > 1);
+  recurringPhrases.forEach(([key, phrase]) => {
+    key.split(' ').forEach(word => {
+      const term = terms.get(word);
+      if (term) {
+        term.count -= phrase.count;
+      }
+    });
+  });
+
+  terms.forEach((term, key) => {
+    if (key.split(' ').some(word => skillWords.has(word))) {
+      return;
+    }
+    if (term.count > 1 || (term.capitalised && term.count > 0 && !key.includes(' '))) {
+      keywords.push({ keyword: term.keyword, weight: term.weight, type: 'term' });
+    }
+  });
+
+  return keywords
+    .sort((a, b) => b.weight - a.weight || a.keyword.localeCompare(b.keyword))
+    .slice(0, maxKeywords)
+    .map(keyword => ({ ...keyword, weight: Math.round(keyword.weight * 10) / 10 }));
+};
+
+/**
+ * Measure the keyword coverage of a resume
+ *
+ * @param {Array<Object>} keywords - Keywords from extractKeywords
+ * @param {string} markdown - Resume Markdown
+ * @returns {{score: number, matched: Array<Object>, missing: Array<Object>}} Score from 0 to 100 with matched and missing keywords
+ */
+const scoreResume = (keywords, markdown) => {
+  const resumeText = searchable(stripInlineMarkdown(markdown || ''));
+  const phrasesOf = (keyword) => {
+    const skill = SKILL_PHRASES.find(entry => entry.skill === keyword.keyword);
+    return skill ? skill.phrases : [searchable(keyword.keyword)];
+  };
+
+  const matched = [];
+  const missing = [];
+  keywords.forEach(keyword => {
+    const found = phrasesOf(keyword).some(phrase => resumeText.includes(phrase));
+    (found ? matched : missing).push({ keyword: keyword.keyword, weight: keyword.weight });
+  });
+
+  const total = keywords.reduce((sum, keyword) => sum + keyword.weight, 0);
+  const covered = matched.reduce((sum, keyword) => sum + keyword.weight, 0);
+
+  return {
+    score: total ? Math.round((covered / total) * 100) : 0,
+    matched,
+    missing
+  };
+};
+
+/**
+ * Score the original and the customized resume against a job description
+ *
+ * @param {string} jobDescription - Job description text
+ * @param {string} originalMarkdown - Original resume Markdown
+ * @param {string|null} customizedMarkdown - Customized resume Markdown, if any
+ * @param {Object} options - Options passed to extractKeywords
+ * @returns {Object} Keywords, both scores and the gain of the customization
+ */
+const scoreKeywordMatch = (jobDescription, originalMarkdown, customizedMarkdown, options = {}) => {
+  const keywords = extractKeywords(jobDescription, options);
+  const original = scoreResume(keywords, originalMarkdown);
+  const customized = customizedMarkdown ? scoreResume(keywords, customizedMarkdown) : null;
+
+  return {
+    keywords,
+    original,
+    customized,
+    gain: customized ? customized.score - original.score : null,
+    scoredAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  REQUIRED_HEADING_REGEX,
+  PREFERRED_REGEX,
+  isHeading,
+  findSkills,
+  extractKeywords,
+  scoreResume,
+  scoreKeywordMatch
+};
@@ -0,0 +1,158 @@
+/**
+ * Circuit Breaker
+ *
+ * This module stops calls to a failing dependency for a while, so callers
+ * move on at once instead of waiting on retries that are bound to fail, and
+ * lets a few probe calls through to find out when it has recovered.
+ */
+
+const logger = require('./logger');
+
+/**
+ * Circuit breaker states
+ */
+const CircuitState = {
+  // Calls go through, failures are counted
+  CLOSED: 'closed',
+  // Calls are refused until the reset timeout has passed
+  OPEN: 'open',
+  // A limited number of probe calls decide whether to close or open again
+  HALF_OPEN: 'half_open'
+};
+
+/**
+ * Circuit breaker of one dependency
+ */
+class CircuitBreaker {
+  /**
+   * Create a new CircuitBreaker instance
+   * @param {Object} options - Breaker options
+   * @param {string} options.name - Name of the dependency, used in logs and health reports
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit
+   * @param {number} options.resetTimeoutMs - How long the circuit stays open before probing
+   * @param {number} options.halfOpenSuccesses - Successful probes that close the circuit again
+   * @param {Function} options.now - Clock returning the current time in milliseconds
+   */
+  constructor({ name, failureThreshold = 3, resetTimeoutMs = 60000, halfOpenSuccesses = 1, now = Date.now }) {
+    this.name = name;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.halfOpenSuccesses = halfOpenSuccesses;
+    this.now = now;
+
+    this.state = CircuitState.CLOSED;
+    this.failures = 0;
+    this.successes = 0;
+    this.probing = false;
+    this.openedAt = null;
+    this.lastError = null;
+  }
+
+  /**
+   * Move to a new state
+   * @private
+   * @param {string} state - State from CircuitState
+   */
+  transition(state) {
+    if (this.state !== state) {
+      logger.warn(`Circuit breaker of ${this.name} moved from ${this.state} to ${state}`);
+    }
+
+    this.state = state;
+    this.successes = 0;
+    this.probing = false;
+    this.openedAt = state === CircuitState.OPEN ? this.now() : null;
+
+    if (state === CircuitState.CLOSED) {
+      this.failures = 0;
+    }
+  }
+
+  /**
+   * Check whether a call may go through, claiming the probe slot when half open
+   *
+   * Half-open circuits let one probe through at a time; an open circuit turns
+   * half open once its reset timeout has passed.
+   * @returns {boolean} True when the call may go through
+   */
+  tryAcquire() {
+    if (this.state === CircuitState.OPEN && this.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.transition(CircuitState.HALF_OPEN);
+    }
+
+    if (this.state === CircuitState.CLOSED) {
+      return true;
+    }
+
+    if (this.state === CircuitState.HALF_OPEN && !this.probing) {
+      this.probing = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Record a successful call
+   */
+  recordSuccess() {
+    if (this.state === CircuitState.HALF_OPEN) {
+      this.probing = false;
+      this.successes += 1;
+
+      if (this.successes >= this.halfOpenSuccesses) {
+        this.transition(CircuitState.CLOSED);
+      }
+      return;
+    }
+
+    this.failures = 0;
+  }
+
+  /**
+   * Release a call whose outcome says nothing about the dependency, e.g. a rejected request
+   */
+  release() {
+    this.probing = false;
+  }
+
+  /**
+   * Record a failed call
+   * @param {Error} error - Error of the call
+   */
+  recordFailure(error) {
+    this.lastError = { message: error.message, at: new Date(this.now()).toISOString() };
+    this.failures += 1;
+
+    // A failed probe means the dependency has not recovered yet
+    if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.transition(CircuitState.OPEN);
+    }
+  }
+
+  /**
+   * Get the state of the breaker for health reports
+   * @returns {Object} Name, state, consecutive failures, when the circuit opened and may be probed,
+   *   and the last error
+   */
+  getState() {
+    // Report an expired open circuit as ready to probe
+    const state = this.state === CircuitState.OPEN && this.now() - this.openedAt >= this.resetTimeoutMs
+      ? CircuitState.HALF_OPEN
+      : this.state;
+
+    return {
+      name: this.name,
+      state,
+      failures: this.failures,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: state === CircuitState.OPEN ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitState
+};
@@ -65,8 +65,55 @@ const errorResponse = (res, statusCode, message, error = null) => {
   return res.status(statusCode).json(response);
 };
 
+/**
+ * Open a Server-Sent Events stream on a response
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} options - Stream options
+ * @param {number} options.heartbeatIntervalMs - Interval of keep-alive comments
+ * @param {Function} options.onClose - Called once when the stream closes, by either side
+ * @returns {Object} Stream with send and close methods
+ */
+const openEventStream = (req, res, { heartbeatIntervalMs = 15000, onClose = () => {} } = {}) => {
+  let closed = false;
+  
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Stop nginx from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders();
+  
+  const heartbeat = setInterval(() => {
+    res.write(': keep-alive\n\n');
+  }, heartbeatIntervalMs);
+  
+  const close = () => {
+    if (closed) {
+      return;
+    }
+    closed = true;
+    clearInterval(heartbeat);
+    onClose();
+    res.end();
+  };
+  
+  req.on('close', close);
+  
+  return {
+    send: (event, data) => {
+      if (!closed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    },
+    close
+  };
+};
+
 module.exports = {
   withErrorHandling,
   successResponse,
-  errorResponse
+  errorResponse,
+  openEventStream
 };
@@ -0,0 +1,67 @@
+/**
+ * Utility to convert DOCX files to Markdown format
+ */
+const mammoth = require('mammoth');
+const logger = require('./logger');
+const htmlToMarkdown = require('./htmlToMarkdown');
+const { FileError } = require('./errors');
+
+// Word styles mapped onto the heading levels the customization pipeline expects:
+// # for the candidate name, ## for sections and ### for roles
+const STYLE_MAP = [
+  'p[style-name=\'Title\'] => h1:fresh',
+  'p[style-name=\'Subtitle\'] => p:fresh',
+  'p[style-name=\'heading 1\'] => h2:fresh',
+  'p[style-name=\'heading 2\'] => h3:fresh',
+  'p[style-name=\'heading 3\'] => h4:fresh',
+  'p[style-name=\'Section Heading\'] => h2:fresh',
+  'p[style-name=\'List Bullet\'] => ul > li:fresh',
+  'p[style-name=\'List Number\'] => ol > li:fresh',
+  'r[style-name=\'Strong\'] => strong',
+  'r[style-name=\'Emphasis\'] => em'
+];
+
+/**
+ * Convert DOCX buffer to Markdown
+ *
+ * Headings, bullet and numbered lists, bold/italic runs, tables and
+ * hyperlinks are preserved. Images are dropped since they cannot be
+ * represented in the customization pipeline.
+ *
+ * @param {Buffer} docxBuffer - DOCX file as buffer
+ * @returns {Promise<string>} Markdown content
+ * @throws {FileError} If the document cannot be read
+ */
+const convertDocxToMarkdown = async (docxBuffer) => {
+  try {
+    logger.info('Converting DOCX to Markdown - using mammoth library');
+    logger.info(`DOCX buffer size: ${docxBuffer.length} bytes`);
+
+    const { value: html, messages } = await mammoth.convertToHtml(
+      { buffer: docxBuffer },
+      {
+        styleMap: STYLE_MAP,
+        convertImage: mammoth.images.imgElement(() => Promise.resolve({ src: '' }))
+      }
+    );
+
+    messages
+      .filter(message => message.type === 'warning')
+      .forEach(message => logger.debug(`DOCX conversion warning: ${message.message}`));
+
+    const markdown = htmlToMarkdown(html.replace(/<img[^>]*>/g, ''));
+
+    if (!markdown) {
+      throw new Error('Document contains no text content');
+    }
+
+    logger.info(`DOCX conversion completed successfully: ${markdown.length} characters`);
+
+    return markdown;
+  } catch (error) {
+    logger.error(`DOCX to Markdown conversion error: ${error.message}`);
+    throw new FileError(`Unable to convert DOCX document: ${error.message}`, 'convert');
+  }
+};
+
+module.exports = convertDocxToMarkdown;
@@ -3,85 +3,68 @@
  */
 const logger = require('./logger');
 const pdfParse = require('pdf-parse');
+const config = require('../config');
+const processTextToMarkdown = require('./textToMarkdown');
+const { extractPdfLayout, layoutToMarkdown } = require('./pdfLayoutExtractor');
 
 /**
- * Process extracted text from PDF into Markdown format
+ * Supported PDF extraction modes
+ */
+const PdfExtractionMode = {
+  LAYOUT: 'layout',
+  HEURISTIC: 'heuristic'
+};
+
+/**
+ * Convert PDF buffer to Markdown using text positions and fonts
  * 
- * @param {string} text - Raw text extracted from PDF
- * @returns {string} Formatted markdown text
+ * @param {Buffer} pdfBuffer - PDF file as buffer
+ * @returns {Promise<string>} Markdown content, empty when no text was found
  */
-const processTextToMarkdown = (text) => {
-  try {
-    // Split into lines and clean up
-    const lines = text.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0);
-    
-    if (lines.length === 0) {
-      return '# Empty Resume';
-    }
-    
-    // Treat first non-empty line as the title/name
-    let markdown = `# ${lines[0]}\n\n`;
-    
-    // Process remaining lines, making some assumptions about structure
-    let currentSection = '';
-    let inList = false;
-    
-    for (let i = 1; i < lines.length; i++) {
-      const line = lines[i];
-      
-      // Check if this might be a section header (all caps or followed by colon)
-      if (line.toUpperCase() === line && line.length > 3 || 
-          /[A-Z][\w\s]{2,}:$/.test(line)) {
-        // End previous list if there was one
-        if (inList) {
-          markdown += '\n';
-          inList = false;
-        }
-        
-        // Add section header
-        currentSection = line.replace(/:$/, '');
-        markdown += `## ${currentSection}\n\n`;
-        continue;
-      }
-      
-      // Check if line looks like a subsection/company/role
-      if (currentSection && 
-          (line.includes('|') || 
-           /^[A-Z][\w\s]+/.test(line) && line.length < 50)) {
-        markdown += `### ${line}\n\n`;
-        continue;
-      }
-      
-      // Check if line looks like a bullet point
-      if (line.startsWith('•') || line.startsWith('-') || line.startsWith('○')) {
-        if (!inList) inList = true;
-        // Convert all bullet types to markdown bullet
-        markdown += `- ${line.substring(1).trim()}\n`;
-        continue;
-      }
-      
-      // Regular text
-      markdown += `${line}\n\n`;
-    }
-    
-    return markdown;
-  } catch (error) {
-    logger.error('Error processing text to markdown:', error);
-    return `# PDF Extraction Error\n\nThere was an error converting the PDF to markdown: ${error.message}`;
+const convertWithLayout = async (pdfBuffer) => {
+  const pages = await extractPdfLayout(pdfBuffer);
+  
+  logger.info(`PDF layout extraction successful: ${pages.length} pages read`);
+  
+  return layoutToMarkdown(pages);
+};
+
+/**
+ * Convert PDF buffer to Markdown by guessing structure from the plain text
+ * 
+ * @param {Buffer} pdfBuffer - PDF file as buffer
+ * @returns {Promise<string>} Markdown content
+ */
+const convertWithHeuristics = async (pdfBuffer) => {
+  // Parse PDF to extract text
+  const data = await pdfParse(pdfBuffer, {
+    version: 'v1.10.100'
+  });
+  
+  if (!data || !data.text) {
+    throw new Error('Invalid PDF structure or empty text content');
   }
+  
+  logger.info(`PDF extraction successful: ${data.text.length} characters extracted`);
+  
+  // Convert extracted text to markdown format
+  return processTextToMarkdown(data.text);
 };
 
 /**
  * Convert PDF buffer to Markdown
  * 
+ * The extraction mode is taken from the conversion configuration. Layout
+ * extraction falls back to the heuristic converter when it fails or finds
+ * no text.
+ * 
  * @param {Buffer} pdfBuffer - PDF file as buffer
  * @returns {Promise<string>} Markdown content
  */
 const convertPdfToMarkdown = async (pdfBuffer) => {
   try {
-    logger.info('Converting PDF to Markdown - using pdf-parse library');
+    const mode = config.conversion.pdfExtractionMode;
+    logger.info(`Converting PDF to Markdown - using ${mode} extraction`);
     
     // Debug the PDF buffer
     logger.info(`PDF buffer size: ${pdfBuffer.length} bytes`);
@@ -92,20 +75,22 @@ const convertPdfToMarkdown = async (pdfBuffer) => {
       return pdfBuffer;
     }
     
-    // Parse PDF to extract text
-    const data = await pdfParse(pdfBuffer, {
-      // Use version 1.10.100 as fallback for compatibility
-      version: '1.10.100'
-    });
-    
-    if (!data || !data.text) {
-      throw new Error('Invalid PDF structure or empty text content');
+    if (mode === PdfExtractionMode.LAYOUT) {
+      try {
+        const markdown = await convertWithLayout(pdfBuffer);
+        
+        if (markdown) {
+          logger.info('PDF conversion completed successfully');
+          return markdown;
+        }
+        
+        logger.warn('Layout-aware PDF extraction found no text, falling back to heuristic extraction');
+      } catch (error) {
+        logger.warn(`Layout-aware PDF extraction failed, falling back to heuristic extraction: ${error.message}`);
+      }
     }
     
-    logger.info(`PDF extraction successful: ${data.text.length} characters extracted`);
-    
-    // Convert extracted text to markdown format
-    const markdown = processTextToMarkdown(data.text);
+    const markdown = await convertWithHeuristics(pdfBuffer);
     
     logger.info('PDF conversion completed successfully');
     
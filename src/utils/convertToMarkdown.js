@@ -0,0 +1,61 @@
+/**
+ * Utility to convert resume files to Markdown based on their file type
+ */
+const convertPdfToMarkdown = require('./convertPdfToMarkdown');
+const convertDocToMarkdown = require('./convertDocToMarkdown');
+const convertDocxToMarkdown = require('./convertDocxToMarkdown');
+const processTextToMarkdown = require('./textToMarkdown');
+const htmlToMarkdown = require('./htmlToMarkdown');
+const { parseJsonResume, renderJsonResumeToMarkdown } = require('./jsonResume');
+const { UnsupportedFileTypeError } = require('./errors');
+
+/**
+ * Decode a text file, dropping the byte order mark some editors write
+ *
+ * @param {Buffer} fileBuffer - File contents
+ * @returns {string} File text
+ */
+const decodeText = (fileBuffer) => fileBuffer.toString('utf8').replace(/^\uFEFF/, '');
+
+/**
+ * Converters keyed by the Resume.fileType value they handle
+ */
+const converters = {
+  pdf: convertPdfToMarkdown,
+  doc: convertDocToMarkdown,
+  docx: convertDocxToMarkdown,
+  // Markdown uploads are already in the target format and are kept as-is
+  md: async (fileBuffer) => decodeText(fileBuffer),
+  txt: async (fileBuffer) => processTextToMarkdown(decodeText(fileBuffer)),
+  html: async (fileBuffer) => htmlToMarkdown(decodeText(fileBuffer)),
+  json: async (fileBuffer) => renderJsonResumeToMarkdown(parseJsonResume(decodeText(fileBuffer)))
+};
+
+/**
+ * Check whether a file type can be converted to Markdown
+ *
+ * @param {string} fileType - File type (pdf, doc, docx, md, txt, html, json)
+ * @returns {boolean} Whether a converter exists for the file type
+ */
+const isConvertible = (fileType) => Object.prototype.hasOwnProperty.call(converters, fileType);
+
+/**
+ * Convert a resume file to Markdown
+ *
+ * @param {Buffer} fileBuffer - File contents
+ * @param {string} fileType - File type (pdf, doc, docx, md, txt, html, json)
+ * @returns {Promise<string>} Markdown content
+ * @throws {UnsupportedFileTypeError} If no converter exists for the file type
+ */
+const convertToMarkdown = async (fileBuffer, fileType) => {
+  if (!isConvertible(fileType)) {
+    throw new UnsupportedFileTypeError('File type not supported for conversion', fileType);
+  }
+
+  return converters[fileType](fileBuffer);
+};
+
+module.exports = {
+  convertToMarkdown,
+  isConvertible
+};
@@ -0,0 +1,95 @@
+/**
+ * Customization Progress
+ *
+ * This module estimates how far a customization job has come and how long it
+ * still needs, from the step it is in and the time earlier jobs spent in each
+ * step.
+ */
+
+/**
+ * Steps of a customization job, in the order they run
+ */
+const CUSTOMIZATION_STEPS = [
+  'converting',
+  'profiling',
+  'analyzing_job',
+  'writing',
+  'verifying',
+  'rendering_pdf',
+  'uploading'
+];
+
+// Step durations assumed until completed jobs have been recorded
+const DEFAULT_STEP_DURATIONS_MS = {
+  converting: 5000,
+  profiling: 20000,
+  analyzing_job: 20000,
+  writing: 60000,
+  verifying: 500,
+  rendering_pdf: 5000,
+  uploading: 2000
+};
+
+/**
+ * Average the step durations recorded for past jobs
+ *
+ * Steps no job recorded, such as conversion of resumes that already had
+ * Markdown, keep their default duration.
+ * @param {Array<Object>} history - Step durations in milliseconds of past jobs, keyed by step
+ * @returns {Object} Expected duration in milliseconds of each step
+ */
+const averageStepDurations = (history = []) => CUSTOMIZATION_STEPS.reduce((expected, step) => {
+  const samples = history
+    .map(durations => durations && durations[step])
+    .filter(duration => Number.isFinite(duration) && duration >= 0);
+
+  expected[step] = samples.length > 0
+    ? Math.round(samples.reduce((sum, duration) => sum + duration, 0) / samples.length)
+    : DEFAULT_STEP_DURATIONS_MS[step];
+
+  return expected;
+}, {});
+
+/**
+ * Estimate the progress of a running customization job
+ *
+ * The current step is expected to take its average duration, at least as long
+ * as it has already run, and every later step its average duration.
+ * @param {Object} state - State of the job
+ * @param {string|null} state.step - Current step, null before the first step starts
+ * @param {Date|string} state.startedAt - When the job started
+ * @param {Date|string|null} state.stepStartedAt - When the current step started
+ * @param {Object} expectedDurations - Expected duration in milliseconds of each step
+ * @param {Date} now - Time to estimate at
+ * @returns {Object} Step, percent, elapsed and estimated remaining seconds
+ */
+const estimateProgress = ({ step, startedAt, stepStartedAt }, expectedDurations, now = new Date()) => {
+  const elapsedMs = Math.max(now - new Date(startedAt), 0);
+  const index = CUSTOMIZATION_STEPS.indexOf(step);
+
+  let remainingMs = CUSTOMIZATION_STEPS
+    .slice(index + 1)
+    .reduce((sum, laterStep) => sum + expectedDurations[laterStep], 0);
+
+  if (index !== -1) {
+    const stepElapsedMs = stepStartedAt ? Math.max(now - new Date(stepStartedAt), 0) : 0;
+    remainingMs += Math.max(expectedDurations[step] - stepElapsedMs, 0);
+  }
+
+  // A running job is never reported as done
+  const percent = Math.min(Math.round((elapsedMs / (elapsedMs + remainingMs || 1)) * 100), 99);
+
+  return {
+    step: step || null,
+    percent,
+    elapsedSeconds: Math.round(elapsedMs / 1000),
+    etaSeconds: Math.ceil(remainingMs / 1000)
+  };
+};
+
+module.exports = {
+  CUSTOMIZATION_STEPS,
+  DEFAULT_STEP_DURATIONS_MS,
+  averageStepDurations,
+  estimateProgress
+};
@@ -0,0 +1,448 @@
+/**
+ * Word 97-2003 (.doc) Text Extractor
+ *
+ * This module reads the OLE/CFB container of a binary Word document and
+ * extracts the main document text as paragraphs. Paragraph properties are
+ * read from the PAPX formatting pages so that list items and built-in
+ * heading styles can be told apart from body text.
+ *
+ * Layout references follow the [MS-DOC] specification.
+ */
+
+const CFB = require('cfb');
+const { EncryptedFileError, CorruptFileError, UnsupportedFileTypeError } = require('./errors');
+
+// FibBase constants
+const WORD_BINARY_IDENT = 0xA5EC;
+const MIN_WORD97_NFIB = 0x00C1;
+const FLAG_ENCRYPTED = 0x0100;
+const FLAG_WHICH_TABLE_STREAM = 0x0200;
+const FLAG_OBFUSCATED = 0x8000;
+
+// Offsets into the FIB structure
+const FIB_BASE_SIZE = 32;
+const FIB_RGLW_CCP_TEXT = 3;
+const FIB_FCLCB_PLCF_BTE_PAPX = 13;
+const FIB_FCLCB_CLX = 33;
+
+// Clx and piece table constants
+const CLXT_PRC = 0x01;
+const CLXT_PCDT = 0x02;
+const PCD_SIZE = 8;
+const FC_COMPRESSED = 0x40000000;
+
+// Formatted disk page constants
+const FKP_SIZE = 512;
+const BX_PAP_SIZE = 13;
+
+// Paragraph property modifiers
+const SPRM_P_ILFO = 0x460B;
+const SPRM_P_ILVL = 0x260A;
+const SPRM_P_OUTLVL = 0x2640;
+const SPRM_P_F_TTP = 0x2447;
+
+// Special characters in the main document text
+const PARAGRAPH_MARK = '\r';
+const CELL_MARK = '\x07';
+const FIELD_BEGIN = '\x13';
+const FIELD_SEPARATOR = '\x14';
+const FIELD_END = '\x15';
+const LINE_BREAK = '\x0B';
+const NON_BREAKING_HYPHEN = '\x1E';
+const NON_BREAKING_SPACE = '\u00A0';
+
+const cp1252Decoder = new TextDecoder('windows-1252');
+
+/**
+ * Read a stream from the compound file
+ * @param {Object} container - Parsed CFB container
+ * @param {string} name - Stream name
+ * @returns {Buffer|null} Stream contents or null if missing
+ */
+function readStream(container, name) {
+  const entry = CFB.find(container, name);
+  return entry && entry.content ? Buffer.from(entry.content) : null;
+}
+
+/**
+ * Parse the File Information Block at the start of the WordDocument stream
+ * @param {Buffer} wordDocument - WordDocument stream
+ * @returns {Object} Relevant FIB fields
+ */
+function parseFib(wordDocument) {
+  if (wordDocument.length < FIB_BASE_SIZE || wordDocument.readUInt16LE(0) !== WORD_BINARY_IDENT) {
+    throw new CorruptFileError('Document is missing a valid Word file header', 'doc');
+  }
+
+  const nFib = wordDocument.readUInt16LE(2);
+  const flags = wordDocument.readUInt16LE(10);
+
+  // Encryption must be checked before anything else since the rest of the FIB is unreliable
+  if (flags & FLAG_ENCRYPTED || flags & FLAG_OBFUSCATED) {
+    throw new EncryptedFileError('Password protected Word documents cannot be converted. Please remove the password and upload again.', 'doc');
+  }
+
+  if (nFib < MIN_WORD97_NFIB) {
+    throw new UnsupportedFileTypeError('Word 6.0/95 documents are not supported. Please save the file as DOCX and upload again.', 'doc');
+  }
+
+  let offset = FIB_BASE_SIZE;
+  const csw = wordDocument.readUInt16LE(offset);
+  offset += 2 + csw * 2;
+
+  const cslw = wordDocument.readUInt16LE(offset);
+  const rgLwOffset = offset + 2;
+  offset = rgLwOffset + cslw * 4;
+
+  const cbRgFcLcb = wordDocument.readUInt16LE(offset);
+  const rgFcLcbOffset = offset + 2;
+
+  if (cbRgFcLcb <= FIB_FCLCB_CLX || rgFcLcbOffset + cbRgFcLcb * 8 > wordDocument.length) {
+    throw new CorruptFileError('Word file header is truncated', 'doc');
+  }
+
+  const readFcLcb = (index) => ({
+    fc: wordDocument.readUInt32LE(rgFcLcbOffset + index * 8),
+    lcb: wordDocument.readUInt32LE(rgFcLcbOffset + index * 8 + 4)
+  });
+
+  return {
+    tableStreamName: flags & FLAG_WHICH_TABLE_STREAM ? '1Table' : '0Table',
+    ccpText: wordDocument.readInt32LE(rgLwOffset + FIB_RGLW_CCP_TEXT * 4),
+    clx: readFcLcb(FIB_FCLCB_CLX),
+    plcfBtePapx: readFcLcb(FIB_FCLCB_PLCF_BTE_PAPX)
+  };
+}
+
+/**
+ * Parse the piece table from the Clx structure in the table stream
+ * @param {Buffer} tableStream - Table stream
+ * @param {Object} clx - Location of the Clx structure
+ * @returns {Array<Object>} Pieces with their character and byte ranges
+ */
+function parsePieceTable(tableStream, clx) {
+  let offset = clx.fc;
+  const end = clx.fc + clx.lcb;
+
+  // Skip any Prc entries that precede the piece table
+  while (offset < end && tableStream[offset] === CLXT_PRC) {
+    offset += 3 + tableStream.readInt16LE(offset + 1);
+  }
+
+  if (offset >= end || tableStream[offset] !== CLXT_PCDT) {
+    throw new CorruptFileError('Word piece table could not be found', 'doc');
+  }
+
+  const lcb = tableStream.readUInt32LE(offset + 1);
+  const plcOffset = offset + 5;
+  const count = (lcb - 4) / (4 + PCD_SIZE);
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new CorruptFileError('Word piece table is malformed', 'doc');
+  }
+
+  const pieces = [];
+  for (let i = 0; i < count; i++) {
+    const cpStart = tableStream.readUInt32LE(plcOffset + i * 4);
+    const cpEnd = tableStream.readUInt32LE(plcOffset + (i + 1) * 4);
+    const pcdOffset = plcOffset + (count + 1) * 4 + i * PCD_SIZE;
+    const fcValue = tableStream.readUInt32LE(pcdOffset + 2);
+    const compressed = (fcValue & FC_COMPRESSED) !== 0;
+    const fc = fcValue & ~FC_COMPRESSED;
+
+    pieces.push({
+      cpStart,
+      cpEnd,
+      compressed,
+      // Compressed pieces store 8-bit characters at half the recorded offset
+      byteOffset: compressed ? fc / 2 : fc
+    });
+  }
+
+  return pieces;
+}
+
+/**
+ * Read the text for a range of characters using the piece table
+ * @param {Buffer} wordDocument - WordDocument stream
+ * @param {Array<Object>} pieces - Piece table
+ * @param {number} ccpText - Number of characters in the main document
+ * @returns {Array<Object>} Characters with the byte offset each one came from
+ */
+function readMainText(wordDocument, pieces, ccpText) {
+  const characters = [];
+
+  for (const piece of pieces) {
+    if (piece.cpStart >= ccpText) break;
+
+    const cpEnd = Math.min(piece.cpEnd, ccpText);
+    const charCount = cpEnd - piece.cpStart;
+    const bytesPerChar = piece.compressed ? 1 : 2;
+    const byteEnd = piece.byteOffset + charCount * bytesPerChar;
+
+    if (byteEnd > wordDocument.length) {
+      throw new CorruptFileError('Word document text is truncated', 'doc');
+    }
+
+    const bytes = wordDocument.subarray(piece.byteOffset, byteEnd);
+    const text = piece.compressed ? cp1252Decoder.decode(bytes) : bytes.toString('utf16le');
+
+    for (let i = 0; i < text.length; i++) {
+      characters.push({ char: text[i], fc: piece.byteOffset + i * bytesPerChar });
+    }
+  }
+
+  return characters;
+}
+
+/**
+ * Read the paragraph property runs from the PAPX formatted disk pages
+ * @param {Buffer} wordDocument - WordDocument stream
+ * @param {Buffer} tableStream - Table stream
+ * @param {Object} plcfBtePapx - Location of the PAPX bin table
+ * @returns {Array<Object>} Runs with byte ranges and paragraph properties
+ */
+function parseParagraphRuns(wordDocument, tableStream, plcfBtePapx) {
+  if (!plcfBtePapx.lcb) return [];
+
+  const count = (plcfBtePapx.lcb - 4) / 8;
+  const runs = [];
+
+  for (let i = 0; i < count; i++) {
+    const pn = tableStream.readUInt32LE(plcfBtePapx.fc + (count + 1) * 4 + i * 4) & 0x3FFFFF;
+    const pageOffset = pn * FKP_SIZE;
+
+    if (pageOffset + FKP_SIZE > wordDocument.length) {
+      throw new CorruptFileError('Word paragraph formatting is truncated', 'doc');
+    }
+
+    const page = wordDocument.subarray(pageOffset, pageOffset + FKP_SIZE);
+    const crun = page[FKP_SIZE - 1];
+
+    for (let j = 0; j < crun; j++) {
+      const fcStart = page.readUInt32LE(j * 4);
+      const fcEnd = page.readUInt32LE((j + 1) * 4);
+      const bOffset = page[(crun + 1) * 4 + j * BX_PAP_SIZE] * 2;
+
+      runs.push({ fcStart, fcEnd, ...parsePapx(page, bOffset) });
+    }
+  }
+
+  return runs;
+}
+
+/**
+ * Parse a PapxInFkp structure into the properties the extractor needs
+ * @param {Buffer} page - Formatted disk page
+ * @param {number} offset - Offset of the PapxInFkp in the page
+ * @returns {Object} Style index, list membership and outline level
+ */
+function parsePapx(page, offset) {
+  const properties = { istd: 0, ilfo: 0, ilvl: 0, outlineLevel: null, isRowEnd: false };
+
+  // A zero offset means the paragraph uses default properties
+  if (offset === 0) return properties;
+
+  let cb = page[offset];
+  let start = offset + 1;
+  let length = 2 * cb - 1;
+
+  if (cb === 0) {
+    cb = page[offset + 1];
+    start = offset + 2;
+    length = 2 * cb;
+  }
+
+  const end = Math.min(start + length, FKP_SIZE - 1);
+  if (end - start < 2) return properties;
+
+  properties.istd = page.readUInt16LE(start);
+
+  let position = start + 2;
+  while (position + 2 <= end) {
+    const sprm = page.readUInt16LE(position);
+    position += 2;
+
+    const operandSize = getSprmOperandSize(sprm, page, position);
+    if (position + operandSize > end) break;
+
+    if (sprm === SPRM_P_ILFO) {
+      properties.ilfo = page.readInt16LE(position);
+    } else if (sprm === SPRM_P_ILVL) {
+      properties.ilvl = page[position];
+    } else if (sprm === SPRM_P_OUTLVL) {
+      properties.outlineLevel = page[position];
+    } else if (sprm === SPRM_P_F_TTP) {
+      properties.isRowEnd = page[position] === 1;
+    }
+
+    position += operandSize;
+  }
+
+  return properties;
+}
+
+/**
+ * Determine the operand size of a property modifier from its spra bits
+ * @param {number} sprm - Property modifier
+ * @param {Buffer} buffer - Buffer containing the operand
+ * @param {number} position - Offset of the operand
+ * @returns {number} Operand size in bytes
+ */
+function getSprmOperandSize(sprm, buffer, position) {
+  switch ((sprm >> 13) & 0x7) {
+  case 0:
+  case 1:
+    return 1;
+  case 2:
+  case 4:
+  case 5:
+    return 2;
+  case 3:
+    return 4;
+  case 7:
+    return 3;
+  default:
+    // Variable length operands start with their size
+    return 1 + buffer[position];
+  }
+}
+
+/**
+ * Remove field codes, keeping only the displayed field results
+ * @param {Array<Object>} characters - Characters of a paragraph
+ * @returns {string} Paragraph text
+ */
+function renderParagraphText(characters) {
+  let text = '';
+  // Each open field tracks whether we are still inside its instruction part
+  const fields = [];
+
+  for (const { char } of characters) {
+    if (char === FIELD_BEGIN) {
+      fields.push({ inInstruction: true });
+      continue;
+    }
+    if (char === FIELD_SEPARATOR) {
+      if (fields.length) fields[fields.length - 1].inInstruction = false;
+      continue;
+    }
+    if (char === FIELD_END) {
+      fields.pop();
+      continue;
+    }
+    if (fields.some(field => field.inInstruction)) continue;
+
+    if (char === LINE_BREAK || char === NON_BREAKING_SPACE) {
+      text += ' ';
+    } else if (char === NON_BREAKING_HYPHEN) {
+      text += '-';
+    } else if (char.charCodeAt(0) >= 0x20 || char === '\t') {
+      // Remaining control characters mark pictures, page breaks and other objects
+      text += char;
+    }
+  }
+
+  return text.replace(/[ \t]+/g, ' ').trim();
+}
+
+/**
+ * Extract paragraphs from a Word 97-2003 document
+ * @param {Buffer} docBuffer - .doc file contents
+ * @returns {Array<Object>} Paragraphs with text, list and heading information
+ * @throws {EncryptedFileError} If the document is password protected
+ * @throws {CorruptFileError} If the document structure cannot be read
+ */
+function extractDocParagraphs(docBuffer) {
+  let container;
+  try {
+    container = CFB.read(docBuffer, { type: 'buffer' });
+  } catch (error) {
+    throw new CorruptFileError(`Document is not a valid Word 97-2003 file: ${error.message}`, 'doc');
+  }
+
+  // Office encrypts the whole package into an EncryptionInfo stream when a password is set
+  if (CFB.find(container, 'EncryptionInfo')) {
+    throw new EncryptedFileError('Password protected Word documents cannot be converted. Please remove the password and upload again.', 'doc');
+  }
+
+  const wordDocument = readStream(container, 'WordDocument');
+  if (!wordDocument) {
+    throw new CorruptFileError('Document does not contain a WordDocument stream', 'doc');
+  }
+
+  try {
+    const fib = parseFib(wordDocument);
+    const tableStream = readStream(container, fib.tableStreamName);
+
+    if (!tableStream) {
+      throw new CorruptFileError(`Document is missing its ${fib.tableStreamName} stream`, 'doc');
+    }
+
+    const pieces = parsePieceTable(tableStream, fib.clx);
+    const characters = readMainText(wordDocument, pieces, fib.ccpText);
+    const runs = parseParagraphRuns(wordDocument, tableStream, fib.plcfBtePapx);
+
+    const findRun = (fc) => runs.find(run => fc >= run.fcStart && fc < run.fcEnd);
+
+    const paragraphs = [];
+    let current = [];
+    let tableRow = [];
+
+    const flushTableRow = () => {
+      if (tableRow.some(cell => cell)) {
+        paragraphs.push({ text: tableRow.join(' | '), cells: tableRow, isListItem: false, listLevel: 0, headingLevel: null });
+      }
+      tableRow = [];
+    };
+
+    for (const character of characters) {
+      if (character.char !== PARAGRAPH_MARK && character.char !== CELL_MARK) {
+        current.push(character);
+        continue;
+      }
+
+      const text = renderParagraphText(current);
+      const run = findRun(character.fc) || {};
+      current = [];
+
+      // Cells are collected until the row end mark so each table row becomes one paragraph
+      if (character.char === CELL_MARK) {
+        if (run.isRowEnd) {
+          flushTableRow();
+        } else {
+          tableRow.push(text);
+        }
+        continue;
+      }
+
+      if (!text) continue;
+
+      // Built-in heading styles occupy the fixed style indexes 1-9
+      const headingLevel = run.istd >= 1 && run.istd <= 9
+        ? run.istd
+        : (Number.isInteger(run.outlineLevel) && run.outlineLevel < 9 ? run.outlineLevel + 1 : null);
+
+      paragraphs.push({
+        text,
+        isListItem: run.ilfo > 0,
+        listLevel: run.ilfo > 0 ? run.ilvl : 0,
+        headingLevel: run.ilfo > 0 ? null : headingLevel
+      });
+    }
+
+    // Tables without row end properties still have their cells flushed at the end
+    flushTableRow();
+
+    return paragraphs;
+  } catch (error) {
+    if (error instanceof UnsupportedFileTypeError) throw error;
+
+    // Buffer reads past the end of a stream mean the structures point at garbage
+    throw new CorruptFileError(`Word document structure is corrupt: ${error.message}`, 'doc');
+  }
+}
+
+module.exports = {
+  extractDocParagraphs
+};
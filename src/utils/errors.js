@@ -112,6 +112,21 @@ class BadGatewayError extends AppError {
   }
 }
 
+/**
+ * Error for failures of internal and external services (AI, LLM APIs, queue)
+ */
+class ServiceError extends AppError {
+  /**
+   * Create a new ServiceError
+   * @param {string} message - Error message
+   * @param {string} type - Kind of failure, e.g. 'validation', 'llm-api' or 'queue'
+   */
+  constructor(message = 'Service error', type = 'unknown') {
+    super(message, 500, 'SERVICE_ERROR');
+    this.type = type;
+  }
+}
+
 /**
  * Error for file operations
  */
@@ -143,6 +158,51 @@ class UnsupportedFileTypeError extends FileError {
   }
 }
 
+/**
+ * Error for files that are password protected or encrypted
+ */
+class EncryptedFileError extends UnsupportedFileTypeError {
+  /**
+   * Create a new EncryptedFileError
+   * @param {string} message - Error message
+   * @param {string} fileType - Encrypted file type
+   */
+  constructor(message = 'File is password protected or encrypted', fileType = 'unknown') {
+    super(message, fileType);
+    this.code = 'ENCRYPTED_FILE';
+  }
+}
+
+/**
+ * Error for files whose structure cannot be read
+ */
+class CorruptFileError extends UnsupportedFileTypeError {
+  /**
+   * Create a new CorruptFileError
+   * @param {string} message - Error message
+   * @param {string} fileType - Corrupt file type
+   */
+  constructor(message = 'File is corrupt or unreadable', fileType = 'unknown') {
+    super(message, fileType);
+    this.code = 'CORRUPT_FILE';
+  }
+}
+
+/**
+ * Error for customized resumes that make claims the original does not support
+ */
+class VerificationError extends AppError {
+  /**
+   * Create a new VerificationError
+   * @param {string} message - Error message
+   * @param {Object} report - Verification report with the unsupported claims
+   */
+  constructor(message = 'Customized resume failed verification', report = null) {
+    super(message, 422, 'VERIFICATION_FAILED');
+    this.report = report;
+  }
+}
+
 /**
  * Factory to create appropriate error from generic Error
  * @param {Error} error - Original error
@@ -193,7 +253,11 @@ module.exports = {
   ForbiddenError,
   ServiceUnavailableError,
   BadGatewayError,
+  ServiceError,
   FileError,
   UnsupportedFileTypeError,
+  EncryptedFileError,
+  CorruptFileError,
+  VerificationError,
   createAppError
 };
@@ -7,6 +7,27 @@
 const path = require('path');
 const crypto = require('crypto');
 
+/**
+ * Supported upload types keyed by file extension
+ */
+const FILE_TYPES = {
+  '.pdf': { fileType: 'pdf', mimeType: 'application/pdf' },
+  '.doc': { fileType: 'doc', mimeType: 'application/msword' },
+  '.docx': { fileType: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  '.md': { fileType: 'md', mimeType: 'text/markdown', aliases: ['text/x-markdown', 'text/plain'] },
+  '.markdown': { fileType: 'md', mimeType: 'text/markdown', aliases: ['text/x-markdown', 'text/plain'] },
+  '.txt': { fileType: 'txt', mimeType: 'text/plain' },
+  '.html': { fileType: 'html', mimeType: 'text/html' },
+  '.htm': { fileType: 'html', mimeType: 'text/html' },
+  '.json': { fileType: 'json', mimeType: 'application/json' }
+};
+
+// File types whose content is text and needs no document parsing
+const TEXT_FILE_TYPES = ['md', 'txt', 'html', 'json'];
+
+// Browsers send this for extensions they do not know, e.g. .md on Windows
+const GENERIC_MIME_TYPE = 'application/octet-stream';
+
 /**
  * Determine file type from filename extension
  * @param {string} filename - Original filename
@@ -15,20 +36,42 @@ const crypto = require('crypto');
  */
 const getFileTypeFromExtension = (filename) => {
   const fileExtension = path.extname(filename).toLowerCase();
+  const type = FILE_TYPES[fileExtension];
   
-  if (fileExtension === '.pdf') {
-    return { fileType: 'pdf', mimeType: 'application/pdf' };
-  } else if (fileExtension === '.doc') {
-    return { fileType: 'doc', mimeType: 'application/msword' };
-  } else if (fileExtension === '.docx') {
-    return { fileType: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' };
+  if (type) {
+    return { fileType: type.fileType, mimeType: type.mimeType };
   }
   
-  const error = new Error('Unsupported file type. Only PDF, DOC, and DOCX files are allowed.');
+  const error = new Error('Unsupported file type. Only PDF, DOC, DOCX, MD, TXT, HTML, and JSON files are allowed.');
   error.statusCode = 400;
   throw error;
 };
 
+/**
+ * Check whether an uploaded file is of a supported type
+ * @param {string} filename - Original filename
+ * @param {string} mimeType - MIME type reported by the client
+ * @returns {boolean} Whether the extension is supported and matches the MIME type
+ */
+const isSupportedUpload = (filename, mimeType) => {
+  const type = FILE_TYPES[path.extname(filename).toLowerCase()];
+  
+  if (!type) {
+    return false;
+  }
+  
+  return mimeType === type.mimeType ||
+    mimeType === GENERIC_MIME_TYPE ||
+    (type.aliases || []).includes(mimeType);
+};
+
+/**
+ * Check whether a file type holds plain text content
+ * @param {string} fileType - File type (pdf, doc, docx, md, txt, html, json)
+ * @returns {boolean} Whether the file type is text based
+ */
+const isTextFileType = (fileType) => TEXT_FILE_TYPES.includes(fileType);
+
 /**
  * Generate a unique filename for storage
  * @param {string} userId - User ID
@@ -42,24 +85,18 @@ const generateUniqueFilename = (userId, originalFilename) => {
 
 /**
  * Get content type from file type
- * @param {string} fileType - File type (pdf, doc, docx)
+ * @param {string} fileType - File type (pdf, doc, docx, md, txt, html, json)
  * @returns {string} Content type
  */
 const getContentTypeFromFileType = (fileType) => {
-  switch (fileType) {
-  case 'pdf':
-    return 'application/pdf';
-  case 'doc':
-    return 'application/msword';
-  case 'docx':
-    return 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
-  default:
-    return 'application/octet-stream';
-  }
+  const type = Object.values(FILE_TYPES).find(entry => entry.fileType === fileType);
+  return type ? type.mimeType : GENERIC_MIME_TYPE;
 };
 
 module.exports = {
   getFileTypeFromExtension,
+  isSupportedUpload,
+  isTextFileType,
   generateUniqueFilename,
   getContentTypeFromFileType
 };
@@ -0,0 +1,91 @@
+/**
+ * Utility to convert HTML fragments to Markdown format
+ */
+const TurndownService = require('turndown');
+
+/**
+ * Escape characters that would break a Markdown table cell
+ *
+ * @param {string} content - Cell content
+ * @returns {string} Escaped cell content
+ */
+const escapeTableCell = (content) => content
+  .replace(/\n+/g, ' ')
+  .replace(/\|/g, '\\|')
+  .trim();
+
+/**
+ * Create a configured Turndown instance
+ *
+ * Tables are rendered as GFM tables, using the first row as the header
+ * row since Word and most HTML resumes do not mark header cells.
+ *
+ * @returns {TurndownService} Turndown service
+ */
+const createTurndownService = () => {
+  const turndownService = new TurndownService({
+    headingStyle: 'atx',
+    bulletListMarker: '-',
+    codeBlockStyle: 'fenced',
+    emDelimiter: '_',
+    strongDelimiter: '**'
+  });
+
+  // Drop elements that never carry resume content
+  turndownService.remove(['script', 'style', 'head', 'title', 'meta', 'noscript']);
+
+  turndownService.addRule('tableCell', {
+    filter: ['th', 'td'],
+    replacement: (content) => ` ${escapeTableCell(content)} |`
+  });
+
+  turndownService.addRule('tableRow', {
+    filter: 'tr',
+    replacement: (content, node) => {
+      let row = `|${content}\n`;
+
+      // Emit the separator line after the first row of the table
+      const table = node.closest('table');
+      if (table && table.rows[0] === node) {
+        const separator = Array.from(node.cells).map(() => ' --- |').join('');
+        row += `|${separator}\n`;
+      }
+
+      return row;
+    }
+  });
+
+  turndownService.addRule('tableSection', {
+    filter: ['thead', 'tbody', 'tfoot'],
+    replacement: (content) => content
+  });
+
+  turndownService.addRule('table', {
+    filter: 'table',
+    replacement: (content) => `\n\n${content.trim()}\n\n`
+  });
+
+  return turndownService;
+};
+
+const turndownService = createTurndownService();
+
+/**
+ * Convert HTML to Markdown
+ *
+ * @param {string} html - HTML content
+ * @returns {string} Markdown content
+ */
+const htmlToMarkdown = (html) => {
+  if (!html || html.trim() === '') {
+    return '';
+  }
+
+  return turndownService.turndown(html)
+    // Turndown pads list markers to four columns; use a single space instead
+    .replace(/^([ \t]*)(-|\d+\.)[ \t]+/gm, '$1$2 ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+};
+
+module.exports = htmlToMarkdown;
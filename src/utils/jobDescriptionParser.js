@@ -0,0 +1,558 @@
+/**
+ * Job Description Parser
+ *
+ * This module reads a job description into a structured record of its
+ * requirements: title, seniority, must-have and nice-to-have skills, years of
+ * experience, location and remote policy, salary range and benefits. Every
+ * field carries a confidence from 0 to 1 telling how directly the posting
+ * stated it, 0 meaning the field was not found.
+ *
+ * Skills from the known skill list are named by their canonical name. Other
+ * requirements listed in the requirements sections, such as licences,
+ * certifications and degrees, are kept as the posting words them.
+ */
+
+const { REQUIRED_HEADING_REGEX, PREFERRED_REGEX, isHeading, findSkills } = require('./atsScorer');
+const { stripInlineMarkdown } = require('./jsonResume');
+
+// Version of the record layout, bumped when its fields change
+const JOB_REQUIREMENTS_VERSION = 2;
+
+// Fields less certain than this are left out of prompts
+const PROMPT_MIN_CONFIDENCE = 0.5;
+
+/**
+ * Confidence of a field by how it was found
+ */
+const Confidence = {
+  // Given with the customization request
+  PROVIDED: 1,
+  // Written after a label such as "Location:" or next to the word it qualifies
+  LABELED: 0.9,
+  // Listed in a section of the posting such as "Requirements"
+  SECTION: 0.8,
+  // Written in the text without a label
+  STATED: 0.7,
+  // Found in a posting that does not say what it is for
+  MENTIONED: 0.5,
+  // Derived from another field
+  INFERRED: 0.4,
+  NONE: 0
+};
+
+/**
+ * Seniority levels, with the words of a job title that name them, most senior first
+ */
+const SENIORITY_TERMS = [
+  ['executive', /\b(?:chief|c[eotfi]o|vp|vice president|head of|director)\b/i],
+  ['principal', /\b(?:principal|staff|distinguished)\b/i],
+  ['lead', /\b(?:lead|manager)\b/i],
+  ['senior', /\b(?:senior|sr)\b/i],
+  ['mid', /\b(?:mid[- ]?level|intermediate)\b/i],
+  ['junior', /\b(?:junior|jr|entry[- ]level|graduate|associate)\b/i],
+  ['intern', /\b(?:intern|internship|trainee|apprentice)\b/i]
+];
+
+// Seniority stated in the text, e.g. "This is a senior-level position"
+const SENIORITY_LEVEL_REGEX = /\b(entry|junior|mid|senior|lead|principal|executive)[- ]level\b/i;
+
+// Words that end a job title
+const ROLE_NOUN_REGEX = /\b(?:engineer|developer|programmer|architect|manager|designer|analyst|scientist|administrator|consultant|specialist|nurse|accountant|coordinator|director|lead|officer|representative|assistant|technician|writer|editor|marketer|recruiter|teacher|intern)s?\b/i;
+
+const TITLE_LABEL_REGEX = /^(?:job title|title|position|role)\s*:\s*(.+)$/i;
+const LOCATION_LABEL_REGEX = /^(?:location|work location|based in|office)\s*:\s*(.+)$/i;
+const EXPERIENCE_REGEX = /\bexperience\b/i;
+const SALARY_LINE_REGEX = /\b(?:salary|compensation|pay|paid|base|ote|range|wage)\b/i;
+const BENEFITS_HEADING_REGEX = /\b(?:benefits|perks|what we offer|we offer|why join us|compensation)\b/i;
+const REQUIRED_LINE_REGEX = /\b(?:must|required|requirement)\b/i;
+const CREDENTIAL_REGEX = /\b(?:licen[cs](?:e[ds]?|ure)|certifi(?:ed|cations?|cates?)|registered|board[- ]certified|accredited)\b/i;
+const DEGREE_REGEX = /\b(?:degree|bachelor'?s?|master'?s?|diploma|ph\.?d|doctorate|b\.s|m\.s|bsc|msc|bsn|msn|mba)\b/i;
+
+/**
+ * Kinds of requirement
+ */
+const RequirementType = {
+  SKILL: 'skill',
+  CREDENTIAL: 'credential',
+  EDUCATION: 'education',
+  EXPERIENCE: 'experience',
+  OTHER: 'other'
+};
+
+// Years of experience, e.g. "5+ years", "3-5 years" or "at least 4 yrs"
+const YEARS_REGEX = /\b(\d{1,2})\s*\+?\s*(?:(?:-|–|to)\s*(\d{1,2})\s*\+?\s*)?(?:years?|yrs?)\b/i;
+
+// A line asking for nothing but years, which the years of experience field holds
+const YEARS_ONLY_REGEX = new RegExp(
+  `^(?:at least |minimum(?: of)? )?${YEARS_REGEX.source}(?: of)?(?: (?:relevant |professional |work )?experience)?\\.?$`,
+  'i'
+);
+
+/**
+ * Remote policies, with the words that state them; hybrid goes first so
+ * "hybrid, two days in the office" is not read as on-site
+ */
+const REMOTE_POLICIES = [
+  ['hybrid', /\bhybrid\b/i],
+  ['onsite', /\b(?:on[- ]?site|in[- ](?:the[- ])?office|office[- ]based)\b/i],
+  ['remote', /\b(?:fully remote|remote[- ]first|100% remote|remote(?![- ](?:teams?|colleagues?)\b))\b/i]
+];
+
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'CAD', 'AUD', 'CHF'];
+const AMOUNT = '(\\d{1,3}(?:[,.]\\d{3})+|\\d+(?:\\.\\d+)?)\\s?([kK])?';
+const CURRENCY = `(?:([$€£])|\\b(${CURRENCY_CODES.join('|')})\\s?)`;
+const SALARY_RANGE_REGEX = new RegExp(
+  `${CURRENCY}\\s?${AMOUNT}\\s*(?:-|–|—|to)\\s*(?:[$€£]|\\b(?:${CURRENCY_CODES.join('|')})\\s?)?\\s?${AMOUNT}`
+);
+const SALARY_AMOUNT_REGEX = new RegExp(`${CURRENCY}\\s?${AMOUNT}`);
+
+/**
+ * Benefits recognised outside a benefits section
+ */
+const BENEFIT_TERMS = {
+  'health insurance': /\b(?:health|medical) (?:insurance|coverage|care|plan)\b/i,
+  'dental insurance': /\bdental\b/i,
+  'vision insurance': /\bvision (?:insurance|coverage|care|plan)\b/i,
+  'retirement plan': /\b(?:401\(?k\)?|pension|retirement plan)\b/i,
+  'equity': /\b(?:equity|stock options?|rsus?|esop)\b/i,
+  'bonus': /\b(?:annual|performance|signing|sign-on|yearly) bonus\b/i,
+  'paid time off': /\b(?:paid time off|pto|vacation days|paid holidays?)\b/i,
+  'parental leave': /\b(?:parental|maternity|paternity) leave\b/i,
+  'learning budget': /\b(?:learning|training|education|conference) (?:budget|stipend|allowance)\b/i,
+  'flexible hours': /\bflexible (?:hours|working hours|schedule)\b/i,
+  'wellness stipend': /\b(?:wellness|gym|wellbeing) (?:stipend|allowance|membership|program)\b/i
+};
+
+// Benefits kept from a benefits section
+const MAX_BENEFITS = 12;
+
+/**
+ * Create a field of the record
+ *
+ * @param {*} value - Value, null or an empty list when not found
+ * @param {number} confidence - Confidence from Confidence
+ * @returns {{value: *, confidence: number}} Field
+ */
+const field = (value, confidence) => ({ value, confidence: value === null ? Confidence.NONE : confidence });
+
+/**
+ * Split a job description into clean lines tagged with the section they are in
+ *
+ * @param {string} jobDescription - Job description text
+ * @returns {Array<{text: string, section: string, heading: boolean}>} Lines, the section being
+ *   required, preferred, benefits or other
+ */
+const readLines = (jobDescription) => {
+  let section = 'other';
+
+  return (jobDescription || '').split('\n').reduce((lines, rawLine) => {
+    const text = stripInlineMarkdown(rawLine.replace(/^\s*(?:[-*+•]|\d+\.)\s+/, '').replace(/^#+\s*/, ''));
+    if (!text) {
+      return lines;
+    }
+
+    const heading = isHeading(rawLine.trim()) && !TITLE_LABEL_REGEX.test(text) && !LOCATION_LABEL_REGEX.test(text);
+    if (heading) {
+      // "Preferred qualifications" is a preferred section, not a required one
+      if (BENEFITS_HEADING_REGEX.test(text)) {
+        section = 'benefits';
+      } else if (PREFERRED_REGEX.test(text)) {
+        section = 'preferred';
+      } else if (REQUIRED_HEADING_REGEX.test(text)) {
+        section = 'required';
+      } else {
+        section = 'other';
+      }
+    }
+
+    lines.push({ text, section, heading });
+    return lines;
+  }, []);
+};
+
+/**
+ * Find the job title
+ *
+ * @param {Array<Object>} lines - Lines from readLines
+ * @param {string} providedTitle - Title given with the request
+ * @returns {{value: string|null, confidence: number}} Title field
+ */
+const parseTitle = (lines, providedTitle) => {
+  if (providedTitle && providedTitle.trim()) {
+    return field(providedTitle.trim(), Confidence.PROVIDED);
+  }
+
+  const labeled = lines.map(line => line.text.match(TITLE_LABEL_REGEX)).find(Boolean);
+  if (labeled) {
+    return field(labeled[1].trim(), Confidence.LABELED);
+  }
+
+  // Postings often open with the title, e.g. "Senior Backend Engineer at Acme"
+  const [first] = lines;
+  if (first && first.text.split(/\s+/).length <= 10 && ROLE_NOUN_REGEX.test(first.text)) {
+    const title = first.text.replace(/\s+(?:at|@|-|–|—|\|)\s+.*$/, '').replace(/[:.]$/, '').trim();
+    return field(title, first.heading ? Confidence.STATED : Confidence.MENTIONED);
+  }
+
+  return field(null);
+};
+
+/**
+ * Find the years of experience asked for
+ *
+ * @param {Array<Object>} lines - Lines from readLines
+ * @returns {{value: {min: number, max: number|null}|null, confidence: number}} Years of experience field
+ */
+const parseYearsOfExperience = (lines) => {
+  const candidates = lines
+    .map(line => {
+      const match = line.text.match(YEARS_REGEX);
+      if (!match) {
+        return null;
+      }
+
+      let confidence = Confidence.NONE;
+      if (EXPERIENCE_REGEX.test(line.text)) {
+        confidence = Confidence.LABELED;
+      } else if (line.section === 'required') {
+        confidence = Confidence.STATED;
+      }
+
+      const min = parseInt(match[1], 10);
+      const max = match[2] ? parseInt(match[2], 10) : null;
+      return { value: { min, max: max !== null && max > min ? max : null }, confidence };
+    })
+    .filter(candidate => candidate && candidate.confidence > Confidence.NONE);
+
+  if (candidates.length === 0) {
+    return field(null);
+  }
+
+  const best = candidates.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+  return field(best.value, best.confidence);
+};
+
+/**
+ * Find the seniority of the role from its title, the text or the years of experience
+ *
+ * @param {Array<Object>} lines - Lines from readLines
+ * @param {Object} title - Title field
+ * @param {Object} yearsOfExperience - Years of experience field
+ * @returns {{value: string|null, confidence: number}} Seniority field
+ */
+const parseSeniority = (lines, title, yearsOfExperience) => {
+  if (title.value) {
+    const fromTitle = SENIORITY_TERMS.find(([, regex]) => regex.test(title.value));
+    if (fromTitle) {
+      return field(fromTitle[0], Math.min(title.confidence, Confidence.LABELED));
+    }
+  }
+
+  const stated = lines.map(line => line.text.match(SENIORITY_LEVEL_REGEX)).find(Boolean);
+  if (stated) {
+    const level = stated[1].toLowerCase();
+    return field(level === 'entry' ? 'junior' : level, Confidence.STATED);
+  }
+
+  if (yearsOfExperience.value) {
+    const { min } = yearsOfExperience.value;
+    let level = 'lead';
+    if (min < 2) {
+      level = 'junior';
+    } else if (min < 5) {
+      level = 'mid';
+    } else if (min < 8) {
+      level = 'senior';
+    }
+    return field(level, Confidence.INFERRED);
+  }
+
+  return field(null);
+};
+
+/**
+ * Tell what kind of requirement a skill or requirement phrase is
+ *
+ * @param {string} requirement - Skill from the skill list or requirement as the posting words it
+ * @returns {string} Type from RequirementType
+ */
+const classifyRequirement = (requirement) => {
+  if (findSkills(requirement)[0] === requirement) {
+    return RequirementType.SKILL;
+  }
+  if (CREDENTIAL_REGEX.test(requirement)) {
+    return RequirementType.CREDENTIAL;
+  }
+  if (DEGREE_REGEX.test(requirement)) {
+    return RequirementType.EDUCATION;
+  }
+  if (EXPERIENCE_REGEX.test(requirement) || YEARS_REGEX.test(requirement)) {
+    return RequirementType.EXPERIENCE;
+  }
+  return RequirementType.OTHER;
+};
+
+/**
+ * List what a line asks for: the known skills it names and, for a line of a
+ * requirements section, the line itself when the skill list does not cover it
+ * or it names a licence, certification or degree
+ *
+ * @param {Object} line - Line from readLines
+ * @returns {Array<string>} Skills and requirement phrases
+ */
+const requirementsOf = (line) => {
+  const skills = findSkills(line.text);
+  const listed = line.section === 'required' || line.section === 'preferred';
+  const keepPhrase = listed && !YEARS_ONLY_REGEX.test(line.text) &&
+    (skills.length === 0 || CREDENTIAL_REGEX.test(line.text) || DEGREE_REGEX.test(line.text));
+
+  return keepPhrase ? [...skills, line.text.replace(/[.;,]$/, '')] : skills;
+};
+
+/**
+ * Sort the skills and requirements of the posting into must-have and nice-to-have ones
+ *
+ * @param {Array<Object>} lines - Lines from readLines
+ * @returns {{mustHaveSkills: Object, niceToHaveSkills: Object}} Skill fields
+ */
+const parseSkills = (lines) => {
+  const mustHave = new Set();
+  const niceToHave = new Set();
+  const mentioned = new Set();
+
+  lines.filter(line => !line.heading && line.section !== 'benefits').forEach(line => {
+    requirementsOf(line).forEach(skill => {
+      if (line.section === 'preferred' || PREFERRED_REGEX.test(line.text)) {
+        niceToHave.add(skill);
+      } else if (line.section === 'required' || REQUIRED_LINE_REGEX.test(line.text)) {
+        mustHave.add(skill);
+      } else {
+        mentioned.add(skill);
+      }
+    });
+  });
+
+  mustHave.forEach(skill => niceToHave.delete(skill));
+
+  // A posting without stated requirements asks for every skill it mentions
+  const stated = mustHave.size > 0;
+  const required = stated ? [...mustHave] : [...mentioned].filter(skill => !niceToHave.has(skill));
+  const nice = [...niceToHave];
+
+  let requiredConfidence = Confidence.NONE;
+  if (stated) {
+    requiredConfidence = Confidence.SECTION;
+  } else if (required.length > 0) {
+    requiredConfidence = Confidence.MENTIONED;
+  }
+
+  return {
+    mustHaveSkills: { value: required, confidence: requiredConfidence },
+    niceToHaveSkills: {
+      value: nice,
+      confidence: nice.length === 0 ? Confidence.NONE : Confidence.SECTION
+    }
+  };
+};
+
+/**
+ * Find where the job is and whether it can be done remotely
+ *
+ * @param {Array<Object>} lines - Lines from readLines
+ * @returns {{value: {place: string|null, remotePolicy: string|null}|null, confidence: number}} Location
+ *   field, the remote policy being remote, hybrid or onsite
+ */
+const parseLocation = (lines) => {
+  const policyOf = (text) => {
+    const policy = REMOTE_POLICIES.find(([, regex]) => regex.test(text));
+    return policy ? policy[0] : null;
+  };
+
+  const labeled = lines.map(line => line.text.match(LOCATION_LABEL_REGEX)).find(Boolean);
+  if (labeled) {
+    const text = labeled[1].trim();
+    const remotePolicy = policyOf(text) || lines.map(line => policyOf(line.text)).find(Boolean) || null;
+    // "Location: Remote" names a policy, not a place
+    const place = text.replace(/\(?\b(?:fully remote|remote|hybrid|on[- ]?site)\b\)?/gi, '').replace(/^[\s,/|-]+|[\s,/|-]+$/g, '');
+    return field({ place: place || null, remotePolicy }, Confidence.LABELED);
+  }
+
+  const remotePolicy = lines.map(line => policyOf(line.text)).find(Boolean);
+  return remotePolicy ? field({ place: null, remotePolicy }, Confidence.STATED) : field(null);
+};
+
+/**
+ * Read an amount such as "120,000", "95.5k" or "1.200.000" in units
+ *
+ * @param {string} amount - Digits of the amount
+ * @param {string} thousands - "k" when the amount is in thousands
+ * @returns {number} Amount
+ */
+const readAmount = (amount, thousands) => {
+  const value = /^\d{1,3}(?:[,.]\d{3})+$/.test(amount)
+    ? parseInt(amount.replace(/[,.]/g, ''), 10)
+    : parseFloat(amount);
+  return Math.round(thousands ? value * 1000 : value);
+};
+
+/**
+ * Find the salary range of the job
+ *
+ * @param {Array<Object>} lines - Lines from readLines
+ * @returns {{value: {min: number, max: number, currency: string, period: string}|null, confidence: number}}
+ *   Salary field, the period being hour, month or year
+ */
+const parseSalaryRange = (lines) => {
+  const candidates = lines.map(line => {
+    const onSalaryLine = SALARY_LINE_REGEX.test(line.text) || line.section === 'benefits';
+    const range = line.text.match(SALARY_RANGE_REGEX);
+    const single = !range && onSalaryLine ? line.text.match(SALARY_AMOUNT_REGEX) : null;
+    const match = range || single;
+    if (!match) {
+      return null;
+    }
+
+    const [, symbol, code, minAmount, minThousands, maxAmount, maxThousands] = match;
+    const min = readAmount(minAmount, minThousands);
+    // "$120-150k" puts the thousands on the upper bound only
+    const max = range ? readAmount(maxAmount, maxThousands) : min;
+    const scaledMin = range && !minThousands && maxThousands && min < 1000 ? min * 1000 : min;
+
+    let period = 'year';
+    if (/\b(?:per|an?|\/)\s?(?:hour|hr)\b|\bhourly\b/i.test(line.text)) {
+      period = 'hour';
+    } else if (/\b(?:per|a|\/)\s?month\b|\bmonthly\b/i.test(line.text)) {
+      period = 'month';
+    }
+
+    let confidence = Confidence.MENTIONED;
+    if (range && onSalaryLine) {
+      confidence = Confidence.LABELED;
+    } else if (onSalaryLine) {
+      confidence = Confidence.STATED;
+    }
+
+    return {
+      value: { min: scaledMin, max, currency: symbol ? CURRENCY_SYMBOLS[symbol] : code, period },
+      confidence
+    };
+  }).filter(Boolean);
+
+  if (candidates.length === 0) {
+    return field(null);
+  }
+
+  const best = candidates.reduce((a, b) => (b.confidence > a.confidence ? b : a));
+  return field(best.value, best.confidence);
+};
+
+/**
+ * List the benefits of the job
+ *
+ * @param {Array<Object>} lines - Lines from readLines
+ * @returns {{value: Array<string>, confidence: number}} Benefits field
+ */
+const parseBenefits = (lines) => {
+  const listed = lines
+    .filter(line => line.section === 'benefits' && !line.heading && !SALARY_RANGE_REGEX.test(line.text))
+    .map(line => line.text.replace(/[.;]$/, ''))
+    .slice(0, MAX_BENEFITS);
+
+  if (listed.length > 0) {
+    return { value: listed, confidence: Confidence.SECTION };
+  }
+
+  const text = lines.map(line => line.text).join('\n');
+  const mentioned = Object.keys(BENEFIT_TERMS).filter(benefit => BENEFIT_TERMS[benefit].test(text));
+  return { value: mentioned, confidence: mentioned.length > 0 ? Confidence.MENTIONED : Confidence.NONE };
+};
+
+/**
+ * Parse a job description into a structured record of its requirements
+ *
+ * @param {string} jobDescription - Job description text
+ * @param {Object} options - Parsing options
+ * @param {string} options.jobTitle - Job title given with the request, preferred over the posting's
+ * @returns {Object} Record with a {value, confidence} pair for title, seniority, mustHaveSkills,
+ *   niceToHaveSkills, yearsOfExperience, location, salaryRange and benefits
+ */
+const parseJobDescription = (jobDescription, options = {}) => {
+  const lines = readLines(jobDescription);
+  const title = parseTitle(lines, options.jobTitle);
+  const yearsOfExperience = parseYearsOfExperience(lines);
+
+  return {
+    version: JOB_REQUIREMENTS_VERSION,
+    title,
+    seniority: parseSeniority(lines, title, yearsOfExperience),
+    ...parseSkills(lines),
+    yearsOfExperience,
+    location: parseLocation(lines),
+    salaryRange: parseSalaryRange(lines),
+    benefits: parseBenefits(lines),
+    parsedAt: new Date().toISOString()
+  };
+};
+
+/**
+ * Write the requirements a resume should answer as prompt text
+ *
+ * Salary and benefits say nothing about how to write the resume, and
+ * uncertain fields would steer the model wrong, so both are left out.
+ *
+ * @param {Object} requirements - Record from parseJobDescription
+ * @param {number} minConfidence - Confidence a field needs to be written
+ * @returns {string} One line per field, empty when nothing is certain enough
+ */
+const formatJobRequirements = (requirements, minConfidence = PROMPT_MIN_CONFIDENCE) => {
+  if (!requirements) {
+    return '';
+  }
+
+  const certain = (name) => {
+    const { value, confidence } = requirements[name] || {};
+    const found = Array.isArray(value) ? value.length > 0 : value !== null && value !== undefined;
+    return found && confidence >= minConfidence ? value : null;
+  };
+
+  const lines = [];
+  const title = certain('title');
+  const seniority = certain('seniority');
+  const mustHaveSkills = certain('mustHaveSkills');
+  const niceToHaveSkills = certain('niceToHaveSkills');
+  const years = certain('yearsOfExperience');
+  const location = certain('location');
+
+  if (title) {
+    lines.push(`- Title: ${title}`);
+  }
+  if (seniority) {
+    lines.push(`- Seniority: ${seniority}`);
+  }
+  // Requirement phrases may hold commas of their own
+  if (mustHaveSkills) {
+    lines.push(`- Must-have requirements: ${mustHaveSkills.join('; ')}`);
+  }
+  if (niceToHaveSkills) {
+    lines.push(`- Nice-to-have requirements: ${niceToHaveSkills.join('; ')}`);
+  }
+  if (years) {
+    lines.push(`- Years of experience: ${years.max ? `${years.min} to ${years.max}` : `${years.min}+`}`);
+  }
+  if (location) {
+    const place = [location.place, location.remotePolicy].filter(Boolean).join(', ');
+    lines.push(`- Location: ${place}`);
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  JOB_REQUIREMENTS_VERSION,
+  Confidence,
+  RequirementType,
+  classifyRequirement,
+  parseJobDescription,
+  formatJobRequirements
+};
@@ -0,0 +1,673 @@
+/**
+ * JSON Resume Utilities
+ *
+ * This module validates documents against the JSON Resume schema
+ * (https://jsonresume.org/schema), renders them to the Markdown layout used
+ * throughout the customization pipeline and parses that Markdown back into
+ * JSON Resume documents.
+ */
+
+const Joi = require('joi');
+const { lexer } = require('marked');
+const { ValidationError } = require('./errors');
+
+const JSON_RESUME_SCHEMA_URL = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Dates as written in resumes: "Mar 2020", "March 2020", "03/2020", "2020-03" or "2020"
+const DATE_PATTERN = '(?:[A-Za-z]{3,9}\\.?\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4}-\\d{2}(?:-\\d{2})?|\\d{4})';
+const DATE_RANGE_REGEX = new RegExp(`(${DATE_PATTERN})\\s*(?:-|–|—|to)\\s*(${DATE_PATTERN}|present|current|now)`, 'i');
+const SINGLE_DATE_REGEX = new RegExp(`^${DATE_PATTERN}$`);
+const ISO_DATE_REGEX = /^([1-2][0-9]{3}-[0-1][0-9]-[0-3][0-9]|[1-2][0-9]{3}-[0-1][0-9]|[1-2][0-9]{3})$/;
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[\d\s().-]{7,}$/;
+const URL_REGEX = /^(https?:\/\/)?([\w-]+\.)+[a-z]{2,}(\/\S*)?$/i;
+const PROFILE_NETWORKS = ['LinkedIn', 'GitHub', 'GitLab', 'Twitter', 'Stack Overflow', 'Medium', 'Dribbble', 'Behance'];
+
+/**
+ * Section headings keyed by the JSON Resume property they map to,
+ * in the order the sections are rendered
+ */
+const SECTIONS = [
+  { key: 'summary', title: 'Summary', pattern: /summary|profile|about|objective/i },
+  { key: 'work', title: 'Experience', pattern: /experience|employment|work history|career/i },
+  { key: 'volunteer', title: 'Volunteer', pattern: /volunteer/i },
+  { key: 'education', title: 'Education', pattern: /education|academic/i },
+  { key: 'projects', title: 'Projects', pattern: /project/i },
+  { key: 'skills', title: 'Skills', pattern: /skill|technolog|competenc|expertise/i },
+  { key: 'certificates', title: 'Certifications', pattern: /certif|licen/i },
+  { key: 'awards', title: 'Awards', pattern: /award|honou?r|achievement/i },
+  { key: 'publications', title: 'Publications', pattern: /publication/i },
+  { key: 'languages', title: 'Languages', pattern: /^languages?$/i },
+  { key: 'interests', title: 'Interests', pattern: /interest|hobb/i },
+  { key: 'references', title: 'References', pattern: /reference/i }
+];
+
+// Volunteer experience must not be mistaken for work experience
+const SECTION_MATCH_ORDER = ['volunteer', 'summary', 'work', 'education', 'projects', 'skills',
+  'certificates', 'awards', 'publications', 'languages', 'interests', 'references'];
+
+/*
+ * JSON Resume schema (v1.0.0). Additional properties are allowed, as in the
+ * official schema, and empty strings are accepted since most exporters
+ * write them for blank fields.
+ */
+const text = () => Joi.string().allow('');
+const url = () => Joi.string().uri().allow('');
+const isoDate = () => Joi.string().pattern(ISO_DATE_REGEX).allow('')
+  .messages({ 'string.pattern.base': '{{#label}} must be an ISO 8601 date (YYYY, YYYY-MM or YYYY-MM-DD)' });
+const list = (item) => Joi.array().items(item);
+const entry = (keys) => Joi.object(keys).unknown(true);
+
+const jsonResumeSchema = Joi.object({
+  $schema: url(),
+  basics: entry({
+    name: text(),
+    label: text(),
+    image: text(),
+    email: Joi.string().email({ tlds: { allow: false } }).allow(''),
+    phone: text(),
+    url: url(),
+    summary: text(),
+    location: entry({
+      address: text(),
+      postalCode: text(),
+      city: text(),
+      countryCode: text(),
+      region: text()
+    }),
+    profiles: list(entry({ network: text(), username: text(), url: url() }))
+  }),
+  work: list(entry({
+    name: text(),
+    location: text(),
+    description: text(),
+    position: text(),
+    url: url(),
+    startDate: isoDate(),
+    endDate: isoDate(),
+    summary: text(),
+    highlights: list(text())
+  })),
+  volunteer: list(entry({
+    organization: text(),
+    position: text(),
+    url: url(),
+    startDate: isoDate(),
+    endDate: isoDate(),
+    summary: text(),
+    highlights: list(text())
+  })),
+  education: list(entry({
+    institution: text(),
+    url: url(),
+    area: text(),
+    studyType: text(),
+    startDate: isoDate(),
+    endDate: isoDate(),
+    score: text(),
+    courses: list(text())
+  })),
+  awards: list(entry({ title: text(), date: isoDate(), awarder: text(), summary: text() })),
+  certificates: list(entry({ name: text(), date: isoDate(), url: url(), issuer: text() })),
+  publications: list(entry({ name: text(), publisher: text(), releaseDate: isoDate(), url: url(), summary: text() })),
+  skills: list(entry({ name: text(), level: text(), keywords: list(text()) })),
+  languages: list(entry({ language: text(), fluency: text() })),
+  interests: list(entry({ name: text(), keywords: list(text()) })),
+  references: list(entry({ name: text(), reference: text() })),
+  projects: list(entry({
+    name: text(),
+    description: text(),
+    highlights: list(text()),
+    keywords: list(text()),
+    startDate: isoDate(),
+    endDate: isoDate(),
+    url: url(),
+    roles: list(text()),
+    entity: text(),
+    type: text()
+  })),
+  meta: entry({ canonical: url(), version: text(), lastModified: text() })
+}).unknown(true);
+
+/**
+ * Validate a document against the JSON Resume schema
+ *
+ * @param {Object} document - JSON Resume document
+ * @returns {Object} The validated document
+ * @throws {ValidationError} If the document does not match the schema
+ */
+const validateJsonResume = (document) => {
+  if (!document || typeof document !== 'object' || Array.isArray(document)) {
+    throw new ValidationError('JSON Resume document must be an object');
+  }
+
+  const { error, value } = jsonResumeSchema.validate(document, { abortEarly: false });
+
+  if (error) {
+    throw new ValidationError('Invalid JSON Resume document', error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    })));
+  }
+
+  return value;
+};
+
+/**
+ * Parse the text of a JSON Resume file
+ *
+ * @param {string} content - File content
+ * @returns {Object} Parsed document, not yet validated
+ * @throws {ValidationError} If the content is not valid JSON
+ */
+const parseJsonResume = (content) => {
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    throw new ValidationError(`JSON Resume file is not valid JSON: ${error.message}`);
+  }
+};
+
+/**
+ * Format an ISO 8601 date for display, e.g. 2020-03 as "Mar 2020"
+ *
+ * @param {string} date - ISO 8601 date
+ * @returns {string} Display date
+ */
+const formatDate = (date) => {
+  const [year, month] = date.split('-');
+  return month ? `${MONTHS[parseInt(month, 10) - 1]} ${year}` : year;
+};
+
+/**
+ * Parse a display date back into an ISO 8601 date
+ *
+ * @param {string} date - Display date
+ * @returns {string|undefined} ISO 8601 date, or undefined if not a date
+ */
+const parseDate = (date) => {
+  const value = date.trim().replace('.', '');
+  let match;
+
+  if (ISO_DATE_REGEX.test(value)) {
+    return value;
+  }
+  if ((match = value.match(/^(\d{1,2})\/(\d{4})$/))) {
+    return `${match[2]}-${match[1].padStart(2, '0')}`;
+  }
+  if ((match = value.match(/^([A-Za-z]{3,9})\s+(\d{4})$/))) {
+    const month = MONTHS.findIndex(name => name.toLowerCase() === match[1].slice(0, 3).toLowerCase());
+    return month === -1 ? match[2] : `${match[2]}-${String(month + 1).padStart(2, '0')}`;
+  }
+
+  return undefined;
+};
+
+/**
+ * Format a start and end date as a range
+ *
+ * @param {string} startDate - ISO 8601 start date
+ * @param {string} endDate - ISO 8601 end date, blank for ongoing
+ * @returns {string} Date range, empty when there is no start date
+ */
+const formatDateRange = (startDate, endDate) => {
+  if (!startDate) {
+    return endDate ? formatDate(endDate) : '';
+  }
+  return `${formatDate(startDate)} - ${endDate ? formatDate(endDate) : 'Present'}`;
+};
+
+/**
+ * Join the non-empty parts of a line
+ *
+ * @param {Array<string>} parts - Line parts
+ * @param {string} separator - Separator
+ * @returns {string} Joined line
+ */
+const joinParts = (parts, separator = ' | ') => parts.filter(Boolean).join(separator);
+
+/**
+ * Render an experience-like entry: heading, dates, summary and highlights
+ *
+ * @param {string} heading - Entry heading
+ * @param {Object} item - JSON Resume entry
+ * @param {Array<string>} extraLines - Additional lines below the dates
+ * @returns {string} Markdown block
+ */
+const renderEntry = (heading, item, extraLines = []) => {
+  const lines = [`### ${heading}`];
+  const details = joinParts([formatDateRange(item.startDate, item.endDate), item.location]);
+  const paragraphs = [details, ...extraLines, item.summary || item.description].filter(Boolean);
+  const highlights = (item.highlights || []).filter(Boolean);
+
+  if (paragraphs.length) {
+    lines.push('', paragraphs.join('\n\n'));
+  }
+  if (highlights.length) {
+    lines.push('', highlights.map(highlight => `- ${highlight}`).join('\n'));
+  }
+
+  return lines.join('\n');
+};
+
+/**
+ * Renderers for each section, returning the section body
+ */
+const sectionRenderers = {
+  summary: (basics) => basics.summary,
+  work: (items) => items.map(item =>
+    renderEntry(joinParts([item.position, item.name]), item)).join('\n\n'),
+  volunteer: (items) => items.map(item =>
+    renderEntry(joinParts([item.position, item.organization]), item)).join('\n\n'),
+  education: (items) => items.map(item => {
+    const degree = joinParts([item.studyType, item.area], ' in ');
+    const extra = [item.score && `Score: ${item.score}`, (item.courses || []).length && `Courses: ${item.courses.join(', ')}`];
+    return renderEntry(joinParts([degree, item.institution]), item, extra.filter(Boolean));
+  }).join('\n\n'),
+  projects: (items) => items.map(item =>
+    renderEntry(item.name, item, [item.url])).join('\n\n'),
+  skills: (items) => items.map(item => {
+    const name = item.level ? `${item.name} (${item.level})` : item.name;
+    return (item.keywords || []).length ? `- ${name}: ${item.keywords.join(', ')}` : `- ${name}`;
+  }).join('\n'),
+  certificates: (items) => items.map(item =>
+    `- ${joinParts([item.name, item.issuer, item.date && formatDate(item.date)])}`).join('\n'),
+  awards: (items) => items.map(item =>
+    `- ${joinParts([item.title, item.awarder, item.date && formatDate(item.date)])}`).join('\n'),
+  publications: (items) => items.map(item =>
+    `- ${joinParts([item.name, item.publisher, item.releaseDate && formatDate(item.releaseDate)])}`).join('\n'),
+  languages: (items) => items.map(item =>
+    (item.fluency ? `- ${item.language}: ${item.fluency}` : `- ${item.language}`)).join('\n'),
+  interests: (items) => items.map(item =>
+    ((item.keywords || []).length ? `- ${item.name}: ${item.keywords.join(', ')}` : `- ${item.name}`)).join('\n'),
+  references: (items) => items.map(item => `- ${item.name}: ${item.reference}`).join('\n')
+};
+
+/**
+ * Render a JSON Resume document to Markdown
+ *
+ * The layout follows the conventions of the customization pipeline: the
+ * name as the only H1, sections as H2 and individual entries as H3.
+ *
+ * @param {Object} document - JSON Resume document
+ * @returns {string} Markdown content
+ * @throws {ValidationError} If the document does not match the schema
+ */
+const renderJsonResumeToMarkdown = (document) => {
+  const resume = validateJsonResume(document);
+  const basics = resume.basics || {};
+  const location = basics.location || {};
+  const blocks = [`# ${basics.name || 'Resume'}`];
+
+  const contact = joinParts([
+    basics.email,
+    basics.phone,
+    basics.url,
+    joinParts([location.city, location.region, location.countryCode], ', '),
+    ...(basics.profiles || []).map(profile => profile.url || joinParts([profile.network, profile.username], ': '))
+  ]);
+  const header = [basics.label, contact].filter(Boolean).join('\n');
+  if (header) {
+    blocks.push(header);
+  }
+
+  SECTIONS.forEach(({ key, title }) => {
+    const content = key === 'summary' ? basics : resume[key];
+    if (!content || (Array.isArray(content) && content.length === 0)) {
+      return;
+    }
+
+    const body = sectionRenderers[key](content);
+    if (body) {
+      blocks.push(`## ${title}\n\n${body}`);
+    }
+  });
+
+  return `${blocks.join('\n\n')}\n`;
+};
+
+/**
+ * Strip inline Markdown formatting from text
+ *
+ * @param {string} value - Markdown text
+ * @returns {string} Plain text
+ */
+const stripInlineMarkdown = (value) => value
+  .replace(/!?\[([^\]]*)\]\(([^)]*)\)/g, (match, label, target) => (label || target))
+  .replace(/(\*\*|__)(.*?)\1/g, '$2')
+  .replace(/(\*|_)(.*?)\1/g, '$2')
+  .replace(/`([^`]*)`/g, '$1')
+  .replace(/\\([\\`*_{}[\]()#+\-.!|])/g, '$1')
+  .trim();
+
+/**
+ * Split a line into its parts on the separators commonly used in resumes
+ *
+ * @param {string} line - Line of text
+ * @returns {Array<string>} Trimmed, non-empty parts
+ */
+const splitParts = (line) => line.split(/\s+[|•·]\s+|\s+[–—]\s+/).map(part => part.trim()).filter(Boolean);
+
+/**
+ * Find the section key for a heading
+ *
+ * @param {string} heading - Section heading
+ * @returns {string|null} JSON Resume property name
+ */
+const findSectionKey = (heading) => {
+  const key = SECTION_MATCH_ORDER.find(name =>
+    SECTIONS.find(section => section.key === name).pattern.test(heading));
+  return key || null;
+};
+
+/**
+ * Pull a date range out of a line
+ *
+ * @param {string} line - Line of text
+ * @returns {Object|null} Start and end date plus the rest of the line
+ */
+const extractDateRange = (line) => {
+  const match = line.match(DATE_RANGE_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const rest = line.replace(match[0], '|')
+    .split(/\s*[|•·]\s*/)
+    .map(part => part.trim())
+    .filter(Boolean)
+    .join(' | ');
+  return {
+    startDate: parseDate(match[1]),
+    endDate: /present|current|now/i.test(match[2]) ? undefined : parseDate(match[2]),
+    rest
+  };
+};
+
+/**
+ * Turn a link or bare domain into an absolute URL
+ *
+ * @param {string} value - URL text
+ * @returns {string} Absolute URL
+ */
+const toUrl = (value) => (/^https?:\/\//i.test(value) ? value : `https://${value}`);
+
+/**
+ * Parse the contact lines below the name into JSON Resume basics
+ *
+ * @param {Array<string>} lines - Lines between the name and the first section
+ * @param {Object} basics - Basics object to fill
+ */
+const parseContactLines = (lines, basics) => {
+  lines.forEach(line => {
+    splitParts(line).forEach(part => {
+      const network = PROFILE_NETWORKS.find(name =>
+        part.toLowerCase().replace(/\s/g, '').includes(name.toLowerCase().replace(/\s/g, '')));
+
+      if (EMAIL_REGEX.test(part.replace(/^mailto:/i, ''))) {
+        basics.email = part.replace(/^mailto:/i, '');
+      } else if (URL_REGEX.test(part) && network) {
+        const username = part.split('/').filter(Boolean).pop();
+        basics.profiles = [...(basics.profiles || []), { network, username, url: toUrl(part) }];
+      } else if (URL_REGEX.test(part) && !basics.url) {
+        basics.url = toUrl(part);
+      } else if (PHONE_REGEX.test(part) && !basics.phone) {
+        basics.phone = part;
+      } else if (!basics.label) {
+        basics.label = part;
+      } else if (!basics.location && part.includes(',')) {
+        const [city, region] = part.split(',').map(value => value.trim());
+        basics.location = { city, region };
+      }
+    });
+  });
+};
+
+/**
+ * Collect the text lines and list items of a run of tokens
+ *
+ * @param {Array<Object>} tokens - marked tokens
+ * @returns {Object} Paragraph lines and list items
+ */
+const collectContent = (tokens) => {
+  const lines = [];
+  const items = [];
+
+  tokens.forEach(token => {
+    if (token.type === 'list') {
+      token.items.forEach(item => items.push(stripInlineMarkdown(item.text.split('\n')[0])));
+    } else if (token.type === 'paragraph' || token.type === 'text') {
+      token.text.split('\n').map(stripInlineMarkdown).filter(Boolean).forEach(line => lines.push(line));
+    }
+  });
+
+  return { lines, items };
+};
+
+/**
+ * Parse an entry of an experience-like section
+ *
+ * @param {string} key - Section key
+ * @param {string} heading - Entry heading
+ * @param {Array<Object>} tokens - Tokens below the heading
+ * @returns {Object} JSON Resume entry
+ */
+const parseEntry = (key, heading, tokens) => {
+  const { lines, items } = collectContent(tokens);
+  let range = extractDateRange(heading);
+  const headingParts = splitParts(range ? range.rest : heading);
+  const summary = [];
+  let location;
+
+  lines.forEach(line => {
+    const lineRange = !range && extractDateRange(line);
+    if (lineRange) {
+      range = lineRange;
+      location = lineRange.rest || undefined;
+    } else if (!range && SINGLE_DATE_REGEX.test(line)) {
+      range = { startDate: undefined, endDate: parseDate(line) };
+    } else {
+      summary.push(line);
+    }
+  });
+
+  const dates = {
+    startDate: range ? range.startDate : undefined,
+    endDate: range ? range.endDate : undefined
+  };
+
+  if (key === 'education') {
+    const [degree = '', institution] = headingParts;
+    const [studyType, area] = degree.split(/\s+in\s+/);
+    const courses = summary.find(line => /^courses:/i.test(line));
+    const score = summary.find(line => /^(score|gpa):/i.test(line));
+
+    return {
+      institution: institution || studyType,
+      studyType: institution ? studyType : undefined,
+      area,
+      ...dates,
+      score: score ? score.replace(/^[^:]+:\s*/, '') : undefined,
+      courses: [
+        ...(courses ? courses.replace(/^courses:\s*/i, '').split(/,\s*/) : []),
+        ...items
+      ]
+    };
+  }
+
+  const rest = summary.join('\n\n') || undefined;
+
+  if (key === 'projects') {
+    const projectUrl = summary.find(line => URL_REGEX.test(line));
+    return {
+      name: headingParts.join(' | '),
+      ...dates,
+      url: projectUrl ? toUrl(projectUrl) : undefined,
+      description: summary.filter(line => line !== projectUrl).join('\n\n') || undefined,
+      highlights: items
+    };
+  }
+
+  const [position, organization] = headingParts;
+  return {
+    [key === 'volunteer' ? 'organization' : 'name']: organization,
+    position,
+    location: key === 'work' ? location : undefined,
+    ...dates,
+    summary: rest,
+    highlights: items
+  };
+};
+
+/**
+ * Parsers for list sections, turning a line into a JSON Resume entry
+ */
+const lineParsers = {
+  skills: (line) => {
+    const [name, keywords] = line.split(/:\s*/, 2);
+    const level = name.match(/^(.*?)\s*\(([^)]+)\)$/);
+    return {
+      name: level ? level[1] : name,
+      level: level ? level[2] : undefined,
+      keywords: keywords ? keywords.split(/,\s*/).filter(Boolean) : []
+    };
+  },
+  languages: (line) => {
+    const match = line.match(/^(.*?)\s*(?::\s*(.*)|\((.*)\))$/);
+    return match ? { language: match[1], fluency: match[2] || match[3] } : { language: line };
+  },
+  interests: (line) => {
+    const [name, keywords] = line.split(/:\s*/, 2);
+    return { name, keywords: keywords ? keywords.split(/,\s*/).filter(Boolean) : [] };
+  },
+  references: (line) => {
+    const [name, ...reference] = line.split(/:\s*/);
+    return { name, reference: reference.join(': ') || undefined };
+  },
+  certificates: (line) => {
+    const parts = splitParts(line);
+    const date = parts.find(part => SINGLE_DATE_REGEX.test(part));
+    const [name, issuer] = parts.filter(part => part !== date);
+    return { name, issuer, date: date ? parseDate(date) : undefined };
+  },
+  awards: (line) => {
+    const parts = splitParts(line);
+    const date = parts.find(part => SINGLE_DATE_REGEX.test(part));
+    const [title, awarder] = parts.filter(part => part !== date);
+    return { title, awarder, date: date ? parseDate(date) : undefined };
+  },
+  publications: (line) => {
+    const parts = splitParts(line);
+    const date = parts.find(part => SINGLE_DATE_REGEX.test(part));
+    const [name, publisher] = parts.filter(part => part !== date);
+    return { name, publisher, releaseDate: date ? parseDate(date) : undefined };
+  }
+};
+
+/**
+ * Remove undefined values and empty arrays so the output stays minimal
+ *
+ * @param {Object} value - Object to compact
+ * @returns {Object} Compacted object
+ */
+const compact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(compact);
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).reduce((result, [key, entryValue]) => {
+      if (entryValue === undefined || entryValue === '' || (Array.isArray(entryValue) && entryValue.length === 0)) {
+        return result;
+      }
+      result[key] = compact(entryValue);
+      return result;
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Extract a JSON Resume document from resume Markdown without validating it
+ *
+ * Sections are recognised by their H2 heading, and entries of experience,
+ * education and project sections by their H3 heading. Sections without a
+ * JSON Resume counterpart are skipped.
+ *
+ * @param {string} markdown - Resume Markdown
+ * @returns {Object} JSON Resume document
+ */
+const extractJsonResume = (markdown) => {
+  const tokens = lexer(markdown || '').filter(token => token.type !== 'space');
+  const basics = {};
+  const resume = { $schema: JSON_RESUME_SCHEMA_URL, basics };
+
+  // Split the document into the header and its H2 sections
+  const header = [];
+  const sections = [];
+  tokens.forEach(token => {
+    if (token.type === 'heading' && token.depth === 1 && !basics.name) {
+      basics.name = stripInlineMarkdown(token.text);
+    } else if (token.type === 'heading' && token.depth === 2) {
+      sections.push({ heading: stripInlineMarkdown(token.text), tokens: [] });
+    } else if (sections.length) {
+      sections[sections.length - 1].tokens.push(token);
+    } else {
+      header.push(token);
+    }
+  });
+
+  parseContactLines(collectContent(header).lines, basics);
+
+  sections.forEach(section => {
+    const key = findSectionKey(section.heading);
+    if (!key) {
+      return;
+    }
+
+    if (key === 'summary') {
+      basics.summary = collectContent(section.tokens).lines.join('\n\n');
+      return;
+    }
+
+    if (['work', 'volunteer', 'education', 'projects'].includes(key)) {
+      const entries = [];
+      section.tokens.forEach(token => {
+        if (token.type === 'heading' && token.depth >= 3) {
+          entries.push({ heading: stripInlineMarkdown(token.text), tokens: [] });
+        } else if (entries.length) {
+          entries[entries.length - 1].tokens.push(token);
+        }
+      });
+      resume[key] = [...(resume[key] || []), ...entries.map(item => parseEntry(key, item.heading, item.tokens))];
+      return;
+    }
+
+    const { lines, items } = collectContent(section.tokens);
+    const parsed = [...items, ...lines].map(lineParsers[key]);
+    resume[key] = [...(resume[key] || []), ...parsed];
+  });
+
+  return compact(resume);
+};
+
+/**
+ * Parse resume Markdown into a JSON Resume document
+ *
+ * @param {string} markdown - Resume Markdown
+ * @returns {Object} JSON Resume document
+ * @throws {ValidationError} If the result does not match the schema
+ */
+const parseMarkdownToJsonResume = (markdown) => validateJsonResume(extractJsonResume(markdown));
+
+module.exports = {
+  parseJsonResume,
+  validateJsonResume,
+  renderJsonResumeToMarkdown,
+  extractJsonResume,
+  parseMarkdownToJsonResume,
+  stripInlineMarkdown,
+  findSectionKey
+};
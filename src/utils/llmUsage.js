@@ -0,0 +1,114 @@
+/**
+ * LLM Usage Pricing
+ *
+ * This module prices the token usage of LLM calls with a table of per-model
+ * prices, so usage reports can show what customizations cost.
+ */
+
+/**
+ * Prices of common models in USD per million input and output tokens,
+ * overridden and extended by the LLM_PRICE_TABLE setting
+ */
+const DEFAULT_LLM_PRICES = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'claude-3-5-sonnet': { input: 3, output: 15 },
+  'claude-3-5-haiku': { input: 0.8, output: 4 },
+  'claude-3-7-sonnet': { input: 3, output: 15 },
+  'deepseek/deepseek-r1-distill-llama-70b': { input: 0.1, output: 0.4 }
+};
+
+// Models served by these providers run on our own hardware
+const FREE_PROVIDERS = ['ollama', 'llamacpp'];
+
+/**
+ * Merge a JSON price table over the default prices
+ * @param {string} json - Price table as JSON, e.g. {"gpt-4o": {"input": 2.5, "output": 10}} (optional)
+ * @returns {Object} Prices in USD per million tokens, by model
+ * @throws {Error} If the table is not valid JSON or a price is not a non-negative number
+ */
+const parsePriceTable = (json) => {
+  if (!json) {
+    return { ...DEFAULT_LLM_PRICES };
+  }
+
+  let table;
+  try {
+    table = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`LLM_PRICE_TABLE is not valid JSON: ${error.message}`);
+  }
+
+  if (!table || typeof table !== 'object' || Array.isArray(table)) {
+    throw new Error('LLM_PRICE_TABLE must be an object of prices by model');
+  }
+
+  Object.entries(table).forEach(([model, price]) => {
+    const valid = ['input', 'output'].every(type => typeof price?.[type] === 'number' && price[type] >= 0);
+    if (!valid) {
+      throw new Error(`LLM_PRICE_TABLE price of ${model} needs non-negative input and output numbers`);
+    }
+  });
+
+  return { ...DEFAULT_LLM_PRICES, ...table };
+};
+
+/**
+ * Find the price of a model
+ *
+ * Models are matched exactly, then without their OpenRouter vendor prefix,
+ * then by the longest priced name they start with, so dated releases such as
+ * claude-3-5-sonnet-20240620 use the price of their family.
+ * @param {Object} priceTable - Prices by model
+ * @param {string} model - Model name
+ * @returns {{input: number, output: number}|null} Price, null for unknown models
+ */
+const findModelPrice = (priceTable, model = '') => {
+  const names = [model, model.split('/').pop()];
+
+  for (const name of names) {
+    if (priceTable[name]) {
+      return priceTable[name];
+    }
+  }
+
+  const family = Object.keys(priceTable)
+    .filter(name => names.some(candidate => candidate.startsWith(`${name}-`)))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return family ? priceTable[family] : null;
+};
+
+/**
+ * Calculate the cost of an LLM call
+ * @param {Object} priceTable - Prices by model
+ * @param {Object} usage - Token usage
+ * @param {string} usage.provider - Provider name
+ * @param {string} usage.model - Model name
+ * @param {number} usage.promptTokens - Input tokens
+ * @param {number} usage.completionTokens - Output tokens
+ * @returns {number|null} Cost in USD, null when the model or token counts are unknown
+ */
+const calculateCost = (priceTable, { provider, model, promptTokens, completionTokens }) => {
+  if (FREE_PROVIDERS.includes(provider)) {
+    return 0;
+  }
+
+  const price = findModelPrice(priceTable, model);
+
+  if (!price || promptTokens === null || promptTokens === undefined ||
+    completionTokens === null || completionTokens === undefined) {
+    return null;
+  }
+
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+};
+
+module.exports = {
+  DEFAULT_LLM_PRICES,
+  parsePriceTable,
+  findModelPrice,
+  calculateCost
+};
@@ -0,0 +1,482 @@
+/**
+ * Layout-aware PDF Text Extractor
+ *
+ * This module reads the positioned text items of each PDF page and rebuilds
+ * the reading order from their coordinates instead of relying on the order
+ * in which they appear in the content stream. Lines are grouped by baseline,
+ * a column gutter is detected per page, and font size and weight are used
+ * to tell headings apart from body text when rendering Markdown.
+ */
+
+// pdf-parse ships pdf.js; it is used directly to get at text item geometry
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+
+PDFJS.disableWorker = true;
+
+// Fonts are only inspected for their names, so never hand them to a font loader
+if (global.PDFJS) {
+  global.PDFJS.disableFontFace = true;
+}
+
+const BOLD_FONT_PATTERN = /bold|black|heavy|semibold|demi/i;
+const BULLET_PATTERN = /^[•▪◦●○■□‣⁃∙·*–-]\s+/;
+
+// Distances below are expressed in multiples of the font size (em)
+const SAME_LINE_TOLERANCE_EM = 0.5;
+const WORD_GAP_EM = 0.15;
+const SEGMENT_GAP_EM = 1.5;
+const LINE_SPACING_EM = 1.6;
+
+// Column detection thresholds
+const MIN_GUTTER_WIDTH = 10;
+const MAX_GUTTER_CROSSING_RATIO = 0.1;
+const GUTTER_MARGIN_RATIO = 0.1;
+const MIN_COLUMN_SEGMENTS = 3;
+const MIN_COLUMN_ONLY_LINES = 2;
+
+// Heading detection thresholds
+const HEADING_SIZE_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 80;
+const FULL_LINE_RATIO = 0.75;
+
+/**
+ * Round a font size so that sizes differing only by rounding noise compare equal
+ *
+ * @param {number} size - Font size in points
+ * @returns {number} Size rounded to half a point
+ */
+const roundSize = (size) => Math.round(size * 2) / 2;
+
+/**
+ * Resolve the real font names used on a page
+ *
+ * Text items only carry pdf.js internal font ids. The font objects, and with
+ * them the PostScript names that reveal the weight, become available once the
+ * operator list has been built.
+ *
+ * @param {Object} page - pdf.js page proxy
+ * @param {Array<string>} fontIds - Font ids referenced by text items
+ * @returns {Promise<Object>} Font names keyed by font id
+ */
+const resolveFontNames = async (page, fontIds) => {
+  await page.getOperatorList();
+
+  // The font loader resolves fonts on a timer once the operator list is built
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  return fontIds.reduce((names, fontId) => {
+    const font = page.commonObjs.hasData(fontId) ? page.commonObjs.get(fontId) : null;
+    names[fontId] = (font && font.name) || fontId;
+    return names;
+  }, {});
+};
+
+/**
+ * Extract positioned text items from a single page
+ *
+ * @param {Object} page - pdf.js page proxy
+ * @returns {Promise<Object>} Page with its text items
+ */
+const extractPageItems = async (page) => {
+  const [left, , , top] = page.view;
+  const textContent = await page.getTextContent();
+  const textItems = textContent.items.filter(item => item.str.trim().length > 0);
+  const fontNames = await resolveFontNames(page, [...new Set(textItems.map(item => item.fontName))]);
+
+  return {
+    items: textItems.map(item => {
+      const [, , c, d, x, y] = item.transform;
+
+      return {
+        text: item.str,
+        x: x - left,
+        top: top - y,
+        width: item.width,
+        fontSize: Math.hypot(c, d),
+        bold: BOLD_FONT_PATTERN.test(fontNames[item.fontName])
+      };
+    })
+  };
+};
+
+/**
+ * Extract positioned text items from every page of a PDF
+ *
+ * @param {Buffer} pdfBuffer - PDF file as buffer
+ * @returns {Promise<Array<Object>>} Pages with their text items
+ */
+const extractPdfLayout = async (pdfBuffer) => {
+  // pdf.js ignores the byte offset of pooled Node buffers, so pass a copy
+  const doc = await PDFJS.getDocument(new Uint8Array(pdfBuffer));
+
+  try {
+    const pages = [];
+
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      pages.push(await extractPageItems(page));
+    }
+
+    return pages;
+  } finally {
+    doc.destroy();
+  }
+};
+
+/**
+ * Join horizontally adjacent items into a segment of text
+ *
+ * @param {Array<Object>} items - Items sorted by x position
+ * @returns {Object} Segment with position, text and font information
+ */
+const buildSegment = (items) => {
+  let text = '';
+  let right = items[0].x;
+
+  items.forEach(item => {
+    const gap = item.x - right;
+    if (text && gap > item.fontSize * WORD_GAP_EM && !/\s$/.test(text) && !/^\s/.test(item.text)) {
+      text += ' ';
+    }
+    text += item.text;
+    right = Math.max(right, item.x + item.width);
+  });
+
+  return {
+    text: text.replace(/\s+/g, ' ').trim(),
+    x: items[0].x,
+    right,
+    top: Math.min(...items.map(item => item.top)),
+    fontSize: Math.max(...items.map(item => item.fontSize)),
+    bold: items.every(item => item.bold)
+  };
+};
+
+/**
+ * Group page items into lines made of segments
+ *
+ * Items sharing a baseline form a line. Within a line, a horizontal gap wider
+ * than a few characters starts a new segment, which keeps column text and
+ * right-aligned dates apart from the text next to them.
+ *
+ * @param {Array<Object>} items - Page text items
+ * @returns {Array<Object>} Lines sorted from top to bottom
+ */
+const groupLines = (items) => {
+  const sorted = [...items].sort((a, b) => a.top - b.top || a.x - b.x);
+  const lines = [];
+
+  sorted.forEach(item => {
+    const line = lines[lines.length - 1];
+    const tolerance = Math.max(item.fontSize, line ? line.fontSize : 0) * SAME_LINE_TOLERANCE_EM;
+
+    if (line && Math.abs(item.top - line.top) <= tolerance) {
+      line.items.push(item);
+      line.fontSize = Math.max(line.fontSize, item.fontSize);
+    } else {
+      lines.push({ top: item.top, fontSize: item.fontSize, items: [item] });
+    }
+  });
+
+  return lines.map(line => {
+    const lineItems = line.items.sort((a, b) => a.x - b.x);
+    const groups = [[lineItems[0]]];
+
+    lineItems.slice(1).forEach(item => {
+      const group = groups[groups.length - 1];
+      const right = Math.max(...group.map(previous => previous.x + previous.width));
+
+      if (item.x - right > Math.max(item.fontSize, line.fontSize) * SEGMENT_GAP_EM) {
+        groups.push([item]);
+      } else {
+        group.push(item);
+      }
+    });
+
+    return { top: line.top, segments: groups.map(buildSegment) };
+  });
+};
+
+/**
+ * Find the x position of the gutter between two text columns
+ *
+ * A gutter is a vertical band that almost no segment crosses, with enough
+ * text on both sides. Lines that only have text on the right side are
+ * required as well, so that right-aligned dates next to job titles are not
+ * mistaken for a second column.
+ *
+ * @param {Array<Object>} lines - Lines of a single page
+ * @returns {number|null} Gutter x position, or null for single-column pages
+ */
+const findGutter = (lines) => {
+  const segments = lines.flatMap(line => line.segments);
+  if (segments.length < MIN_COLUMN_SEGMENTS * 2) {
+    return null;
+  }
+
+  const textLeft = Math.floor(Math.min(...segments.map(segment => segment.x)));
+  const textRight = Math.ceil(Math.max(...segments.map(segment => segment.right)));
+  const margin = (textRight - textLeft) * GUTTER_MARGIN_RATIO;
+  const maxCrossings = Math.max(1, Math.floor(lines.length * MAX_GUTTER_CROSSING_RATIO));
+
+  const coverage = [];
+  for (let x = textLeft; x <= textRight; x++) {
+    coverage.push(segments.filter(segment => segment.x < x && segment.right > x).length);
+  }
+
+  // Collect runs of sparsely covered positions away from the page edges
+  const runs = [];
+  let runStart = null;
+  coverage.forEach((count, index) => {
+    const x = textLeft + index;
+    const open = count <= maxCrossings && x > textLeft + margin && x < textRight - margin;
+
+    if (open && runStart === null) {
+      runStart = x;
+    } else if (!open && runStart !== null) {
+      runs.push([runStart, x]);
+      runStart = null;
+    }
+  });
+
+  let best = null;
+  runs.filter(([start, end]) => end - start >= MIN_GUTTER_WIDTH).forEach(([start, end]) => {
+    const gutter = (start + end) / 2;
+    let leftCount = 0;
+    let rightCount = 0;
+    let rightOnlyLines = 0;
+
+    lines.forEach(line => {
+      const left = line.segments.filter(segment => segment.right <= gutter).length;
+      const right = line.segments.filter(segment => segment.x >= gutter).length;
+      leftCount += left;
+      rightCount += right;
+      if (right > 0 && left === 0 && right === line.segments.length) {
+        rightOnlyLines++;
+      }
+    });
+
+    const score = Math.min(leftCount, rightCount);
+    if (leftCount >= MIN_COLUMN_SEGMENTS && rightCount >= MIN_COLUMN_SEGMENTS &&
+        rightOnlyLines >= MIN_COLUMN_ONLY_LINES && (!best || score > best.score)) {
+      best = { gutter, score };
+    }
+  });
+
+  return best ? best.gutter : null;
+};
+
+/**
+ * Merge the segments of a line into a single line of text
+ *
+ * @param {Array<Object>} segments - Segments sorted by x position
+ * @param {string} column - Column the segments belong to
+ * @returns {Object} Line with text, position and font information
+ */
+const mergeSegments = (segments, column) => ({
+  text: segments.map(segment => segment.text).join(' | '),
+  x: segments[0].x,
+  right: segments[segments.length - 1].right,
+  top: segments[0].top,
+  fontSize: Math.max(...segments.map(segment => segment.fontSize)),
+  bold: segments[0].bold,
+  segmentCount: segments.length,
+  column
+});
+
+/**
+ * Put the lines of a page into reading order
+ *
+ * Lines crossing the gutter (headers, full-width sections) are read as they
+ * are. The lines between them are read column by column, left column first.
+ *
+ * @param {Object} page - Page with text items
+ * @returns {Array<Object>} Lines in reading order
+ */
+const orderPageLines = (page) => {
+  const lines = groupLines(page.items);
+  const gutter = findGutter(lines);
+
+  if (gutter === null) {
+    return lines.map(line => mergeSegments(line.segments, 'full'));
+  }
+
+  const ordered = [];
+  let leftLines = [];
+  let rightLines = [];
+
+  const flushColumns = () => {
+    ordered.push(...leftLines, ...rightLines);
+    leftLines = [];
+    rightLines = [];
+  };
+
+  lines.forEach(line => {
+    if (line.segments.some(segment => segment.x < gutter && segment.right > gutter)) {
+      flushColumns();
+      ordered.push(mergeSegments(line.segments, 'full'));
+      return;
+    }
+
+    const left = line.segments.filter(segment => segment.right <= gutter);
+    const right = line.segments.filter(segment => segment.x >= gutter);
+    if (left.length) leftLines.push(mergeSegments(left, 'left'));
+    if (right.length) rightLines.push(mergeSegments(right, 'right'));
+  });
+
+  flushColumns();
+
+  return ordered;
+};
+
+/**
+ * Find the most common font size, weighted by the amount of text
+ *
+ * @param {Array<Object>} lines - Lines of the document
+ * @returns {number} Body text font size
+ */
+const findBodySize = (lines) => {
+  const weights = new Map();
+  lines.forEach(line => {
+    const size = roundSize(line.fontSize);
+    weights.set(size, (weights.get(size) || 0) + line.text.length);
+  });
+
+  return [...weights.entries()].sort((a, b) => b[1] - a[1])[0][0];
+};
+
+/**
+ * Assign a heading level to every line that looks like a heading
+ *
+ * Font sizes larger than the body text are ranked from largest to smallest.
+ * The largest size becomes the title when it is used only once, otherwise
+ * ranking starts at section level. Bold lines at body size rank below the
+ * larger sizes.
+ *
+ * @param {Array<Object>} lines - Lines in reading order
+ * @returns {Array<number|null>} Heading level for each line
+ */
+const assignHeadingLevels = (lines) => {
+  const bodySize = findBodySize(lines);
+  const isCandidate = (line) => line.text.length <= MAX_HEADING_LENGTH && !BULLET_PATTERN.test(line.text);
+
+  const largeSizes = [...new Set(lines
+    .filter(line => isCandidate(line) && roundSize(line.fontSize) >= bodySize * HEADING_SIZE_RATIO)
+    .map(line => roundSize(line.fontSize)))]
+    .sort((a, b) => b - a);
+
+  const sizeLevels = new Map();
+  const titleUses = lines.filter(line => roundSize(line.fontSize) === largeSizes[0]).length;
+  let nextLevel = titleUses === 1 ? 1 : 2;
+  largeSizes.forEach(size => {
+    sizeLevels.set(size, Math.min(nextLevel++, 6));
+  });
+
+  const hasSectionSizes = [...sizeLevels.values()].some(level => level > 1);
+
+  const levels = lines.map(line => {
+    if (!isCandidate(line)) {
+      return null;
+    }
+
+    const size = roundSize(line.fontSize);
+    if (sizeLevels.has(size)) {
+      return sizeLevels.get(size);
+    }
+
+    if (line.bold && size >= bodySize && !/[.,;]$/.test(line.text)) {
+      const isUpperCase = /[A-Z]/.test(line.text) && line.text === line.text.toUpperCase();
+      return Math.min(Math.max(nextLevel, 2) + (hasSectionSizes || isUpperCase ? 0 : 1), 6);
+    }
+
+    return null;
+  });
+
+  // Treat the first line as the candidate name when no title was found
+  if (!levels.includes(1) && levels[0] === null && isCandidate(lines[0])) {
+    levels[0] = 1;
+  }
+
+  return levels;
+};
+
+/**
+ * Convert pages of positioned text items to Markdown
+ *
+ * @param {Array<Object>} pages - Pages as returned by extractPdfLayout
+ * @returns {string} Markdown content, empty when the pages hold no text
+ */
+const layoutToMarkdown = (pages) => {
+  const lines = pages.flatMap((page, pageIndex) =>
+    orderPageLines(page).map(line => ({ ...line, page: pageIndex })));
+
+  if (lines.length === 0) {
+    return '';
+  }
+
+  // Column extents decide whether a line was wrapped or ended early
+  const extents = new Map();
+  lines.forEach(line => {
+    const key = `${line.page}:${line.column}`;
+    const extent = extents.get(key) || { left: line.x, right: line.x };
+    extent.left = Math.min(extent.left, line.x);
+    if (line.segmentCount === 1) {
+      extent.right = Math.max(extent.right, line.right);
+    }
+    extents.set(key, extent);
+  });
+
+  // A wrapped line runs to the column edge and is continued in lower case
+  // or after a comma; anything else is a line of its own, e.g. a sidebar item
+  const isWrapped = (line, next) => {
+    const extent = extents.get(`${line.page}:${line.column}`);
+    return line.segmentCount === 1 &&
+      line.right - extent.left >= (extent.right - extent.left) * FULL_LINE_RATIO &&
+      (/^[a-z0-9(]/.test(next.text) || /[,;&–-]$/.test(line.text));
+  };
+
+  const levels = assignHeadingLevels(lines);
+  const blocks = [];
+  let current = null;
+  let previous = null;
+
+  lines.forEach((line, index) => {
+    const continues = previous && current &&
+      previous.page === line.page &&
+      previous.column === line.column &&
+      line.top - previous.top <= previous.fontSize * LINE_SPACING_EM &&
+      isWrapped(previous, line);
+
+    if (levels[index]) {
+      blocks.push({ type: 'heading', text: `${'#'.repeat(levels[index])} ${line.text}` });
+      current = null;
+    } else if (BULLET_PATTERN.test(line.text)) {
+      current = { type: 'list', text: line.text.replace(BULLET_PATTERN, ''), x: line.x };
+      blocks.push(current);
+    } else if (continues && current.type === 'list' && line.x > current.x + 1) {
+      current.text += ` ${line.text}`;
+    } else if (continues && current.type === 'paragraph' && Math.abs(line.x - current.x) <= line.fontSize) {
+      current.text += ` ${line.text}`;
+    } else {
+      current = { type: 'paragraph', text: line.text, x: line.x };
+      blocks.push(current);
+    }
+
+    previous = line;
+  });
+
+  return blocks.reduce((markdown, block, index) => {
+    const text = block.type === 'list' ? `- ${block.text}` : block.text;
+    if (index === 0) {
+      return text;
+    }
+
+    const separator = block.type === 'list' && blocks[index - 1].type === 'list' ? '\n' : '\n\n';
+    return `${markdown}${separator}${text}`;
+  }, '');
+};
+
+module.exports = {
+  extractPdfLayout,
+  layoutToMarkdown
+};
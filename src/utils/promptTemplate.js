@@ -0,0 +1,49 @@
+/**
+ * Prompt Template Rendering
+ *
+ * Prompt templates are plain text with {{variable}} placeholders and
+ * {{#variable}}...{{/variable}} sections that are only kept when the
+ * variable has a value.
+ */
+
+const SECTION_REGEX = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}/g;
+const VARIABLE_REGEX = /\{\{\s*([#/]?)(\w+)\s*\}\}/g;
+
+/**
+ * List the variables a template uses, in order of first use
+ * @param {string} template - Prompt template
+ * @returns {Array<string>} Variable names
+ */
+const extractVariables = (template = '') => {
+  const variables = [];
+
+  for (const [, , name] of template.matchAll(VARIABLE_REGEX)) {
+    if (!variables.includes(name)) {
+      variables.push(name);
+    }
+  }
+
+  return variables;
+};
+
+/**
+ * Render a prompt template with the given variables
+ * @param {string} template - Prompt template
+ * @param {Object} variables - Values by variable name
+ * @returns {string} Rendered prompt
+ */
+const renderTemplate = (template = '', variables = {}) => template
+  .replace(SECTION_REGEX, (match, name, content) => (variables[name] ? content : ''))
+  .replace(VARIABLE_REGEX, (match, marker, name) => {
+    // Markers of unbalanced sections are dropped
+    if (marker) {
+      return '';
+    }
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+
+module.exports = {
+  extractVariables,
+  renderTemplate
+};
@@ -0,0 +1,461 @@
+/**
+ * Resume Diff Utilities
+ *
+ * This module compares an original and a customized resume section by
+ * section, so reviewers can see exactly which bullets the AI added,
+ * removed or rewrote, and renders the result as an HTML redline.
+ */
+
+const { lexer } = require('marked');
+const { diffWords } = require('diff');
+const { stripInlineMarkdown, findSectionKey } = require('./jsonResume');
+
+// Minimum word overlap for a removed and an added item to count as a rewrite
+const REWRITE_SIMILARITY_THRESHOLD = 0.5;
+
+// Key of the content above the first section heading (name and contact details)
+const HEADER_SECTION_KEY = 'header';
+
+/**
+ * Split resume Markdown into sections, entries and items
+ *
+ * Sections start at H2 headings and entries at H3 and deeper headings.
+ * Content between a section heading and its first entry belongs to an
+ * entry without heading.
+ *
+ * @param {string} markdown - Resume Markdown
+ * @returns {Array<Object>} Sections with their entries
+ */
+const parseSections = (markdown) => {
+  const sections = [{ key: HEADER_SECTION_KEY, heading: null, entries: [{ heading: null, items: [] }] }];
+
+  lexer(markdown || '').forEach(token => {
+    const section = sections[sections.length - 1];
+    const entry = section.entries[section.entries.length - 1];
+
+    if (token.type === 'heading' && token.depth === 2) {
+      const heading = stripInlineMarkdown(token.text);
+      sections.push({
+        key: findSectionKey(heading) || normalize(heading),
+        heading,
+        entries: [{ heading: null, items: [] }]
+      });
+    } else if (token.type === 'heading' && token.depth >= 3) {
+      section.entries.push({ heading: stripInlineMarkdown(token.text), items: [] });
+    } else if (token.type === 'heading') {
+      entry.items.push({ kind: 'text', text: stripInlineMarkdown(token.text) });
+    } else if (token.type === 'list') {
+      token.items.forEach(item => entry.items.push({
+        kind: 'bullet',
+        text: stripInlineMarkdown(item.text.replace(/\s*\n\s*/g, ' '))
+      }));
+    } else if (token.type !== 'space' && token.type !== 'hr' && token.text) {
+      token.text.split('\n')
+        .map(stripInlineMarkdown)
+        .filter(Boolean)
+        .forEach(text => entry.items.push({ kind: 'text', text }));
+    }
+  });
+
+  // Sections with a single heading-less entry are kept only if they have content
+  return sections.map(section => ({
+    ...section,
+    entries: section.entries.filter(entry => entry.heading || entry.items.length)
+  })).filter(section => section.heading || section.entries.length);
+};
+
+/**
+ * Normalize text for comparison
+ *
+ * @param {string} value - Text
+ * @returns {string} Lowercased text with collapsed whitespace
+ */
+const normalize = (value) => (value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+
+/**
+ * Word overlap between two texts (Dice coefficient over distinct words)
+ *
+ * @param {string} a - First text
+ * @param {string} b - Second text
+ * @returns {number} Similarity between 0 and 1
+ */
+const similarity = (a, b) => {
+  const words = (value) => new Set(normalize(value).match(/[\p{L}\p{N}%$+#.]+/gu) || []);
+  const wordsA = words(a);
+  const wordsB = words(b);
+
+  if (!wordsA.size && !wordsB.size) {
+    return 1;
+  }
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+/**
+ * Pair the elements of two lists
+ *
+ * Identical elements are paired first, then the most similar remaining
+ * ones as long as they reach the rewrite threshold.
+ *
+ * @param {Array} original - Original elements
+ * @param {Array} customized - Customized elements
+ * @param {Function} getText - Text of an element
+ * @returns {Object} Pairs plus unpaired original and customized elements
+ */
+const pairElements = (original, customized, getText) => {
+  const pairs = [];
+  const unpairedOriginal = new Set(original);
+  const unpairedCustomized = new Set(customized);
+
+  customized.forEach(element => {
+    const match = [...unpairedOriginal].find(candidate => normalize(getText(candidate)) === normalize(getText(element)));
+    if (match) {
+      pairs.push({ original: match, customized: element, similarity: 1 });
+      unpairedOriginal.delete(match);
+      unpairedCustomized.delete(element);
+    }
+  });
+
+  const candidates = [];
+  unpairedOriginal.forEach(originalElement => {
+    unpairedCustomized.forEach(customizedElement => {
+      const score = similarity(getText(originalElement), getText(customizedElement));
+      if (score >= REWRITE_SIMILARITY_THRESHOLD) {
+        candidates.push({ original: originalElement, customized: customizedElement, similarity: score });
+      }
+    });
+  });
+
+  candidates
+    .sort((a, b) => b.similarity - a.similarity)
+    .forEach(candidate => {
+      if (unpairedOriginal.has(candidate.original) && unpairedCustomized.has(candidate.customized)) {
+        pairs.push(candidate);
+        unpairedOriginal.delete(candidate.original);
+        unpairedCustomized.delete(candidate.customized);
+      }
+    });
+
+  return {
+    pairs,
+    removed: original.filter(element => unpairedOriginal.has(element)),
+    added: customized.filter(element => unpairedCustomized.has(element))
+  };
+};
+
+/**
+ * Diff the items of an entry
+ *
+ * Changes follow the order of the customized resume, removed items come last.
+ *
+ * @param {Array<Object>} original - Original items
+ * @param {Array<Object>} customized - Customized items
+ * @returns {Array<Object>} Item changes
+ */
+const diffItems = (original, customized) => {
+  const { pairs, removed } = pairElements(original, customized, item => item.text);
+
+  const changes = customized.map(item => {
+    const pair = pairs.find(candidate => candidate.customized === item);
+
+    if (!pair) {
+      return { type: 'added', kind: item.kind, customized: item.text };
+    }
+
+    if (normalize(pair.original.text) === normalize(item.text)) {
+      return { type: 'unchanged', kind: item.kind, original: pair.original.text, customized: item.text };
+    }
+
+    return {
+      type: 'rewritten',
+      kind: item.kind,
+      original: pair.original.text,
+      customized: item.text,
+      similarity: Math.round(pair.similarity * 100) / 100
+    };
+  });
+
+  return [
+    ...changes,
+    ...removed.map(item => ({ type: 'removed', kind: item.kind, original: item.text }))
+  ];
+};
+
+/**
+ * Status of a section or entry present in both resumes
+ *
+ * @param {Array<Object>} children - Changes of an entry or entries of a section
+ * @param {boolean} renamed - Whether the heading changed
+ * @returns {string} unchanged or changed
+ */
+const statusOf = (children, renamed) =>
+  (renamed || children.some(child => (child.type || child.status) !== 'unchanged') ? 'changed' : 'unchanged');
+
+/**
+ * Diff the entries of a section present in both resumes
+ *
+ * @param {Array<Object>} original - Original entries
+ * @param {Array<Object>} customized - Customized entries
+ * @returns {Array<Object>} Entry diffs
+ */
+const diffEntries = (original, customized) => {
+  const { pairs, removed } = pairElements(original, customized, entry => entry.heading || '');
+
+  return [
+    ...customized.map(entry => {
+      const pair = pairs.find(candidate => candidate.customized === entry);
+
+      if (!pair) {
+        return {
+          heading: entry.heading,
+          status: 'added',
+          changes: entry.items.map(item => ({ type: 'added', kind: item.kind, customized: item.text }))
+        };
+      }
+
+      const renamed = normalize(pair.original.heading) !== normalize(entry.heading);
+      const changes = diffItems(pair.original.items, entry.items);
+      return {
+        heading: entry.heading,
+        ...(renamed ? { originalHeading: pair.original.heading } : {}),
+        status: statusOf(changes, renamed),
+        changes
+      };
+    }),
+    ...removed.map(entry => ({
+      heading: entry.heading,
+      status: 'removed',
+      changes: entry.items.map(item => ({ type: 'removed', kind: item.kind, original: item.text }))
+    }))
+  ];
+};
+
+/**
+ * Count the changes of a diff by type
+ *
+ * @param {Array<Object>} sections - Section diffs
+ * @returns {Object} Number of added, removed, rewritten and unchanged items
+ */
+const countChanges = (sections) => {
+  const stats = { added: 0, removed: 0, rewritten: 0, unchanged: 0 };
+
+  sections.forEach(section => section.entries.forEach(entry => {
+    if (entry.originalHeading) {
+      stats.rewritten += 1;
+    }
+    entry.changes.forEach(change => {
+      stats[change.type] += 1;
+    });
+  }));
+
+  return stats;
+};
+
+/**
+ * Compare an original and a customized resume section by section
+ *
+ * Sections are matched by what they contain rather than their exact
+ * heading, so "Work History" and "Professional Experience" are compared
+ * with each other. Within a section, entries are matched by heading and
+ * items are reported as added, removed, rewritten or unchanged.
+ *
+ * @param {string} originalMarkdown - Original resume Markdown
+ * @param {string} customizedMarkdown - Customized resume Markdown
+ * @returns {Object} Diff with per-type counts and section diffs
+ */
+const diffResumes = (originalMarkdown, customizedMarkdown) => {
+  const originalSections = parseSections(originalMarkdown);
+  const customizedSections = parseSections(customizedMarkdown);
+
+  const sections = [
+    ...customizedSections.map(section => {
+      const match = originalSections.find(candidate => candidate.key === section.key);
+
+      if (!match) {
+        return {
+          heading: section.heading,
+          status: 'added',
+          entries: diffEntries([], section.entries)
+        };
+      }
+
+      const renamed = normalize(match.heading) !== normalize(section.heading);
+      const entries = diffEntries(match.entries, section.entries);
+      return {
+        heading: section.heading,
+        ...(renamed ? { originalHeading: match.heading } : {}),
+        status: statusOf(entries, renamed),
+        entries
+      };
+    }),
+    ...originalSections
+      .filter(section => !customizedSections.some(candidate => candidate.key === section.key))
+      .map(section => ({
+        heading: section.heading,
+        status: 'removed',
+        entries: diffEntries(section.entries, [])
+      }))
+  ];
+
+  return {
+    stats: countChanges(sections),
+    sections
+  };
+};
+
+/**
+ * Escape text for HTML output
+ *
+ * @param {string} value - Text
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Render a word level redline of two texts
+ *
+ * @param {string} original - Original text
+ * @param {string} customized - Customized text
+ * @returns {string} HTML with deletions and insertions marked up
+ */
+const redlineText = (original, customized) => diffWords(original, customized)
+  .map(part => {
+    if (part.added) {
+      return `<ins>${escapeHtml(part.value)}</ins>`;
+    }
+    if (part.removed) {
+      return `<del>${escapeHtml(part.value)}</del>`;
+    }
+    return escapeHtml(part.value);
+  })
+  .join('');
+
+/**
+ * Render the content of a change
+ *
+ * @param {Object} change - Item change
+ * @returns {string} HTML
+ */
+const renderChange = (change) => {
+  switch (change.type) {
+  case 'added':
+    return `<ins>${escapeHtml(change.customized)}</ins>`;
+  case 'removed':
+    return `<del>${escapeHtml(change.original)}</del>`;
+  case 'rewritten':
+    return redlineText(change.original, change.customized);
+  default:
+    return escapeHtml(change.customized);
+  }
+};
+
+/**
+ * Render a heading, marking up renames
+ *
+ * @param {string} tag - Heading tag
+ * @param {Object} diff - Section or entry diff
+ * @returns {string} HTML
+ */
+const renderHeading = (tag, diff) => {
+  if (!diff.heading) {
+    return '';
+  }
+
+  let content = escapeHtml(diff.heading);
+  if (diff.status === 'added') {
+    content = `<ins>${content}</ins>`;
+  } else if (diff.status === 'removed') {
+    content = `<del>${content}</del>`;
+  } else if (diff.originalHeading) {
+    content = redlineText(diff.originalHeading, diff.heading);
+  }
+
+  return `<${tag}>${content}</${tag}>`;
+};
+
+/**
+ * Render the changes of an entry, grouping consecutive bullets into lists
+ *
+ * @param {Array<Object>} changes - Item changes
+ * @returns {string} HTML
+ */
+const renderChanges = (changes) => {
+  const html = [];
+  let bullets = [];
+
+  const flushBullets = () => {
+    if (bullets.length) {
+      html.push(`<ul>${bullets.join('')}</ul>`);
+      bullets = [];
+    }
+  };
+
+  changes.forEach(change => {
+    const content = `<span class="change change-${change.type}">${renderChange(change)}</span>`;
+    if (change.kind === 'bullet') {
+      bullets.push(`<li>${content}</li>`);
+    } else {
+      flushBullets();
+      html.push(`<p>${content}</p>`);
+    }
+  });
+  flushBullets();
+
+  return html.join('\n');
+};
+
+/**
+ * Render a resume diff as a standalone HTML redline document
+ *
+ * @param {Object} diff - Diff returned by diffResumes
+ * @param {Object} options - Rendering options
+ * @param {string} options.title - Document title
+ * @returns {string} HTML document
+ */
+const renderDiffHtml = (diff, options = {}) => {
+  const title = options.title || 'Resume changes';
+  const { added, removed, rewritten } = diff.stats;
+
+  const body = diff.sections.map(section => [
+    `<section class="section-${section.status}">`,
+    renderHeading('h2', section),
+    ...section.entries.map(entry => [
+      `<div class="entry entry-${entry.status}">`,
+      renderHeading('h3', entry),
+      renderChanges(entry.changes),
+      '</div>'
+    ].filter(Boolean).join('\n')),
+    '</section>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)}</title>
+<style>
+body { font-family: Arial, sans-serif; max-width: 800px; margin: 2em auto; line-height: 1.5; color: #222; }
+h2 { border-bottom: 1px solid #ccc; padding-bottom: 0.2em; }
+ins { background: #e6ffec; color: #116329; text-decoration: none; }
+del { background: #ffebe9; color: #82071e; }
+.stats { color: #555; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="stats">${added} added, ${removed} removed, ${rewritten} rewritten</p>
+${body}
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  diffResumes,
+  renderDiffHtml
+};
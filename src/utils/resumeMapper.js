@@ -31,7 +31,14 @@ const mapToDetailedResponse = (resume) => ({
   ...mapToBasicResponse(resume),
   originalFileName: resume.originalFileName,
   s3Url: resume.s3Url,
-  markdownContent: resume.markdownContent
+  markdownContent: resume.markdownContent,
+  structuredContent: resume.structuredContent,
+  currentVersionId: resume.currentVersionId,
+  jobRequirements: resume.jobRequirements || null,
+  skillGapReport: resume.skillGapReport || null,
+  customizationModel: resume.customizationModel,
+  customizationPromptVersions: resume.customizationPromptVersions,
+  verificationReport: resume.verificationReport
 });
 
 /**
@@ -39,38 +46,56 @@ const mapToDetailedResponse = (resume) => ({
  * @param {Object} resume - Resume database entity
  * @param {Object} options - Additional options
  * @param {boolean} options.includeDownloadUrl - Whether to include the download URL
+ * @param {Object} options.atsScore - Keyword match scores of the original and customized resume
+ * @param {Object} options.progress - Progress estimate of a running customization
  * @returns {Object} - Customization status response object
  */
 const mapToCustomizationStatusResponse = (resume, options = {}) => {
-  // Calculate progress percentage based on status
-  let progress = 0;
-  switch (resume.customizationStatus) {
-  case 'pending':
-    progress = 10;
-    break;
-  case 'processing':
-    progress = 50;
-    break;
-  case 'completed':
-    progress = 100;
-    break;
-  case 'failed':
-    progress = 0;
-    break;
-  }
+  // Running jobs report their estimated progress, finished ones are done
+  const finished = ['completed', 'needs_review'].includes(resume.customizationStatus);
+  const progress = options.progress || {
+    percent: finished ? 100 : 0,
+    elapsedSeconds: finished && resume.customizationStartedAt && resume.customizationCompletedAt
+      ? Math.round((new Date(resume.customizationCompletedAt) - new Date(resume.customizationStartedAt)) / 1000)
+      : null,
+    etaSeconds: finished ? 0 : null
+  };
   
   const response = {
     id: resume.id,
     name: resume.name,
     status: resume.customizationStatus,
-    progress,
+    progress: progress.percent,
+    step: resume.customizationStep || null,
+    elapsedSeconds: progress.elapsedSeconds,
+    etaSeconds: progress.etaSeconds,
     error: resume.customizationError,
     completedAt: resume.customizationCompletedAt,
     jobTitle: resume.jobTitle,
     companyName: resume.companyName,
+    jobRequirements: resume.jobRequirements || null,
+    skillGapReport: resume.skillGapReport || null,
     canDownload: resume.customizationStatus === 'completed'
   };
   
+  if (resume.verificationReport) {
+    response.verification = {
+      outcome: resume.verificationReport.outcome,
+      violationCount: resume.verificationReport.violationCount
+    };
+  }
+  
+  if (options.atsScore) {
+    response.atsScore = {
+      original: options.atsScore.original.score,
+      customized: options.atsScore.customized ? options.atsScore.customized.score : null,
+      gain: options.atsScore.gain,
+      missingKeywords: options.atsScore.customized
+        ? options.atsScore.customized.missing.map(keyword => keyword.keyword)
+        : []
+    };
+  }
+  
   if (options.includeDownloadUrl && resume.customizationStatus === 'completed') {
     response.downloadUrl = `/api/v1/resumes/${resume.id}/download?version=customized`;
   }
@@ -91,9 +116,103 @@ const mapToUploadAndCustomizeResponse = (resume, jobId) => ({
   jobId
 });
 
+/**
+ * Map a resume version database entity to a response object
+ * @param {Object} version - Resume version database entity
+ * @param {Object} options - Additional options
+ * @param {string} options.currentVersionId - ID of the resume's current version
+ * @param {boolean} options.includeContent - Whether to include the generated content
+ * @returns {Object} - Resume version response object
+ */
+const mapToVersionResponse = (version, options = {}) => {
+  const response = {
+    id: version.id,
+    resumeId: version.resumeId,
+    versionNumber: version.versionNumber,
+    jobTitle: version.jobTitle,
+    companyName: version.companyName,
+    model: version.model,
+    promptVersions: version.promptVersions || null,
+    isCurrent: version.id === options.currentVersionId,
+    createdAt: version.createdAt,
+    downloadUrl: `/api/v1/resumes/${version.resumeId}/versions/${version.id}/download`
+  };
+  
+  if (options.includeContent) {
+    response.jobDescription = version.jobDescription;
+    response.jobRequirements = version.jobRequirements || null;
+    response.skillGapReport = version.skillGapReport || null;
+    response.markdownContent = version.markdownContent;
+    response.structuredContent = version.structuredContent;
+  }
+  
+  return response;
+};
+
+/**
+ * Whether the cover letter of a resume was written for its current job
+ *
+ * A letter written from a completed customization is current while that
+ * customization is; one written before has only its job to compare.
+ * @param {Object} resume - Resume database entity with a cover letter
+ * @returns {boolean} Whether the letter is current
+ */
+const isCoverLetterCurrent = (resume) => {
+  if (resume.coverLetterVersionId) {
+    return resume.coverLetterVersionId === resume.currentVersionId;
+  }
+  return (resume.coverLetterJobTitle || null) === (resume.jobTitle || null) &&
+    (resume.coverLetterCompanyName || null) === (resume.companyName || null);
+};
+
+/**
+ * Map the cover letter of a resume database entity to a response object
+ * @param {Object} resume - Resume database entity with a cover letter
+ * @returns {Object} - Cover letter response object
+ */
+const mapToCoverLetterResponse = (resume) => ({
+  resumeId: resume.id,
+  status: resume.coverLetterStatus || null,
+  error: resume.coverLetterError || null,
+  versionId: resume.coverLetterVersionId || null,
+  isCurrent: isCoverLetterCurrent(resume),
+  jobTitle: resume.coverLetterJobTitle || null,
+  companyName: resume.coverLetterCompanyName || null,
+  content: resume.coverLetterContent,
+  tone: resume.coverLetterOptions ? resume.coverLetterOptions.tone : null,
+  length: resume.coverLetterOptions ? resume.coverLetterOptions.length : null,
+  model: resume.coverLetterModel || null,
+  promptVersions: resume.coverLetterPromptVersions || null,
+  generatedAt: resume.coverLetterGeneratedAt,
+  downloadUrl: `/api/v1/resumes/${resume.id}/cover-letter/download`
+});
+
+/**
+ * Map the interview preparation pack of a resume database entity to a response object
+ * @param {Object} resume - Resume database entity with an interview preparation pack
+ * @returns {Object} - Interview preparation pack response object
+ */
+const mapToInterviewPrepResponse = (resume) => ({
+  resumeId: resume.id,
+  status: resume.interviewPrepStatus || null,
+  error: resume.interviewPrepError || null,
+  versionId: resume.interviewPrepVersionId || null,
+  isCurrent: Boolean(resume.interviewPrepVersionId) && resume.interviewPrepVersionId === resume.currentVersionId,
+  jobTitle: resume.jobTitle,
+  companyName: resume.companyName,
+  content: resume.interviewPrepContent,
+  model: resume.interviewPrepModel || null,
+  promptVersions: resume.interviewPrepPromptVersions || null,
+  generatedAt: resume.interviewPrepGeneratedAt,
+  downloadUrl: `/api/v1/resumes/${resume.id}/interview-prep/download`
+});
+
 module.exports = {
   mapToBasicResponse,
   mapToDetailedResponse,
   mapToCustomizationStatusResponse,
-  mapToUploadAndCustomizeResponse
+  mapToUploadAndCustomizeResponse,
+  mapToVersionResponse,
+  mapToCoverLetterResponse,
+  mapToInterviewPrepResponse
 };
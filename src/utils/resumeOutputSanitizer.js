@@ -0,0 +1,252 @@
+/**
+ * Resume Output Sanitizer
+ *
+ * This module cleans the resumes and cover letters a model returns before they
+ * are stored and rendered: reasoning traces, code fences, JSON wrappers and
+ * chatty commentary are removed, and resumes are checked for the shape of a
+ * Markdown resume.
+ */
+
+// Tags reasoning models wrap their chain of thought in
+const REASONING_TAG = '(?:think|thinking|reasoning|reflection)';
+
+// Fields a JSON wrapper may carry the resume, cover letter or interview preparation pack in
+const CONTENT_FIELDS = ['resume', 'coverLetter', 'interviewPrep', 'markdown', 'content', 'customizedResume', 'output', 'text'];
+
+// Languages of fenced blocks that may hold the resume or cover letter
+const CONTENT_FENCE_LANGUAGES = ['', 'markdown', 'md', 'json'];
+
+// Sentences models open their commentary with, before or after the resume
+const COMMENTARY_START = new RegExp(
+  '^(?:\\*\\*|_)?(?:notes?|explanation|key changes|changes made|summary of changes|i have|i\'ve|i hope|' +
+  'hope this|let me know|feel free|these changes|this (?:tailored |customized |updated |revised )?resume)\\b',
+  'i'
+);
+
+// Sentences models open their answer with before the letter itself
+const PREAMBLE_START = /^(?:sure|certainly|of course|here is|here's|below is)\b/i;
+
+// Sign-offs that end a letter, anything after the paragraph they open is commentary
+const SIGN_OFF = /^(?:sincerely|best regards|kind regards|warm regards|regards|best|respectfully|yours (?:truly|sincerely|faithfully)),?\s*(?:\n|$)/i;
+
+// Section headings longer than this are most likely sentences
+const MAX_HEADING_LENGTH = 80;
+
+/**
+ * Remove reasoning blocks
+ *
+ * A closing tag without an opening one ends a trace whose opening tag was
+ * part of the prompt, an opening tag without a closing one starts a trace that
+ * was cut off.
+ * @param {string} text - Model output
+ * @returns {string} Output without reasoning
+ */
+const stripReasoning = (text) => {
+  let result = text.replace(new RegExp(`<${REASONING_TAG}>[\\s\\S]*?</${REASONING_TAG}>`, 'gi'), '');
+
+  const closing = result.search(new RegExp(`</${REASONING_TAG}>`, 'i'));
+  if (closing !== -1) {
+    result = result.slice(closing).replace(new RegExp(`^</${REASONING_TAG}>`, 'i'), '');
+  }
+
+  const opening = result.search(new RegExp(`<${REASONING_TAG}>`, 'i'));
+  if (opening !== -1) {
+    result = result.slice(0, opening);
+  }
+
+  return result;
+};
+
+/**
+ * Get the content carried in a JSON wrapper
+ * @param {string} text - Model output
+ * @returns {string|null} Content, null when the text is not a JSON wrapper
+ */
+const unwrapJson = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed.startsWith('{')) {
+    return null;
+  }
+
+  try {
+    const parsed = JSON.parse(trimmed);
+    const field = CONTENT_FIELDS.find(name => typeof parsed[name] === 'string' && parsed[name].trim());
+    return field ? parsed[field] : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Whether a fenced block holds a resume: its name heading or a JSON wrapper
+const holdsResume = content => /^#\s+\S/m.test(content) || unwrapJson(content) !== null;
+
+/**
+ * Get the content out of the fenced block it was wrapped in
+ *
+ * The longest block that holds the content wins, anything around it is
+ * commentary. A fence that was opened but never closed is dropped.
+ * @param {string} text - Model output
+ * @param {Function} holdsContent - Whether a block holds the content rather than an example
+ * @returns {string|null} Content of the block, null when there is no fence
+ */
+const unwrapFence = (text, holdsContent = holdsResume) => {
+  const blocks = [...text.matchAll(/^```[ \t]*([\w-]*)[ \t]*\n([\s\S]*?)\n```[ \t]*$/gm)]
+    .filter(([, language, content]) => CONTENT_FENCE_LANGUAGES.includes(language.toLowerCase()) &&
+      holdsContent(content))
+    .map(([, , content]) => content)
+    .sort((a, b) => b.length - a.length);
+
+  if (blocks.length > 0) {
+    return blocks[0];
+  }
+
+  if (/^```/m.test(text)) {
+    return text.replace(/^```[ \t]*[\w-]*[ \t]*$/gm, '');
+  }
+
+  return null;
+};
+
+/**
+ * Remove the commentary after the resume
+ *
+ * Commentary is cut at the horizontal rule that introduces it, or paragraph
+ * by paragraph from the end while the paragraphs read like commentary.
+ * @param {string} text - Resume with a trailing commentary
+ * @returns {string} Resume
+ */
+const stripTrailingCommentary = (text) => {
+  const paragraphs = text.trim().split(/\n\s*\n/);
+  const ruleIndex = paragraphs.findIndex((paragraph, index) =>
+    index > 0 && /^(?:-{3,}|\*{3,}|_{3,})$/.test(paragraph.trim()) &&
+    paragraphs[index + 1] !== undefined && COMMENTARY_START.test(paragraphs[index + 1].trim()));
+
+  const kept = ruleIndex === -1 ? paragraphs : paragraphs.slice(0, ruleIndex);
+  while (kept.length > 1 && COMMENTARY_START.test(kept[kept.length - 1].trim())) {
+    kept.pop();
+  }
+
+  return kept.join('\n\n');
+};
+
+/**
+ * Create a function applying a repair when it changes the text
+ * @param {Array<string>} repairs - Names of the repairs made, the applied ones are added
+ * @returns {Function} Called with the repair name, the text and its cleaned version, null when
+ *   there was nothing to clean; returns the text to continue with
+ */
+const createRepairer = repairs => (name, text, cleaned) => {
+  if (cleaned !== null && cleaned.trim() !== text.trim()) {
+    repairs.push(name);
+    return cleaned;
+  }
+  return text;
+};
+
+/**
+ * Clean the resume a model returned
+ * @param {string} output - Model output
+ * @returns {{content: string, repairs: Array<string>}} Cleaned Markdown and the repairs made:
+ *   reasoning, code_fence, json_wrapper, preamble and commentary
+ */
+const sanitizeResumeOutput = (output = '') => {
+  const repairs = [];
+  const repair = createRepairer(repairs);
+
+  let content = String(output || '').replace(/\r\n/g, '\n');
+
+  content = repair('reasoning', content, stripReasoning(content));
+  content = repair('code_fence', content, unwrapFence(content));
+  content = repair('json_wrapper', content, unwrapJson(content));
+
+  // The name heading opens the resume, text before it is a preamble
+  const firstHeading = content.search(/^#\s+\S/m);
+  content = repair('preamble', content, firstHeading > 0 ? content.slice(firstHeading) : null);
+  content = repair('commentary', content, stripTrailingCommentary(content));
+
+  return {
+    content: content.replace(/\n{3,}/g, '\n\n').trim(),
+    repairs
+  };
+};
+
+/**
+ * Clean the cover letter a model returned
+ * @param {string} output - Model output
+ * @returns {{content: string, repairs: Array<string>}} Cleaned Markdown and the repairs made:
+ *   reasoning, code_fence, json_wrapper, preamble and commentary
+ */
+const sanitizeCoverLetterOutput = (output = '') => {
+  const repairs = [];
+  const repair = createRepairer(repairs);
+
+  let content = String(output || '').replace(/\r\n/g, '\n');
+
+  content = repair('reasoning', content, stripReasoning(content));
+  content = repair('code_fence', content, unwrapFence(content, block => block.trim() !== ''));
+  content = repair('json_wrapper', content, unwrapJson(content));
+
+  // A letter has no heading to find its start by, so only an opening sentence that reads like one is dropped
+  const [opening, ...rest] = content.trim().split(/\n\s*\n/);
+  content = repair('preamble', content, rest.length > 0 && PREAMBLE_START.test(opening) ? rest.join('\n\n') : null);
+
+  // Letters close with sentences that read like commentary, so only what follows the sign-off is cut
+  const paragraphs = content.trim().split(/\n\s*\n/);
+  const signOff = paragraphs.findIndex(paragraph => SIGN_OFF.test(paragraph.trim()));
+  const signed = signOff === -1 ? null : paragraphs.slice(0, signOff + (paragraphs[signOff].trim().includes('\n') ? 1 : 2));
+  content = repair('commentary', content, signed ? signed.join('\n\n') : null);
+
+  return {
+    content: content.replace(/\n{3,}/g, '\n\n').trim(),
+    repairs
+  };
+};
+
+/**
+ * Check that Markdown has the shape of a resume
+ * @param {string} markdown - Sanitized resume
+ * @returns {Array<string>} Problems found, empty for a well-formed resume
+ */
+const findResumeIssues = (markdown = '') => {
+  if (!markdown || !markdown.trim()) {
+    return ['The resume is empty'];
+  }
+
+  const issues = [];
+
+  if (new RegExp(`</?${REASONING_TAG}>`, 'i').test(markdown)) {
+    issues.push('It contains reasoning tags');
+  }
+
+  if (/^```/m.test(markdown)) {
+    issues.push('It contains code fences');
+  }
+
+  if (/^\s*[{[]/.test(markdown) || /^\s*"[^"\n]+"\s*:\s*["{[\d]/m.test(markdown)) {
+    issues.push('It contains JSON instead of Markdown');
+  }
+
+  const titles = markdown.match(/^#\s+\S.*$/gm) || [];
+  if (titles.length === 0) {
+    issues.push('It has no H1 heading with the candidate name');
+  } else if (titles.length > 1) {
+    issues.push(`It has ${titles.length} H1 headings instead of one with the candidate name`);
+  }
+
+  const sections = (markdown.match(/^##\s+\S.*$/gm) || []).map(heading => heading.replace(/^##\s+/, '').trim());
+  if (sections.length === 0) {
+    issues.push('It has no ## section headings such as Experience or Education');
+  }
+
+  sections
+    .filter(heading => heading.length > MAX_HEADING_LENGTH)
+    .forEach(heading => issues.push(`The section heading "${heading.slice(0, 40)}..." is a sentence, not a heading`));
+
+  return issues;
+};
+
+module.exports = {
+  sanitizeResumeOutput,
+  sanitizeCoverLetterOutput,
+  findResumeIssues
+};
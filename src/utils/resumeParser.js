@@ -0,0 +1,190 @@
+/**
+ * Structured Resume Parser
+ *
+ * This module turns resume Markdown into a structured model with typed
+ * sections, so the rest of the application can reason about a resume's
+ * contact details, experience entries, education, skills and projects
+ * instead of one block of text.
+ */
+
+const { extractJsonResume } = require('./jsonResume');
+
+// Bumped whenever the shape of the structured model changes
+const STRUCTURED_RESUME_VERSION = 1;
+
+/**
+ * @typedef {Object} ResumeContact
+ * @property {string|null} name - Candidate name
+ * @property {string|null} headline - Headline below the name
+ * @property {string|null} email - Email address
+ * @property {string|null} phone - Phone number
+ * @property {string|null} location - Location, e.g. "Berlin, BE"
+ * @property {string|null} website - Personal website
+ * @property {Array<{network: string, username: string, url: string}>} profiles - Social profiles
+ */
+
+/**
+ * @typedef {Object} ResumeExperience
+ * @property {string|null} company - Employer
+ * @property {string|null} title - Job title
+ * @property {string|null} location - Work location
+ * @property {string|null} startDate - Start date (YYYY, YYYY-MM or YYYY-MM-DD)
+ * @property {string|null} endDate - End date, null for current positions
+ * @property {boolean} current - Whether this is a current position
+ * @property {string|null} description - Free text below the entry heading
+ * @property {Array<string>} bullets - Achievements and responsibilities
+ */
+
+/**
+ * @typedef {Object} ResumeEducation
+ * @property {string|null} institution - School or university
+ * @property {string|null} degree - Degree, e.g. "BSc"
+ * @property {string|null} field - Field of study
+ * @property {string|null} startDate - Start date
+ * @property {string|null} endDate - End or graduation date
+ * @property {string|null} score - Grade or GPA
+ * @property {Array<string>} details - Courses and other details
+ */
+
+/**
+ * @typedef {Object} ResumeSkillGroup
+ * @property {string|null} category - Group name, null for uncategorised skills
+ * @property {Array<string>} items - Skills in the group
+ */
+
+/**
+ * @typedef {Object} ResumeProject
+ * @property {string|null} name - Project name
+ * @property {string|null} url - Project URL
+ * @property {string|null} description - Project description
+ * @property {string|null} startDate - Start date
+ * @property {string|null} endDate - End date
+ * @property {Array<string>} bullets - Project highlights
+ */
+
+/**
+ * @typedef {Object} ResumeCertification
+ * @property {string|null} name - Certification name
+ * @property {string|null} issuer - Issuing organisation
+ * @property {string|null} date - Date obtained
+ */
+
+/**
+ * @typedef {Object} StructuredResume
+ * @property {number} version - Model version
+ * @property {ResumeContact} contact - Contact block
+ * @property {string|null} summary - Professional summary
+ * @property {Array<ResumeExperience>} experience - Work experience, as listed
+ * @property {Array<ResumeEducation>} education - Education, as listed
+ * @property {Array<ResumeSkillGroup>} skills - Skill groups
+ * @property {Array<ResumeProject>} projects - Projects
+ * @property {Array<ResumeCertification>} certifications - Certifications and licenses
+ */
+
+const orNull = (value) => (value === undefined || value === '' ? null : value);
+
+/**
+ * Format a JSON Resume location as a single line
+ *
+ * @param {Object} location - JSON Resume location
+ * @returns {string|null} Location line
+ */
+const formatLocation = (location) => {
+  if (!location) {
+    return null;
+  }
+  return [location.city, location.region, location.countryCode].filter(Boolean).join(', ') || null;
+};
+
+/**
+ * Group skills, collecting those without a category into a single group
+ *
+ * A skill without keywords is a bare bullet or a comma separated line.
+ *
+ * @param {Array<Object>} skills - JSON Resume skills
+ * @returns {Array<ResumeSkillGroup>} Skill groups
+ */
+const groupSkills = (skills = []) => {
+  const groups = [];
+  const uncategorised = [];
+
+  skills.forEach(skill => {
+    if (skill.keywords && skill.keywords.length) {
+      groups.push({ category: orNull(skill.name), items: skill.keywords });
+    } else if (skill.name) {
+      skill.name.split(/\s*,\s*/).filter(Boolean).forEach(item => uncategorised.push(item));
+    }
+  });
+
+  if (uncategorised.length) {
+    groups.push({ category: null, items: uncategorised });
+  }
+
+  return groups;
+};
+
+/**
+ * Parse resume Markdown into a structured resume
+ *
+ * Parsing is lenient: fields that cannot be recognised are left empty
+ * rather than rejected, so any Markdown produces a model.
+ *
+ * @param {string} markdown - Resume Markdown
+ * @returns {StructuredResume} Structured resume
+ */
+const parseResumeMarkdown = (markdown) => {
+  const document = extractJsonResume(markdown);
+  const basics = document.basics || {};
+
+  return {
+    version: STRUCTURED_RESUME_VERSION,
+    contact: {
+      name: orNull(basics.name),
+      headline: orNull(basics.label),
+      email: orNull(basics.email),
+      phone: orNull(basics.phone),
+      location: formatLocation(basics.location),
+      website: orNull(basics.url),
+      profiles: basics.profiles || []
+    },
+    summary: orNull(basics.summary),
+    experience: (document.work || []).map(work => ({
+      company: orNull(work.name),
+      title: orNull(work.position),
+      location: orNull(work.location),
+      startDate: orNull(work.startDate),
+      endDate: orNull(work.endDate),
+      current: Boolean(work.startDate && !work.endDate),
+      description: orNull(work.summary),
+      bullets: work.highlights || []
+    })),
+    education: (document.education || []).map(education => ({
+      institution: orNull(education.institution),
+      degree: orNull(education.studyType),
+      field: orNull(education.area),
+      startDate: orNull(education.startDate),
+      endDate: orNull(education.endDate),
+      score: orNull(education.score),
+      details: education.courses || []
+    })),
+    skills: groupSkills(document.skills),
+    projects: (document.projects || []).map(project => ({
+      name: orNull(project.name),
+      url: orNull(project.url),
+      description: orNull(project.description),
+      startDate: orNull(project.startDate),
+      endDate: orNull(project.endDate),
+      bullets: project.highlights || []
+    })),
+    certifications: (document.certificates || []).map(certificate => ({
+      name: orNull(certificate.name),
+      issuer: orNull(certificate.issuer),
+      date: orNull(certificate.date)
+    }))
+  };
+};
+
+module.exports = {
+  STRUCTURED_RESUME_VERSION,
+  parseResumeMarkdown
+};
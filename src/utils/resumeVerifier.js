@@ -0,0 +1,274 @@
+/**
+ * Resume Verifier
+ *
+ * This module checks a customized resume against the original for claims
+ * the original does not support: employers, job titles, dates, degrees,
+ * certifications and numbers that were invented or altered during
+ * customization.
+ */
+
+const { parseResumeMarkdown } = require('./resumeParser');
+const { stripInlineMarkdown } = require('./jsonResume');
+
+/**
+ * Types of unsupported claims
+ */
+const ViolationType = {
+  EMPLOYER: 'employer',
+  TITLE: 'title',
+  DATE: 'date',
+  DEGREE: 'degree',
+  CERTIFICATION: 'certification',
+  NUMBER: 'number'
+};
+
+// Figures such as "40%", "$2.5M", "1,200", "3x" or "10+"
+const NUMBER_REGEX = /(?:[$€£]\s?)?\d+(?:[.,]\d+)*(?:\s?(?:%|k\b|m\b|bn\b|x\b|\+))?/gi;
+
+// Years are covered by the date checks of experience and education entries
+const YEAR_REGEX = /^(19|20)\d{2}$/;
+
+/**
+ * Normalize text for matching: lowercase words separated by single spaces
+ *
+ * @param {string} value - Text
+ * @returns {string} Normalized text
+ */
+const normalize = (value) => (value || '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}+#]+/gu, ' ')
+  .trim();
+
+/**
+ * Whether two names refer to the same thing, allowing for shortened forms
+ * such as "Acme" and "Acme Corp"
+ *
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {boolean} Whether the names match
+ */
+const sameName = (a, b) => {
+  const normalizedA = normalize(a);
+  const normalizedB = normalize(b);
+
+  if (!normalizedA || !normalizedB) {
+    return false;
+  }
+
+  return normalizedA === normalizedB ||
+    ` ${normalizedA} `.includes(` ${normalizedB} `) ||
+    ` ${normalizedB} `.includes(` ${normalizedA} `);
+};
+
+/**
+ * Reduce a figure to its digits, so "1,200" matches "1200" and "$2.5M" matches "2.5"
+ *
+ * @param {string} value - Figure as written
+ * @returns {string} Digits and decimal point
+ */
+const numberCore = (value) => value
+  .replace(/[^\d.,]/g, '')
+  .replace(/,(?=\d{3}\b)/g, '')
+  .replace(',', '.')
+  .replace(/\.0+$/, '');
+
+/**
+ * Collect the figures of a text with the line they appear on
+ *
+ * @param {string} text - Plain text
+ * @returns {Array<Object>} Figures with their core value and line
+ */
+const extractNumbers = (text) => text.split('\n').reduce((numbers, line) => {
+  const content = line.replace(/^\s*(?:[-*+]|\d+\.|#+)\s+/, '').trim();
+  (content.match(NUMBER_REGEX) || []).forEach(value => {
+    numbers.push({ value: value.trim(), core: numberCore(value), line: content });
+  });
+  return numbers;
+}, []);
+
+/**
+ * Build a violation
+ *
+ * @param {string} type - Violation type
+ * @param {string} value - Unsupported value
+ * @param {string} message - Explanation
+ * @param {string} context - Where the value appears
+ * @returns {Object} Violation
+ */
+const violation = (type, value, message, context) => ({
+  type,
+  value,
+  message,
+  ...(context ? { context } : {})
+});
+
+/**
+ * Check experience entries: employers, titles and dates
+ *
+ * @param {Object} original - Original structured resume
+ * @param {Object} customized - Customized structured resume
+ * @param {Function} inOriginal - Whether text appears in the original
+ * @returns {Array<Object>} Violations
+ */
+const checkExperience = (original, customized, inOriginal) => {
+  const violations = [];
+
+  customized.experience.forEach(entry => {
+    const context = [entry.title, entry.company].filter(Boolean).join(' | ');
+
+    if (!entry.company) {
+      if (entry.title && !inOriginal(entry.title)) {
+        violations.push(violation(ViolationType.TITLE, entry.title, 'Job title does not appear in the original resume', context));
+      }
+      return;
+    }
+
+    const candidates = original.experience.filter(candidate => sameName(candidate.company, entry.company));
+
+    if (!candidates.length) {
+      if (!inOriginal(entry.company)) {
+        violations.push(violation(ViolationType.EMPLOYER, entry.company, 'Employer does not appear in the original resume', context));
+      }
+      return;
+    }
+
+    // Titles must match exactly, "Engineer" must not pass for "Staff Engineer"
+    const roles = candidates.filter(candidate => !entry.title || normalize(candidate.title) === normalize(entry.title));
+    if (entry.title && !roles.length) {
+      violations.push(violation(
+        ViolationType.TITLE,
+        entry.title,
+        `Job title differs from the original (${candidates.map(candidate => candidate.title).filter(Boolean).join(', ')})`,
+        context
+      ));
+    }
+
+    const datesFrom = roles.length ? roles : candidates;
+    const checkDate = (field, label) => {
+      if (entry[field] && !datesFrom.some(candidate => candidate[field] === entry[field])) {
+        violations.push(violation(ViolationType.DATE, entry[field], `${label} differs from the original`, context));
+      }
+    };
+    checkDate('startDate', 'Start date');
+    checkDate('endDate', 'End date');
+
+    if (entry.current && !datesFrom.some(candidate => candidate.current)) {
+      violations.push(violation(ViolationType.DATE, 'Present', 'Position is shown as current but has ended in the original', context));
+    }
+  });
+
+  return violations;
+};
+
+/**
+ * Check education entries: institutions, degrees and graduation dates
+ *
+ * @param {Object} original - Original structured resume
+ * @param {Object} customized - Customized structured resume
+ * @param {Function} inOriginal - Whether text appears in the original
+ * @returns {Array<Object>} Violations
+ */
+const checkEducation = (original, customized, inOriginal) => {
+  const violations = [];
+
+  customized.education.forEach(entry => {
+    const context = [entry.degree, entry.field, entry.institution].filter(Boolean).join(' | ');
+    const candidates = original.education.filter(candidate => sameName(candidate.institution, entry.institution));
+
+    if (entry.institution && !candidates.length && !inOriginal(entry.institution)) {
+      violations.push(violation(ViolationType.DEGREE, entry.institution, 'Institution does not appear in the original resume', context));
+    }
+
+    [entry.degree, entry.field].filter(Boolean).forEach(value => {
+      const supported = candidates.length
+        ? candidates.some(candidate => sameName(candidate.degree, value) || sameName(candidate.field, value))
+        : inOriginal(value);
+      if (!supported) {
+        violations.push(violation(ViolationType.DEGREE, value, 'Degree does not appear in the original resume', context));
+      }
+    });
+
+    if (entry.endDate && candidates.length && !candidates.some(candidate => candidate.endDate === entry.endDate)) {
+      violations.push(violation(ViolationType.DATE, entry.endDate, 'Graduation date differs from the original', context));
+    }
+  });
+
+  return violations;
+};
+
+/**
+ * Check certifications
+ *
+ * @param {Object} customized - Customized structured resume
+ * @param {Function} inOriginal - Whether text appears in the original
+ * @returns {Array<Object>} Violations
+ */
+const checkCertifications = (customized, inOriginal) => customized.certifications
+  .filter(certification => certification.name && !inOriginal(certification.name))
+  .map(certification => violation(
+    ViolationType.CERTIFICATION,
+    certification.name,
+    'Certification does not appear in the original resume'
+  ));
+
+/**
+ * Check figures: every number in the customized resume must appear in the original
+ *
+ * @param {string} originalText - Original plain text
+ * @param {string} customizedText - Customized plain text
+ * @returns {Array<Object>} Violations
+ */
+const checkNumbers = (originalText, customizedText) => {
+  const supported = new Set(extractNumbers(originalText).map(number => number.core));
+  const reported = new Set();
+
+  return extractNumbers(customizedText)
+    .filter(number => !YEAR_REGEX.test(number.core) && !supported.has(number.core))
+    .filter(number => {
+      if (reported.has(number.core)) {
+        return false;
+      }
+      reported.add(number.core);
+      return true;
+    })
+    .map(number => violation(ViolationType.NUMBER, number.value, 'Figure does not appear in the original resume', number.line));
+};
+
+/**
+ * Verify a customized resume against the original
+ *
+ * Claims are compared on their structured form where the resume layout
+ * allows it (experience, education and certification entries), and on the
+ * full text otherwise, so reordered or reworded content is not reported.
+ *
+ * @param {string} originalMarkdown - Original resume Markdown
+ * @param {string} customizedMarkdown - Customized resume Markdown
+ * @returns {Object} Verification report with the list of unsupported claims
+ */
+const verifyCustomizedResume = (originalMarkdown, customizedMarkdown) => {
+  const original = parseResumeMarkdown(originalMarkdown);
+  const customized = parseResumeMarkdown(customizedMarkdown);
+  const originalText = stripInlineMarkdown(originalMarkdown || '');
+  const customizedText = stripInlineMarkdown(customizedMarkdown || '');
+  const searchableOriginal = ` ${normalize(originalText)} `;
+  const inOriginal = (value) => searchableOriginal.includes(` ${normalize(value)} `);
+
+  const violations = [
+    ...checkExperience(original, customized, inOriginal),
+    ...checkEducation(original, customized, inOriginal),
+    ...checkCertifications(customized, inOriginal),
+    ...checkNumbers(originalText, customizedText)
+  ];
+
+  return {
+    passed: violations.length === 0,
+    violationCount: violations.length,
+    violations,
+    checkedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  ViolationType,
+  verifyCustomizedResume
+};
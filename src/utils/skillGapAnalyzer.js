@@ -0,0 +1,504 @@
+/**
+ * Skill Gap Analyzer
+ *
+ * This module compares the requirements parsed from a job description with
+ * the original resume and reports each one as met, partly met or missing,
+ * with the resume lines that show it and advice on how to learn it or how to
+ * position the experience the resume does show. Only the original resume is
+ * read, so a requirement the customization worded in is never counted as met.
+ *
+ * Skills from the known skill list are matched by name and related skills.
+ * Licences, certifications and other requirements the posting words itself
+ * are matched by their key terms, degrees by their level. A requirement
+ * without terms the resume could show, such as "able to lift 50 pounds", is
+ * reported as unassessed rather than missing.
+ */
+
+const { findSkills } = require('./atsScorer');
+const { stripInlineMarkdown } = require('./jsonResume');
+const { parseResumeMarkdown } = require('./resumeParser');
+const { Confidence, RequirementType, classifyRequirement } = require('./jobDescriptionParser');
+
+// Version of the report layout, bumped when its fields change
+const SKILL_GAP_REPORT_VERSION = 2;
+
+// Requirements parsed with less confidence than this are not reported
+const MIN_CONFIDENCE = Confidence.MENTIONED;
+
+// Resume lines quoted as evidence for a requirement
+const MAX_EVIDENCE = 3;
+
+// Share of the years asked for that counts as partly meeting them
+const PARTIAL_YEARS_RATIO = 0.5;
+
+/**
+ * Status of a requirement
+ */
+const GapStatus = {
+  MET: 'met',
+  PARTIAL: 'partial',
+  MISSING: 'missing',
+  // The resume cannot show whether the requirement is met
+  UNASSESSED: 'unassessed'
+};
+
+/**
+ * Degree levels, with the words that name them, highest first
+ */
+const DEGREE_LEVELS = [
+  { level: 4, name: 'doctoral', regex: /\b(?:ph\.?d|doctorate|doctoral|doctor of)\b/i },
+  { level: 3, name: 'master\'s', regex: /\b(?:master'?s?|msn|msc|m\.s|m\.a|mba)\b/i },
+  { level: 2, name: 'bachelor\'s', regex: /\b(?:bachelor'?s?|bsn|bsc|b\.s|b\.a|undergraduate degree)\b/i },
+  { level: 1, name: 'associate', regex: /\b(?:associate'?s? degree|associate of|adn|diploma)\b/i }
+];
+
+// Words of a requirement that say nothing about what the resume should show
+const GENERIC_WORDS = new Set([
+  'a', 'an', 'and', 'or', 'the', 'of', 'in', 'on', 'for', 'from', 'to', 'with', 'by', 'as', 'at', 'is', 'be',
+  'must', 'have', 'has', 'able', 'ability', 'strong', 'excellent', 'good', 'proven', 'solid', 'demonstrated',
+  'active', 'valid', 'current', 'unrestricted', 'license', 'licensed', 'licence', 'licensure', 'certification',
+  'certifications', 'certified', 'certificate', 'registered', 'state', 'required', 'preferred', 'plus',
+  'experience', 'experienced', 'years', 'year', 'yrs', 'knowledge', 'understanding', 'familiarity', 'working',
+  'equivalent', 'related', 'field', 'relevant', 'professional', 'skills', 'skill'
+]);
+
+/**
+ * Families of skills that carry over to one another, so a resume showing
+ * MySQL partly meets a requirement for PostgreSQL
+ */
+const SKILL_FAMILIES = [
+  { name: 'JavaScript', skills: ['javascript', 'typescript', 'node.js'] },
+  { name: 'frontend frameworks', skills: ['react', 'vue', 'angular', 'next.js'] },
+  { name: 'Python', skills: ['python', 'django', 'flask', 'fastapi'] },
+  { name: 'JVM languages', skills: ['java', 'spring', 'kotlin', 'scala'] },
+  { name: 'Ruby', skills: ['ruby', 'rails'] },
+  { name: '.NET', skills: ['c#', '.net'] },
+  { name: 'relational databases', skills: ['sql', 'postgresql', 'mysql'] },
+  { name: 'NoSQL stores', skills: ['mongodb', 'redis', 'elasticsearch'] },
+  { name: 'messaging', skills: ['kafka', 'rabbitmq'] },
+  { name: 'APIs', skills: ['rest api', 'graphql', 'grpc', 'microservices'] },
+  { name: 'cloud platforms', skills: ['aws', 'gcp', 'azure'] },
+  { name: 'containers', skills: ['docker', 'kubernetes'] },
+  { name: 'infrastructure as code', skills: ['terraform', 'ansible'] },
+  { name: 'delivery pipelines', skills: ['ci/cd', 'jenkins', 'git'] },
+  { name: 'machine learning', skills: ['machine learning', 'deep learning', 'pytorch', 'tensorflow'] },
+  { name: 'data processing', skills: ['data analysis', 'pandas', 'spark', 'airflow', 'sql'] },
+  { name: 'reporting', skills: ['data analysis', 'tableau', 'power bi', 'microsoft excel'] },
+  { name: 'agile delivery', skills: ['agile', 'scrum', 'jira'] },
+  { name: 'management', skills: ['project management', 'product management', 'stakeholder management'] },
+  { name: 'leadership', skills: ['leadership', 'mentoring'] }
+];
+
+/**
+ * Read the lines of a resume with the section each one is in
+ *
+ * @param {string} markdown - Resume Markdown
+ * @returns {Array<{text: string, section: string|null}>} Non-empty lines without Markdown
+ */
+const readResumeLines = (markdown) => {
+  let section = null;
+
+  return (markdown || '').split('\n').reduce((lines, rawLine) => {
+    const heading = rawLine.match(/^##\s+(.+)$/);
+    if (heading) {
+      section = stripInlineMarkdown(heading[1]).toLowerCase();
+      return lines;
+    }
+
+    const text = stripInlineMarkdown(rawLine.replace(/^\s*(?:#+|[-*+•]|\d+\.)\s+/, ''));
+    if (text) {
+      lines.push({ text, section });
+    }
+    return lines;
+  }, []);
+};
+
+// Whether a line only lists skills rather than showing them in use
+const inSkillsList = line => Boolean(line.section) && /\bskills?\b|\btechnolog|\btools\b/.test(line.section);
+
+/**
+ * Get the skills related to a skill
+ *
+ * @param {string} skill - Skill
+ * @returns {Array<{skill: string, family: string}>} Skills of the same families
+ */
+const relatedSkills = (skill) => SKILL_FAMILIES
+  .filter(family => family.skills.includes(skill))
+  .flatMap(family => family.skills
+    .filter(related => related !== skill)
+    .map(related => ({ skill: related, family: family.name })));
+
+/**
+ * Quote the resume lines mentioning any of the skills, those showing the skill in use first
+ *
+ * @param {Array<Object>} lines - Lines from readResumeLines
+ * @param {Array<string>} skills - Skills
+ * @returns {Array<Object>} Matching lines
+ */
+const linesMentioning = (lines, skills) => lines
+  .filter(line => line.skills.some(skill => skills.includes(skill)))
+  .sort((a, b) => Number(inSkillsList(a)) - Number(inSkillsList(b)));
+
+/**
+ * Assess a skill the job asks for
+ *
+ * @param {string} skill - Skill
+ * @param {string} importance - must_have or nice_to_have
+ * @param {number} confidence - Confidence of the parsed requirement
+ * @param {Array<Object>} lines - Resume lines with the skills each mentions
+ * @returns {Object} Report entry
+ */
+const assessSkill = (skill, importance, confidence, lines) => {
+  const entry = { requirement: skill, type: 'skill', importance, confidence };
+  const direct = linesMentioning(lines, [skill]);
+
+  if (direct.length > 0) {
+    const advice = direct.every(inSkillsList)
+      ? `Your resume lists ${skill} without showing it in use. Add it to an experience bullet with what you built or achieved with it.`
+      : null;
+    return { ...entry, status: GapStatus.MET, evidence: direct.slice(0, MAX_EVIDENCE).map(line => line.text), advice };
+  }
+
+  const related = relatedSkills(skill);
+  const transferable = [...new Set(related.map(candidate => candidate.skill))]
+    .filter(candidate => lines.some(line => line.skills.includes(candidate)));
+
+  if (transferable.length > 0) {
+    const family = related.find(candidate => transferable.includes(candidate.skill)).family;
+    return {
+      ...entry,
+      status: GapStatus.PARTIAL,
+      evidence: linesMentioning(lines, transferable).slice(0, MAX_EVIDENCE).map(line => line.text),
+      advice: `Your resume shows ${transferable.join(', ')} but not ${skill}. Present that as transferable ${family} ` +
+        `experience, and name ${skill} only if you have used it; a small project with it would close the gap.`
+    };
+  }
+
+  const advice = importance === 'must_have'
+    ? `Your resume shows no ${skill}, and the job requires it. Do not claim it; build working knowledge through a ` +
+      'course or a small project you can link, and address the gap openly in your cover letter.'
+    : `Your resume shows no ${skill}. It is a nice-to-have for this job, so leave it out rather than stretch ` +
+      'your experience; it is worth learning if you see it in other postings you apply to.';
+  return { ...entry, status: GapStatus.MISSING, evidence: [], advice };
+};
+
+/**
+ * Pick the words of a requirement the resume would show it by: its acronyms
+ * such as RN or ACLS, else its names such as Epic, else its other words.
+ * Acronyms and names are taken alone, for a phrase of plain words is as
+ * likely reworded as written.
+ *
+ * @param {string} requirement - Requirement as the posting words it
+ * @param {boolean} plainWords - Whether to fall back to plain words
+ * @returns {Array<string>} Key terms, empty when there are none
+ */
+const keyTerms = (requirement, plainWords) => {
+  const words = requirement.split(/[^A-Za-z0-9+#&'.-]+/)
+    .map(word => word.replace(/^['.-]+|['.-]+$/g, ''))
+    .filter(word => word.length > 1 && !GENERIC_WORDS.has(word.toLowerCase()) && !/^\d+\+?$/.test(word));
+
+  const acronyms = words.filter(word => /^[A-Z][A-Z0-9&+]{1,6}$/.test(word));
+  if (acronyms.length > 0) {
+    return [...new Set(acronyms)];
+  }
+
+  const names = words.filter((word, index) => /^[A-Z][a-z]/.test(word) && (index > 0 || !requirement.startsWith(word)));
+  if (names.length > 0) {
+    return [...new Set(names)];
+  }
+
+  return plainWords ? [...new Set(words.map(word => word.toLowerCase()))] : [];
+};
+
+/**
+ * Find the resume lines mentioning a term as a whole word, those showing it in use first
+ *
+ * @param {Array<Object>} lines - Lines from readResumeLines
+ * @param {string} term - Term
+ * @returns {Array<Object>} Matching lines
+ */
+const linesWithTerm = (lines, term) => {
+  const escaped = term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const regex = new RegExp(`(?:^|[^A-Za-z0-9])${escaped}(?:[^A-Za-z0-9]|$)`, 'i');
+  return lines.filter(line => regex.test(line.text)).sort((a, b) => Number(inSkillsList(a)) - Number(inSkillsList(b)));
+};
+
+/**
+ * Assess a licence, certification or other requirement the posting words itself by its key terms
+ *
+ * @param {string} requirement - Requirement as the posting words it
+ * @param {string} type - Type from RequirementType
+ * @param {string} importance - must_have or nice_to_have
+ * @param {number} confidence - Confidence of the parsed requirement
+ * @param {Array<Object>} lines - Resume lines
+ * @returns {Object} Report entry
+ */
+const assessByTerms = (requirement, type, importance, confidence, lines) => {
+  const entry = { requirement, type, importance, confidence };
+  const credential = type === RequirementType.CREDENTIAL;
+  const terms = keyTerms(requirement, credential);
+
+  if (terms.length === 0) {
+    return {
+      ...entry,
+      status: GapStatus.UNASSESSED,
+      evidence: [],
+      advice: 'Whether you meet this cannot be read from a resume. If you do, show it in an experience bullet ' +
+        'or your cover letter.'
+    };
+  }
+
+  const found = terms.filter(term => linesWithTerm(lines, term).length > 0);
+  const evidence = [...new Set(found.flatMap(term => linesWithTerm(lines, term)))]
+    .slice(0, MAX_EVIDENCE)
+    .map(line => line.text);
+
+  if (found.length === terms.length) {
+    return { ...entry, status: GapStatus.MET, evidence, advice: null };
+  }
+
+  const absent = terms.filter(term => !found.includes(term));
+  if (found.length > 0) {
+    return {
+      ...entry,
+      status: GapStatus.PARTIAL,
+      evidence,
+      advice: `Your resume shows ${found.join(', ')} but not ${absent.join(', ')}. ` + (credential
+        ? 'If you hold the rest, list each with its issuing body and expiry date; if not, say when you expect to.'
+        : 'If you have that experience too, name it in the bullet that shows it.')
+    };
+  }
+
+  let advice;
+  if (credential) {
+    advice = importance === 'must_have'
+      ? `Your resume does not show ${requirement}. If you hold it, list it in a licenses and certifications ` +
+        'section with its number or expiry date; if not, the job requires it, so check whether the employer ' +
+        'sponsors it before applying.'
+      : `Your resume does not show ${requirement}. It is a nice-to-have for this job; list it if you hold it, ` +
+        'and it is worth earning if other postings you apply to ask for it.';
+  } else {
+    advice = `Your resume does not mention ${absent.join(', ')}. If you have this experience, describe it in ` +
+      'a bullet with what you did and its results; do not claim it otherwise.';
+  }
+  return { ...entry, status: GapStatus.MISSING, evidence: [], advice };
+};
+
+/**
+ * Find the level of the degree a text names
+ *
+ * @param {string} text - Text
+ * @returns {Object|undefined} Level from DEGREE_LEVELS
+ */
+const degreeLevelOf = text => DEGREE_LEVELS.find(({ regex }) => regex.test(text));
+
+/**
+ * Assess a degree the job asks for by its level, a degree of any level
+ * meeting a requirement that names none
+ *
+ * @param {string} requirement - Requirement as the posting words it
+ * @param {string} importance - must_have or nice_to_have
+ * @param {number} confidence - Confidence of the parsed requirement
+ * @param {Array<Object>} lines - Resume lines
+ * @returns {Object} Report entry
+ */
+const assessEducation = (requirement, importance, confidence, lines) => {
+  const entry = { requirement, type: RequirementType.EDUCATION, importance, confidence };
+  const required = degreeLevelOf(requirement);
+  const educationLines = lines.filter(line => line.section && /educat|academic|degree/.test(line.section));
+  const degrees = (educationLines.length > 0 ? educationLines : lines)
+    .map(line => ({ line, degree: degreeLevelOf(line.text) }))
+    .filter(({ line, degree }) => degree || (educationLines.length > 0 && /\bdegree\b/i.test(line.text)))
+    .sort((a, b) => (b.degree ? b.degree.level : 0) - (a.degree ? a.degree.level : 0));
+  const [highest] = degrees;
+  const asked = required ? `a ${required.name} degree` : 'a degree';
+
+  if (!highest) {
+    return {
+      ...entry,
+      status: GapStatus.MISSING,
+      evidence: [],
+      advice: `Your resume shows no degree against ${asked} asked for. If you have one, add it to an education ` +
+        'section; if not, apply where equivalent experience is accepted and make that case in your cover letter.'
+    };
+  }
+
+  const evidence = [highest.line.text];
+  if (!required || (highest.degree && highest.degree.level >= required.level)) {
+    return { ...entry, status: GapStatus.MET, evidence, advice: null };
+  }
+
+  return {
+    ...entry,
+    status: GapStatus.PARTIAL,
+    evidence,
+    advice: `Your resume shows ${highest.degree ? `a ${highest.degree.name} degree` : 'a degree'} against ${asked} ` +
+      'asked for. Lead with the experience that makes up for it, and mention any study toward the degree.'
+  };
+};
+
+/**
+ * Assess one requirement of the job by its type
+ *
+ * @param {string} requirement - Skill or requirement as the posting words it
+ * @param {string} importance - must_have or nice_to_have
+ * @param {number} confidence - Confidence of the parsed requirement
+ * @param {Array<Object>} lines - Resume lines with the skills each mentions
+ * @returns {Object} Report entry
+ */
+const assessRequirement = (requirement, importance, confidence, lines) => {
+  const type = classifyRequirement(requirement);
+
+  if (type === RequirementType.SKILL) {
+    return assessSkill(requirement, importance, confidence, lines);
+  }
+  if (type === RequirementType.EDUCATION) {
+    return assessEducation(requirement, importance, confidence, lines);
+  }
+  return assessByTerms(requirement, type, importance, confidence, lines);
+};
+
+/**
+ * Read a resume date as a month count, the start or the end of the year for bare years
+ *
+ * @param {string} date - YYYY, YYYY-MM or YYYY-MM-DD
+ * @param {boolean} isEnd - Whether the date ends a period
+ * @returns {number|null} Months since year 0
+ */
+const toMonth = (date, isEnd) => {
+  const match = /^(\d{4})(?:-(\d{2}))?/.exec(date || '');
+  if (!match) {
+    return null;
+  }
+  const month = match[2] ? parseInt(match[2], 10) : (isEnd ? 12 : 1);
+  return parseInt(match[1], 10) * 12 + month - 1;
+};
+
+/**
+ * Count the years of experience a resume shows, overlapping positions counted once
+ *
+ * @param {string} markdown - Resume Markdown
+ * @param {Date} now - End of current positions
+ * @returns {{years: number, positions: Array<string>}} Years, to one decimal, and the dated positions
+ */
+const countExperienceYears = (markdown, now) => {
+  const currentMonth = now.getFullYear() * 12 + now.getMonth();
+  const periods = parseResumeMarkdown(markdown).experience
+    .map(position => ({
+      position,
+      start: toMonth(position.startDate, false),
+      end: position.current ? currentMonth : toMonth(position.endDate, true)
+    }))
+    .filter(({ start, end }) => start !== null && end !== null && end >= start);
+
+  let months = 0;
+  let coveredUntil = -Infinity;
+  [...periods].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+    const from = Math.max(start, coveredUntil + 1);
+    if (end >= from) {
+      months += end - from + 1;
+      coveredUntil = end;
+    }
+  });
+
+  return {
+    years: Math.round((months / 12) * 10) / 10,
+    positions: periods.map(({ position }) => {
+      const name = [position.title, position.company].filter(Boolean).join(' at ');
+      return `${name} (${position.startDate} to ${position.current ? 'present' : position.endDate})`;
+    })
+  };
+};
+
+/**
+ * Assess the years of experience the job asks for
+ *
+ * @param {{min: number, max: number|null}} required - Years asked for
+ * @param {number} confidence - Confidence of the parsed requirement
+ * @param {string} markdown - Resume Markdown
+ * @param {Date} now - End of current positions
+ * @returns {Object} Report entry
+ */
+const assessYears = (required, confidence, markdown, now) => {
+  const { years, positions } = countExperienceYears(markdown, now);
+  const requirement = `${required.max ? `${required.min} to ${required.max}` : `${required.min}+`} years of experience`;
+  const entry = (status, advice) => ({
+    requirement,
+    type: 'experience',
+    importance: 'must_have',
+    confidence,
+    status,
+    evidence: positions.slice(0, MAX_EVIDENCE),
+    advice
+  });
+
+  if (positions.length === 0) {
+    return entry(GapStatus.MISSING, 'Your resume has no dated positions, so its years of experience cannot be ' +
+      'counted. Add start and end dates to each role.');
+  }
+
+  if (years >= required.min) {
+    return entry(GapStatus.MET, null);
+  }
+
+  const shortfall = `Your resume shows about ${years} years against the ${required.min} asked for.`;
+  if (years >= required.min * PARTIAL_YEARS_RATIO) {
+    return entry(GapStatus.PARTIAL, `${shortfall} Lead with the scope and results of your work rather than its ` +
+      'length, and count relevant freelance, open source or project work only where it is on the resume.');
+  }
+
+  return entry(GapStatus.MISSING, `${shortfall} Do not round the years up; if the other requirements are met, ` +
+    'apply and make the case through impact, or look for a role one level below.');
+};
+
+/**
+ * Report which requirements of a job the original resume meets
+ *
+ * @param {Object} requirements - Record from parseJobDescription
+ * @param {string} markdown - Original resume Markdown
+ * @param {Object} options - Analysis options
+ * @param {Date} options.now - End of current positions, defaults to now
+ * @returns {Object} Report with the counts by status and one entry per requirement:
+ *   requirement, type, importance, confidence, status, evidence and advice
+ */
+const analyzeSkillGaps = (requirements, markdown, options = {}) => {
+  const { now = new Date() } = options;
+  const lines = readResumeLines(markdown).map(line => ({ ...line, skills: findSkills(line.text) }));
+  const certain = (name) => {
+    const field = requirements && requirements[name];
+    return field && field.value && field.confidence >= MIN_CONFIDENCE ? field : null;
+  };
+
+  const entries = [];
+  [['mustHaveSkills', 'must_have'], ['niceToHaveSkills', 'nice_to_have']].forEach(([name, importance]) => {
+    const field = certain(name);
+    if (field) {
+      field.value.forEach(requirement => entries.push(assessRequirement(requirement, importance, field.confidence, lines)));
+    }
+  });
+
+  const years = certain('yearsOfExperience');
+  if (years) {
+    entries.push(assessYears(years.value, years.confidence, markdown, now));
+  }
+
+  const count = status => entries.filter(entry => entry.status === status).length;
+
+  return {
+    version: SKILL_GAP_REPORT_VERSION,
+    summary: {
+      met: count(GapStatus.MET),
+      partial: count(GapStatus.PARTIAL),
+      missing: count(GapStatus.MISSING),
+      unassessed: count(GapStatus.UNASSESSED)
+    },
+    requirements: entries,
+    analyzedAt: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  SKILL_GAP_REPORT_VERSION,
+  GapStatus,
+  analyzeSkillGaps
+};
@@ -99,6 +99,7 @@ const swaggerDefinition = {
           },
           fileType: {
             type: 'string',
+            enum: ['pdf', 'doc', 'docx', 'md', 'txt', 'html', 'json'],
             example: 'pdf',
           },
           lastModified: {
@@ -112,7 +113,7 @@ const swaggerDefinition = {
           },
           customizationStatus: {
             type: 'string',
-            enum: ['none', 'pending', 'processing', 'completed', 'failed'],
+            enum: ['none', 'pending', 'processing', 'needs_review', 'completed', 'failed'],
             example: 'completed',
           },
         },
@@ -152,6 +153,30 @@ const swaggerDefinition = {
                 type: 'string',
                 example: null,
               },
+              structuredContent: {
+                $ref: '#/components/schemas/StructuredResume',
+              },
+              currentVersionId: {
+                type: 'string',
+                format: 'uuid',
+                example: '4b1c2d3e-5f60-4a7b-8c9d-0e1f2a3b4c5d',
+              },
+              jobRequirements: {
+                $ref: '#/components/schemas/JobRequirements',
+              },
+              skillGapReport: {
+                $ref: '#/components/schemas/SkillGapReport',
+              },
+              customizationModel: {
+                type: 'string',
+                example: 'deepseek/deepseek-r1-distill-llama-70b',
+              },
+              customizationPromptVersions: {
+                $ref: '#/components/schemas/PromptVersions',
+              },
+              verificationReport: {
+                $ref: '#/components/schemas/VerificationReport',
+              },
               createdAt: {
                 type: 'string',
                 format: 'date-time',
@@ -166,6 +191,983 @@ const swaggerDefinition = {
           },
         ],
       },
+      JobRequirements: {
+        type: 'object',
+        nullable: true,
+        description: 'Requirements parsed from the job description. Each field has a value and a confidence from 0 to 1, 0 when it was not found.',
+        properties: {
+          version: {
+            type: 'integer',
+            example: 2,
+          },
+          title: {
+            type: 'object',
+            properties: {
+              value: { type: 'string', nullable: true, example: 'Senior Backend Engineer' },
+              confidence: { type: 'number', example: 1 },
+            },
+          },
+          seniority: {
+            type: 'object',
+            properties: {
+              value: {
+                type: 'string',
+                nullable: true,
+                enum: ['intern', 'junior', 'mid', 'senior', 'lead', 'principal', 'executive'],
+                example: 'senior',
+              },
+              confidence: { type: 'number', example: 0.9 },
+            },
+          },
+          mustHaveSkills: {
+            type: 'object',
+            description: 'Known skills by their canonical name, and other requirements of the requirements sections, such as licences, certifications and degrees, as the posting words them',
+            properties: {
+              value: { type: 'array', items: { type: 'string' }, example: ['node.js', 'postgresql', 'Bachelor\'s degree in Computer Science'] },
+              confidence: { type: 'number', example: 0.8 },
+            },
+          },
+          niceToHaveSkills: {
+            type: 'object',
+            description: 'Preferred skills and requirements, written like mustHaveSkills',
+            properties: {
+              value: { type: 'array', items: { type: 'string' }, example: ['graphql'] },
+              confidence: { type: 'number', example: 0.8 },
+            },
+          },
+          yearsOfExperience: {
+            type: 'object',
+            properties: {
+              value: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                  min: { type: 'integer', example: 5 },
+                  max: { type: 'integer', nullable: true, example: null },
+                },
+              },
+              confidence: { type: 'number', example: 0.9 },
+            },
+          },
+          location: {
+            type: 'object',
+            properties: {
+              value: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                  place: { type: 'string', nullable: true, example: 'Berlin, Germany' },
+                  remotePolicy: { type: 'string', nullable: true, enum: ['remote', 'hybrid', 'onsite'], example: 'hybrid' },
+                },
+              },
+              confidence: { type: 'number', example: 0.9 },
+            },
+          },
+          salaryRange: {
+            type: 'object',
+            properties: {
+              value: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                  min: { type: 'number', example: 80000 },
+                  max: { type: 'number', example: 95000 },
+                  currency: { type: 'string', example: 'EUR' },
+                  period: { type: 'string', enum: ['hour', 'month', 'year'], example: 'year' },
+                },
+              },
+              confidence: { type: 'number', example: 0.9 },
+            },
+          },
+          benefits: {
+            type: 'object',
+            properties: {
+              value: { type: 'array', items: { type: 'string' }, example: ['30 vacation days', 'Learning budget'] },
+              confidence: { type: 'number', example: 0.8 },
+            },
+          },
+          parsedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      SkillGapReport: {
+        type: 'object',
+        nullable: true,
+        description: 'Requirements of the job met, partly met or missing in the original resume, with evidence and advice. Requirements a resume cannot show are reported as unassessed.',
+        properties: {
+          version: {
+            type: 'integer',
+            example: 2,
+          },
+          summary: {
+            type: 'object',
+            properties: {
+              met: { type: 'integer', example: 3 },
+              partial: { type: 'integer', example: 1 },
+              missing: { type: 'integer', example: 1 },
+              unassessed: { type: 'integer', example: 0 },
+            },
+          },
+          requirements: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                requirement: { type: 'string', example: 'postgresql' },
+                type: {
+                  type: 'string',
+                  enum: ['skill', 'credential', 'education', 'experience', 'other'],
+                },
+                importance: {
+                  type: 'string',
+                  enum: ['must_have', 'nice_to_have'],
+                },
+                confidence: {
+                  type: 'number',
+                  description: 'Confidence of the requirement parsed from the job description',
+                  example: 0.8,
+                },
+                status: {
+                  type: 'string',
+                  enum: ['met', 'partial', 'missing', 'unassessed'],
+                  example: 'partial',
+                },
+                evidence: {
+                  type: 'array',
+                  description: 'Lines of the original resume showing the requirement, or the related skills of a partial match',
+                  items: { type: 'string' },
+                  example: ['Built payment APIs in Node.js and MySQL'],
+                },
+                advice: {
+                  type: 'string',
+                  nullable: true,
+                  description: 'How to learn the requirement or position the experience the resume shows, null when nothing needs doing',
+                },
+              },
+            },
+          },
+          analyzedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      StructuredResume: {
+        type: 'object',
+        properties: {
+          version: {
+            type: 'integer',
+            example: 1,
+          },
+          contact: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', example: 'Jane Doe' },
+              headline: { type: 'string', example: 'Senior Software Engineer' },
+              email: { type: 'string', example: 'jane@example.com' },
+              phone: { type: 'string', example: '+1 555 010 2030' },
+              location: { type: 'string', example: 'Berlin, BE' },
+              website: { type: 'string', example: 'https://jane.example.com' },
+              profiles: {
+                type: 'array',
+                items: {
+                  type: 'object',
+                  properties: {
+                    network: { type: 'string', example: 'GitHub' },
+                    username: { type: 'string', example: 'janedoe' },
+                    url: { type: 'string', example: 'https://github.com/janedoe' },
+                  },
+                },
+              },
+            },
+          },
+          summary: {
+            type: 'string',
+            example: 'Backend engineer with ten years of experience building payment systems.',
+          },
+          experience: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                company: { type: 'string', example: 'Acme Corp' },
+                title: { type: 'string', example: 'Senior Engineer' },
+                location: { type: 'string', example: 'Berlin' },
+                startDate: { type: 'string', example: '2019-03' },
+                endDate: { type: 'string', example: null },
+                current: { type: 'boolean', example: true },
+                description: { type: 'string', example: 'Led the payments platform team.' },
+                bullets: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  example: ['Reduced API latency by 40%'],
+                },
+              },
+            },
+          },
+          education: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                institution: { type: 'string', example: 'State University' },
+                degree: { type: 'string', example: 'BSc' },
+                field: { type: 'string', example: 'Computer Science' },
+                startDate: { type: 'string', example: '2012' },
+                endDate: { type: 'string', example: '2015' },
+                score: { type: 'string', example: null },
+                details: { type: 'array', items: { type: 'string' } },
+              },
+            },
+          },
+          skills: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                category: { type: 'string', example: 'Backend' },
+                items: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  example: ['Node.js', 'PostgreSQL'],
+                },
+              },
+            },
+          },
+          projects: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', example: 'ledger-kit' },
+                url: { type: 'string', example: 'https://github.com/janedoe/ledger-kit' },
+                description: { type: 'string', example: 'Open source double-entry bookkeeping library.' },
+                startDate: { type: 'string', example: null },
+                endDate: { type: 'string', example: null },
+                bullets: { type: 'array', items: { type: 'string' } },
+              },
+            },
+          },
+          certifications: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string', example: 'AWS Certified Solutions Architect' },
+                issuer: { type: 'string', example: 'Amazon' },
+                date: { type: 'string', example: '2021-06' },
+              },
+            },
+          },
+        },
+      },
+      CustomizationPreview: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            format: 'uuid',
+          },
+          status: {
+            type: 'string',
+            enum: ['pending', 'processing', 'needs_review', 'completed'],
+          },
+          markdown: {
+            type: 'string',
+            description: 'Markdown from the requested offset on',
+            example: '# Jane Doe\n\n## Summary\n\nBackend engineer',
+          },
+          offset: {
+            type: 'integer',
+            example: 0,
+          },
+          length: {
+            type: 'integer',
+            description: 'Length of the Markdown generated so far, the offset of the next poll',
+            example: 42,
+          },
+          done: {
+            type: 'boolean',
+            description: 'Whether generation has finished',
+          },
+          updatedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+          },
+        },
+      },
+      CustomizationProgress: {
+        type: 'object',
+        properties: {
+          step: {
+            type: 'string',
+            enum: ['converting', 'profiling', 'analyzing_job', 'writing', 'verifying', 'rendering_pdf', 'uploading'],
+          },
+          percent: {
+            type: 'integer',
+            description: 'Progress when the step started, estimated from past step durations',
+            example: 40,
+          },
+          elapsedSeconds: {
+            type: 'integer',
+            example: 35,
+          },
+          etaSeconds: {
+            type: 'integer',
+            description: 'Estimated seconds until the job is done',
+            example: 52,
+          },
+        },
+      },
+      KeywordCoverage: {
+        type: 'object',
+        properties: {
+          score: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 100,
+            example: 72,
+          },
+          matched: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                keyword: { type: 'string', example: 'kubernetes' },
+                weight: { type: 'number', example: 3 },
+              },
+            },
+          },
+          missing: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                keyword: { type: 'string', example: 'graphql' },
+                weight: { type: 'number', example: 1 },
+              },
+            },
+          },
+        },
+      },
+      AtsScore: {
+        type: 'object',
+        properties: {
+          keywords: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                keyword: { type: 'string', example: 'node.js' },
+                weight: { type: 'number', example: 5 },
+                type: {
+                  type: 'string',
+                  enum: ['skill', 'term'],
+                },
+              },
+            },
+          },
+          original: {
+            $ref: '#/components/schemas/KeywordCoverage',
+          },
+          customized: {
+            $ref: '#/components/schemas/KeywordCoverage',
+            nullable: true,
+          },
+          gain: {
+            type: 'integer',
+            nullable: true,
+            example: 24,
+          },
+          scoredAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+        },
+      },
+      VerificationReport: {
+        type: 'object',
+        properties: {
+          passed: {
+            type: 'boolean',
+            example: false,
+          },
+          outcome: {
+            type: 'string',
+            enum: ['passed', 'flagged', 'review', 'rejected'],
+            example: 'flagged',
+          },
+          violationCount: {
+            type: 'integer',
+            example: 1,
+          },
+          maxViolations: {
+            type: 'integer',
+            example: 2,
+          },
+          violations: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                type: {
+                  type: 'string',
+                  enum: ['employer', 'title', 'date', 'degree', 'certification', 'number'],
+                },
+                value: { type: 'string', example: '65%' },
+                message: { type: 'string', example: 'Figure does not appear in the original resume' },
+                context: { type: 'string', example: 'Reduced API latency by 65%' },
+              },
+            },
+          },
+          checkedAt: {
+            type: 'string',
+            format: 'date-time',
+          },
+          review: {
+            type: 'object',
+            properties: {
+              decision: { type: 'string', enum: ['approve', 'reject'] },
+              reason: { type: 'string' },
+              reviewedAt: { type: 'string', format: 'date-time' },
+            },
+          },
+        },
+      },
+      ResumeDiff: {
+        type: 'object',
+        properties: {
+          stats: {
+            type: 'object',
+            properties: {
+              added: { type: 'integer', example: 2 },
+              removed: { type: 'integer', example: 1 },
+              rewritten: { type: 'integer', example: 4 },
+              unchanged: { type: 'integer', example: 12 },
+            },
+          },
+          sections: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                heading: { type: 'string', example: 'Professional Experience' },
+                originalHeading: { type: 'string', example: 'Work History' },
+                status: {
+                  type: 'string',
+                  enum: ['added', 'removed', 'changed', 'unchanged'],
+                },
+                entries: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      heading: { type: 'string', example: 'Senior Engineer | Acme Corp' },
+                      originalHeading: { type: 'string' },
+                      status: {
+                        type: 'string',
+                        enum: ['added', 'removed', 'changed', 'unchanged'],
+                      },
+                      changes: {
+                        type: 'array',
+                        items: {
+                          type: 'object',
+                          properties: {
+                            type: {
+                              type: 'string',
+                              enum: ['added', 'removed', 'rewritten', 'unchanged'],
+                            },
+                            kind: {
+                              type: 'string',
+                              enum: ['bullet', 'text'],
+                            },
+                            original: { type: 'string', example: 'Reduced API latency by 40%' },
+                            customized: { type: 'string', example: 'Reduced payment API latency by 40%' },
+                            similarity: { type: 'number', example: 0.91 },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+      ResumeVersion: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            format: 'uuid',
+            example: '4b1c2d3e-5f60-4a7b-8c9d-0e1f2a3b4c5d',
+          },
+          resumeId: {
+            type: 'string',
+            format: 'uuid',
+            example: '123e4567-e89b-12d3-a456-426614174000',
+          },
+          versionNumber: {
+            type: 'integer',
+            example: 2,
+          },
+          jobTitle: {
+            type: 'string',
+            example: 'Software Engineer',
+          },
+          companyName: {
+            type: 'string',
+            example: 'Tech Company Inc.',
+          },
+          model: {
+            type: 'string',
+            example: 'deepseek/deepseek-r1-distill-llama-70b',
+          },
+          promptVersions: {
+            $ref: '#/components/schemas/PromptVersions',
+          },
+          isCurrent: {
+            type: 'boolean',
+            example: true,
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2023-01-16T14:30:00Z',
+          },
+          downloadUrl: {
+            type: 'string',
+            example: '/api/v1/resumes/123e4567-e89b-12d3-a456-426614174000/versions/4b1c2d3e-5f60-4a7b-8c9d-0e1f2a3b4c5d/download',
+          },
+        },
+      },
+      CoverLetter: {
+        type: 'object',
+        properties: {
+          resumeId: {
+            type: 'string',
+            format: 'uuid',
+            example: '123e4567-e89b-12d3-a456-426614174000',
+          },
+          status: {
+            type: 'string',
+            enum: ['pending', 'processing', 'completed', 'failed'],
+            nullable: true,
+            description: 'Status of the job writing the letter, the fields below describe the last letter written until it completes',
+            example: 'completed',
+          },
+          error: {
+            type: 'string',
+            nullable: true,
+            description: 'Why the last job failed',
+            example: null,
+          },
+          versionId: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            description: 'Customization version the letter was written from, null when written before the customization was completed',
+            example: '4b1c2d3e-5f60-4a7b-8c9d-0e1f2a3b4c5d',
+          },
+          isCurrent: {
+            type: 'boolean',
+            description: 'Whether the letter was written for the current job and customization of the resume',
+            example: true,
+          },
+          jobTitle: {
+            type: 'string',
+            nullable: true,
+            description: 'Job title the letter was written for',
+            example: 'Software Engineer',
+          },
+          companyName: {
+            type: 'string',
+            nullable: true,
+            description: 'Company the letter was written for',
+            example: 'Tech Company Inc.',
+          },
+          content: {
+            type: 'string',
+            nullable: true,
+            description: 'Cover letter in Markdown, null until the first letter is written',
+            example: 'Dear Hiring Manager,\n\nWhen I read that Tech Company Inc. is rebuilding its payments platform...',
+          },
+          tone: {
+            type: 'string',
+            enum: ['professional', 'enthusiastic', 'formal', 'conversational', 'confident'],
+            example: 'professional',
+          },
+          length: {
+            type: 'string',
+            enum: ['short', 'medium', 'long'],
+            example: 'medium',
+          },
+          model: {
+            type: 'string',
+            nullable: true,
+            example: 'deepseek/deepseek-r1-distill-llama-70b',
+          },
+          promptVersions: {
+            $ref: '#/components/schemas/PromptVersions',
+          },
+          generatedAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2023-01-16T14:35:00Z',
+          },
+          downloadUrl: {
+            type: 'string',
+            example: '/api/v1/resumes/123e4567-e89b-12d3-a456-426614174000/cover-letter/download',
+          },
+        },
+      },
+      InterviewPrep: {
+        type: 'object',
+        properties: {
+          resumeId: {
+            type: 'string',
+            format: 'uuid',
+            example: '123e4567-e89b-12d3-a456-426614174000',
+          },
+          status: {
+            type: 'string',
+            enum: ['pending', 'processing', 'completed', 'failed'],
+            nullable: true,
+            description: 'Status of the job writing the pack, the fields below describe the last pack written until it completes',
+            example: 'completed',
+          },
+          error: {
+            type: 'string',
+            nullable: true,
+            description: 'Why the last job failed',
+            example: null,
+          },
+          versionId: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            description: 'Customization version the pack was written for',
+            example: '4b1c2d3e-5f60-4a7b-8c9d-0e1f2a3b4c5d',
+          },
+          isCurrent: {
+            type: 'boolean',
+            description: 'Whether the pack was written for the current customization of the resume',
+            example: true,
+          },
+          jobTitle: {
+            type: 'string',
+            example: 'Software Engineer',
+          },
+          companyName: {
+            type: 'string',
+            example: 'Tech Company Inc.',
+          },
+          content: {
+            type: 'string',
+            nullable: true,
+            description: 'Interview preparation pack in Markdown, null until the first pack is written: behavioral questions, technical topics and questions to ask',
+            example: '# Interview Preparation\n\n## Behavioral Questions\n\n**Tell me about a time you led a migration...**',
+          },
+          model: {
+            type: 'string',
+            nullable: true,
+            example: 'deepseek/deepseek-r1-distill-llama-70b',
+          },
+          promptVersions: {
+            $ref: '#/components/schemas/PromptVersions',
+          },
+          generatedAt: {
+            type: 'string',
+            format: 'date-time',
+            example: '2023-01-16T14:35:00Z',
+          },
+          downloadUrl: {
+            type: 'string',
+            example: '/api/v1/resumes/123e4567-e89b-12d3-a456-426614174000/interview-prep/download',
+          },
+        },
+      },
+      ResumeVersionDetailed: {
+        allOf: [
+          { $ref: '#/components/schemas/ResumeVersion' },
+          {
+            type: 'object',
+            properties: {
+              jobDescription: {
+                type: 'string',
+                example: 'We are looking for a backend engineer...',
+              },
+              jobRequirements: {
+                $ref: '#/components/schemas/JobRequirements',
+              },
+              skillGapReport: {
+                $ref: '#/components/schemas/SkillGapReport',
+              },
+              markdownContent: {
+                type: 'string',
+                example: '# Jane Doe\n\n## Experience\n...',
+              },
+              structuredContent: {
+                $ref: '#/components/schemas/StructuredResume',
+              },
+            },
+          },
+        ],
+      },
+      AIStepSettings: {
+        type: 'object',
+        description: 'Settings of the AI pipeline steps, by step. Providers must have a configured connection.',
+        additionalProperties: false,
+        properties: {
+          profiler: { $ref: '#/components/schemas/AIStepSetting' },
+          researcher: { $ref: '#/components/schemas/AIStepSetting' },
+          strategist: { $ref: '#/components/schemas/AIStepSetting' },
+          cover_letter: { $ref: '#/components/schemas/AIStepSetting' },
+          interview_prep: { $ref: '#/components/schemas/AIStepSetting' },
+        },
+      },
+      AIStepSetting: {
+        type: 'object',
+        properties: {
+          provider: {
+            type: 'string',
+            enum: ['openai', 'openrouter', 'anthropic', 'ollama', 'llamacpp'],
+            example: 'openrouter',
+          },
+          modelName: {
+            type: 'string',
+            example: 'openai/gpt-4o-mini',
+          },
+          temperature: {
+            type: 'number',
+            minimum: 0,
+            maximum: 2,
+            example: 0.2,
+          },
+          maxTokens: {
+            type: 'integer',
+            minimum: 1,
+            example: 2000,
+          },
+        },
+      },
+      // Prompt Template Schemas
+      PromptVersions: {
+        type: 'object',
+        description: 'Version of each prompt a customization, cover letter or interview preparation pack used, 0 being the built-in template',
+        properties: {
+          profiler: { type: 'integer', example: 0 },
+          researcher: { type: 'integer', example: 2 },
+          strategist: { type: 'integer', example: 3 },
+          cover_letter: { type: 'integer', example: 1 },
+          interview_prep: { type: 'integer', example: 0 },
+        },
+      },
+      PromptTemplate: {
+        type: 'object',
+        properties: {
+          id: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            example: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+          },
+          name: {
+            type: 'string',
+            enum: ['profiler', 'researcher', 'strategist', 'cover_letter', 'interview_prep'],
+            example: 'strategist',
+          },
+          version: {
+            type: 'integer',
+            example: 3,
+          },
+          description: {
+            type: 'string',
+            example: 'Emphasize measurable impact',
+          },
+          systemPrompt: {
+            type: 'string',
+            example: 'IDENTITY: Expert Resume Strategist...',
+          },
+          userPrompt: {
+            type: 'string',
+            example: 'comprehensive profile - {{profile}}, recommendations {{jobAnalysis}}...',
+          },
+          variables: {
+            type: 'array',
+            items: { type: 'string' },
+            example: ['profile', 'jobAnalysis', 'originalResume'],
+          },
+          isActive: {
+            type: 'boolean',
+            example: true,
+          },
+          builtIn: {
+            type: 'boolean',
+            example: false,
+          },
+          activatedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            example: '2023-01-16T14:30:00Z',
+          },
+          createdBy: {
+            type: 'string',
+            format: 'uuid',
+            nullable: true,
+            example: '123e4567-e89b-12d3-a456-426614174000',
+          },
+          createdAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            example: '2023-01-16T14:00:00Z',
+          },
+        },
+      },
+      // Usage Schemas
+      UsageTotals: {
+        type: 'object',
+        properties: {
+          requests: {
+            type: 'integer',
+            description: 'LLM calls, cached steps included',
+            example: 12,
+          },
+          cachedRequests: {
+            type: 'integer',
+            description: 'Steps served from the analysis cache without a call',
+            example: 3,
+          },
+          promptTokens: {
+            type: 'integer',
+            example: 18450,
+          },
+          completionTokens: {
+            type: 'integer',
+            example: 6210,
+          },
+          totalTokens: {
+            type: 'integer',
+            example: 24660,
+          },
+          cost: {
+            type: 'number',
+            description: 'Cost in USD, calls to unpriced models excluded',
+            example: 0.108225,
+          },
+          firstUsedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            example: '2023-01-15T12:00:00Z',
+          },
+          lastUsedAt: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+            example: '2023-01-16T14:30:00Z',
+          },
+        },
+      },
+      UserUsage: {
+        type: 'object',
+        properties: {
+          from: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+          },
+          to: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+          },
+          totals: {
+            $ref: '#/components/schemas/UsageTotals',
+          },
+          byModel: {
+            type: 'array',
+            items: {
+              allOf: [
+                {
+                  type: 'object',
+                  properties: {
+                    provider: { type: 'string', example: 'openrouter' },
+                    model: { type: 'string', example: 'openai/gpt-4o-mini' },
+                  },
+                },
+                { $ref: '#/components/schemas/UsageTotals' },
+              ],
+            },
+          },
+          byStep: {
+            type: 'array',
+            items: {
+              allOf: [
+                {
+                  type: 'object',
+                  properties: {
+                    step: { type: 'string', enum: ['profiler', 'researcher', 'strategist', 'cover_letter', 'interview_prep'] },
+                  },
+                },
+                { $ref: '#/components/schemas/UsageTotals' },
+              ],
+            },
+          },
+          jobs: {
+            type: 'array',
+            description: 'Usage of the 50 most recent customization jobs',
+            items: {
+              allOf: [
+                {
+                  type: 'object',
+                  properties: {
+                    resumeId: { type: 'string', format: 'uuid', nullable: true },
+                    jobId: { type: 'string', example: '42' },
+                  },
+                },
+                { $ref: '#/components/schemas/UsageTotals' },
+              ],
+            },
+          },
+        },
+      },
+      UsageReport: {
+        type: 'object',
+        properties: {
+          from: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+          },
+          to: {
+            type: 'string',
+            format: 'date-time',
+            nullable: true,
+          },
+          groupBy: {
+            type: 'array',
+            items: { type: 'string', enum: ['user', 'model', 'step', 'provider'] },
+            example: ['model', 'step'],
+          },
+          totals: {
+            $ref: '#/components/schemas/UsageTotals',
+          },
+          rows: {
+            type: 'array',
+            description: 'Usage of each group, with its userId, model, step or provider',
+            items: {
+              $ref: '#/components/schemas/UsageTotals',
+            },
+          },
+        },
+      },
       // User Schemas
       User: {
         type: 'object',
@@ -0,0 +1,78 @@
+/**
+ * Utility to convert plain text to Markdown format using heading heuristics
+ */
+const logger = require('./logger');
+
+/**
+ * Process plain text into Markdown format
+ * 
+ * The first line is taken as the candidate name, and headings, roles and
+ * bullets are guessed from capitalisation and punctuation.
+ * 
+ * @param {string} text - Raw text, e.g. extracted from a PDF
+ * @returns {string} Formatted markdown text
+ */
+const processTextToMarkdown = (text) => {
+  try {
+    // Split into lines and clean up
+    const lines = text.split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0);
+    
+    if (lines.length === 0) {
+      return '# Empty Resume';
+    }
+    
+    // Treat first non-empty line as the title/name
+    let markdown = `# ${lines[0]}\n\n`;
+    
+    // Process remaining lines, making some assumptions about structure
+    let currentSection = '';
+    let inList = false;
+    
+    for (let i = 1; i < lines.length; i++) {
+      const line = lines[i];
+      
+      // Check if this might be a section header (all caps or followed by colon)
+      if (line.toUpperCase() === line && line.length > 3 || 
+          /[A-Z][\w\s]{2,}:$/.test(line)) {
+        // End previous list if there was one
+        if (inList) {
+          markdown += '\n';
+          inList = false;
+        }
+        
+        // Add section header
+        currentSection = line.replace(/:$/, '');
+        markdown += `## ${currentSection}\n\n`;
+        continue;
+      }
+      
+      // Check if line looks like a subsection/company/role
+      if (currentSection && 
+          (line.includes('|') || 
+           /^[A-Z][\w\s]+/.test(line) && line.length < 50)) {
+        markdown += `### ${line}\n\n`;
+        continue;
+      }
+      
+      // Check if line looks like a bullet point
+      if (line.startsWith('•') || line.startsWith('-') || line.startsWith('○')) {
+        if (!inList) inList = true;
+        // Convert all bullet types to markdown bullet
+        markdown += `- ${line.substring(1).trim()}\n`;
+        continue;
+      }
+      
+      // Regular text
+      markdown += `${line}\n\n`;
+    }
+    
+    return markdown;
+  } catch (error) {
+    logger.error('Error processing text to markdown:', error);
+    return `# Text Extraction Error\n\nThere was an error converting the text to markdown: ${error.message}`;
+  }
+};
+
+module.exports = processTextToMarkdown;
@@ -0,0 +1,33 @@
+/**
+ * Timeouts
+ *
+ * This module bounds how long a call to an optional dependency such as the
+ * preview or cache Redis may take, so a dependency that stops answering
+ * drops what it serves instead of holding its caller forever.
+ */
+
+const { ServiceUnavailableError } = require('./errors');
+
+/**
+ * Settle with a promise, or reject once it has taken too long
+ *
+ * The promise is not cancelled, it only stops being waited for.
+ * @param {Promise} promise - Promise to wait for
+ * @param {number} timeoutMs - Milliseconds to wait
+ * @param {string} message - Message of the error when the time is up
+ * @param {string} service - Dependency that did not answer, reported with the error
+ * @returns {Promise<*>} Value of the promise
+ * @throws {ServiceUnavailableError} If the promise did not settle in time
+ */
+const withTimeout = (promise, timeoutMs, message, service = 'unknown') => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new ServiceUnavailableError(message, service)), timeoutMs);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+module.exports = {
+  withTimeout
+};
@@ -1,7 +1,8 @@
 /**
  * Resume Customization Worker
  * 
- * This module manages the background processing of resume customization jobs.
+ * This module manages the background processing of resume customization, cover letter and
+ * interview preparation jobs.
  * It uses the queue service to handle job processing and coordinates between
  * different services (storage, AI) to perform the customization workflow.
  */
@@ -23,6 +24,22 @@ try {
     return await resumeService.processCustomizationJob(job);
   });
 
+  /**
+   * Process cover letter job
+   * Delegates processing to the resumeService
+   */
+  queueService.registerProcessor('cover-letter', async (job) => {
+    return await resumeService.processCoverLetterJob(job);
+  });
+
+  /**
+   * Process interview preparation job
+   * Delegates processing to the resumeService
+   */
+  queueService.registerProcessor('interview-prep', async (job) => {
+    return await resumeService.processInterviewPrepJob(job);
+  });
+
   logger.info('Resume customization worker initialized successfully');
 } catch (error) {
   logger.error(`Failed to initialize resume customization worker: ${error.message}`);
@@ -172,6 +172,16 @@ jest.mock('../src/models/resume', () => {
   };
 });
 
+// Mock ResumeVersion model
+jest.mock('../src/models/resumeVersion', () => {
+  return {
+    findOne: jest.fn(),
+    findAll: jest.fn(),
+    create: jest.fn(),
+    max: jest.fn()
+  };
+});
+
 // Make sure services are properly mocked
 jest.mock('../src/services/implementations/queueService', () => {
   return {
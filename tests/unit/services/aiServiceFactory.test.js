@@ -5,6 +5,8 @@
 const { AIServiceFactory, AIServiceImplementation } = require('../../../src/services/factories/aiServiceFactory');
 const N8NAIService = require('../../../src/services/implementations/n8nAIServiceImpl');
 const DirectLLMAIService = require('../../../src/services/implementations/directLLMAIServiceImpl');
+const LocalLLMAIService = require('../../../src/services/implementations/localLLMAIServiceImpl');
+const FallbackAIService = require('../../../src/services/implementations/fallbackAIServiceImpl');
 
 describe('AIServiceFactory', () => {
   const mockN8NConfig = {
@@ -39,6 +41,23 @@ describe('AIServiceFactory', () => {
     expect(service).toBeInstanceOf(DirectLLMAIService);
   });
 
+  test('should create LocalLLMAIService when LOCAL_LLM implementation is specified', () => {
+    const service = AIServiceFactory.createAIService(
+      AIServiceImplementation.LOCAL_LLM,
+      {
+        baseUrl: 'http://localhost:11434',
+        server: 'ollama',
+        modelName: 'llama3.1:8b',
+        timeoutMs: 600000,
+        stream: true
+      }
+    );
+    
+    expect(service).toBeInstanceOf(LocalLLMAIService);
+    expect(service.llmClient.provider.name).toBe('ollama');
+    expect(service.llmClient.provider.getEndpoint()).toBe('/api/chat');
+  });
+
   test('should fallback to N8NAIService when unknown implementation is specified', () => {
     const service = AIServiceFactory.createAIService(
       'unknown_implementation',
@@ -47,4 +66,20 @@ describe('AIServiceFactory', () => {
     
     expect(service).toBeInstanceOf(N8NAIService);
   });
+
+  test('should chain the given implementations in order for a fallback service', () => {
+    const service = AIServiceFactory.createFallbackAIService([
+      { type: AIServiceImplementation.DIRECT_LLM, config: mockLLMConfig },
+      { type: AIServiceImplementation.N8N, config: mockN8NConfig }
+    ], { failureThreshold: 2 });
+
+    expect(service).toBeInstanceOf(FallbackAIService);
+    expect(service.providers.map(({ name }) => name)).toEqual([
+      AIServiceImplementation.DIRECT_LLM,
+      AIServiceImplementation.N8N
+    ]);
+    expect(service.providers[0].service).toBeInstanceOf(DirectLLMAIService);
+    expect(service.providers[1].service).toBeInstanceOf(N8NAIService);
+    expect(service.providers[0].breaker.failureThreshold).toBe(2);
+  });
 });
@@ -0,0 +1,109 @@
+/**
+ * Unit Tests for AnalysisCacheService
+ */
+
+const AnalysisCacheService = require('../../../src/services/implementations/analysisCacheServiceImpl');
+
+/**
+ * In-memory stand-in for the node-redis commands the service uses
+ */
+const createMockRedisClient = () => {
+  const store = new Map();
+  const commands = {
+    hSet: (key, field, value) => store.set(key, { ...(store.get(key) || {}), [field]: value }),
+    expire: jest.fn()
+  };
+
+  const client = {
+    store,
+    expire: commands.expire,
+    isOpen: false,
+    connect: jest.fn(async () => {
+      client.isOpen = true;
+    }),
+    quit: jest.fn().mockResolvedValue(),
+    multi: () => {
+      const queued = [];
+      const transaction = {
+        exec: jest.fn(async () => queued.map(run => run()))
+      };
+      Object.entries(commands).forEach(([name, command]) => {
+        transaction[name] = (...args) => {
+          queued.push(() => command(...args));
+          return transaction;
+        };
+      });
+      return transaction;
+    },
+    hGet: jest.fn(async (key, field) => (store.get(key) || {})[field]),
+    del: jest.fn(async key => store.delete(key))
+  };
+
+  return client;
+};
+
+describe('AnalysisCacheService', () => {
+  const resume = '# Jane Doe\n\n## Experience';
+  let redisClient;
+  let analysisCache;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient = createMockRedisClient();
+    analysisCache = new AnalysisCacheService({ redisClient, ttlSeconds: { profiler: 600, researcher: 60 } });
+  });
+
+  it('should return a cached result for the same source and variant', async () => {
+    // Act
+    await analysisCache.set('profiler', resume, '0:openrouter:test-model', 'Profile of Jane');
+
+    // Assert
+    await expect(analysisCache.get('profiler', resume, '0:openrouter:test-model')).resolves.toBe('Profile of Jane');
+    await expect(analysisCache.get('profiler', resume, '1:openrouter:test-model')).resolves.toBeNull();
+    await expect(analysisCache.get('profiler', `${resume}\n- Nurse`, '0:openrouter:test-model')).resolves.toBeNull();
+    expect(redisClient.expire).toHaveBeenCalledWith(expect.stringMatching(/^analysis:profiler:[0-9a-f]{64}$/), 600);
+  });
+
+  it('should drop every variant of a source when invalidated', async () => {
+    // Arrange
+    await analysisCache.set('profiler', resume, 'a', 'Profile A');
+    await analysisCache.set('profiler', resume, 'b', 'Profile B');
+
+    // Act
+    await analysisCache.invalidate('profiler', resume);
+
+    // Assert
+    await expect(analysisCache.get('profiler', resume, 'a')).resolves.toBeNull();
+    await expect(analysisCache.get('profiler', resume, 'b')).resolves.toBeNull();
+  });
+
+  it('should not cache steps without a TTL', async () => {
+    // Act
+    await analysisCache.set('strategist', resume, 'a', 'Resume');
+
+    // Assert
+    await expect(analysisCache.get('strategist', resume, 'a')).resolves.toBeNull();
+    expect(redisClient.store.size).toBe(0);
+  });
+
+  it('should treat Redis errors as misses', async () => {
+    // Arrange
+    redisClient.connect.mockRejectedValue(new Error('Connection refused'));
+
+    // Act & Assert
+    await expect(analysisCache.get('researcher', 'Job', 'a')).resolves.toBeNull();
+    await expect(analysisCache.set('researcher', 'Job', 'a', 'Analysis')).resolves.toBeUndefined();
+    await expect(analysisCache.invalidate('researcher', 'Job')).resolves.toBeUndefined();
+  });
+
+  it('should treat a Redis that never answers as a miss', async () => {
+    // Arrange
+    redisClient.connect.mockReturnValue(new Promise(() => {}));
+    analysisCache = new AnalysisCacheService({ redisClient, ttlSeconds: { researcher: 60 }, operationTimeoutMs: 10 });
+
+    // Act & Assert
+    await expect(analysisCache.get('researcher', 'Job', 'a')).resolves.toBeNull();
+    await expect(analysisCache.set('researcher', 'Job', 'a', 'Analysis')).resolves.toBeUndefined();
+    await expect(analysisCache.invalidate('researcher', 'Job')).resolves.toBeUndefined();
+  });
+});
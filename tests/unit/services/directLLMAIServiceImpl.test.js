@@ -0,0 +1,441 @@
+/**
+ * Unit Tests for DirectLLMAIService
+ */
+
+const DirectLLMAIService = require('../../../src/services/implementations/directLLMAIServiceImpl');
+const LLMClient = require('../../../src/services/implementations/llmClient');
+
+describe('DirectLLMAIService', () => {
+  const customizationData = {
+    resumeContent: '# Jane Doe\n\n## Experience\n- Nurse at City Hospital',
+    jobDescription: 'We are hiring a head nurse',
+    jobTitle: 'Head Nurse',
+    companyName: 'General Hospital'
+  };
+
+  const anthropicStep = {
+    provider: 'anthropic',
+    baseUrl: 'https://api.anthropic.com',
+    apiKey: 'anthropic-key',
+    modelName: 'claude-test'
+  };
+
+  let complete;
+
+  // Completion calls by the step whose system prompt they carry
+  const callOf = (step) => {
+    const index = complete.mock.calls.findIndex(([{ messages }]) => messages[0].content.startsWith(step));
+    return { options: complete.mock.calls[index][0], client: complete.mock.contexts[index] };
+  };
+
+  const stepTemplates = {
+    getActiveTemplate: jest.fn(async (name) => ({
+      name,
+      version: 0,
+      systemPrompt: `${name} system`,
+      userPrompt: '{{resumeContent}}{{jobDescription}}{{originalResume}}'
+    }))
+  };
+
+  const createService = (config = {}) => new DirectLLMAIService({
+    apiKey: 'test-api-key',
+    baseUrl: 'https://openrouter.ai/api',
+    modelName: 'test-model',
+    ...config
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    complete = jest.spyOn(LLMClient.prototype, 'complete')
+      .mockImplementation(async ({ messages }) => `# output of ${messages[0].content.slice(0, 20)}\n\n## Experience`);
+  });
+
+  afterAll(() => {
+    complete.mockRestore();
+  });
+
+  it('should render the built-in prompts without an engineering-only focus', async () => {
+    // Arrange
+    const service = createService();
+
+    // Act
+    const result = await service.customizeResume(customizationData);
+
+    // Assert
+    const strategistMessages = complete.mock.calls[2][0].messages;
+    expect(strategistMessages[0].content).not.toMatch(/engineering leadership/i);
+    expect(strategistMessages[1].content).toContain('original resume - # Jane Doe');
+    expect(strategistMessages[1].content).toContain('for the role of Head Nurse at General Hospital');
+    expect(result.promptVersions).toEqual({ profiler: 0, researcher: 0, strategist: 0 });
+  });
+
+  it('should give the strategist the certain requirements parsed from the job description', async () => {
+    // Arrange
+    const service = createService();
+    const jobRequirements = {
+      title: { value: 'Head Nurse', confidence: 1 },
+      seniority: { value: 'lead', confidence: 0.4 },
+      mustHaveSkills: { value: ['patient care', 'triage'], confidence: 0.8 },
+      niceToHaveSkills: { value: [], confidence: 0 },
+      yearsOfExperience: { value: { min: 3, max: 5 }, confidence: 0.9 },
+      location: { value: null, confidence: 0 }
+    };
+
+    // Act
+    await service.customizeResume({ ...customizationData, jobRequirements });
+
+    // Assert
+    const userPrompt = complete.mock.calls[2][0].messages[1].content;
+    expect(userPrompt).toContain('Requirements parsed from the job description');
+    expect(userPrompt).toContain('- Title: Head Nurse\n- Must-have requirements: patient care; triage\n- Years of experience: 3 to 5');
+    expect(userPrompt).not.toContain('Seniority');
+  });
+
+  it('should leave the requirements out of the strategist prompt when none were parsed', async () => {
+    // Arrange
+    const service = createService();
+
+    // Act
+    await service.customizeResume(customizationData);
+
+    // Assert
+    expect(complete.mock.calls[2][0].messages[1].content).not.toContain('Requirements parsed');
+  });
+
+  it('should use the active templates and record their versions', async () => {
+    // Arrange
+    const promptTemplateService = {
+      getActiveTemplate: jest.fn(async (name) => ({
+        name,
+        version: name === 'strategist' ? 4 : 0,
+        systemPrompt: `${name} system`,
+        userPrompt: name === 'strategist' ? 'Resume: {{originalResume}}{{#companyName}} @ {{companyName}}{{/companyName}}' : '{{resumeContent}}{{jobDescription}}'
+      }))
+    };
+    const service = createService({ promptTemplateService });
+
+    // Act
+    const result = await service.customizeResume({ ...customizationData, companyName: '' });
+
+    // Assert
+    expect(complete.mock.calls[2][0].messages).toEqual([
+      { role: 'system', content: 'strategist system' },
+      { role: 'user', content: `Resume: ${customizationData.resumeContent}` }
+    ]);
+    expect(result).toEqual(expect.objectContaining({
+      model: 'test-model',
+      promptVersions: { profiler: 0, researcher: 0, strategist: 4 }
+    }));
+  });
+
+  it('should apply the configured model, temperature and token limit of each step', async () => {
+    // Arrange
+    const service = createService({
+      promptTemplateService: stepTemplates,
+      steps: {
+        researcher: { modelName: 'cheap-model', temperature: 0.2, maxTokens: 1000 },
+        strategist: { modelName: undefined, temperature: 0.4, maxTokens: undefined }
+      }
+    });
+
+    // Act
+    const result = await service.customizeResume(customizationData);
+
+    // Assert
+    expect(callOf('profiler').options).toEqual(expect.objectContaining({ temperature: 0.7, maxTokens: 3000 }));
+    expect(callOf('researcher').options).toEqual(expect.objectContaining({ temperature: 0.2, maxTokens: 1000 }));
+    expect(callOf('researcher').client.config.modelName).toBe('cheap-model');
+    expect(callOf('strategist').options).toEqual(expect.objectContaining({ temperature: 0.4, maxTokens: 4000 }));
+    expect(callOf('strategist').client).toBe(service.llmClient);
+    expect(result.models).toEqual({ profiler: 'test-model', researcher: 'cheap-model', strategist: 'test-model' });
+  });
+
+  it('should send a step with its own base URL to its provider', async () => {
+    // Arrange
+    const service = createService({ promptTemplateService: stepTemplates, steps: { strategist: anthropicStep } });
+
+    // Act
+    const result = await service.customizeResume(customizationData);
+
+    // Assert
+    const { client } = callOf('strategist');
+    expect(client.provider.name).toBe('anthropic');
+    expect(client.config).toEqual(expect.objectContaining({
+      baseUrl: 'https://api.anthropic.com',
+      apiKey: 'anthropic-key',
+      modelName: 'claude-test'
+    }));
+    expect(callOf('profiler').client).toBe(service.llmClient);
+    expect(result.model).toBe('claude-test');
+  });
+
+  it('should let a request move a step to another configured provider', async () => {
+    // Arrange
+    const service = createService({ promptTemplateService: stepTemplates, steps: { strategist: anthropicStep } });
+
+    // Act
+    await service.customizeResume({
+      ...customizationData,
+      stepSettings: { profiler: { provider: 'anthropic', modelName: 'claude-fast', temperature: 0 } }
+    });
+
+    // Assert
+    const { client, options } = callOf('profiler');
+    expect(client.config).toEqual(expect.objectContaining({ baseUrl: 'https://api.anthropic.com', modelName: 'claude-fast' }));
+    expect(options.temperature).toBe(0);
+  });
+
+  describe('analysis cache', () => {
+    const createCache = () => {
+      const entries = new Map();
+      return {
+        entries,
+        get: jest.fn(async (step, source, variant) => entries.get(`${step}|${source}|${variant}`) || null),
+        set: jest.fn(async (step, source, variant, result) => {
+          entries.set(`${step}|${source}|${variant}`, result);
+        })
+      };
+    };
+
+    it('should reuse the profile and job analysis of a source seen before', async () => {
+      // Arrange
+      const analysisCache = createCache();
+      const service = createService({ promptTemplateService: stepTemplates, analysisCache });
+      await service.customizeResume(customizationData);
+      complete.mockClear();
+
+      // Act
+      const result = await service.customizeResume(customizationData);
+
+      // Assert
+      expect(complete).toHaveBeenCalledTimes(1);
+      expect(complete.mock.calls[0][0].messages[0].content).toBe('strategist system');
+      expect(result.cachedSteps).toEqual(['profiler', 'researcher']);
+      expect(analysisCache.get).not.toHaveBeenCalledWith('strategist', expect.anything(), expect.anything());
+    });
+
+    it('should reuse the profile and job analysis of a customization for its cover letter', async () => {
+      // Arrange
+      const analysisCache = createCache();
+      const service = createService({ promptTemplateService: stepTemplates, analysisCache });
+      await service.customizeResume(customizationData);
+      complete.mockClear();
+
+      // Act
+      const result = await service.generateCoverLetter(customizationData);
+
+      // Assert
+      expect(complete).toHaveBeenCalledTimes(1);
+      expect(complete.mock.calls[0][0].messages[0].content).toBe('cover_letter system');
+      expect(result.cachedSteps).toEqual(['profiler', 'researcher']);
+    });
+
+    it('should report cached steps as usage without tokens', async () => {
+      // Arrange
+      const analysisCache = createCache();
+      const service = createService({ promptTemplateService: stepTemplates, analysisCache });
+      await service.customizeResume(customizationData);
+      const onUsage = jest.fn();
+
+      // Act
+      await service.customizeResume({ ...customizationData, onUsage });
+
+      // Assert
+      expect(onUsage).toHaveBeenCalledWith({
+        step: 'profiler',
+        provider: 'openrouter',
+        model: 'test-model',
+        promptTokens: 0,
+        completionTokens: 0,
+        cached: true
+      });
+      expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({ step: 'strategist', cached: false }));
+    });
+
+    it('should key results by source, prompt version and model settings', async () => {
+      // Arrange
+      const analysisCache = createCache();
+      const service = createService({ promptTemplateService: stepTemplates, analysisCache });
+      await service.customizeResume(customizationData);
+      complete.mockClear();
+
+      // Act
+      const result = await service.customizeResume({
+        ...customizationData,
+        jobDescription: 'We are hiring a night nurse',
+        stepSettings: { profiler: { modelName: 'other-model' } }
+      });
+
+      // Assert
+      expect(complete).toHaveBeenCalledTimes(3);
+      expect(result.cachedSteps).toEqual([]);
+      expect(analysisCache.set).toHaveBeenCalledWith('profiler', customizationData.resumeContent,
+        '0:openrouter:other-model:0.7:3000', expect.any(String));
+    });
+  });
+
+  it('should report the token usage of each step with its model', async () => {
+    // Arrange
+    complete.mockImplementation(async function ({ onUsage }) {
+      onUsage({ provider: this.provider.name, model: this.config.modelName, promptTokens: 100, completionTokens: 20 });
+      return '# Jane Doe\n\n## Experience';
+    });
+    const onUsage = jest.fn();
+    const service = createService({
+      promptTemplateService: stepTemplates,
+      steps: { researcher: { modelName: 'cheap-model' } }
+    });
+
+    // Act
+    await service.customizeResume({ ...customizationData, onUsage });
+
+    // Assert
+    expect(onUsage.mock.calls.map(([usage]) => [usage.step, usage.model])).toEqual([
+      ['profiler', 'test-model'],
+      ['researcher', 'cheap-model'],
+      ['strategist', 'test-model']
+    ]);
+    expect(onUsage).toHaveBeenCalledWith({
+      step: 'profiler',
+      provider: 'openrouter',
+      model: 'test-model',
+      promptTokens: 100,
+      completionTokens: 20,
+      cached: false
+    });
+  });
+
+  describe('output sanitization', () => {
+    // Strategist answers in the order they are given, the other steps answer with a placeholder
+    const answerStrategist = (...answers) => {
+      complete.mockImplementation(async ({ messages }) => (messages[0].content.startsWith('strategist')
+        ? answers.shift()
+        : 'analysis'));
+    };
+
+    it('should strip the reasoning, fences and commentary around the resume', async () => {
+      // Arrange
+      answerStrategist('<think>The candidate is a nurse.</think>\nHere is the tailored resume:\n\n'
+        + '```markdown\n# Jane Doe\n\n## Experience\n- Head nurse\n```\n\nLet me know if you need changes.');
+      const service = createService({ promptTemplateService: stepTemplates });
+
+      // Act
+      const result = await service.customizeResume(customizationData);
+
+      // Assert
+      expect(result.resume).toBe('# Jane Doe\n\n## Experience\n- Head nurse');
+      expect(complete).toHaveBeenCalledTimes(3);
+    });
+
+    it('should ask for a corrected resume when the output cannot be repaired', async () => {
+      // Arrange
+      const onRestart = jest.fn();
+      answerStrategist('# Jane Doe\n\n# Experience\n- Head nurse', '# Jane Doe\n\n## Experience\n- Head nurse');
+      const service = createService({ promptTemplateService: stepTemplates });
+
+      // Act
+      const result = await service.customizeResume({ ...customizationData, onRestart });
+
+      // Assert
+      expect(result.resume).toBe('# Jane Doe\n\n## Experience\n- Head nurse');
+      expect(onRestart).toHaveBeenCalledTimes(1);
+      const correction = complete.mock.calls[3][0].messages;
+      expect(correction[0].content).toBe('strategist system');
+      expect(correction[2]).toEqual({ role: 'assistant', content: '# Jane Doe\n\n# Experience\n- Head nurse' });
+      expect(correction[3].role).toBe('user');
+      expect(correction[3].content).toContain('- It has 2 H1 headings instead of one with the candidate name');
+    });
+
+    it('should fail when the resume is still malformed after the allowed corrections', async () => {
+      // Arrange
+      answerStrategist('{"summary": "Nurse"}', 'Sorry, I cannot help with that.');
+      const service = createService({ promptTemplateService: stepTemplates, maxCorrections: 1 });
+
+      // Act & Assert
+      await expect(service.customizeResume(customizationData))
+        .rejects.toThrow('The model did not return a well-formed resume: It has no H1 heading with the candidate name');
+      expect(complete).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('generateCoverLetter', () => {
+    const letter = 'Dear Hiring Manager,\n\nI am excited to apply.\n\nSincerely,\nJane Doe';
+
+    it('should write the letter from the profile, job analysis and tailored resume in the requested tone and length', async () => {
+      // Arrange
+      complete.mockImplementation(async ({ messages }) => (messages[0].content.startsWith('IDENTITY: Expert Cover Letter')
+        ? `Here is your cover letter:\n\n${letter}`
+        : `analysis of ${messages[0].content.slice(0, 20)}`));
+      const service = createService();
+
+      // Act
+      const result = await service.generateCoverLetter({
+        ...customizationData,
+        customizedResume: '# Jane Doe\n\n## Experience\n- Head nurse',
+        tone: 'enthusiastic',
+        length: 'short'
+      });
+
+      // Assert
+      expect(complete).toHaveBeenCalledTimes(3);
+      const userPrompt = complete.mock.calls[2][0].messages[1].content;
+      expect(userPrompt).toContain('Write a cover letter of 150 to 200 words for the role of Head Nurse at General Hospital. Keep the tone enthusiastic.');
+      expect(userPrompt).toContain('- Head nurse');
+      expect(result).toEqual(expect.objectContaining({
+        coverLetter: letter,
+        model: 'test-model',
+        promptVersions: { profiler: 0, researcher: 0, cover_letter: 0 }
+      }));
+    });
+
+    it('should reject an unknown length', async () => {
+      // Arrange
+      const service = createService();
+
+      // Act & Assert
+      await expect(service.generateCoverLetter({ ...customizationData, length: 'epic' }))
+        .rejects.toThrow('Unknown cover letter length: epic');
+      expect(complete).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateInterviewPrep', () => {
+    it('should tie the questions to the tailored resume and strip the commentary around the pack', async () => {
+      // Arrange
+      const pack = '# Interview Preparation\n\n## Behavioral Questions\n\n**Tell me about leading a ward.**\n\n'
+        + '## Technical Topics\n\n- Triage\n\n## Questions to Ask\n\n- How is the team organized?';
+      complete.mockImplementation(async ({ messages }) => (messages[0].content.startsWith('IDENTITY: Interview Coach')
+        ? `Here is your pack:\n\n${pack}\n\nLet me know if you want more questions.`
+        : 'analysis'));
+      const service = createService();
+
+      // Act
+      const result = await service.generateInterviewPrep({
+        ...customizationData,
+        customizedResume: '# Jane Doe\n\n## Experience\n- Led a ward of 12 nurses'
+      });
+
+      // Assert
+      expect(complete).toHaveBeenCalledTimes(3);
+      const userPrompt = complete.mock.calls[2][0].messages[1].content;
+      expect(userPrompt).toContain('- Led a ward of 12 nurses');
+      expect(userPrompt).toContain('for the role of Head Nurse at General Hospital');
+      expect(result).toEqual(expect.objectContaining({
+        interviewPrep: pack,
+        model: 'test-model',
+        promptVersions: { profiler: 0, researcher: 0, interview_prep: 0 }
+      }));
+    });
+  });
+
+  it('should reject a requested provider without a configured connection', async () => {
+    // Arrange
+    const service = createService({ promptTemplateService: stepTemplates });
+
+    // Act & Assert
+    await expect(service.customizeResume({
+      ...customizationData,
+      stepSettings: { researcher: { provider: 'anthropic' } }
+    })).rejects.toThrow('No anthropic connection is configured for the researcher step');
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for FallbackAIService
+ */
+
+const FallbackAIService = require('../../../src/services/implementations/fallbackAIServiceImpl');
+const { ServiceError, ServiceUnavailableError } = require('../../../src/utils/errors');
+
+describe('FallbackAIService', () => {
+  const customizationData = {
+    resumeContent: '# Jane Doe',
+    jobDescription: 'We are hiring a head nurse'
+  };
+
+  const createProvider = () => ({
+    customizeResume: jest.fn(),
+    generateCoverLetter: jest.fn(),
+    validateModelCompatibility: jest.fn().mockResolvedValue(true),
+    destroy: jest.fn()
+  });
+
+  let primary;
+  let secondary;
+  let now;
+  let service;
+
+  beforeEach(() => {
+    primary = createProvider();
+    secondary = createProvider();
+    now = 1000000;
+    service = new FallbackAIService({
+      providers: [
+        { name: 'direct_llm', service: primary },
+        { name: 'n8n', service: secondary }
+      ],
+      breaker: { failureThreshold: 2, resetTimeoutMs: 60000, now: () => now }
+    });
+  });
+
+  it('should use the first provider while it works', async () => {
+    // Arrange
+    primary.customizeResume.mockResolvedValue({ resume: '# Jane Doe\n\nTailored', model: 'test-model' });
+
+    // Act
+    const result = await service.customizeResume(customizationData);
+
+    // Assert
+    expect(result).toEqual({
+      resume: '# Jane Doe\n\nTailored',
+      model: 'test-model',
+      provider: 'direct_llm',
+      failedProviders: []
+    });
+    expect(secondary.customizeResume).not.toHaveBeenCalled();
+  });
+
+  it('should fall back to the next provider when one fails', async () => {
+    // Arrange
+    const onFallback = jest.fn();
+    primary.customizeResume.mockRejectedValue(new ServiceError('LLM request failed: timeout', 'ai'));
+    secondary.customizeResume.mockResolvedValue({ resume: '# Jane Doe\n\nFrom n8n' });
+
+    // Act
+    const result = await service.customizeResume({ ...customizationData, onFallback });
+
+    // Assert
+    expect(result).toEqual(expect.objectContaining({ provider: 'n8n', failedProviders: ['direct_llm'] }));
+    expect(onFallback).toHaveBeenCalledWith('direct_llm', expect.any(ServiceError));
+    expect(secondary.customizeResume).toHaveBeenCalledWith(customizationData);
+  });
+
+  it('should fall back for cover letters through the same circuits', async () => {
+    // Arrange
+    primary.customizeResume.mockRejectedValue(new ServiceError('LLM request failed: timeout', 'ai'));
+    primary.generateCoverLetter.mockRejectedValue(new ServiceError('LLM request failed: timeout', 'ai'));
+    secondary.generateCoverLetter.mockResolvedValue({ coverLetter: 'Dear Hiring Manager,' });
+    await service.customizeResume(customizationData).catch(() => {});
+
+    // Act
+    const result = await service.generateCoverLetter(customizationData);
+
+    // Assert
+    expect(result).toEqual(expect.objectContaining({ coverLetter: 'Dear Hiring Manager,', provider: 'n8n' }));
+    expect(service.getHealth().providers[0].state).toBe('open');
+  });
+
+  it('should skip a provider with an open circuit until a probe is due', async () => {
+    // Arrange
+    primary.customizeResume.mockRejectedValue(new Error('connect ECONNREFUSED'));
+    secondary.customizeResume.mockResolvedValue({ resume: '# Jane Doe' });
+    await service.customizeResume(customizationData);
+    await service.customizeResume(customizationData);
+    primary.customizeResume.mockClear();
+
+    // Act
+    await service.customizeResume(customizationData);
+    now += 60000;
+    primary.customizeResume.mockResolvedValue({ resume: '# Jane Doe\n\nRecovered' });
+    const probed = await service.customizeResume(customizationData);
+
+    // Assert
+    expect(primary.customizeResume).toHaveBeenCalledTimes(1);
+    expect(probed.provider).toBe('direct_llm');
+    expect(service.getHealth().status).toBe('ok');
+  });
+
+  it('should not fall back or trip the circuit on invalid requests', async () => {
+    // Arrange
+    const error = new ServiceError('AI customization failed: No anthropic connection is configured', 'ai');
+    error.originalError = new ServiceError('No anthropic connection is configured', 'validation');
+    primary.customizeResume.mockRejectedValue(error);
+
+    // Act & Assert
+    await expect(service.customizeResume(customizationData)).rejects.toBe(error);
+    await expect(service.customizeResume(customizationData)).rejects.toBe(error);
+    expect(secondary.customizeResume).not.toHaveBeenCalled();
+    expect(service.getHealth().providers[0]).toEqual(expect.objectContaining({ state: 'closed', failures: 0 }));
+  });
+
+  it('should report every failure when the whole chain fails', async () => {
+    // Arrange
+    primary.customizeResume.mockRejectedValue(new Error('timeout'));
+    secondary.customizeResume.mockRejectedValue(new Error('webhook returned 502'));
+
+    // Act & Assert
+    await expect(service.customizeResume(customizationData))
+      .rejects.toThrow('All AI providers failed: direct_llm: timeout; n8n: webhook returned 502');
+  });
+
+  it('should fail at once when every circuit is open', async () => {
+    // Arrange
+    primary.customizeResume.mockRejectedValue(new Error('timeout'));
+    secondary.customizeResume.mockRejectedValue(new Error('webhook returned 502'));
+    await service.customizeResume(customizationData).catch(() => {});
+    await service.customizeResume(customizationData).catch(() => {});
+    primary.customizeResume.mockClear();
+
+    // Act & Assert
+    await expect(service.customizeResume(customizationData)).rejects.toThrow(ServiceUnavailableError);
+    expect(primary.customizeResume).not.toHaveBeenCalled();
+    expect(service.getHealth()).toEqual({
+      status: 'unavailable',
+      providers: [
+        expect.objectContaining({ name: 'direct_llm', state: 'open', failures: 2 }),
+        expect.objectContaining({ name: 'n8n', state: 'open', lastError: expect.objectContaining({ message: 'webhook returned 502' }) })
+      ]
+    });
+  });
+
+  it('should report a degraded chain while a provider is skipped', async () => {
+    // Arrange
+    primary.customizeResume.mockRejectedValue(new Error('timeout'));
+    secondary.customizeResume.mockResolvedValue({ resume: '# Jane Doe' });
+
+    // Act
+    await service.customizeResume(customizationData);
+    await service.customizeResume(customizationData);
+
+    // Assert
+    expect(service.getHealth().status).toBe('degraded');
+  });
+});
@@ -0,0 +1,191 @@
+/**
+ * LLM Client Tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+const LLMClient = require('../../../src/services/implementations/llmClient');
+const { ServiceError } = require('../../../src/utils/errors');
+const anthropicResponse = require('../../fixtures/llm/anthropic-message.json');
+const anthropicError = require('../../fixtures/llm/anthropic-error.json');
+const openRouterResponse = require('../../fixtures/llm/openrouter-chat-completion.json');
+
+jest.mock('axios');
+jest.mock('axios-retry', () => {
+  const axiosRetry = jest.fn();
+  axiosRetry.exponentialDelay = jest.fn();
+  axiosRetry.isNetworkError = jest.fn();
+  axiosRetry.isRetryableError = jest.fn();
+  return { default: axiosRetry };
+});
+
+describe('LLMClient', () => {
+  const mockHttpClient = {
+    post: jest.fn()
+  };
+
+  const messages = [
+    { role: 'system', content: 'You are a resume strategist.' },
+    { role: 'user', content: 'Original resume' }
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    axios.create.mockReturnValue(mockHttpClient);
+  });
+
+  test('should send Anthropic requests in the Messages API format', async () => {
+    // Arrange
+    mockHttpClient.post.mockResolvedValue({ data: anthropicResponse });
+    const client = new LLMClient({
+      apiKey: 'sk-ant-test',
+      baseUrl: 'https://api.anthropic.com',
+      modelName: 'claude-3-5-sonnet-20240620'
+    });
+
+    // Act
+    const result = await client.complete({ messages, temperature: 0.5, maxTokens: 4000 });
+
+    // Assert
+    expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+      baseURL: 'https://api.anthropic.com',
+      headers: expect.objectContaining({ 'x-api-key': 'sk-ant-test', 'anthropic-version': '2023-06-01' })
+    }));
+    expect(mockHttpClient.post).toHaveBeenCalledWith('/v1/messages', {
+      model: 'claude-3-5-sonnet-20240620',
+      system: 'You are a resume strategist.',
+      messages: [{ role: 'user', content: 'Original resume' }],
+      temperature: 0.5,
+      max_tokens: 4000
+    });
+    expect(result).toBe('# Jane Doe\n\n## Skills\n\n- Node.js, PostgreSQL, Kubernetes');
+  });
+
+  test('should send OpenRouter requests in the OpenAI format', async () => {
+    // Arrange
+    mockHttpClient.post.mockResolvedValue({ data: openRouterResponse });
+    const client = new LLMClient({
+      apiKey: 'sk-or-test',
+      baseUrl: 'https://openrouter.ai/api',
+      modelName: 'deepseek/deepseek-r1-distill-llama-70b',
+      appName: 'Resume Customizer'
+    });
+
+    // Act
+    const result = await client.complete({ messages });
+
+    // Assert
+    expect(axios.create).toHaveBeenCalledWith(expect.objectContaining({
+      headers: expect.objectContaining({ 'Authorization': 'Bearer sk-or-test', 'X-Title': 'Resume Customizer' })
+    }));
+    expect(mockHttpClient.post).toHaveBeenCalledWith('/v1/chat/completions', expect.objectContaining({
+      messages,
+      max_tokens: 2000
+    }));
+    expect(result).toBe('# Jane Doe\n\n## Summary\n\nBackend engineer focused on payment platforms.');
+  });
+
+  test('should collect streamed completions across chunk boundaries', async () => {
+    // Arrange
+    const ndjson = [
+      '{"message":{"content":"# Jane"},"done":false}',
+      '{"message":{"content":" Doe, ingénieure"},"done":false}',
+      '{"message":{"content":""},"done":true}'
+    ].join('\n');
+    const bytes = Buffer.from(ndjson, 'utf8');
+    // Split inside the two byte "é" and inside a JSON line
+    const splitAt = bytes.indexOf(Buffer.from('é')) + 1;
+    mockHttpClient.post.mockResolvedValue({
+      data: Readable.from([bytes.subarray(0, 20), bytes.subarray(20, splitAt), bytes.subarray(splitAt)])
+    });
+    const onToken = jest.fn();
+    const client = new LLMClient({
+      baseUrl: 'http://localhost:11434',
+      modelName: 'llama3.1:8b',
+      provider: 'ollama',
+      stream: true
+    });
+
+    // Act
+    const result = await client.complete({ messages, onToken });
+
+    // Assert
+    expect(mockHttpClient.post).toHaveBeenCalledWith('/api/chat', expect.objectContaining({ stream: true }), {
+      responseType: 'stream'
+    });
+    expect(result).toBe('# Jane Doe, ingénieure');
+    expect(onToken.mock.calls).toEqual([['# Jane'], [' Doe, ingénieure']]);
+  });
+
+  test('should report the token usage of a completion', async () => {
+    // Arrange
+    mockHttpClient.post.mockResolvedValue({ data: anthropicResponse });
+    const onUsage = jest.fn();
+    const client = new LLMClient({ apiKey: 'sk-ant-test', baseUrl: 'https://api.anthropic.com', modelName: 'claude-3-5-sonnet-20240620' });
+
+    // Act
+    await client.complete({ messages, onUsage });
+
+    // Assert
+    expect(onUsage).toHaveBeenCalledWith({
+      provider: 'anthropic',
+      model: 'claude-3-5-sonnet-20240620',
+      promptTokens: 421,
+      completionTokens: 19
+    });
+  });
+
+  test('should combine the token usage reported across a stream', async () => {
+    // Arrange
+    const recording = fs.readFileSync(path.join(__dirname, '../../fixtures/llm/anthropic-message-stream.txt'));
+    mockHttpClient.post.mockResolvedValue({ data: Readable.from([recording]) });
+    const onUsage = jest.fn();
+    const client = new LLMClient({ apiKey: 'sk-ant-test', baseUrl: 'https://api.anthropic.com', modelName: 'claude', stream: true });
+
+    // Act
+    const result = await client.complete({ messages, onUsage });
+
+    // Assert
+    expect(result).toBe('# Jane Doe');
+    expect(onUsage).toHaveBeenCalledWith(expect.objectContaining({ promptTokens: 25, completionTokens: 4 }));
+  });
+
+  test('should report unknown token counts as null', async () => {
+    // Arrange
+    mockHttpClient.post.mockResolvedValue({ data: { choices: [{ message: { content: 'Hello' } }] } });
+    const onUsage = jest.fn();
+    const client = new LLMClient({ baseUrl: 'http://localhost:8080', modelName: 'local', provider: 'llamacpp' });
+
+    // Act
+    await client.complete({ messages, onUsage });
+
+    // Assert
+    expect(onUsage).toHaveBeenCalledWith({ provider: 'llamacpp', model: 'local', promptTokens: null, completionTokens: null });
+  });
+
+  test('should reject an empty stream', async () => {
+    // Arrange
+    mockHttpClient.post.mockResolvedValue({ data: Readable.from([Buffer.from('data: [DONE]\n')]) });
+    const client = new LLMClient({ baseUrl: 'http://localhost:8080', modelName: 'local', provider: 'llamacpp', stream: true });
+
+    // Act & Assert
+    await expect(client.complete({ messages })).rejects.toThrow('Empty streamed response from LLM API');
+  });
+
+  test('should include the provider error message when a request fails', async () => {
+    // Arrange
+    const httpError = new Error('Request failed with status code 400');
+    httpError.response = { status: 400, statusText: 'Bad Request', data: anthropicError };
+    mockHttpClient.post.mockRejectedValue(httpError);
+    const client = new LLMClient({ apiKey: 'sk-ant-test', baseUrl: 'https://api.anthropic.com', modelName: 'claude' });
+
+    // Act & Assert
+    const error = await client.complete({ messages }).catch(caught => caught);
+    expect(error).toBeInstanceOf(ServiceError);
+    expect(error.message).toBe('LLM request failed: Request failed with status code 400: max_tokens: Field required');
+    expect(error.providerType).toBe('anthropic');
+    expect(error.status).toBe(400);
+  });
+});
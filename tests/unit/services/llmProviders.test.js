@@ -0,0 +1,288 @@
+/**
+ * LLM Provider Adapter Tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createLLMProvider, LLMProviderType } = require('../../../src/services/implementations/llmProviders');
+const OpenAICompatibleProvider = require('../../../src/services/implementations/llmProviders/openAICompatibleProvider');
+const OpenRouterProvider = require('../../../src/services/implementations/llmProviders/openRouterProvider');
+const AnthropicProvider = require('../../../src/services/implementations/llmProviders/anthropicProvider');
+const OllamaProvider = require('../../../src/services/implementations/llmProviders/ollamaProvider');
+const LlamaCppProvider = require('../../../src/services/implementations/llmProviders/llamaCppProvider');
+const { ServiceError } = require('../../../src/utils/errors');
+const openAIResponse = require('../../fixtures/llm/openai-chat-completion.json');
+const openAIError = require('../../fixtures/llm/openai-error.json');
+const openRouterResponse = require('../../fixtures/llm/openrouter-chat-completion.json');
+const openRouterUpstreamError = require('../../fixtures/llm/openrouter-upstream-error.json');
+const anthropicResponse = require('../../fixtures/llm/anthropic-message.json');
+const anthropicError = require('../../fixtures/llm/anthropic-error.json');
+const ollamaResponse = require('../../fixtures/llm/ollama-chat.json');
+
+/**
+ * Read a recorded response stream and parse it line by line
+ */
+const parseStream = (provider, fixture) => fs
+  .readFileSync(path.join(__dirname, '../../fixtures/llm', fixture), 'utf8')
+  .split('\n')
+  .map(line => provider.parseStreamChunk(line))
+  .filter(Boolean);
+
+const streamedText = (chunks) => chunks.map(chunk => chunk.content).join('');
+
+const request = {
+  model: 'test-model',
+  messages: [
+    { role: 'system', content: 'You are a resume strategist.' },
+    { role: 'system', content: 'Output Markdown only.' },
+    { role: 'user', content: 'Original resume' },
+    { role: 'user', content: 'Job description' }
+  ],
+  temperature: 0.5,
+  maxTokens: 4000
+};
+
+describe('createLLMProvider', () => {
+  test('should detect the provider from the base URL', () => {
+    expect(createLLMProvider({ baseUrl: 'https://openrouter.ai/api' })).toBeInstanceOf(OpenRouterProvider);
+    expect(createLLMProvider({ baseUrl: 'https://api.anthropic.com' })).toBeInstanceOf(AnthropicProvider);
+    expect(createLLMProvider({ baseUrl: 'https://api.openai.com' })).toBeInstanceOf(OpenAICompatibleProvider);
+  });
+
+  test('should use the configured provider over the base URL', () => {
+    const provider = createLLMProvider({ baseUrl: 'https://llm-gateway.internal', provider: LLMProviderType.ANTHROPIC });
+
+    expect(provider).toBeInstanceOf(AnthropicProvider);
+    expect(provider.getEndpoint()).toBe('/v1/messages');
+  });
+
+  test('should resolve endpoints against the path of the base URL', () => {
+    expect(createLLMProvider({ baseUrl: 'https://openrouter.ai/api' }).getEndpoint()).toBe('/v1/chat/completions');
+    expect(createLLMProvider({ baseUrl: 'https://openrouter.ai' }).getEndpoint()).toBe('/api/v1/chat/completions');
+    expect(createLLMProvider({ baseUrl: 'https://api.openai.com/v1' }).getEndpoint()).toBe('/chat/completions');
+    expect(createLLMProvider({ baseUrl: 'https://api.openai.com' }).getEndpoint()).toBe('/v1/chat/completions');
+  });
+
+  test('should create local server providers', () => {
+    const ollama = createLLMProvider({ baseUrl: 'http://localhost:11434', provider: LLMProviderType.OLLAMA });
+    const llamaCpp = createLLMProvider({ baseUrl: 'http://localhost:8080', provider: LLMProviderType.LLAMA_CPP });
+
+    expect(ollama).toBeInstanceOf(OllamaProvider);
+    expect(ollama.getEndpoint()).toBe('/api/chat');
+    expect(llamaCpp).toBeInstanceOf(LlamaCppProvider);
+    expect(llamaCpp.getEndpoint()).toBe('/v1/chat/completions');
+  });
+
+  test('should keep the compatible endpoint for other hosts unless overridden', () => {
+    expect(createLLMProvider({ baseUrl: 'http://localhost:8080' }).getEndpoint()).toBe('/api/chat/completions');
+    expect(createLLMProvider({ baseUrl: 'http://localhost:8080', apiPath: '/v1/chat/completions' }).getEndpoint())
+      .toBe('/v1/chat/completions');
+  });
+});
+
+describe('OpenAICompatibleProvider', () => {
+  const provider = new OpenAICompatibleProvider();
+
+  test('should authenticate with a bearer token', () => {
+    expect(provider.getHeaders('sk-test')).toEqual({
+      'Authorization': 'Bearer sk-test',
+      'Content-Type': 'application/json'
+    });
+  });
+
+  test('should keep system prompts in the message list', () => {
+    expect(provider.buildRequest(request)).toEqual({
+      model: 'test-model',
+      messages: request.messages,
+      temperature: 0.5,
+      max_tokens: 4000
+    });
+  });
+
+  test('should parse a recorded chat completion', () => {
+    expect(provider.parseResponse(openAIResponse))
+      .toBe('# Jane Doe\n\n## Experience\n\n### Senior Engineer | Acme Corp\n\n- Reduced API latency by 40%');
+  });
+
+  test('should join content parts', () => {
+    const response = {
+      choices: [{ message: { content: [{ type: 'text', text: 'Hello ' }, { type: 'text', text: 'world' }] } }]
+    };
+
+    expect(provider.parseResponse(response)).toBe('Hello world');
+  });
+
+  test('should reject responses without content', () => {
+    expect(() => provider.parseResponse({ choices: [] })).toThrow(ServiceError);
+  });
+
+  test('should request a stream when streaming', () => {
+    expect(provider.buildRequest({ ...request, stream: true })).toHaveProperty('stream', true);
+    expect(provider.buildRequest(request)).not.toHaveProperty('stream');
+  });
+
+  test('should ask for the token usage of streams', () => {
+    expect(provider.buildRequest({ ...request, stream: true })).toHaveProperty('stream_options', { include_usage: true });
+  });
+
+  test('should parse the token usage of a recorded chat completion', () => {
+    expect(provider.parseUsage(openAIResponse)).toEqual({ promptTokens: 412, completionTokens: 27 });
+    expect(provider.parseUsage({ choices: [] })).toBeNull();
+  });
+
+  test('should parse the usage chunk of a stream', () => {
+    const line = 'data: {"id":"chatcmpl-Xk1QZ3","choices":[],"usage":{"prompt_tokens":25,"completion_tokens":4,"total_tokens":29}}';
+
+    expect(provider.parseStreamChunk(line)).toEqual({
+      content: '',
+      done: false,
+      usage: { promptTokens: 25, completionTokens: 4 }
+    });
+  });
+
+  test('should parse a recorded error', () => {
+    expect(provider.parseError(openAIError)).toMatch(/^Incorrect API key provided/);
+  });
+});
+
+describe('OpenRouterProvider', () => {
+  const provider = new OpenRouterProvider({ appUrl: 'https://resumes.example.com', appName: 'Resume Customizer' });
+
+  test('should send attribution headers', () => {
+    expect(provider.getHeaders('sk-or-test')).toEqual({
+      'Authorization': 'Bearer sk-or-test',
+      'Content-Type': 'application/json',
+      'HTTP-Referer': 'https://resumes.example.com',
+      'X-Title': 'Resume Customizer'
+    });
+  });
+
+  test('should parse a recorded chat completion', () => {
+    expect(provider.parseResponse(openRouterResponse))
+      .toBe('# Jane Doe\n\n## Summary\n\nBackend engineer focused on payment platforms.');
+  });
+
+  test('should surface upstream errors reported with a successful status', () => {
+    expect(() => provider.parseResponse(openRouterUpstreamError))
+      .toThrow('OpenRouter error: Upstream provider timed out');
+  });
+});
+
+describe('AnthropicProvider', () => {
+  const provider = new AnthropicProvider();
+
+  test('should authenticate with an API key header', () => {
+    expect(provider.getHeaders('sk-ant-test')).toEqual({
+      'x-api-key': 'sk-ant-test',
+      'anthropic-version': '2023-06-01',
+      'Content-Type': 'application/json'
+    });
+  });
+
+  test('should move system prompts to the system field and merge consecutive turns', () => {
+    expect(provider.buildRequest(request)).toEqual({
+      model: 'test-model',
+      system: 'You are a resume strategist.\n\nOutput Markdown only.',
+      messages: [{ role: 'user', content: 'Original resume\n\nJob description' }],
+      temperature: 0.5,
+      max_tokens: 4000
+    });
+  });
+
+  test('should omit the system field without system prompts', () => {
+    const body = provider.buildRequest({ ...request, messages: [{ role: 'user', content: 'Hi' }] });
+
+    expect(body).not.toHaveProperty('system');
+  });
+
+  test('should parse the text blocks of a recorded message', () => {
+    expect(provider.parseResponse(anthropicResponse)).toBe('# Jane Doe\n\n## Skills\n\n- Node.js, PostgreSQL, Kubernetes');
+  });
+
+  test('should reject messages without text blocks', () => {
+    expect(() => provider.parseResponse({ content: [{ type: 'tool_use', id: 'toolu_1' }] })).toThrow(ServiceError);
+  });
+
+  test('should parse a recorded message stream', () => {
+    const chunks = parseStream(provider, 'anthropic-message-stream.txt');
+
+    expect(streamedText(chunks)).toBe('# Jane Doe');
+    expect(chunks[chunks.length - 1].done).toBe(true);
+  });
+
+  test('should parse the token usage of a recorded message', () => {
+    expect(provider.parseUsage(anthropicResponse)).toEqual({ promptTokens: 421, completionTokens: 19 });
+  });
+
+  test('should report input and output tokens from the events of a recorded stream', () => {
+    const usage = parseStream(provider, 'anthropic-message-stream.txt')
+      .filter(chunk => chunk.usage)
+      .map(chunk => chunk.usage);
+
+    expect(usage).toEqual([{ promptTokens: 25 }, { completionTokens: 4 }]);
+  });
+
+  test('should parse a recorded error', () => {
+    expect(provider.parseError(anthropicError)).toBe('max_tokens: Field required');
+  });
+});
+
+describe('OllamaProvider', () => {
+  const provider = new OllamaProvider({ keepAlive: '10m' });
+
+  test('should not authenticate without a key', () => {
+    expect(provider.getHeaders()).toEqual({ 'Content-Type': 'application/json' });
+  });
+
+  test('should pass sampling settings as options', () => {
+    expect(provider.buildRequest(request)).toEqual({
+      model: 'test-model',
+      messages: request.messages,
+      stream: false,
+      options: { temperature: 0.5, num_predict: 4000 },
+      keep_alive: '10m'
+    });
+  });
+
+  test('should parse a recorded chat response', () => {
+    expect(provider.parseResponse(ollamaResponse))
+      .toBe('# Jane Doe\n\n## Summary\n\nBackend engineer focused on payment platforms.');
+  });
+
+  test('should parse a recorded chat stream', () => {
+    const chunks = parseStream(provider, 'ollama-chat-stream.ndjson');
+
+    expect(streamedText(chunks)).toBe('# Jane Doe\n\nIngénieure backend');
+    expect(chunks[chunks.length - 1].done).toBe(true);
+    expect(chunks[chunks.length - 1].usage).toEqual({ promptTokens: null, completionTokens: 9 });
+  });
+
+  test('should parse the evaluated tokens of a recorded chat response', () => {
+    expect(provider.parseUsage(ollamaResponse)).toEqual({ promptTokens: 398, completionTokens: 18 });
+  });
+
+  test('should surface errors reported in the stream', () => {
+    expect(() => provider.parseStreamChunk('{"error":"model \'llama3.1:8b\' not found"}'))
+      .toThrow('ollama stream error: model \'llama3.1:8b\' not found');
+  });
+
+  test('should parse a server error', () => {
+    expect(provider.parseError({ error: 'model not found, try pulling it first' })).toBe('model not found, try pulling it first');
+  });
+});
+
+describe('LlamaCppProvider', () => {
+  const provider = new LlamaCppProvider();
+
+  test('should only authenticate with a key', () => {
+    expect(provider.getHeaders()).toEqual({ 'Content-Type': 'application/json' });
+    expect(provider.getHeaders('secret')).toHaveProperty('Authorization', 'Bearer secret');
+  });
+
+  test('should parse a recorded chat stream', () => {
+    const chunks = parseStream(provider, 'llamacpp-chat-stream.txt');
+
+    expect(streamedText(chunks)).toBe('# Jane Doe');
+    expect(chunks[chunks.length - 1]).toEqual({ content: '', done: true });
+  });
+});
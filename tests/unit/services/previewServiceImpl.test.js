@@ -0,0 +1,163 @@
+/**
+ * Unit Tests for PreviewService
+ */
+
+const PreviewService = require('../../../src/services/implementations/previewServiceImpl');
+const { ServiceUnavailableError } = require('../../../src/utils/errors');
+
+/**
+ * In-memory stand-in for the node-redis commands the service uses
+ */
+const createMockRedisClient = () => {
+  const store = new Map();
+  const commands = {
+    del: (key) => store.delete(key),
+    append: (key, value) => store.set(key, (store.get(key) || '') + value),
+    hSet: (key, field, value) => {
+      const hash = store.get(key) || {};
+      store.set(key, typeof field === 'object' ? { ...hash, ...field } : { ...hash, [field]: value });
+    },
+    expire: jest.fn()
+  };
+
+  const client = {
+    store,
+    isOpen: false,
+    connect: jest.fn(async () => {
+      client.isOpen = true;
+    }),
+    quit: jest.fn().mockResolvedValue(),
+    multi: () => {
+      const queued = [];
+      const transaction = {
+        exec: jest.fn(async () => queued.map(run => run()))
+      };
+      Object.entries(commands).forEach(([name, command]) => {
+        transaction[name] = (...args) => {
+          queued.push(() => command(...args));
+          return transaction;
+        };
+      });
+      return transaction;
+    },
+    hSet: jest.fn(async (...args) => commands.hSet(...args)),
+    hGetAll: jest.fn(async (key) => store.get(key) || {}),
+    get: jest.fn(async (key) => (store.has(key) ? store.get(key) : null))
+  };
+
+  return client;
+};
+
+describe('PreviewService', () => {
+  let redisClient;
+  let previewService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisClient = createMockRedisClient();
+    previewService = new PreviewService({ redisClient, ttlSeconds: 60, flushIntervalMs: 0 });
+  });
+
+  it('should buffer streamed text of a job and return it by resume', async () => {
+    // Arrange
+    await previewService.start('resume-1', 'job-1');
+
+    // Act
+    await previewService.append('resume-1', 'job-1', '# Jane');
+    await previewService.append('resume-1', 'job-1', ' Doe');
+    const preview = await previewService.get('resume-1');
+
+    // Assert
+    expect(redisClient.connect).toHaveBeenCalledTimes(1);
+    expect(preview).toEqual({
+      jobId: 'job-1',
+      content: '# Jane Doe',
+      startedAt: expect.any(String),
+      updatedAt: expect.any(String),
+      done: false
+    });
+  });
+
+  it('should replace the preview of an earlier job', async () => {
+    // Arrange
+    await previewService.start('resume-1', 'job-1');
+    await previewService.append('resume-1', 'job-1', 'Old content');
+
+    // Act
+    await previewService.start('resume-1', 'job-2');
+    await previewService.append('resume-1', 'job-2', 'New');
+    await previewService.finish('resume-1');
+
+    // Assert
+    expect(await previewService.get('resume-1')).toEqual(expect.objectContaining({
+      jobId: 'job-2',
+      content: 'New',
+      done: true
+    }));
+  });
+
+  it('should return null for resumes without a preview', async () => {
+    expect(await previewService.get('resume-unknown')).toBeNull();
+  });
+
+  describe('createWriter', () => {
+    it('should write chunks in order and flush on finish', async () => {
+      // Arrange
+      previewService = new PreviewService({ redisClient, ttlSeconds: 60, flushIntervalMs: 60000 });
+      const writer = previewService.createWriter('resume-1', 'job-1');
+
+      // Act
+      await writer.start();
+      writer.write('# Jane');
+      writer.write(' Doe');
+      writer.write('\n\nSummary');
+      await writer.finish();
+
+      // Assert
+      expect(await previewService.get('resume-1')).toEqual(expect.objectContaining({
+        content: '# Jane Doe\n\nSummary',
+        done: true
+      }));
+    });
+
+    it('should discard the text of a failed attempt when started again', async () => {
+      // Arrange
+      previewService = new PreviewService({ redisClient, ttlSeconds: 60, flushIntervalMs: 60000 });
+      const writer = previewService.createWriter('resume-1', 'job-1');
+
+      // Act
+      await writer.start();
+      writer.write('# Jane Doe\n\nHalf a');
+      await writer.start();
+      writer.write('# Jane Doe\n\nSummary');
+      await writer.finish();
+
+      // Assert
+      expect((await previewService.get('resume-1')).content).toBe('# Jane Doe\n\nSummary');
+    });
+
+    it('should not throw when Redis fails', async () => {
+      // Arrange
+      redisClient.connect.mockRejectedValue(new Error('ECONNREFUSED'));
+      const writer = previewService.createWriter('resume-1', 'job-1');
+
+      // Act & Assert
+      await expect(writer.start()).resolves.toBeUndefined();
+      expect(() => writer.write('text')).not.toThrow();
+      await expect(writer.finish()).resolves.toBeUndefined();
+    });
+
+    it('should drop the preview when Redis never answers', async () => {
+      // Arrange
+      redisClient.connect.mockReturnValue(new Promise(() => {}));
+      previewService = new PreviewService({ redisClient, ttlSeconds: 60, flushIntervalMs: 0, operationTimeoutMs: 10 });
+      const writer = previewService.createWriter('resume-1', 'job-1');
+
+      // Act & Assert
+      await expect(writer.start()).resolves.toBeUndefined();
+      writer.write('text');
+      await expect(writer.finish()).resolves.toBeUndefined();
+      await expect(previewService.get('resume-1')).rejects.toThrow(ServiceUnavailableError);
+    });
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * Unit Tests for PromptTemplateService
+ */
+
+const PromptTemplateService = require('../../../src/services/implementations/promptTemplateServiceImpl');
+const { DEFAULT_PROMPT_TEMPLATES } = require('../../../src/services/implementations/prompts/defaultPromptTemplates');
+const { NotFoundError, ValidationError } = require('../../../src/utils/errors');
+
+describe('PromptTemplateService', () => {
+  let promptTemplateRepository;
+  let promptTemplateService;
+
+  const storedTemplate = (version, overrides = {}) => ({
+    id: `template-${version}`,
+    name: 'strategist',
+    version,
+    description: `Version ${version}`,
+    systemPrompt: `Strategist v${version}`,
+    userPrompt: '{{profile}} {{originalResume}}',
+    isActive: false,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    promptTemplateRepository = {
+      findAll: jest.fn().mockResolvedValue([]),
+      findActive: jest.fn().mockResolvedValue(null),
+      findByVersion: jest.fn().mockResolvedValue(null),
+      create: jest.fn(async (data) => storedTemplate(1, data)),
+      activate: jest.fn().mockResolvedValue()
+    };
+    promptTemplateService = new PromptTemplateService({ promptTemplateRepository, cacheTtlMs: 60000 });
+  });
+
+  describe('getActiveTemplate', () => {
+    it('should use the built-in template when no version is active', async () => {
+      // Act
+      const template = await promptTemplateService.getActiveTemplate('strategist');
+
+      // Assert
+      expect(template).toBe(DEFAULT_PROMPT_TEMPLATES.strategist);
+    });
+
+    it('should cache the active template', async () => {
+      // Arrange
+      promptTemplateRepository.findActive.mockResolvedValue(storedTemplate(2, { isActive: true }));
+
+      // Act
+      await promptTemplateService.getActiveTemplate('strategist');
+      const template = await promptTemplateService.getActiveTemplate('strategist');
+
+      // Assert
+      expect(template.version).toBe(2);
+      expect(promptTemplateRepository.findActive).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to the built-in template when the repository fails', async () => {
+      // Arrange
+      promptTemplateRepository.findActive.mockRejectedValue(new Error('Database down'));
+
+      // Act
+      const template = await promptTemplateService.getActiveTemplate('profiler');
+
+      // Assert
+      expect(template).toBe(DEFAULT_PROMPT_TEMPLATES.profiler);
+    });
+
+    it('should reject unknown prompts', async () => {
+      await expect(promptTemplateService.getActiveTemplate('poet')).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('listTemplates', () => {
+    it('should list stored versions and the built-in template of each prompt', async () => {
+      // Arrange
+      promptTemplateRepository.findAll.mockResolvedValue([
+        storedTemplate(2, { isActive: true }),
+        storedTemplate(1)
+      ]);
+
+      // Act
+      const templates = await promptTemplateService.listTemplates('strategist');
+
+      // Assert
+      expect(templates.map(template => [template.version, template.isActive, template.builtIn])).toEqual([
+        [2, true, false],
+        [1, false, false],
+        [0, false, true]
+      ]);
+      expect(templates[0].variables).toEqual(['profile', 'originalResume']);
+    });
+  });
+
+  describe('createTemplate', () => {
+    it('should store a new version without activating it', async () => {
+      // Act
+      const template = await promptTemplateService.createTemplate({
+        name: 'strategist',
+        systemPrompt: 'Write a resume',
+        userPrompt: '{{profile}}{{#jobTitle}} for {{jobTitle}}{{/jobTitle}}'
+      }, 'admin-id');
+
+      // Assert
+      expect(promptTemplateRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        name: 'strategist',
+        createdBy: 'admin-id'
+      }));
+      expect(promptTemplateRepository.activate).not.toHaveBeenCalled();
+      expect(template).toEqual(expect.objectContaining({ version: 1, isActive: false }));
+    });
+
+    it('should activate the new version when asked to', async () => {
+      // Arrange
+      promptTemplateRepository.findByVersion.mockResolvedValue(storedTemplate(1));
+
+      // Act
+      const template = await promptTemplateService.createTemplate({
+        name: 'strategist',
+        systemPrompt: 'Write a resume',
+        userPrompt: '{{profile}}',
+        activate: true
+      }, 'admin-id');
+
+      // Assert
+      expect(promptTemplateRepository.activate).toHaveBeenCalledWith('strategist', 1);
+      expect(template.isActive).toBe(true);
+    });
+
+    it('should reject variables the prompt is not rendered with', async () => {
+      // Act & Assert
+      await expect(promptTemplateService.createTemplate({
+        name: 'profiler',
+        systemPrompt: 'Profile the candidate',
+        userPrompt: '{{resumeContent}} {{jobDescription}}'
+      }, 'admin-id')).rejects.toThrow('Unknown variables in profiler prompt: jobDescription');
+
+      expect(promptTemplateRepository.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('activateTemplate', () => {
+    it('should activate a stored version and refresh the cache', async () => {
+      // Arrange
+      await promptTemplateService.getActiveTemplate('strategist');
+      promptTemplateRepository.findByVersion.mockResolvedValue(storedTemplate(3));
+      promptTemplateRepository.findActive.mockResolvedValue(storedTemplate(3, { isActive: true }));
+
+      // Act
+      await promptTemplateService.activateTemplate('strategist', 3);
+      const active = await promptTemplateService.getActiveTemplate('strategist');
+
+      // Assert
+      expect(promptTemplateRepository.activate).toHaveBeenCalledWith('strategist', 3);
+      expect(active.version).toBe(3);
+    });
+
+    it('should deactivate every stored version when activating the built-in template', async () => {
+      // Act
+      const template = await promptTemplateService.activateTemplate('researcher', 0);
+
+      // Assert
+      expect(promptTemplateRepository.activate).toHaveBeenCalledWith('researcher', null);
+      expect(template).toEqual(expect.objectContaining({ version: 0, builtIn: true, isActive: true }));
+    });
+
+    it('should throw NotFoundError for an unknown version', async () => {
+      await expect(promptTemplateService.activateTemplate('strategist', 9)).rejects.toThrow(NotFoundError);
+      expect(promptTemplateRepository.activate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('rollbackTemplate', () => {
+    it('should activate the version before the active one', async () => {
+      // Arrange
+      promptTemplateRepository.findActive.mockResolvedValue(storedTemplate(3, { isActive: true }));
+      promptTemplateRepository.findAll.mockResolvedValue([storedTemplate(3, { isActive: true }), storedTemplate(2)]);
+      promptTemplateRepository.findByVersion.mockResolvedValue(storedTemplate(2));
+
+      // Act
+      const template = await promptTemplateService.rollbackTemplate('strategist');
+
+      // Assert
+      expect(promptTemplateRepository.activate).toHaveBeenCalledWith('strategist', 2);
+      expect(template.version).toBe(2);
+    });
+
+    it('should return to the built-in template from the first stored version', async () => {
+      // Arrange
+      promptTemplateRepository.findActive.mockResolvedValue(storedTemplate(1, { isActive: true }));
+      promptTemplateRepository.findAll.mockResolvedValue([storedTemplate(1, { isActive: true })]);
+
+      // Act
+      const template = await promptTemplateService.rollbackTemplate('strategist');
+
+      // Assert
+      expect(promptTemplateRepository.activate).toHaveBeenCalledWith('strategist', null);
+      expect(template.builtIn).toBe(true);
+    });
+
+    it('should reject rolling back the built-in template', async () => {
+      await expect(promptTemplateService.rollbackTemplate('strategist')).rejects.toThrow(ValidationError);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Unit Tests for QueueService
+ */
+
+const QueueService = require('../../../src/services/implementations/queueServiceImpl');
+
+// Let queued promise callbacks run
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+describe('QueueService', () => {
+  let queueService;
+  let listener;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queueService = new QueueService({
+      queueName: 'resume-customization',
+      redis: { host: 'localhost', port: 6379 }
+    });
+    listener = jest.fn();
+    queueService.onJobEvent(listener);
+  });
+
+  describe('job events', () => {
+    it('should relay global progress with the data of the job', async () => {
+      // Arrange
+      queueService.queue.getJob = jest.fn().mockResolvedValue({ id: '7', data: { resumeId: 'resume-1' }, opts: {} });
+
+      // Act
+      queueService.queue.handlers['global:progress']('7', { step: 'writing', percent: 40 });
+      await flushPromises();
+
+      // Assert
+      expect(queueService.queue.getJob).toHaveBeenCalledWith('7');
+      expect(listener).toHaveBeenCalledWith({
+        type: 'progress',
+        jobId: '7',
+        data: { resumeId: 'resume-1' },
+        progress: { step: 'writing', percent: 40 }
+      });
+    });
+
+    it('should parse the result of completed jobs that were already removed', async () => {
+      // Arrange
+      queueService.queue.getJob = jest.fn().mockResolvedValue(null);
+
+      // Act
+      queueService.queue.handlers['global:completed']('7', '{"resumeId":"resume-1","status":"completed"}');
+      await flushPromises();
+
+      // Assert
+      expect(listener).toHaveBeenCalledWith({
+        type: 'completed',
+        jobId: '7',
+        data: null,
+        result: { resumeId: 'resume-1', status: 'completed' }
+      });
+    });
+
+    it('should tell whether a failed job will be retried or was discarded', async () => {
+      // Arrange
+      queueService.queue.getJob = jest.fn()
+        .mockResolvedValueOnce({ id: '7', data: {}, opts: { attempts: 3 }, attemptsMade: 1, isFailed: async () => false })
+        .mockResolvedValueOnce({ id: '7', data: {}, opts: { attempts: 3 }, attemptsMade: 3, isFailed: async () => true })
+        .mockResolvedValueOnce({ id: '7', data: {}, opts: { attempts: 3 }, attemptsMade: 1, isFailed: async () => true });
+
+      // Act
+      queueService.queue.handlers['global:failed']('7', 'LLM request failed');
+      await flushPromises();
+      queueService.queue.handlers['global:failed']('7', 'LLM request failed');
+      await flushPromises();
+      queueService.queue.handlers['global:failed']('7', 'Customized resume failed verification');
+      await flushPromises();
+
+      // Assert
+      expect(listener.mock.calls.map(([event]) => event.willRetry)).toEqual([true, false, false]);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'failed', error: 'LLM request failed' }));
+    });
+
+    it('should stop relaying events to unsubscribed listeners', async () => {
+      // Arrange
+      const otherListener = jest.fn();
+      const unsubscribe = queueService.onJobEvent(otherListener);
+      queueService.queue.getJob = jest.fn().mockResolvedValue(null);
+
+      // Act
+      unsubscribe();
+      queueService.queue.handlers['global:active']('7');
+      await flushPromises();
+
+      // Assert
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ type: 'active', jobId: '7' }));
+      expect(otherListener).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,1507 @@
+/**
+ * Unit Tests for the Resume Service implementation
+ */
+
+jest.mock('../../../src/utils/pdfGenerator', () => ({
+  generatePdfFromMarkdown: jest.fn().mockResolvedValue(Buffer.from('%PDF-1.4'))
+}));
+
+const config = require('../../../src/config');
+const ResumeService = require('../../../src/services/implementations/resumeServiceImpl');
+const PreviewService = require('../../../src/services/implementations/previewServiceImpl');
+const { NotFoundError, ValidationError, VerificationError } = require('../../../src/utils/errors');
+
+// Mock dependencies
+const mockResumeRepository = {
+  findById: jest.fn(),
+  findByIdForProcessing: jest.fn(),
+  update: jest.fn(),
+  updateStatus: jest.fn(),
+  updateProgress: jest.fn(),
+  findRecentStepDurations: jest.fn().mockResolvedValue([])
+};
+
+const mockResumeVersionRepository = {
+  findByResume: jest.fn(),
+  findById: jest.fn(),
+  create: jest.fn()
+};
+
+const mockStorageService = {
+  uploadFile: jest.fn(),
+  getFile: jest.fn(),
+  deleteFile: jest.fn()
+};
+
+const mockAiService = {
+  customizeResume: jest.fn(),
+  generateCoverLetter: jest.fn(),
+  generateInterviewPrep: jest.fn()
+};
+
+const mockQueueService = {
+  addJob: jest.fn(),
+  onJobEvent: jest.fn()
+};
+
+// Sample test data
+const sampleUserId = '123e4567-e89b-12d3-a456-426614174000';
+const sampleResumeId = '123e4567-e89b-12d3-a456-426614174001';
+const sampleVersionId = '123e4567-e89b-12d3-a456-426614174002';
+const sampleResume = {
+  id: sampleResumeId,
+  userId: sampleUserId,
+  name: 'Sample Resume',
+  fileType: 'pdf',
+  markdownContent: '# Sample Resume\n\nThis is a sample resume',
+  jobTitle: 'Backend Engineer',
+  companyName: 'Acme Corp',
+  jobDescription: 'We need a backend engineer',
+  customizationStatus: 'completed',
+  currentVersionId: null
+};
+const sampleVersion = {
+  id: sampleVersionId,
+  resumeId: sampleResumeId,
+  userId: sampleUserId,
+  versionNumber: 1,
+  jobTitle: 'Platform Engineer',
+  companyName: 'Globex',
+  jobDescription: 'We need a platform engineer',
+  markdownContent: '# Sample Resume\n\nTailored for Globex',
+  structuredContent: { version: 1 },
+  s3Key: `${sampleUserId}/customized-1.pdf`,
+  s3Url: 'https://example.com/customized-1.pdf',
+  model: 'test-model',
+  createdAt: new Date('2025-01-01T00:00:00Z')
+};
+
+// Create an instance of ResumeService with mocked dependencies
+const resumeService = new ResumeService({
+  resumeRepository: mockResumeRepository,
+  resumeVersionRepository: mockResumeVersionRepository,
+  storageService: mockStorageService,
+  aiService: mockAiService,
+  queueService: mockQueueService
+});
+
+// Let queued promise callbacks run
+const flushPromises = () => new Promise(resolve => setImmediate(resolve));
+
+// Reset mocks before each test
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('ResumeService', () => {
+  describe('processCustomizationJob', () => {
+    it('should record the customization as a new version', async () => {
+      // Arrange
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockResolvedValue({
+        resume: '# Sample Resume\n\nTailored',
+        model: 'test-model',
+        promptVersions: { profiler: 0, researcher: 1, strategist: 2 }
+      });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      
+      // Act
+      await resumeService.processCustomizationJob({ id: 'job-1', data: { resumeId: sampleResumeId } });
+      
+      // Assert
+      expect(mockResumeVersionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        resumeId: sampleResumeId,
+        userId: sampleUserId,
+        jobTitle: 'Backend Engineer',
+        companyName: 'Acme Corp',
+        jobDescription: 'We need a backend engineer',
+        markdownContent: '# Sample Resume\n\nTailored',
+        s3Key: expect.stringMatching(/\.pdf$/),
+        s3Url: 'https://example.com/customized.pdf',
+        model: 'test-model',
+        promptVersions: { profiler: 0, researcher: 1, strategist: 2 }
+      }));
+      const { s3Key } = mockResumeVersionRepository.create.mock.calls[0][0];
+      expect(mockResumeRepository.updateStatus).toHaveBeenLastCalledWith(sampleResumeId, 'completed',
+        expect.objectContaining({ customizedS3Key: s3Key, currentVersionId: sampleVersionId }));
+    });
+
+    it('should parse the job description, report its skill gaps and pass its requirements on to the customization', async () => {
+      // Arrange
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({
+        ...sampleResume,
+        jobDescription: 'Requirements:\n- 5+ years of experience with Node.js and PostgreSQL'
+      });
+      mockAiService.customizeResume.mockResolvedValue({ resume: '# Sample Resume\n\nTailored' });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+
+      // Act
+      await resumeService.processCustomizationJob({ id: 'job-1', data: { resumeId: sampleResumeId } });
+
+      // Assert
+      const { jobRequirements } = mockAiService.customizeResume.mock.calls[0][0];
+      expect(jobRequirements).toEqual(expect.objectContaining({
+        title: { value: 'Backend Engineer', confidence: 1 },
+        mustHaveSkills: { value: ['node.js', 'postgresql'], confidence: 0.8 },
+        yearsOfExperience: { value: { min: 5, max: null }, confidence: 0.9 }
+      }));
+      const { skillGapReport } = mockResumeRepository.update.mock.calls
+        .find(([, , data]) => data.jobRequirements)[2];
+      expect(skillGapReport.summary).toEqual({ met: 0, partial: 0, missing: 3, unassessed: 0 });
+      expect(mockResumeRepository.update).toHaveBeenCalledWith(sampleResumeId, sampleUserId, { jobRequirements, skillGapReport });
+      expect(mockResumeVersionRepository.create).toHaveBeenCalledWith(expect.objectContaining({ jobRequirements, skillGapReport }));
+    });
+
+    it('should report the steps of the job through its progress', async () => {
+      // Arrange
+      const job = { id: 'job-1', data: { resumeId: sampleResumeId }, progress: jest.fn().mockResolvedValue() };
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockImplementation(async ({ onProgress }) => {
+        await onProgress('profiling');
+        await onProgress('analyzing_job');
+        await onProgress('writing');
+        return { resume: '# Sample Resume\n\nThis is a sample resume' };
+      });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      
+      // Act
+      await resumeService.processCustomizationJob(job);
+      
+      // Assert
+      expect(job.progress.mock.calls.map(([progress]) => progress.step))
+        .toEqual(['profiling', 'analyzing_job', 'writing', 'verifying', 'rendering_pdf', 'uploading']);
+      expect(job.progress).toHaveBeenCalledWith({
+        step: 'writing',
+        percent: expect.any(Number),
+        elapsedSeconds: expect.any(Number),
+        etaSeconds: expect.any(Number)
+      });
+      expect(mockResumeRepository.updateProgress).toHaveBeenCalledWith(sampleResumeId, expect.objectContaining({
+        customizationStep: 'writing',
+        customizationStepDurations: { profiling: expect.any(Number), analyzing_job: expect.any(Number) }
+      }));
+      const [, finished] = mockResumeRepository.updateProgress.mock.calls[mockResumeRepository.updateProgress.mock.calls.length - 1];
+      expect(finished.customizationStep).toBeNull();
+      expect(Object.keys(finished.customizationStepDurations))
+        .toEqual(['profiling', 'analyzing_job', 'writing', 'verifying', 'rendering_pdf', 'uploading']);
+    });
+    
+    it('should estimate progress from the durations of recent customizations', async () => {
+      // Arrange
+      const job = { id: 'job-1', data: { resumeId: sampleResumeId }, progress: jest.fn().mockResolvedValue() };
+      mockResumeRepository.findRecentStepDurations.mockResolvedValueOnce([
+        { profiling: 1000, analyzing_job: 1000, writing: 6000, verifying: 0, rendering_pdf: 1000, uploading: 1000 }
+      ]);
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockImplementation(async ({ onProgress }) => {
+        await onProgress('profiling');
+        return { resume: '# Sample Resume\n\nThis is a sample resume' };
+      });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      
+      // Act
+      await resumeService.processCustomizationJob(job);
+      
+      // Assert
+      expect(mockResumeRepository.findRecentStepDurations).toHaveBeenCalledWith(config.progress.historySize);
+      expect(job.progress).toHaveBeenNthCalledWith(1, expect.objectContaining({ step: 'profiling', etaSeconds: 10 }));
+    });
+    
+    it('should not fail the job when progress cannot be reported', async () => {
+      // Arrange
+      const job = {
+        id: 'job-1',
+        data: { resumeId: sampleResumeId },
+        progress: jest.fn().mockRejectedValue(new Error('Connection is closed'))
+      };
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockResolvedValue({ resume: '# Sample Resume\n\nThis is a sample resume' });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      
+      // Act
+      const result = await resumeService.processCustomizationJob(job);
+      
+      // Assert
+      expect(result.status).toBe('completed');
+    });
+    
+    it('should pass the step settings of the job to the AI service', async () => {
+      // Arrange
+      const stepSettings = { researcher: { modelName: 'cheap-model', temperature: 0.2 } };
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockResolvedValue({ resume: '# Sample Resume\n\nTailored', model: 'test-model' });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      
+      // Act
+      await resumeService.processCustomizationJob({ id: 'job-1', data: { resumeId: sampleResumeId, stepSettings } });
+      
+      // Assert
+      expect(mockAiService.customizeResume).toHaveBeenCalledWith(expect.objectContaining({ stepSettings }));
+    });
+    
+    it('should store the customized resume without reasoning or commentary', async () => {
+      // Arrange
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockResolvedValue({
+        resume: '<think>Focus on leadership.</think>\nHere is your resume:\n\n# Sample Resume\n\n## Experience\n\nTailored'
+      });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      
+      // Act
+      await resumeService.processCustomizationJob({ id: 'job-1', data: { resumeId: sampleResumeId } });
+      
+      // Assert
+      expect(mockResumeRepository.update).toHaveBeenCalledWith(sampleResumeId, sampleUserId, expect.objectContaining({
+        customizedContent: '# Sample Resume\n\n## Experience\n\nTailored'
+      }));
+    });
+    
+    describe('verification', () => {
+      const originalVerification = { ...config.verification };
+      const inventedContent = '# Sample Resume\n\nThis is a sample resume with 12 patents and 30% growth';
+      const job = { id: 'job-1', data: { resumeId: sampleResumeId } };
+      
+      beforeEach(() => {
+        mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+        mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+        mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      });
+      
+      afterEach(() => {
+        Object.assign(config.verification, originalVerification);
+      });
+      
+      it('should store a flagged report and complete within the threshold', async () => {
+        // Arrange
+        Object.assign(config.verification, { enabled: true, maxViolations: 2, action: 'review' });
+        mockAiService.customizeResume.mockResolvedValue({ resume: inventedContent });
+        
+        // Act
+        const result = await resumeService.processCustomizationJob(job);
+        
+        // Assert
+        expect(result.status).toBe('completed');
+        expect(mockResumeRepository.update).toHaveBeenCalledWith(sampleResumeId, sampleUserId, {
+          verificationReport: expect.objectContaining({ outcome: 'flagged', violationCount: 2, maxViolations: 2 })
+        });
+      });
+      
+      it('should hold the customization for review above the threshold', async () => {
+        // Arrange
+        Object.assign(config.verification, { enabled: true, maxViolations: 1, action: 'review' });
+        mockAiService.customizeResume.mockResolvedValue({ resume: inventedContent });
+        
+        // Act
+        const result = await resumeService.processCustomizationJob(job);
+        
+        // Assert
+        expect(result).toEqual({ resumeId: sampleResumeId, status: 'needs_review', violationCount: 2 });
+        expect(mockResumeRepository.updateStatus).toHaveBeenLastCalledWith(sampleResumeId, 'needs_review');
+        expect(mockStorageService.uploadFile).not.toHaveBeenCalled();
+        expect(mockResumeVersionRepository.create).not.toHaveBeenCalled();
+      });
+      
+      it('should fail the job above the threshold when configured to', async () => {
+        // Arrange
+        Object.assign(config.verification, { enabled: true, maxViolations: 1, action: 'fail' });
+        mockAiService.customizeResume.mockResolvedValue({ resume: inventedContent });
+        
+        // Act & Assert
+        await expect(resumeService.processCustomizationJob(job)).rejects.toThrow(VerificationError);
+        expect(mockResumeRepository.updateStatus).toHaveBeenLastCalledWith(sampleResumeId, 'failed', {
+          customizationError: 'Customized resume failed verification: 2 unsupported claims'
+        });
+        expect(mockStorageService.uploadFile).not.toHaveBeenCalled();
+      });
+      
+      it('should not retry a job whose customization failed verification', async () => {
+        // Arrange
+        Object.assign(config.verification, { enabled: true, maxViolations: 1, action: 'fail' });
+        mockAiService.customizeResume.mockResolvedValue({ resume: inventedContent });
+        const rejectedJob = { ...job, discard: jest.fn() };
+        
+        // Act & Assert
+        await expect(resumeService.processCustomizationJob(rejectedJob)).rejects.toThrow(VerificationError);
+        expect(rejectedJob.discard).toHaveBeenCalled();
+      });
+      
+      it('should leave other failures to be retried', async () => {
+        // Arrange
+        mockAiService.customizeResume.mockRejectedValue(new Error('LLM request timed out'));
+        const failingJob = { ...job, discard: jest.fn() };
+        
+        // Act & Assert
+        await expect(resumeService.processCustomizationJob(failingJob)).rejects.toThrow('LLM request timed out');
+        expect(failingJob.discard).not.toHaveBeenCalled();
+      });
+      
+      it('should skip verification when disabled', async () => {
+        // Arrange
+        Object.assign(config.verification, { enabled: false, maxViolations: 0, action: 'fail' });
+        mockAiService.customizeResume.mockResolvedValue({ resume: inventedContent });
+        
+        // Act
+        const result = await resumeService.processCustomizationJob(job);
+        
+        // Assert
+        expect(result.status).toBe('completed');
+        expect(mockResumeRepository.update).not.toHaveBeenCalledWith(sampleResumeId, sampleUserId,
+          expect.objectContaining({ verificationReport: expect.anything() }));
+      });
+    });
+  });
+
+  describe('customizeResume', () => {
+    it('should queue the job with the requested step settings', async () => {
+      // Arrange
+      const stepSettings = { strategist: { modelName: 'strong-model' } };
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume });
+      mockResumeRepository.update.mockResolvedValue({ ...sampleResume, customizationStatus: 'pending' });
+      mockQueueService.addJob.mockResolvedValue({ id: 'job-1' });
+      
+      // Act
+      await resumeService.customizeResume(sampleResumeId, sampleUserId, {
+        jobDescription: 'We need a backend engineer',
+        stepSettings
+      });
+      
+      // Assert
+      expect(mockQueueService.addJob).toHaveBeenCalledWith('resume-customization', {
+        resumeId: sampleResumeId,
+        stepSettings
+      });
+    });
+    
+    it('should queue the job without step settings by default', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume });
+      mockResumeRepository.update.mockResolvedValue({ ...sampleResume, customizationStatus: 'pending' });
+      mockQueueService.addJob.mockResolvedValue({ id: 'job-1' });
+      
+      // Act
+      await resumeService.customizeResume(sampleResumeId, sampleUserId, { jobDescription: 'We need a backend engineer' });
+      
+      // Assert
+      expect(mockQueueService.addJob).toHaveBeenCalledWith('resume-customization', { resumeId: sampleResumeId });
+    });
+  });
+  
+  describe('deleteResume', () => {
+    const deleteFile = jest.fn();
+    const deletingResumeService = new ResumeService({
+      resumeRepository: { ...mockResumeRepository, remove: jest.fn().mockResolvedValue(true) },
+      resumeVersionRepository: mockResumeVersionRepository,
+      storageService: { ...mockStorageService, deleteFile },
+      aiService: mockAiService,
+      queueService: mockQueueService
+    });
+    
+    it('should delete the original and every file generated for the resume', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({
+        ...sampleResume,
+        s3Key: `${sampleUserId}/original.pdf`,
+        customizedS3Key: `${sampleUserId}/customized-2.pdf`,
+        coverLetterS3Key: `${sampleUserId}/cover-letter.pdf`,
+        interviewPrepS3Key: `${sampleUserId}/interview-prep.pdf`
+      });
+      mockResumeVersionRepository.findByResume.mockResolvedValue([
+        { ...sampleVersion, s3Key: `${sampleUserId}/customized-2.pdf` },
+        sampleVersion
+      ]);
+      deleteFile.mockResolvedValue();
+      
+      // Act
+      const deleted = await deletingResumeService.deleteResume(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(deleted).toBe(true);
+      expect(deleteFile.mock.calls.map(([key]) => key)).toEqual([
+        `${sampleUserId}/original.pdf`,
+        `${sampleUserId}/customized-2.pdf`,
+        `${sampleUserId}/cover-letter.pdf`,
+        `${sampleUserId}/interview-prep.pdf`,
+        sampleVersion.s3Key
+      ]);
+    });
+    
+    it('should delete the resume when a generated file cannot be deleted', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, s3Key: `${sampleUserId}/original.pdf` });
+      mockResumeVersionRepository.findByResume.mockResolvedValue([sampleVersion]);
+      deleteFile.mockResolvedValueOnce().mockRejectedValueOnce(new Error('Access denied'));
+      
+      // Act
+      const deleted = await deletingResumeService.deleteResume(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(deleted).toBe(true);
+      expect(deleteFile).toHaveBeenCalledWith(sampleVersion.s3Key);
+    });
+  });
+
+  describe('analysis cache invalidation', () => {
+    const mockAnalysisCache = { invalidate: jest.fn().mockResolvedValue() };
+    const cachingResumeService = new ResumeService({
+      resumeRepository: { ...mockResumeRepository, remove: jest.fn().mockResolvedValue(true) },
+      resumeVersionRepository: mockResumeVersionRepository,
+      storageService: { ...mockStorageService, deleteFile: jest.fn().mockResolvedValue() },
+      aiService: mockAiService,
+      queueService: mockQueueService,
+      analysisCache: mockAnalysisCache
+    });
+    
+    it('should drop the cached profile of a deleted resume', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume });
+      
+      // Act
+      await cachingResumeService.deleteResume(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(mockAnalysisCache.invalidate).toHaveBeenCalledWith('profiler', sampleResume.markdownContent);
+    });
+    
+    it('should drop the cached profile when the Markdown changes', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume });
+      mockResumeRepository.update.mockResolvedValue({ ...sampleResume, markdownContent: '# Sample Resume\n\nEdited' });
+      
+      // Act
+      await cachingResumeService.updateResumeDetails(sampleResumeId, sampleUserId, {
+        markdownContent: '# Sample Resume\n\nEdited'
+      });
+      
+      // Assert
+      expect(mockAnalysisCache.invalidate).toHaveBeenCalledWith('profiler', sampleResume.markdownContent);
+    });
+    
+    it('should keep the cached profile when other details change', async () => {
+      // Arrange
+      mockResumeRepository.update.mockResolvedValue({ ...sampleResume, name: 'Renamed' });
+      
+      // Act
+      await cachingResumeService.updateResumeDetails(sampleResumeId, sampleUserId, { name: 'Renamed' });
+      
+      // Assert
+      expect(mockResumeRepository.findById).not.toHaveBeenCalled();
+      expect(mockAnalysisCache.invalidate).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('usage accounting', () => {
+    const mockUsageService = { recordUsage: jest.fn() };
+    const accountingService = new ResumeService({
+      resumeRepository: mockResumeRepository,
+      resumeVersionRepository: mockResumeVersionRepository,
+      storageService: mockStorageService,
+      aiService: mockAiService,
+      queueService: mockQueueService,
+      usageService: mockUsageService
+    });
+    const stepUsage = {
+      step: 'profiler',
+      provider: 'openrouter',
+      model: 'test-model',
+      promptTokens: 120,
+      completionTokens: 40,
+      cached: false
+    };
+    
+    beforeEach(() => {
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockImplementation(async ({ onUsage }) => {
+        await onUsage(stepUsage);
+        return { resume: '# Sample Resume\n\nTailored', model: 'test-model' };
+      });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+    });
+    
+    it('should record the usage of each step for the job and resume owner', async () => {
+      // Arrange
+      mockUsageService.recordUsage.mockResolvedValue({});
+      
+      // Act
+      await accountingService.processCustomizationJob({ id: 'job-7', data: { resumeId: sampleResumeId } });
+      
+      // Assert
+      expect(mockUsageService.recordUsage).toHaveBeenCalledWith({
+        ...stepUsage,
+        userId: sampleUserId,
+        resumeId: sampleResumeId,
+        jobId: 'job-7'
+      });
+    });
+    
+    it('should complete the job when usage cannot be recorded', async () => {
+      // Arrange
+      mockUsageService.recordUsage.mockRejectedValue(new Error('connection refused'));
+      
+      // Act
+      await accountingService.processCustomizationJob({ id: 'job-7', data: { resumeId: sampleResumeId } });
+      
+      // Assert
+      expect(mockResumeRepository.updateStatus).toHaveBeenLastCalledWith(sampleResumeId, 'completed', expect.any(Object));
+    });
+  });
+  
+  describe('getCustomizationStatus', () => {
+    it('should return the step, percent, elapsed time and ETA of a processing customization', async () => {
+      // Arrange
+      const now = Date.now();
+      mockResumeRepository.findById.mockResolvedValue({
+        ...sampleResume,
+        customizationStatus: 'processing',
+        customizationStep: 'writing',
+        customizationStartedAt: new Date(now - 30000),
+        customizationStepStartedAt: new Date(now - 10000)
+      });
+      mockResumeRepository.findRecentStepDurations.mockResolvedValueOnce([
+        { profiling: 10000, analyzing_job: 10000, writing: 40000, verifying: 0, rendering_pdf: 5000, uploading: 5000 }
+      ]);
+      
+      // Act
+      const status = await resumeService.getCustomizationStatus(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(status).toEqual(expect.objectContaining({
+        status: 'processing',
+        step: 'writing',
+        progress: 43,
+        elapsedSeconds: 30,
+        etaSeconds: 40
+      }));
+    });
+    
+    it('should report failed customizations with the step they failed in', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({
+        ...sampleResume,
+        customizationStatus: 'failed',
+        customizationStep: 'rendering_pdf'
+      });
+      
+      // Act
+      const status = await resumeService.getCustomizationStatus(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(status).toEqual(expect.objectContaining({ progress: 0, step: 'rendering_pdf', etaSeconds: null }));
+      expect(mockResumeRepository.findRecentStepDurations).not.toHaveBeenCalled();
+    });
+  });
+  
+  describe('subscribeToCustomization', () => {
+    const unsubscribeFromQueue = jest.fn();
+    let relay;
+    
+    beforeEach(() => {
+      mockQueueService.onJobEvent.mockImplementation((listener) => {
+        relay = listener;
+        return unsubscribeFromQueue;
+      });
+    });
+    
+    it('should relay progress and status changes until the customization completes', async () => {
+      // Arrange
+      const listener = jest.fn();
+      mockResumeRepository.findById
+        .mockResolvedValueOnce({ ...sampleResume, customizationStatus: 'processing' })
+        .mockResolvedValueOnce({ ...sampleResume, customizationStatus: 'completed' });
+      
+      // Act
+      await resumeService.subscribeToCustomization(sampleResumeId, sampleUserId, listener);
+      relay({ type: 'progress', jobId: '7', data: { resumeId: sampleResumeId }, progress: { step: 'writing', percent: 40 } });
+      relay({ type: 'progress', jobId: '8', data: { resumeId: 'another-resume' }, progress: { step: 'profiling', percent: 10 } });
+      relay({ type: 'completed', jobId: '7', data: null, result: { resumeId: sampleResumeId, status: 'completed' } });
+      await flushPromises();
+      
+      // Assert
+      expect(listener.mock.calls.map(([event]) => event.event)).toEqual(['status', 'progress', 'status']);
+      expect(listener).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        data: expect.objectContaining({ status: 'processing' }),
+        final: false
+      }));
+      expect(listener).toHaveBeenNthCalledWith(2, { event: 'progress', data: { step: 'writing', percent: 40 }, final: false });
+      expect(listener).toHaveBeenNthCalledWith(3, {
+        event: 'status',
+        data: expect.objectContaining({
+          status: 'completed',
+          downloadUrl: `/api/v1/resumes/${sampleResumeId}/download?version=customized`
+        }),
+        final: true
+      });
+      expect(unsubscribeFromQueue).toHaveBeenCalled();
+    });
+    
+    it('should end right away when the customization has finished', async () => {
+      // Arrange
+      const listener = jest.fn();
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, customizationStatus: 'failed' });
+      
+      // Act
+      await resumeService.subscribeToCustomization(sampleResumeId, sampleUserId, listener);
+      
+      // Assert
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ event: 'status', final: true }));
+      expect(unsubscribeFromQueue).toHaveBeenCalled();
+    });
+    
+    it('should ignore failed attempts that will be retried', async () => {
+      // Arrange
+      const listener = jest.fn();
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, customizationStatus: 'processing' });
+      
+      // Act
+      await resumeService.subscribeToCustomization(sampleResumeId, sampleUserId, listener);
+      relay({ type: 'failed', jobId: '7', data: { resumeId: sampleResumeId }, error: 'timeout', willRetry: true });
+      await flushPromises();
+      
+      // Assert
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(mockResumeRepository.findById).toHaveBeenCalledTimes(1);
+    });
+    
+    it('should throw NotFoundError and unsubscribe when the resume does not exist', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(null);
+      
+      // Act & Assert
+      await expect(resumeService.subscribeToCustomization(sampleResumeId, sampleUserId, jest.fn()))
+        .rejects.toThrow(NotFoundError);
+      expect(unsubscribeFromQueue).toHaveBeenCalled();
+    });
+  });
+  
+  describe('reviewCustomization', () => {
+    const resumeInReview = {
+      ...sampleResume,
+      customizationStatus: 'needs_review',
+      customizedContent: '# Sample Resume\n\nTailored',
+      customizationModel: 'test-model',
+      verificationReport: { outcome: 'review', violationCount: 3 }
+    };
+    
+    it('should generate the PDF when approved', async () => {
+      // Arrange
+      mockResumeRepository.findById
+        .mockResolvedValueOnce(resumeInReview)
+        .mockResolvedValueOnce({ ...resumeInReview, customizationStatus: 'completed' });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      
+      // Act
+      const result = await resumeService.reviewCustomization(sampleResumeId, sampleUserId, { decision: 'approve' });
+      
+      // Assert
+      expect(mockResumeVersionRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        markdownContent: resumeInReview.customizedContent,
+        model: 'test-model'
+      }));
+      expect(mockResumeRepository.updateStatus).toHaveBeenCalledWith(sampleResumeId, 'completed', expect.any(Object));
+      expect(mockResumeRepository.update).toHaveBeenCalledWith(sampleResumeId, sampleUserId, {
+        verificationReport: expect.objectContaining({
+          outcome: 'review',
+          review: expect.objectContaining({ decision: 'approve', reason: null })
+        })
+      });
+      expect(result.status).toBe('completed');
+    });
+    
+    it('should fail the customization when rejected', async () => {
+      // Arrange
+      mockResumeRepository.findById
+        .mockResolvedValueOnce(resumeInReview)
+        .mockResolvedValueOnce({ ...resumeInReview, customizationStatus: 'failed' });
+      
+      // Act
+      await resumeService.reviewCustomization(sampleResumeId, sampleUserId, {
+        decision: 'reject',
+        reason: 'Invented a certification'
+      });
+      
+      // Assert
+      expect(mockResumeRepository.updateStatus).toHaveBeenCalledWith(sampleResumeId, 'failed', {
+        customizationError: 'Rejected in review: Invented a certification'
+      });
+      expect(mockStorageService.uploadFile).not.toHaveBeenCalled();
+    });
+    
+    it('should only review customizations waiting for review', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(sampleResume);
+      
+      // Act & Assert
+      await expect(resumeService.reviewCustomization(sampleResumeId, sampleUserId, { decision: 'approve' }))
+        .rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('getResumeDiff', () => {
+    const customizedResume = {
+      ...sampleResume,
+      customizedContent: '# Sample Resume\n\nThis is a tailored resume'
+    };
+    
+    it('should compare the original and customized content', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(customizedResume);
+      
+      // Act
+      const result = await resumeService.getResumeDiff(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result.diff.stats.rewritten).toBe(1);
+      expect(result).not.toHaveProperty('html');
+    });
+    
+    it('should render an HTML redline', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(customizedResume);
+      
+      // Act
+      const result = await resumeService.getResumeDiff(sampleResumeId, sampleUserId, 'html');
+      
+      // Assert
+      expect(result.html).toContain('<title>Changes to Sample Resume</title>');
+      expect(result.html).toContain('<del>sample</del><ins>tailored</ins>');
+    });
+    
+    it('should throw ValidationError if customization not completed', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, customizationStatus: 'processing' });
+      
+      // Act & Assert
+      await expect(resumeService.getResumeDiff(sampleResumeId, sampleUserId)).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('getAtsScore', () => {
+    const scoredResume = {
+      ...sampleResume,
+      jobDescription: 'Backend engineer with Kubernetes and Docker. Kubernetes in production.',
+      customizedContent: '# Sample Resume\n\nBackend engineer running Kubernetes and Docker'
+    };
+    
+    it('should score the original and customized resume', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(scoredResume);
+      
+      // Act
+      const result = await resumeService.getAtsScore(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result.original.score).toBe(0);
+      expect(result.customized.score).toBe(100);
+      expect(result.gain).toBe(100);
+    });
+    
+    it('should only score the original before the customization is completed', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...scoredResume, customizationStatus: 'processing' });
+      
+      // Act
+      const result = await resumeService.getAtsScore(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result.customized).toBeNull();
+      expect(result.gain).toBeNull();
+    });
+    
+    it('should throw ValidationError without a job description', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, jobDescription: null });
+      
+      // Act & Assert
+      await expect(resumeService.getAtsScore(sampleResumeId, sampleUserId)).rejects.toThrow(ValidationError);
+    });
+    
+    it('should include the score in the status of a completed customization', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(scoredResume);
+      
+      // Act
+      const result = await resumeService.getCustomizationStatus(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result.atsScore).toEqual({ original: 0, customized: 100, gain: 100, missingKeywords: [] });
+    });
+  });
+
+  describe('getSkillGapReport', () => {
+    it('should report the requirements of the job the original resume meets and misses', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({
+        ...sampleResume,
+        markdownContent: '# Sample Resume\n\n## Experience\n- Built APIs in Node.js and MySQL',
+        customizedContent: '# Sample Resume\n\n## Experience\n- Built APIs in Node.js, PostgreSQL and Kubernetes',
+        jobDescription: 'Requirements:\n- Node.js, PostgreSQL and Kubernetes'
+      });
+      
+      // Act
+      const result = await resumeService.getSkillGapReport(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result.requirements.map(({ requirement, status }) => ({ requirement, status }))).toEqual([
+        { requirement: 'node.js', status: 'met' },
+        { requirement: 'postgresql', status: 'partial' },
+        { requirement: 'kubernetes', status: 'missing' }
+      ]);
+      expect(result.summary).toEqual({ met: 1, partial: 1, missing: 1, unassessed: 0 });
+    });
+    
+    it('should throw ValidationError without a job description', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, jobDescription: null });
+      
+      // Act & Assert
+      await expect(resumeService.getSkillGapReport(sampleResumeId, sampleUserId)).rejects.toThrow(ValidationError);
+    });
+    
+    it('should throw NotFoundError for an unknown resume', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(null);
+      
+      // Act & Assert
+      await expect(resumeService.getSkillGapReport(sampleResumeId, sampleUserId)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('listVersions', () => {
+    it('should return the versions and mark the current one', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, currentVersionId: sampleVersionId });
+      mockResumeVersionRepository.findByResume.mockResolvedValue([
+        { ...sampleVersion, id: 'newer-version', versionNumber: 2 },
+        sampleVersion
+      ]);
+      
+      // Act
+      const result = await resumeService.listVersions(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(mockResumeVersionRepository.findByResume).toHaveBeenCalledWith(sampleResumeId, sampleUserId);
+      expect(result.map(version => version.isCurrent)).toEqual([false, true]);
+      expect(result[1]).not.toHaveProperty('markdownContent');
+      expect(result[1].downloadUrl).toBe(`/api/v1/resumes/${sampleResumeId}/versions/${sampleVersionId}/download`);
+    });
+    
+    it('should throw NotFoundError if resume not found', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(null);
+      
+      // Act & Assert
+      await expect(resumeService.listVersions(sampleResumeId, sampleUserId)).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('getVersion', () => {
+    it('should return the version with its content', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(sampleResume);
+      mockResumeVersionRepository.findById.mockResolvedValue(sampleVersion);
+      
+      // Act
+      const result = await resumeService.getVersion(sampleResumeId, sampleVersionId, sampleUserId);
+      
+      // Assert
+      expect(mockResumeVersionRepository.findById).toHaveBeenCalledWith(sampleVersionId, sampleResumeId, sampleUserId);
+      expect(result.markdownContent).toBe(sampleVersion.markdownContent);
+      expect(result.jobDescription).toBe(sampleVersion.jobDescription);
+    });
+    
+    it('should throw NotFoundError if version not found', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(sampleResume);
+      mockResumeVersionRepository.findById.mockResolvedValue(null);
+      
+      // Act & Assert
+      await expect(resumeService.getVersion(sampleResumeId, sampleVersionId, sampleUserId))
+        .rejects.toThrow('Resume version not found');
+    });
+  });
+
+  describe('downloadVersion', () => {
+    it('should return the PDF of the version', async () => {
+      // Arrange
+      const fileBuffer = Buffer.from('%PDF-1.4');
+      mockResumeRepository.findById.mockResolvedValue(sampleResume);
+      mockResumeVersionRepository.findById.mockResolvedValue(sampleVersion);
+      mockStorageService.getFile.mockResolvedValue(fileBuffer);
+      
+      // Act
+      const result = await resumeService.downloadVersion(sampleResumeId, sampleVersionId, sampleUserId);
+      
+      // Assert
+      expect(mockStorageService.getFile).toHaveBeenCalledWith(sampleVersion.s3Key);
+      expect(result).toEqual(expect.objectContaining({
+        fileBuffer,
+        contentType: 'application/pdf',
+        fileName: 'Sample Resume_v1.pdf'
+      }));
+    });
+  });
+
+  describe('restoreVersion', () => {
+    it('should copy the version onto the resume', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(sampleResume);
+      const jobRequirements = { version: 1, title: { value: 'Platform Engineer', confidence: 1 } };
+      mockResumeVersionRepository.findById.mockResolvedValue({ ...sampleVersion, jobRequirements });
+      mockResumeRepository.update.mockImplementation((id, userId, data) => Promise.resolve({ ...sampleResume, ...data }));
+
+      // Act
+      const result = await resumeService.restoreVersion(sampleResumeId, sampleVersionId, sampleUserId);
+
+      // Assert
+      expect(mockResumeRepository.update).toHaveBeenCalledWith(sampleResumeId, sampleUserId, expect.objectContaining({
+        jobTitle: 'Platform Engineer',
+        companyName: 'Globex',
+        jobDescription: 'We need a platform engineer',
+        jobRequirements,
+        customizedContent: sampleVersion.markdownContent,
+        customizedS3Key: sampleVersion.s3Key,
+        customizationStatus: 'completed',
+        currentVersionId: sampleVersionId
+      }));
+      expect(result.status).toBe('completed');
+      expect(result.companyName).toBe('Globex');
+    });
+    
+    it('should not restore while a customization is in progress', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, customizationStatus: 'processing' });
+      mockResumeVersionRepository.findById.mockResolvedValue(sampleVersion);
+      
+      // Act & Assert
+      await expect(resumeService.restoreVersion(sampleResumeId, sampleVersionId, sampleUserId))
+        .rejects.toThrow(ValidationError);
+      expect(mockResumeRepository.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cover letters', () => {
+    const coverLetter = 'Dear Hiring Manager,\n\nI am excited to apply.\n\nSincerely,\nJane Doe';
+    const resumeWithCoverLetter = {
+      ...sampleResume,
+      coverLetterContent: coverLetter,
+      coverLetterS3Key: `${sampleUserId}/cover-letter.pdf`,
+      coverLetterOptions: { tone: 'formal', length: 'short' }
+    };
+
+    const coverLetterJob = (data = {}) => ({
+      id: 'job-1',
+      data: { resumeId: sampleResumeId, userId: sampleUserId, ...data },
+      discard: jest.fn()
+    });
+    
+    it('should queue the letter and report it pending', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(resumeWithCoverLetter);
+      mockResumeRepository.update.mockImplementation((id, userId, data) => Promise.resolve({ ...resumeWithCoverLetter, ...data }));
+      mockQueueService.addJob.mockResolvedValue({ id: 'job-1' });
+      
+      // Act
+      const result = await resumeService.generateCoverLetter(sampleResumeId, sampleUserId, { tone: 'formal' });
+      
+      // Assert
+      expect(mockResumeRepository.update).toHaveBeenCalledWith(sampleResumeId, sampleUserId, {
+        coverLetterStatus: 'pending',
+        coverLetterError: null
+      });
+      expect(mockQueueService.addJob).toHaveBeenCalledWith('cover-letter', {
+        resumeId: sampleResumeId,
+        userId: sampleUserId,
+        tone: 'formal',
+        length: undefined
+      });
+      expect(mockAiService.generateCoverLetter).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ status: 'pending', error: null, content: coverLetter }));
+    });
+    
+    it('should not queue a second letter while one is being written', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...resumeWithCoverLetter, coverLetterStatus: 'processing' });
+      
+      // Act & Assert
+      await expect(resumeService.generateCoverLetter(sampleResumeId, sampleUserId))
+        .rejects.toThrow(ValidationError);
+      expect(mockQueueService.addJob).not.toHaveBeenCalled();
+    });
+    
+    it('should mark the letter failed when it cannot be queued', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(sampleResume);
+      mockQueueService.addJob.mockRejectedValue(new Error('Redis is down'));
+      
+      // Act & Assert
+      await expect(resumeService.generateCoverLetter(sampleResumeId, sampleUserId))
+        .rejects.toThrow('Redis is down');
+      expect(mockResumeRepository.update).toHaveBeenLastCalledWith(sampleResumeId, sampleUserId, {
+        coverLetterStatus: 'failed',
+        coverLetterError: 'Redis is down'
+      });
+    });
+    
+    it('should write the letter from the tailored resume and store it with its PDF', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, customizedContent: '# Sample Resume\n\nTailored' });
+      mockAiService.generateCoverLetter.mockResolvedValue({ coverLetter, model: 'test-model', promptVersions: { cover_letter: 2 } });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/cover-letter.pdf');
+      
+      // Act
+      const result = await resumeService.processCoverLetterJob(coverLetterJob({ tone: 'formal' }));
+      
+      // Assert
+      expect(mockResumeRepository.update).toHaveBeenCalledWith(sampleResumeId, sampleUserId, { coverLetterStatus: 'processing' });
+      expect(mockAiService.generateCoverLetter).toHaveBeenCalledWith(expect.objectContaining({
+        resumeContent: sampleResume.markdownContent,
+        customizedResume: '# Sample Resume\n\nTailored',
+        jobDescription: 'We need a backend engineer',
+        tone: 'formal',
+        length: config.coverLetter.length
+      }));
+      expect(mockStorageService.uploadFile).toHaveBeenCalledWith(expect.any(Buffer), expect.stringMatching(/\.pdf$/), 'application/pdf');
+      expect(mockResumeRepository.update).toHaveBeenLastCalledWith(sampleResumeId, sampleUserId, expect.objectContaining({
+        coverLetterContent: coverLetter,
+        coverLetterS3Url: 'https://example.com/cover-letter.pdf',
+        coverLetterOptions: { tone: 'formal', length: config.coverLetter.length },
+        coverLetterModel: 'test-model',
+        coverLetterJobTitle: 'Backend Engineer',
+        coverLetterCompanyName: 'Acme Corp',
+        coverLetterStatus: 'completed',
+        coverLetterError: null
+      }));
+      expect(mockStorageService.deleteFile).not.toHaveBeenCalled();
+      expect(result).toEqual({ resumeId: sampleResumeId, status: 'completed' });
+    });
+    
+    it('should report a queued letter with the last letter written', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...resumeWithCoverLetter, coverLetterStatus: 'processing' });
+      
+      // Act
+      const result = await resumeService.getCoverLetter(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result).toEqual(expect.objectContaining({
+        status: 'processing',
+        content: coverLetter,
+        tone: 'formal',
+        downloadUrl: `/api/v1/resumes/${sampleResumeId}/cover-letter/download`
+      }));
+    });
+    
+    it('should record the completed customization the letter was written from', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, currentVersionId: sampleVersionId });
+      mockAiService.generateCoverLetter.mockResolvedValue({ coverLetter });
+      
+      // Act
+      await resumeService.processCoverLetterJob(coverLetterJob());
+      
+      // Assert
+      expect(mockResumeRepository.update).toHaveBeenCalledWith(sampleResumeId, sampleUserId, expect.objectContaining({
+        coverLetterVersionId: sampleVersionId
+      }));
+    });
+    
+    it('should record why a letter could not be written', async () => {
+      // Arrange
+      const job = coverLetterJob();
+      mockResumeRepository.findById.mockResolvedValue(sampleResume);
+      mockAiService.generateCoverLetter.mockRejectedValue(new Error('Model timed out'));
+      
+      // Act & Assert
+      await expect(resumeService.processCoverLetterJob(job)).rejects.toThrow('Model timed out');
+      expect(mockResumeRepository.update).toHaveBeenLastCalledWith(sampleResumeId, sampleUserId, {
+        coverLetterStatus: 'failed',
+        coverLetterError: 'Model timed out'
+      });
+      expect(job.discard).not.toHaveBeenCalled();
+    });
+    
+    it('should not retry a letter for a resume that lost its job', async () => {
+      // Arrange
+      const job = coverLetterJob();
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, jobDescription: null });
+      
+      // Act & Assert
+      await expect(resumeService.processCoverLetterJob(job)).rejects.toThrow(ValidationError);
+      expect(mockAiService.generateCoverLetter).not.toHaveBeenCalled();
+      expect(job.discard).toHaveBeenCalled();
+    });
+    
+    it('should label a letter with the job it was written for once the resume is customized for another', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({
+        ...resumeWithCoverLetter,
+        coverLetterJobTitle: 'Backend Engineer',
+        coverLetterCompanyName: 'Acme Corp',
+        coverLetterVersionId: sampleVersionId,
+        jobTitle: 'Platform Engineer',
+        companyName: 'Globex',
+        currentVersionId: '123e4567-e89b-12d3-a456-426614174009'
+      });
+      
+      // Act
+      const result = await resumeService.getCoverLetter(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result).toEqual(expect.objectContaining({
+        versionId: sampleVersionId,
+        isCurrent: false,
+        jobTitle: 'Backend Engineer',
+        companyName: 'Acme Corp'
+      }));
+    });
+    
+    it('should replace the PDF of the previous letter', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(resumeWithCoverLetter);
+      mockAiService.generateCoverLetter.mockResolvedValue({ coverLetter });
+      
+      // Act
+      await resumeService.processCoverLetterJob(coverLetterJob());
+      
+      // Assert
+      expect(mockStorageService.deleteFile).toHaveBeenCalledWith(resumeWithCoverLetter.coverLetterS3Key);
+    });
+    
+    it('should not write a letter for a resume without a job', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, jobDescription: null });
+      
+      // Act & Assert
+      await expect(resumeService.generateCoverLetter(sampleResumeId, sampleUserId))
+        .rejects.toThrow(ValidationError);
+      expect(mockAiService.generateCoverLetter).not.toHaveBeenCalled();
+    });
+    
+    it('should report a resume without a cover letter as not found', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(sampleResume);
+      
+      // Act & Assert
+      await expect(resumeService.getCoverLetter(sampleResumeId, sampleUserId))
+        .rejects.toThrow(NotFoundError);
+    });
+    
+    it('should download the letter as Markdown or PDF', async () => {
+      // Arrange
+      const fileBuffer = Buffer.from('%PDF-1.4');
+      mockResumeRepository.findById.mockResolvedValue(resumeWithCoverLetter);
+      mockStorageService.getFile.mockResolvedValue(fileBuffer);
+      
+      // Act
+      const markdown = await resumeService.downloadCoverLetter(sampleResumeId, sampleUserId, 'markdown');
+      const pdf = await resumeService.downloadCoverLetter(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(markdown.fileBuffer.toString()).toBe(coverLetter);
+      expect(markdown.fileName).toBe('Sample Resume_cover_letter.md');
+      expect(mockStorageService.getFile).toHaveBeenCalledWith(resumeWithCoverLetter.coverLetterS3Key);
+      expect(pdf).toEqual(expect.objectContaining({ fileBuffer, contentType: 'application/pdf' }));
+    });
+  });
+
+  describe('interview preparation', () => {
+    const pack = '# Interview Preparation\n\n## Behavioral Questions\n\n**Tell me about an API you designed.**';
+    const customizedResume = {
+      ...sampleResume,
+      customizedContent: '# Sample Resume\n\nTailored',
+      currentVersionId: sampleVersionId
+    };
+
+    const interviewPrepJob = () => ({
+      id: 'job-2',
+      data: { resumeId: sampleResumeId, userId: sampleUserId },
+      discard: jest.fn()
+    });
+    
+    it('should queue the pack and report it pending', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(customizedResume);
+      mockResumeRepository.update.mockImplementation((id, userId, data) => Promise.resolve({ ...customizedResume, ...data }));
+      mockQueueService.addJob.mockResolvedValue({ id: 'job-2' });
+      
+      // Act
+      const result = await resumeService.generateInterviewPrep(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(mockQueueService.addJob).toHaveBeenCalledWith('interview-prep', { resumeId: sampleResumeId, userId: sampleUserId });
+      expect(mockAiService.generateInterviewPrep).not.toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ status: 'pending', content: undefined }));
+    });
+    
+    it('should write the pack for the current customization and store it with its PDF', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue(customizedResume);
+      mockAiService.generateInterviewPrep.mockResolvedValue({ interviewPrep: pack, model: 'test-model' });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/interview-prep.pdf');
+      
+      // Act
+      const result = await resumeService.processInterviewPrepJob(interviewPrepJob());
+      
+      // Assert
+      expect(mockResumeRepository.update).toHaveBeenCalledWith(sampleResumeId, sampleUserId, { interviewPrepStatus: 'processing' });
+      expect(mockAiService.generateInterviewPrep).toHaveBeenCalledWith(expect.objectContaining({
+        resumeContent: sampleResume.markdownContent,
+        customizedResume: '# Sample Resume\n\nTailored',
+        jobDescription: 'We need a backend engineer',
+        jobTitle: 'Backend Engineer'
+      }));
+      expect(mockResumeRepository.update).toHaveBeenLastCalledWith(sampleResumeId, sampleUserId, expect.objectContaining({
+        interviewPrepContent: pack,
+        interviewPrepS3Url: 'https://example.com/interview-prep.pdf',
+        interviewPrepVersionId: sampleVersionId,
+        interviewPrepStatus: 'completed',
+        interviewPrepError: null
+      }));
+      expect(result).toEqual({ resumeId: sampleResumeId, status: 'completed' });
+    });
+    
+    it('should report a pack being written before the first one is done', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...customizedResume, interviewPrepStatus: 'pending' });
+      
+      // Act
+      const result = await resumeService.getInterviewPrep(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result).toEqual(expect.objectContaining({ status: 'pending', content: undefined }));
+      await expect(resumeService.downloadInterviewPrep(sampleResumeId, sampleUserId))
+        .rejects.toThrow(NotFoundError);
+    });
+    
+    it('should record why a pack could not be written', async () => {
+      // Arrange
+      const job = interviewPrepJob();
+      mockResumeRepository.findById.mockResolvedValue(customizedResume);
+      mockAiService.generateInterviewPrep.mockRejectedValue(new Error('Model timed out'));
+      
+      // Act & Assert
+      await expect(resumeService.processInterviewPrepJob(job)).rejects.toThrow('Model timed out');
+      expect(mockResumeRepository.update).toHaveBeenLastCalledWith(sampleResumeId, sampleUserId, {
+        interviewPrepStatus: 'failed',
+        interviewPrepError: 'Model timed out'
+      });
+      expect(job.discard).not.toHaveBeenCalled();
+    });
+    
+    it('should not retry a pack for a resume that was deleted', async () => {
+      // Arrange
+      const job = interviewPrepJob();
+      mockResumeRepository.findById.mockResolvedValue(null);
+      
+      // Act & Assert
+      await expect(resumeService.processInterviewPrepJob(job)).rejects.toThrow(NotFoundError);
+      expect(job.discard).toHaveBeenCalled();
+    });
+    
+    it('should not prepare for a job the resume has not been customized for', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, customizationStatus: 'processing' });
+      
+      // Act & Assert
+      await expect(resumeService.generateInterviewPrep(sampleResumeId, sampleUserId))
+        .rejects.toThrow(ValidationError);
+      expect(mockAiService.generateInterviewPrep).not.toHaveBeenCalled();
+    });
+    
+    it('should report a pack written for an earlier customization as not current', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({
+        ...customizedResume,
+        interviewPrepContent: pack,
+        interviewPrepVersionId: '123e4567-e89b-12d3-a456-426614174009'
+      });
+      
+      // Act
+      const result = await resumeService.getInterviewPrep(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result.isCurrent).toBe(false);
+    });
+    
+    it('should download the pack as Markdown', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...customizedResume, interviewPrepContent: pack });
+      
+      // Act
+      const result = await resumeService.downloadInterviewPrep(sampleResumeId, sampleUserId, 'markdown');
+      
+      // Assert
+      expect(result.fileBuffer.toString()).toBe(pack);
+      expect(result.fileName).toBe('Sample Resume_interview_prep.md');
+      expect(mockStorageService.getFile).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('live preview', () => {
+    const mockWriter = {
+      start: jest.fn().mockResolvedValue(),
+      write: jest.fn(),
+      finish: jest.fn().mockResolvedValue()
+    };
+    
+    const mockPreviewService = {
+      createWriter: jest.fn(() => mockWriter),
+      get: jest.fn()
+    };
+    
+    const previewingService = new ResumeService({
+      resumeRepository: mockResumeRepository,
+      resumeVersionRepository: mockResumeVersionRepository,
+      storageService: mockStorageService,
+      aiService: mockAiService,
+      queueService: mockQueueService,
+      previewService: mockPreviewService
+    });
+    
+    it('should stream the customized resume into the preview buffer', async () => {
+      // Arrange
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockImplementation(async ({ onToken }) => {
+        onToken('# Sample Resume');
+        onToken('\n\nTailored');
+        return { resume: '# Sample Resume\n\nTailored' };
+      });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      
+      // Act
+      await previewingService.processCustomizationJob({ id: 'job-1', data: { resumeId: sampleResumeId } });
+      
+      // Assert
+      expect(mockPreviewService.createWriter).toHaveBeenCalledWith(sampleResumeId, 'job-1');
+      expect(mockWriter.start).toHaveBeenCalled();
+      expect(mockWriter.write.mock.calls).toEqual([['# Sample Resume'], ['\n\nTailored']]);
+      expect(mockWriter.finish).toHaveBeenCalled();
+    });
+    
+    it('should restart the preview when the AI service falls back to another provider', async () => {
+      // Arrange
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockImplementation(async ({ onToken, onFallback }) => {
+        onToken('# Sample Resume\n\nHalf');
+        await onFallback('direct_llm', new Error('timeout'));
+        onToken('# Sample Resume\n\nTailored');
+        return { resume: '# Sample Resume\n\nTailored', provider: 'n8n' };
+      });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      mockWriter.start.mockClear();
+
+      // Act
+      await previewingService.processCustomizationJob({ id: 'job-1', data: { resumeId: sampleResumeId } });
+
+      // Assert
+      expect(mockWriter.start).toHaveBeenCalledTimes(2);
+    });
+
+    it('should close the preview when the job fails', async () => {
+      // Arrange
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockRejectedValue(new Error('LLM request failed'));
+      
+      // Act & Assert
+      await expect(previewingService.processCustomizationJob({ id: 'job-1', data: { resumeId: sampleResumeId } }))
+        .rejects.toThrow('LLM request failed');
+      expect(mockWriter.finish).toHaveBeenCalled();
+    });
+    
+    it('should complete the job when the preview Redis never answers', async () => {
+      // Arrange
+      const unreachableRedis = { isOpen: false, connect: jest.fn(() => new Promise(() => {})) };
+      const service = new ResumeService({
+        resumeRepository: mockResumeRepository,
+        resumeVersionRepository: mockResumeVersionRepository,
+        storageService: mockStorageService,
+        aiService: mockAiService,
+        queueService: mockQueueService,
+        previewService: new PreviewService({ redisClient: unreachableRedis, flushIntervalMs: 0, operationTimeoutMs: 10 })
+      });
+      mockResumeRepository.findByIdForProcessing.mockResolvedValue({ ...sampleResume });
+      mockAiService.customizeResume.mockImplementation(async ({ onToken }) => {
+        onToken('# Sample Resume\n\nTailored');
+        return { resume: '# Sample Resume\n\nTailored' };
+      });
+      mockStorageService.uploadFile.mockResolvedValue('https://example.com/customized.pdf');
+      mockResumeVersionRepository.create.mockResolvedValue({ id: sampleVersionId });
+      
+      // Act
+      const result = await service.processCustomizationJob({ id: 'job-1', data: { resumeId: sampleResumeId } });
+      
+      // Assert
+      expect(mockAiService.customizeResume).toHaveBeenCalled();
+      expect(result).toEqual(expect.objectContaining({ status: 'completed' }));
+    });
+    
+    it('should return an empty preview when it cannot be read', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, customizationStatus: 'processing' });
+      mockPreviewService.get.mockRejectedValue(new Error('Preview Redis operation timed out'));
+      
+      // Act
+      const result = await previewingService.getCustomizationPreview(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result).toEqual(expect.objectContaining({ status: 'processing', markdown: '', done: false }));
+    });
+    
+    it('should return the buffered Markdown from the offset while processing', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, customizationStatus: 'processing' });
+      mockPreviewService.get.mockResolvedValue({
+        jobId: 'job-1',
+        content: '# Sample Resume\n\nTai',
+        updatedAt: '2025-03-28T10:00:00.000Z',
+        done: false
+      });
+      
+      // Act
+      const result = await previewingService.getCustomizationPreview(sampleResumeId, sampleUserId, 15);
+      
+      // Assert
+      expect(result).toEqual({
+        id: sampleResumeId,
+        status: 'processing',
+        markdown: '\n\nTai',
+        offset: 15,
+        length: 20,
+        done: false,
+        updatedAt: '2025-03-28T10:00:00.000Z'
+      });
+    });
+    
+    it('should return the stored Markdown once completed', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, customizedContent: '# Done' });
+      
+      // Act
+      const result = await previewingService.getCustomizationPreview(sampleResumeId, sampleUserId);
+      
+      // Assert
+      expect(result).toEqual(expect.objectContaining({ markdown: '# Done', length: 6, done: true }));
+      expect(mockPreviewService.get).not.toHaveBeenCalled();
+    });
+    
+    it('should throw ValidationError for failed customizations', async () => {
+      // Arrange
+      mockResumeRepository.findById.mockResolvedValue({ ...sampleResume, customizationStatus: 'failed' });
+      
+      // Act & Assert
+      await expect(previewingService.getCustomizationPreview(sampleResumeId, sampleUserId))
+        .rejects.toThrow(ValidationError);
+    });
+  });
+});
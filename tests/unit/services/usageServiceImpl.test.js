@@ -0,0 +1,154 @@
+/**
+ * Unit Tests for UsageService
+ */
+
+const UsageService = require('../../../src/services/implementations/usageServiceImpl');
+const { ValidationError } = require('../../../src/utils/errors');
+
+describe('UsageService', () => {
+  const priceTable = { 'gpt-4o-mini': { input: 0.15, output: 0.6 } };
+
+  const usage = {
+    userId: 'user-1',
+    resumeId: 'resume-1',
+    jobId: 42,
+    step: 'strategist',
+    provider: 'openrouter',
+    model: 'openai/gpt-4o-mini',
+    promptTokens: 2000,
+    completionTokens: 1000
+  };
+
+  let llmUsageRepository;
+  let metrics;
+  let service;
+
+  beforeEach(() => {
+    llmUsageRepository = {
+      create: jest.fn(async data => ({ id: 'usage-1', ...data })),
+      summarize: jest.fn().mockResolvedValue([])
+    };
+    metrics = {
+      llmRequests: { inc: jest.fn() },
+      llmTokens: { inc: jest.fn() },
+      llmCost: { inc: jest.fn() }
+    };
+    service = new UsageService({ llmUsageRepository, priceTable, metrics });
+  });
+
+  describe('recordUsage', () => {
+    it('should store the usage of a call with its cost', async () => {
+      // Act
+      await service.recordUsage(usage);
+
+      // Assert
+      const record = llmUsageRepository.create.mock.calls[0][0];
+      expect(record).toEqual(expect.objectContaining({
+        userId: 'user-1',
+        resumeId: 'resume-1',
+        jobId: '42',
+        step: 'strategist',
+        totalTokens: 3000,
+        cached: false
+      }));
+      expect(record.cost).toBeCloseTo(0.0009);
+    });
+
+    it('should count tokens, cost and requests by model and step', async () => {
+      // Act
+      await service.recordUsage(usage);
+
+      // Assert
+      const labels = { model: 'openai/gpt-4o-mini', step: 'strategist' };
+      expect(metrics.llmRequests.inc).toHaveBeenCalledWith({ ...labels, cached: 'false' });
+      expect(metrics.llmTokens.inc).toHaveBeenCalledWith({ ...labels, type: 'prompt' }, 2000);
+      expect(metrics.llmTokens.inc).toHaveBeenCalledWith({ ...labels, type: 'completion' }, 1000);
+      expect(metrics.llmCost.inc).toHaveBeenCalledWith(labels, expect.closeTo(0.0009));
+    });
+
+    it('should store calls to unpriced models and unreported tokens without a cost', async () => {
+      // Act
+      await service.recordUsage({ ...usage, model: 'mystery-model', promptTokens: undefined, completionTokens: undefined });
+
+      // Assert
+      expect(llmUsageRepository.create).toHaveBeenCalledWith(expect.objectContaining({
+        promptTokens: null,
+        completionTokens: null,
+        totalTokens: null,
+        cost: null
+      }));
+      expect(metrics.llmTokens.inc).not.toHaveBeenCalled();
+      expect(metrics.llmCost.inc).not.toHaveBeenCalled();
+    });
+
+    it('should record cached steps as free', async () => {
+      // Act
+      await service.recordUsage({ ...usage, model: 'mystery-model', promptTokens: 0, completionTokens: 0, cached: true });
+
+      // Assert
+      expect(llmUsageRepository.create).toHaveBeenCalledWith(expect.objectContaining({ cost: 0, cached: true }));
+      expect(metrics.llmRequests.inc).toHaveBeenCalledWith(expect.objectContaining({ cached: 'true' }));
+    });
+  });
+
+  describe('getUserUsage', () => {
+    it('should summarize the usage of a user by model, step and job', async () => {
+      // Arrange
+      const from = new Date('2024-08-01T00:00:00Z');
+      llmUsageRepository.summarize.mockImplementation(async (filters, groupBy = []) => {
+        if (groupBy.length === 0) {
+          return [{ requests: '3', cachedRequests: '1', promptTokens: '4000', completionTokens: '1200', totalTokens: '5200', cost: '0.001320' }];
+        }
+        return groupBy.includes('step')
+          ? [{ step: 'strategist', requests: '1', promptTokens: '2000', completionTokens: '1000', totalTokens: '3000', cost: null }]
+          : [];
+      });
+
+      // Act
+      const result = await service.getUserUsage('user-1', { from });
+
+      // Assert
+      expect(llmUsageRepository.summarize).toHaveBeenCalledWith({ userId: 'user-1', from, to: undefined });
+      expect(llmUsageRepository.summarize).toHaveBeenCalledWith(expect.anything(), ['resumeId', 'jobId'], { limit: 50 });
+      expect(result.totals).toEqual(expect.objectContaining({
+        requests: 3,
+        cachedRequests: 1,
+        totalTokens: 5200,
+        cost: 0.00132
+      }));
+      expect(result.byStep).toEqual([expect.objectContaining({ step: 'strategist', totalTokens: 3000, cost: 0 })]);
+      expect(result.from).toBe(from);
+    });
+
+    it('should reject a period that ends before it starts', async () => {
+      // Act & Assert
+      await expect(service.getUserUsage('user-1', {
+        from: new Date('2024-08-02'),
+        to: new Date('2024-08-01')
+      })).rejects.toThrow(ValidationError);
+    });
+  });
+
+  describe('getUsageReport', () => {
+    it('should group the usage of all users', async () => {
+      // Arrange
+      llmUsageRepository.summarize.mockImplementation(async (filters, groupBy = []) => (groupBy.length === 0
+        ? [{ requests: '2' }]
+        : [{ userId: 'user-1', step: 'profiler', requests: '2', totalTokens: '900' }]));
+
+      // Act
+      const report = await service.getUsageReport({ groupBy: ['user', 'step'] });
+
+      // Assert
+      expect(llmUsageRepository.summarize).toHaveBeenCalledWith(expect.anything(), ['userId', 'step']);
+      expect(report.rows).toEqual([expect.objectContaining({ userId: 'user-1', step: 'profiler', requests: 2, totalTokens: 900 })]);
+      expect(report.totals.requests).toBe(2);
+    });
+
+    it('should reject unknown groups', async () => {
+      // Act & Assert
+      await expect(service.getUsageReport({ groupBy: ['resume'] }))
+        .rejects.toThrow('Cannot group usage by resume. Expected user, model, step, provider');
+    });
+  });
+});
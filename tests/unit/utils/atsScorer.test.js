@@ -0,0 +1,151 @@
+/**
+ * Unit Tests for the ATS keyword scorer
+ */
+
+const { extractKeywords, scoreResume, scoreKeywordMatch } = require('../../../src/utils/atsScorer');
+
+const jobDescription = `Senior Backend Engineer at Acme
+We are looking for a backend engineer to build payment APIs with Node.js and PostgreSQL on AWS.
+
+## Requirements
+- 5+ years of experience with Node.js and TypeScript
+- Experience designing REST APIs and payment systems
+- Kubernetes and Docker in production
+- Familiarity with Datadog monitoring
+
+## Nice to have
+- GraphQL
+- Experience with payment systems at scale`;
+
+const keywordsOf = (keywords) => keywords.map(keyword => keyword.keyword);
+
+describe('extractKeywords', () => {
+  it('should extract known skills and recurring terms', () => {
+    const keywords = extractKeywords(jobDescription, { exclude: ['Acme'] });
+
+    expect(keywordsOf(keywords)).toEqual(expect.arrayContaining([
+      'node.js', 'typescript', 'postgresql', 'aws', 'rest api', 'kubernetes', 'docker', 'graphql',
+      'payment systems', 'datadog'
+    ]));
+    expect(keywords.find(keyword => keyword.keyword === 'kubernetes').type).toBe('skill');
+    expect(keywords.find(keyword => keyword.keyword === 'payment systems').type).toBe('term');
+  });
+
+  it('should weigh required skills above nice to have skills', () => {
+    const keywords = extractKeywords(jobDescription);
+    const weightOf = (name) => keywords.find(keyword => keyword.keyword === name).weight;
+
+    expect(keywords[0]).toEqual({ keyword: 'node.js', weight: 5, type: 'skill' });
+    expect(weightOf('kubernetes')).toBeGreaterThan(weightOf('postgresql'));
+    expect(weightOf('postgresql')).toBeGreaterThan(weightOf('graphql'));
+  });
+
+  it('should leave out generic posting vocabulary and excluded names', () => {
+    const keywords = keywordsOf(extractKeywords(jobDescription, { exclude: ['Acme'] }));
+
+    expect(keywords).not.toContain('experience');
+    expect(keywords).not.toContain('years');
+    expect(keywords).not.toContain('acme');
+  });
+
+  it('should not read everyday words of a non-technical posting as skills', () => {
+    const posting = `Warehouse Shift Lead
+- React to incidents on the floor and react quickly to alarms
+- Plan our spring hiring event
+- Swift response to delivery issues
+- Work with the security team on site safety
+- Keep communication channels with drivers open`;
+
+    const keywords = extractKeywords(posting);
+
+    expect(keywords.filter(keyword => keyword.type === 'skill')).toEqual([]);
+    expect(keywordsOf(keywords)).not.toEqual(expect.arrayContaining(['react']));
+  });
+
+  it('should read ambiguous skill names as skills where the context names a tool', () => {
+    const posting = `Requirements:
+- 3 years of experience with React and Redux
+- Spring Boot services
+- Building iOS apps in Swift
+- Strong communication skills`;
+
+    expect(keywordsOf(extractKeywords(posting).filter(keyword => keyword.type === 'skill')))
+      .toEqual(['communication', 'react', 'spring', 'swift']);
+  });
+
+  it('should limit the number of keywords', () => {
+    expect(extractKeywords(jobDescription, { maxKeywords: 3 })).toHaveLength(3);
+  });
+
+  it('should return no keywords for an empty job description', () => {
+    expect(extractKeywords('')).toEqual([]);
+    expect(extractKeywords(null)).toEqual([]);
+  });
+});
+
+describe('scoreResume', () => {
+  const keywords = [
+    { keyword: 'node.js', weight: 5, type: 'skill' },
+    { keyword: 'kubernetes', weight: 3, type: 'skill' },
+    { keyword: 'payment systems', weight: 2, type: 'term' }
+  ];
+
+  it('should match skills by their aliases and terms by their singular form', () => {
+    const result = scoreResume(keywords, '# Jane Doe\n\n- Built a payment system in **NodeJS** on k8s');
+
+    expect(result).toEqual({
+      score: 100,
+      matched: [
+        { keyword: 'node.js', weight: 5 },
+        { keyword: 'kubernetes', weight: 3 },
+        { keyword: 'payment systems', weight: 2 }
+      ],
+      missing: []
+    });
+  });
+
+  it('should weigh the score by keyword weight', () => {
+    const result = scoreResume(keywords, '# Jane Doe\n\nKubernetes and payment systems');
+
+    expect(result.score).toBe(50);
+    expect(result.missing).toEqual([{ keyword: 'node.js', weight: 5 }]);
+  });
+
+  it('should not match a keyword inside another word', () => {
+    const result = scoreResume([{ keyword: 'java', weight: 1, type: 'skill' }], 'Expert in JavaScript');
+
+    expect(result.score).toBe(0);
+  });
+
+  it('should not read ordinary words as skills', () => {
+    const result = scoreResume([
+      { keyword: 'docker', weight: 1, type: 'skill' },
+      { keyword: 'node.js', weight: 1, type: 'skill' },
+      { keyword: 'typescript', weight: 1, type: 'skill' },
+      { keyword: 'machine learning', weight: 1, type: 'skill' }
+    ], '# Jane Doe\n\n- Loaded shipping containers at each network node, 12 ts per shift\n- Gave 5 ml doses');
+
+    expect(result.score).toBe(0);
+  });
+});
+
+describe('scoreKeywordMatch', () => {
+  it('should report the gain of the customized resume over the original', () => {
+    const original = '# Jane Doe\n\nBuilt REST APIs in Node.js';
+    const customized = '# Jane Doe\n\nBuilt payment systems and REST APIs in Node.js with TypeScript on AWS, Kubernetes and Docker';
+
+    const result = scoreKeywordMatch(jobDescription, original, customized, { exclude: ['Acme'] });
+
+    expect(result.customized.score).toBeGreaterThan(result.original.score);
+    expect(result.gain).toBe(result.customized.score - result.original.score);
+    expect(keywordsOf(result.customized.missing)).toEqual(expect.arrayContaining(['postgresql', 'graphql']));
+  });
+
+  it('should only score the original without a customized resume', () => {
+    const result = scoreKeywordMatch(jobDescription, '# Jane Doe\n\nNode.js', null);
+
+    expect(result.customized).toBeNull();
+    expect(result.gain).toBeNull();
+    expect(result.original.score).toBeGreaterThan(0);
+  });
+});
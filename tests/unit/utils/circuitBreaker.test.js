@@ -0,0 +1,114 @@
+/**
+ * Unit Tests for the circuit breaker
+ */
+
+const { CircuitBreaker, CircuitState } = require('../../../src/utils/circuitBreaker');
+
+describe('CircuitBreaker', () => {
+  let now;
+  let breaker;
+
+  const fail = () => breaker.recordFailure(new Error('connect ECONNREFUSED'));
+
+  beforeEach(() => {
+    now = 1000000;
+    breaker = new CircuitBreaker({
+      name: 'direct_llm',
+      failureThreshold: 2,
+      resetTimeoutMs: 60000,
+      halfOpenSuccesses: 2,
+      now: () => now
+    });
+  });
+
+  it('should open after consecutive failures and refuse calls', () => {
+    // Act
+    fail();
+    const allowedAfterOneFailure = breaker.tryAcquire();
+    fail();
+
+    // Assert
+    expect(allowedAfterOneFailure).toBe(true);
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.getState()).toEqual(expect.objectContaining({
+      state: CircuitState.OPEN,
+      failures: 2,
+      retryAt: new Date(now + 60000).toISOString(),
+      lastError: { message: 'connect ECONNREFUSED', at: new Date(now).toISOString() }
+    }));
+  });
+
+  it('should forget failures after a success', () => {
+    // Act
+    fail();
+    breaker.recordSuccess();
+    fail();
+
+    // Assert
+    expect(breaker.getState().state).toBe(CircuitState.CLOSED);
+  });
+
+  it('should let one probe at a time through once the reset timeout has passed', () => {
+    // Arrange
+    fail();
+    fail();
+    now += 60000;
+
+    // Act
+    const probe = breaker.tryAcquire();
+    const concurrent = breaker.tryAcquire();
+
+    // Assert
+    expect(probe).toBe(true);
+    expect(concurrent).toBe(false);
+    expect(breaker.getState().state).toBe(CircuitState.HALF_OPEN);
+  });
+
+  it('should close after enough successful probes', () => {
+    // Arrange
+    fail();
+    fail();
+    now += 60000;
+
+    // Act
+    breaker.tryAcquire();
+    breaker.recordSuccess();
+    const stillProbing = breaker.getState().state;
+    breaker.tryAcquire();
+    breaker.recordSuccess();
+
+    // Assert
+    expect(stillProbing).toBe(CircuitState.HALF_OPEN);
+    expect(breaker.getState()).toEqual(expect.objectContaining({ state: CircuitState.CLOSED, failures: 0 }));
+  });
+
+  it('should open again when a probe fails', () => {
+    // Arrange
+    fail();
+    fail();
+    now += 60000;
+    breaker.tryAcquire();
+
+    // Act
+    fail();
+
+    // Assert
+    expect(breaker.tryAcquire()).toBe(false);
+    expect(breaker.getState().retryAt).toBe(new Date(now + 60000).toISOString());
+  });
+
+  it('should free the probe slot of a released call', () => {
+    // Arrange
+    fail();
+    fail();
+    now += 60000;
+    breaker.tryAcquire();
+
+    // Act
+    breaker.release();
+
+    // Assert
+    expect(breaker.tryAcquire()).toBe(true);
+    expect(breaker.getState().state).toBe(CircuitState.HALF_OPEN);
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit Tests for DOC (Word 97-2003) to Markdown conversion
+ */
+
+const fs = require('fs');
+const path = require('path');
+const convertDocToMarkdown = require('../../../src/utils/convertDocToMarkdown');
+const { extractDocParagraphs } = require('../../../src/utils/docExtractor');
+const {
+  UnsupportedFileTypeError,
+  EncryptedFileError,
+  CorruptFileError
+} = require('../../../src/utils/errors');
+
+const fixturesDir = path.join(__dirname, '../../fixtures');
+const sampleDoc = fs.readFileSync(path.join(fixturesDir, 'sample-resume.doc'));
+const encryptedDoc = fs.readFileSync(path.join(fixturesDir, 'encrypted-resume.doc'));
+
+describe('extractDocParagraphs', () => {
+  it('should extract paragraphs with heading and list information', () => {
+    const paragraphs = extractDocParagraphs(sampleDoc);
+
+    expect(paragraphs[0]).toEqual(expect.objectContaining({ text: 'Jane Doe', headingLevel: null }));
+    expect(paragraphs[1]).toEqual(expect.objectContaining({ text: 'Experience', headingLevel: 1 }));
+    expect(paragraphs[3]).toEqual(expect.objectContaining({
+      text: 'Reduced latency by 40%',
+      isListItem: true,
+      listLevel: 0
+    }));
+    expect(paragraphs[4]).toEqual(expect.objectContaining({ isListItem: true, listLevel: 1 }));
+  });
+
+  it('should keep field results and drop field instructions', () => {
+    const texts = extractDocParagraphs(sampleDoc).map(paragraph => paragraph.text);
+
+    expect(texts).toContain('Portfolio: jane.example.com');
+    expect(texts.join('\n')).not.toContain('HYPERLINK');
+  });
+
+  it('should read both compressed and Unicode text pieces', () => {
+    const texts = extractDocParagraphs(sampleDoc).map(paragraph => paragraph.text);
+
+    expect(texts).toContain('Languages: English, 日本語');
+  });
+});
+
+describe('convertDocToMarkdown', () => {
+  it('should convert paragraphs, headings, lists and tables to Markdown', async () => {
+    const markdown = await convertDocToMarkdown(sampleDoc);
+
+    expect(markdown).toMatch(/^# Jane Doe$/m);
+    expect(markdown).toMatch(/^## Experience$/m);
+    expect(markdown).toMatch(/^### Senior Engineer \| Acme Corp$/m);
+    expect(markdown).toContain('- Reduced latency by 40%\n  - Mentored 5 engineers');
+    expect(markdown).toContain('| Area | Tools |\n| --- | --- |\n| Backend | Node.js |');
+  });
+
+  it('should reject encrypted documents with an EncryptedFileError', async () => {
+    const error = await convertDocToMarkdown(encryptedDoc).catch(err => err);
+
+    expect(error).toBeInstanceOf(EncryptedFileError);
+    expect(error).toBeInstanceOf(UnsupportedFileTypeError);
+    expect(error.code).toBe('ENCRYPTED_FILE');
+  });
+
+  it('should reject corrupt documents with a CorruptFileError', async () => {
+    await expect(convertDocToMarkdown(Buffer.from('definitely not a word document')))
+      .rejects.toThrow(CorruptFileError);
+
+    await expect(convertDocToMarkdown(sampleDoc.subarray(0, 1024)))
+      .rejects.toThrow(CorruptFileError);
+  });
+
+  it('should reject RTF files saved with a .doc extension', async () => {
+    await expect(convertDocToMarkdown(Buffer.from('{\\rtf1\\ansi Hello}')))
+      .rejects.toThrow('RTF documents are not supported');
+  });
+
+  it('should convert DOCX files saved with a .doc extension', async () => {
+    const docx = fs.readFileSync(path.join(fixturesDir, 'sample-resume.docx'));
+
+    const markdown = await convertDocToMarkdown(docx);
+
+    expect(markdown).toMatch(/^# Jane Doe$/m);
+  });
+});
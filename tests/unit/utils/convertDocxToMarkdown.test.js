@@ -0,0 +1,76 @@
+/**
+ * Unit Tests for DOCX to Markdown conversion
+ */
+
+const fs = require('fs');
+const path = require('path');
+const convertDocxToMarkdown = require('../../../src/utils/convertDocxToMarkdown');
+const { convertToMarkdown, isConvertible } = require('../../../src/utils/convertToMarkdown');
+const { FileError, UnsupportedFileTypeError } = require('../../../src/utils/errors');
+
+const sampleDocx = fs.readFileSync(path.join(__dirname, '../../fixtures/sample-resume.docx'));
+
+describe('convertDocxToMarkdown', () => {
+  let markdown;
+
+  beforeAll(async () => {
+    markdown = await convertDocxToMarkdown(sampleDocx);
+  });
+
+  it('should map the title and Word headings to resume heading levels', () => {
+    expect(markdown).toMatch(/^# Jane Doe$/m);
+    expect(markdown).toMatch(/^## Experience$/m);
+    expect(markdown).toMatch(/^### Senior Engineer \| Acme Corp$/m);
+  });
+
+  it('should keep bold and italic runs', () => {
+    expect(markdown).toContain('**Led** the _platform_ team.');
+  });
+
+  it('should convert bullet lists', () => {
+    expect(markdown).toMatch(/^- Reduced latency by 40%$/m);
+    expect(markdown).toMatch(/^- Mentored 5 engineers$/m);
+  });
+
+  it('should convert hyperlinks', () => {
+    expect(markdown).toContain('[Portfolio](https://jane.example.com)');
+  });
+
+  it('should convert tables to GFM tables', () => {
+    expect(markdown).toContain('| Area | Tools |\n| --- | --- |\n| Backend | Node.js |');
+  });
+
+  it('should throw a FileError for invalid documents', async () => {
+    await expect(convertDocxToMarkdown(Buffer.from('not a docx file')))
+      .rejects.toThrow(FileError);
+  });
+});
+
+describe('convertToMarkdown', () => {
+  it('should route DOCX files to the DOCX converter', async () => {
+    const result = await convertToMarkdown(sampleDocx, 'docx');
+
+    expect(result).toMatch(/^# Jane Doe$/m);
+  });
+
+  it('should route DOC files to the DOC converter', async () => {
+    const sampleDoc = fs.readFileSync(path.join(__dirname, '../../fixtures/sample-resume.doc'));
+
+    const result = await convertToMarkdown(sampleDoc, 'doc');
+
+    expect(result).toMatch(/^## Experience$/m);
+  });
+
+  it('should route PDF files to the PDF converter', async () => {
+    const result = await convertToMarkdown(Buffer.from('%PDF-1.4'), 'pdf');
+
+    expect(result).toContain('# Mock Resume');
+  });
+
+  it('should reject file types without a converter', async () => {
+    expect(isConvertible('xyz')).toBe(false);
+
+    await expect(convertToMarkdown(Buffer.from(''), 'xyz'))
+      .rejects.toThrow(UnsupportedFileTypeError);
+  });
+});
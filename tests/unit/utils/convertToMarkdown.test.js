@@ -0,0 +1,39 @@
+/**
+ * Unit Tests for converting text based resume files to Markdown
+ */
+
+const { convertToMarkdown } = require('../../../src/utils/convertToMarkdown');
+
+describe('convertToMarkdown', () => {
+  it('should keep Markdown files as-is', async () => {
+    const markdown = '# Jane Doe\n\n## Experience\n\n- Shipped things\n';
+
+    const result = await convertToMarkdown(Buffer.from(`\uFEFF${markdown}`), 'md');
+
+    expect(result).toBe(markdown);
+  });
+
+  it('should convert HTML files to Markdown', async () => {
+    const html = '<html><head><title>CV</title></head><body>' +
+      '<h1>Jane Doe</h1><h2>Experience</h2><ul><li><strong>Led</strong> the team</li></ul>' +
+      '</body></html>';
+
+    const result = await convertToMarkdown(Buffer.from(html), 'html');
+
+    expect(result).toContain('# Jane Doe');
+    expect(result).toContain('## Experience');
+    expect(result).toContain('- **Led** the team');
+    expect(result).not.toContain('CV');
+  });
+
+  it('should run plain text files through the heading heuristics', async () => {
+    const text = 'Jane Doe\r\nEXPERIENCE\r\nSenior Engineer | Acme\r\n• Reduced latency by 40%\r\n';
+
+    const result = await convertToMarkdown(Buffer.from(text), 'txt');
+
+    expect(result).toMatch(/^# Jane Doe$/m);
+    expect(result).toMatch(/^## EXPERIENCE$/m);
+    expect(result).toMatch(/^### Senior Engineer \| Acme$/m);
+    expect(result).toMatch(/^- Reduced latency by 40%$/m);
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Unit Tests for customization progress estimates
+ */
+
+const {
+  CUSTOMIZATION_STEPS,
+  DEFAULT_STEP_DURATIONS_MS,
+  averageStepDurations,
+  estimateProgress
+} = require('../../../src/utils/customizationProgress');
+
+// One second per step keeps the arithmetic readable
+const oneSecondSteps = CUSTOMIZATION_STEPS.reduce((durations, step) => ({ ...durations, [step]: 1000 }), {});
+
+describe('averageStepDurations', () => {
+  it('should average the durations recorded for each step', () => {
+    const expected = averageStepDurations([
+      { profiling: 10000, writing: 30000 },
+      { profiling: 20000, writing: 50000, converting: 4000 }
+    ]);
+
+    expect(expected).toEqual(expect.objectContaining({ profiling: 15000, writing: 40000, converting: 4000 }));
+  });
+
+  it('should fall back to the defaults for steps without history', () => {
+    expect(averageStepDurations()).toEqual(DEFAULT_STEP_DURATIONS_MS);
+    expect(averageStepDurations([null, { uploading: 'slow' }]).uploading).toBe(DEFAULT_STEP_DURATIONS_MS.uploading);
+  });
+});
+
+describe('estimateProgress', () => {
+  const startedAt = new Date('2025-03-28T10:00:00Z');
+  const at = (seconds) => new Date(startedAt.getTime() + seconds * 1000);
+
+  it('should expect the rest of the current step and all later steps', () => {
+    // Act
+    const progress = estimateProgress(
+      { step: 'writing', startedAt, stepStartedAt: at(3) },
+      oneSecondSteps,
+      at(3.5)
+    );
+
+    // Assert
+    expect(progress).toEqual({ step: 'writing', percent: 50, elapsedSeconds: 4, etaSeconds: 4 });
+  });
+
+  it('should not expect a negative remainder of a step that overruns', () => {
+    // Act
+    const progress = estimateProgress(
+      { step: 'uploading', startedAt, stepStartedAt: at(5) },
+      oneSecondSteps,
+      at(60)
+    );
+
+    // Assert
+    expect(progress.etaSeconds).toBe(0);
+    expect(progress.percent).toBe(99);
+  });
+
+  it('should expect every step before the first one starts', () => {
+    // Act
+    const progress = estimateProgress({ step: null, startedAt, stepStartedAt: null }, oneSecondSteps, startedAt);
+
+    // Assert
+    expect(progress).toEqual({ step: null, percent: 0, elapsedSeconds: 0, etaSeconds: CUSTOMIZATION_STEPS.length });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for file utilities
+ */
+
+const {
+  getFileTypeFromExtension,
+  isSupportedUpload,
+  isTextFileType,
+  getContentTypeFromFileType
+} = require('../../../src/utils/fileUtils');
+
+describe('fileUtils', () => {
+  describe('getFileTypeFromExtension', () => {
+    it.each([
+      ['resume.pdf', 'pdf'],
+      ['resume.DOC', 'doc'],
+      ['resume.docx', 'docx'],
+      ['resume.md', 'md'],
+      ['resume.markdown', 'md'],
+      ['resume.txt', 'txt'],
+      ['resume.html', 'html'],
+      ['resume.htm', 'html']
+    ])('should detect %s as %s', (filename, fileType) => {
+      expect(getFileTypeFromExtension(filename).fileType).toBe(fileType);
+    });
+
+    it('should reject unsupported extensions with a 400 error', () => {
+      expect(() => getFileTypeFromExtension('resume.xyz')).toThrow('Unsupported file type');
+
+      try {
+        getFileTypeFromExtension('resume.xyz');
+      } catch (error) {
+        expect(error.statusCode).toBe(400);
+      }
+    });
+  });
+
+  describe('isSupportedUpload', () => {
+    it('should accept supported extensions with their MIME types', () => {
+      expect(isSupportedUpload('resume.pdf', 'application/pdf')).toBe(true);
+      expect(isSupportedUpload('resume.md', 'text/markdown')).toBe(true);
+      expect(isSupportedUpload('resume.md', 'text/plain')).toBe(true);
+      expect(isSupportedUpload('resume.txt', 'text/plain')).toBe(true);
+      expect(isSupportedUpload('resume.html', 'text/html')).toBe(true);
+    });
+
+    it('should accept the generic MIME type browsers send for unknown extensions', () => {
+      expect(isSupportedUpload('resume.md', 'application/octet-stream')).toBe(true);
+    });
+
+    it('should reject unsupported extensions and mismatching MIME types', () => {
+      expect(isSupportedUpload('resume.exe', 'application/octet-stream')).toBe(false);
+      expect(isSupportedUpload('resume.txt', 'text/html')).toBe(false);
+      expect(isSupportedUpload('resume.pdf', 'text/plain')).toBe(false);
+    });
+  });
+
+  describe('isTextFileType', () => {
+    it('should identify text based file types', () => {
+      expect(isTextFileType('md')).toBe(true);
+      expect(isTextFileType('txt')).toBe(true);
+      expect(isTextFileType('html')).toBe(true);
+      expect(isTextFileType('pdf')).toBe(false);
+    });
+  });
+
+  describe('getContentTypeFromFileType', () => {
+    it('should map file types to content types', () => {
+      expect(getContentTypeFromFileType('docx')).toBe('application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+      expect(getContentTypeFromFileType('md')).toBe('text/markdown');
+      expect(getContentTypeFromFileType('html')).toBe('text/html');
+      expect(getContentTypeFromFileType('unknown')).toBe('application/octet-stream');
+    });
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit Tests for the job description parser
+ */
+
+const {
+  parseJobDescription,
+  formatJobRequirements,
+  classifyRequirement,
+  Confidence,
+  RequirementType
+} = require('../../../src/utils/jobDescriptionParser');
+
+const jobDescription = `# Senior Backend Engineer at Acme
+
+**Location:** Berlin, Germany (Hybrid)
+
+We are looking for a backend engineer to build payment APIs with Node.js and PostgreSQL on AWS.
+
+## Requirements
+- 5+ years of experience with Node.js and TypeScript
+- Experience designing REST APIs
+- Kubernetes and Docker in production
+
+## Nice to have
+- GraphQL
+- Kafka is a plus
+
+## What we offer
+- Salary range: €80,000 - €95,000 per year
+- 30 vacation days
+- Learning budget of €1,500`;
+
+const nursingJobDescription = `# ICU Registered Nurse at St. Mary's Medical Center
+
+**Location:** Austin, TX (On-site)
+
+Join our 24-bed medical ICU caring for critically ill adults.
+
+## Requirements
+- Active RN license in the State of Texas
+- BLS and ACLS certification from the American Heart Association
+- Bachelor of Science in Nursing (BSN)
+- 3+ years of ICU nursing experience
+- Experience charting in Epic
+
+## Preferred Qualifications
+- CCRN certification
+- Strong communication with patients and families`;
+
+describe('parseJobDescription', () => {
+  it('should read every field of a well-structured posting', () => {
+    const requirements = parseJobDescription(jobDescription);
+
+    expect(requirements).toEqual(expect.objectContaining({
+      title: { value: 'Senior Backend Engineer', confidence: Confidence.STATED },
+      seniority: { value: 'senior', confidence: Confidence.STATED },
+      mustHaveSkills: { value: ['typescript', 'node.js', 'rest api', 'docker', 'kubernetes'], confidence: Confidence.SECTION },
+      niceToHaveSkills: { value: ['graphql', 'kafka'], confidence: Confidence.SECTION },
+      yearsOfExperience: { value: { min: 5, max: null }, confidence: Confidence.LABELED },
+      location: { value: { place: 'Berlin, Germany', remotePolicy: 'hybrid' }, confidence: Confidence.LABELED },
+      salaryRange: { value: { min: 80000, max: 95000, currency: 'EUR', period: 'year' }, confidence: Confidence.LABELED },
+      benefits: { value: ['30 vacation days', 'Learning budget of €1,500'], confidence: Confidence.SECTION }
+    }));
+  });
+
+  it('should keep the licences, certifications and degrees of a posting outside the skill list', () => {
+    const requirements = parseJobDescription(nursingJobDescription);
+
+    expect(requirements.title).toEqual({ value: 'ICU Registered Nurse', confidence: Confidence.STATED });
+    expect(requirements.mustHaveSkills).toEqual({
+      value: [
+        'Active RN license in the State of Texas',
+        'BLS and ACLS certification from the American Heart Association',
+        'Bachelor of Science in Nursing (BSN)',
+        '3+ years of ICU nursing experience',
+        'Experience charting in Epic'
+      ],
+      confidence: Confidence.SECTION
+    });
+    expect(requirements.niceToHaveSkills).toEqual({
+      value: ['CCRN certification', 'communication'],
+      confidence: Confidence.SECTION
+    });
+    expect(requirements.yearsOfExperience.value).toEqual({ min: 3, max: null });
+    expect(parseJobDescription('Requirements:\n- 5+ years of experience').mustHaveSkills.value).toEqual([]);
+  });
+
+  it('should prefer the job title given with the request', () => {
+    const requirements = parseJobDescription(jobDescription, { jobTitle: 'Staff Platform Engineer' });
+
+    expect(requirements.title).toEqual({ value: 'Staff Platform Engineer', confidence: Confidence.PROVIDED });
+    expect(requirements.seniority).toEqual({ value: 'principal', confidence: Confidence.LABELED });
+  });
+
+  it('should give lower confidence to what an unstructured posting only mentions', () => {
+    const requirements = parseJobDescription(
+      'Our data team works with Python, SQL and Tableau. You will need 3-5 years in analytics. '
+      + 'Remote within the EU, paid $40 per hour. Dental and 401k included.'
+    );
+
+    expect(requirements.title).toEqual({ value: null, confidence: Confidence.NONE });
+    expect(requirements.mustHaveSkills).toEqual({ value: ['python', 'sql', 'tableau'], confidence: Confidence.MENTIONED });
+    expect(requirements.yearsOfExperience).toEqual({ value: null, confidence: Confidence.NONE });
+    expect(requirements.seniority.confidence).toBe(Confidence.NONE);
+    expect(requirements.location).toEqual({ value: { place: null, remotePolicy: 'remote' }, confidence: Confidence.STATED });
+    expect(requirements.salaryRange).toEqual({
+      value: { min: 40, max: 40, currency: 'USD', period: 'hour' },
+      confidence: Confidence.STATED
+    });
+    expect(requirements.benefits).toEqual({ value: ['dental insurance', 'retirement plan'], confidence: Confidence.MENTIONED });
+  });
+
+  it('should read salaries written in thousands', () => {
+    const requirements = parseJobDescription('Staff Data Scientist\n\nCompensation: $120-150k + equity');
+
+    expect(requirements.salaryRange.value).toEqual({ min: 120000, max: 150000, currency: 'USD', period: 'year' });
+  });
+
+  it('should infer the seniority from the years of experience when nothing states it', () => {
+    const requirements = parseJobDescription('Requirements:\n- 2 years of experience with React');
+
+    expect(requirements.seniority).toEqual({ value: 'mid', confidence: Confidence.INFERRED });
+  });
+});
+
+describe('formatJobRequirements', () => {
+  it('should write the certain fields that matter to a resume', () => {
+    const text = formatJobRequirements(parseJobDescription(jobDescription));
+
+    expect(text).toBe([
+      '- Title: Senior Backend Engineer',
+      '- Seniority: senior',
+      '- Must-have requirements: typescript; node.js; rest api; docker; kubernetes',
+      '- Nice-to-have requirements: graphql; kafka',
+      '- Years of experience: 5+',
+      '- Location: Berlin, Germany, hybrid'
+    ].join('\n'));
+  });
+
+  it('should leave out uncertain fields', () => {
+    const text = formatJobRequirements(parseJobDescription('Requirements:\n- 2 years of experience with React'));
+
+    expect(text).toBe('- Must-have requirements: react\n- Years of experience: 2+');
+    expect(formatJobRequirements(null)).toBe('');
+  });
+});
+
+describe('classifyRequirement', () => {
+  it('should tell skills from credentials, degrees and experience', () => {
+    expect(classifyRequirement('kubernetes')).toBe(RequirementType.SKILL);
+    expect(classifyRequirement('Active RN license in the State of Texas')).toBe(RequirementType.CREDENTIAL);
+    expect(classifyRequirement('Bachelor of Science in Nursing (BSN)')).toBe(RequirementType.EDUCATION);
+    expect(classifyRequirement('3+ years of ICU nursing experience')).toBe(RequirementType.EXPERIENCE);
+    expect(classifyRequirement('Able to lift 50 pounds')).toBe(RequirementType.OTHER);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for JSON Resume utilities
+ */
+
+const sampleJsonResume = require('../../fixtures/sample-resume.json');
+const {
+  parseJsonResume,
+  validateJsonResume,
+  renderJsonResumeToMarkdown,
+  parseMarkdownToJsonResume
+} = require('../../../src/utils/jsonResume');
+const { convertToMarkdown } = require('../../../src/utils/convertToMarkdown');
+const { ValidationError } = require('../../../src/utils/errors');
+
+describe('jsonResume', () => {
+  describe('validateJsonResume', () => {
+    it('should accept a valid document', () => {
+      expect(validateJsonResume(sampleJsonResume)).toEqual(sampleJsonResume);
+    });
+
+    it('should accept empty strings and unknown properties', () => {
+      expect(() => validateJsonResume({
+        basics: { name: 'Jane Doe', image: '', url: '' },
+        work: [{ name: 'Acme', endDate: '', custom: true }],
+        'x-extension': {}
+      })).not.toThrow();
+    });
+
+    it('should report every schema violation with its path', () => {
+      let error;
+      try {
+        validateJsonResume({
+          basics: { email: 'not-an-email' },
+          work: [{ startDate: 'March 2020' }],
+          skills: 'Node.js'
+        });
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.errors.map(detail => detail.field)).toEqual([
+        'basics.email',
+        'work.0.startDate',
+        'skills'
+      ]);
+    });
+
+    it('should reject documents that are not objects', () => {
+      expect(() => validateJsonResume([])).toThrow(ValidationError);
+      expect(() => validateJsonResume(null)).toThrow(ValidationError);
+    });
+  });
+
+  describe('parseJsonResume', () => {
+    it('should reject invalid JSON with a ValidationError', () => {
+      expect(() => parseJsonResume('{ "basics": ')).toThrow(ValidationError);
+    });
+  });
+
+  describe('renderJsonResumeToMarkdown', () => {
+    let markdown;
+
+    beforeAll(() => {
+      markdown = renderJsonResumeToMarkdown(sampleJsonResume);
+    });
+
+    it('should render the name as the only H1 and the contact details below it', () => {
+      expect(markdown).toMatch(/^# Jane Doe\n\nSenior Software Engineer\njane@example.com \| \+1 555 010 2030/);
+      expect(markdown.match(/^# /gm)).toHaveLength(1);
+    });
+
+    it('should render work entries with dates, summary and highlights', () => {
+      expect(markdown).toContain([
+        '### Senior Engineer | Acme Corp',
+        '',
+        'Mar 2019 - Present | Berlin',
+        '',
+        'Led the payments platform team.',
+        '',
+        '- Reduced API latency by 40%',
+        '- Mentored 5 engineers'
+      ].join('\n'));
+    });
+
+    it('should render list sections', () => {
+      expect(markdown).toContain('## Skills\n\n- Backend (Expert): Node.js, PostgreSQL');
+      expect(markdown).toContain('## Certifications\n\n- AWS Certified Solutions Architect | Amazon | Jun 2021');
+      expect(markdown).toContain('## Languages\n\n- English: Native\n- German: Professional');
+    });
+  });
+
+  describe('parseMarkdownToJsonResume', () => {
+    it('should restore a rendered document', () => {
+      const markdown = renderJsonResumeToMarkdown(sampleJsonResume);
+
+      expect(parseMarkdownToJsonResume(markdown)).toEqual(sampleJsonResume);
+    });
+
+    it('should parse customized Markdown written in a different style', () => {
+      const markdown = [
+        '# John Smith',
+        '',
+        'john.smith@example.com • linkedin.com/in/johnsmith • Austin, TX',
+        '',
+        '## Professional Summary',
+        '',
+        'Platform engineer focused on **reliability**.',
+        '',
+        '## Work Experience',
+        '',
+        '### Staff Engineer | Initech | 01/2021 – Present',
+        '',
+        '* Cut cloud spend by 30%',
+        '',
+        '## Technical Skills',
+        '',
+        '- Languages: Go, Python',
+        '',
+        '## Hobbies',
+        '',
+        '- Cycling'
+      ].join('\n');
+
+      const document = parseMarkdownToJsonResume(markdown);
+
+      expect(document.basics).toEqual({
+        name: 'John Smith',
+        email: 'john.smith@example.com',
+        profiles: [{ network: 'LinkedIn', username: 'johnsmith', url: 'https://linkedin.com/in/johnsmith' }],
+        label: 'Austin, TX',
+        summary: 'Platform engineer focused on reliability.'
+      });
+      expect(document.work).toEqual([{
+        name: 'Initech',
+        position: 'Staff Engineer',
+        startDate: '2021-01',
+        highlights: ['Cut cloud spend by 30%']
+      }]);
+      expect(document.skills).toEqual([{ name: 'Languages', keywords: ['Go', 'Python'] }]);
+      expect(document.interests).toEqual([{ name: 'Cycling' }]);
+    });
+  });
+
+  describe('convertToMarkdown', () => {
+    it('should render JSON Resume files', async () => {
+      const markdown = await convertToMarkdown(Buffer.from(JSON.stringify(sampleJsonResume)), 'json');
+
+      expect(markdown).toMatch(/^# Jane Doe$/m);
+    });
+  });
+});
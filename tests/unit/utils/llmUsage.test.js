@@ -0,0 +1,70 @@
+/**
+ * Unit Tests for LLM usage pricing
+ */
+
+const { DEFAULT_LLM_PRICES, parsePriceTable, findModelPrice, calculateCost } = require('../../../src/utils/llmUsage');
+
+describe('parsePriceTable', () => {
+  it('should merge configured prices over the defaults', () => {
+    // Act
+    const table = parsePriceTable('{"gpt-4o": {"input": 2, "output": 8}, "my-model": {"input": 1, "output": 1}}');
+
+    // Assert
+    expect(table['gpt-4o']).toEqual({ input: 2, output: 8 });
+    expect(table['my-model']).toEqual({ input: 1, output: 1 });
+    expect(table['claude-3-5-haiku']).toEqual(DEFAULT_LLM_PRICES['claude-3-5-haiku']);
+  });
+
+  it('should use the defaults without a configured table', () => {
+    expect(parsePriceTable()).toEqual(DEFAULT_LLM_PRICES);
+  });
+
+  it('should reject invalid tables', () => {
+    expect(() => parsePriceTable('{gpt-4o')).toThrow('LLM_PRICE_TABLE is not valid JSON');
+    expect(() => parsePriceTable('[]')).toThrow('LLM_PRICE_TABLE must be an object of prices by model');
+    expect(() => parsePriceTable('{"gpt-4o": {"input": -1, "output": 8}}'))
+      .toThrow('LLM_PRICE_TABLE price of gpt-4o needs non-negative input and output numbers');
+  });
+});
+
+describe('findModelPrice', () => {
+  const table = {
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'claude-3-5-sonnet': { input: 3, output: 15 }
+  };
+
+  it('should match models exactly, then without their vendor prefix', () => {
+    expect(findModelPrice(table, 'gpt-4o-mini')).toEqual({ input: 0.15, output: 0.6 });
+    expect(findModelPrice(table, 'openai/gpt-4o')).toEqual({ input: 2.5, output: 10 });
+  });
+
+  it('should price dated releases like their family', () => {
+    expect(findModelPrice(table, 'claude-3-5-sonnet-20240620')).toEqual({ input: 3, output: 15 });
+    expect(findModelPrice(table, 'gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6 });
+  });
+
+  it('should not price unknown models', () => {
+    expect(findModelPrice(table, 'llama3.1:8b')).toBeNull();
+    expect(findModelPrice(table, 'gpt-4')).toBeNull();
+  });
+});
+
+describe('calculateCost', () => {
+  const table = { 'gpt-4o': { input: 2.5, output: 10 } };
+
+  it('should price input and output tokens per million', () => {
+    const cost = calculateCost(table, { provider: 'openai', model: 'gpt-4o', promptTokens: 2000, completionTokens: 500 });
+
+    expect(cost).toBeCloseTo(0.01);
+  });
+
+  it('should return null for unknown models or token counts', () => {
+    expect(calculateCost(table, { provider: 'openai', model: 'gpt-5', promptTokens: 10, completionTokens: 10 })).toBeNull();
+    expect(calculateCost(table, { provider: 'openai', model: 'gpt-4o', promptTokens: null, completionTokens: 10 })).toBeNull();
+  });
+
+  it('should not charge for local model servers', () => {
+    expect(calculateCost(table, { provider: 'ollama', model: 'llama3.1:8b', promptTokens: 398, completionTokens: 18 })).toBe(0);
+  });
+});
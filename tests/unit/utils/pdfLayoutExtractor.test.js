@@ -0,0 +1,167 @@
+/**
+ * Unit Tests for layout-aware PDF extraction
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../../../src/config');
+const { extractPdfLayout, layoutToMarkdown } = require('../../../src/utils/pdfLayoutExtractor');
+
+// The shared test setup mocks the converter, the real one is under test here
+const convertPdfToMarkdown = jest.requireActual('../../../src/utils/convertPdfToMarkdown');
+
+const twoColumnPdf = fs.readFileSync(path.join(__dirname, '../../fixtures/two-column-resume.pdf'));
+
+/**
+ * Build a text item as returned by extractPdfLayout
+ */
+const item = (text, x, top, options = {}) => ({
+  text,
+  x,
+  top,
+  width: text.length * (options.fontSize || 10) * 0.5,
+  fontSize: options.fontSize || 10,
+  bold: options.bold || false
+});
+
+describe('extractPdfLayout', () => {
+  it('should return positioned text items with font sizes', async () => {
+    const pages = await extractPdfLayout(twoColumnPdf);
+
+    expect(pages).toHaveLength(1);
+    expect(pages[0].items[0]).toEqual(expect.objectContaining({
+      text: 'Jane Doe',
+      x: 72,
+      top: 52,
+      fontSize: 22
+    }));
+  });
+});
+
+describe('layoutToMarkdown', () => {
+  it('should read a two-column page column by column', async () => {
+    const markdown = layoutToMarkdown(await extractPdfLayout(twoColumnPdf));
+
+    expect(markdown).toBe([
+      '# Jane Doe',
+      'Senior Software Engineer - jane@example.com',
+      '## SKILLS',
+      'Node.js',
+      'PostgreSQL',
+      'Kubernetes',
+      '## EDUCATION',
+      'BSc Computer Science',
+      'State University',
+      '## EXPERIENCE',
+      'Senior Engineer, Acme Corp | 2019 - 2023',
+      '- Reduced API latency by 40% by redesigning the caching layer\n- Mentored 5 engineers',
+      'Engineer, Globex | 2016 - 2019',
+      'Built billing services processing two million invoices per month.',
+      '## PROJECTS',
+      'Open source contributor to several Node.js libraries.'
+    ].join('\n\n'));
+  });
+
+  it('should keep right-aligned dates on the line they belong to', () => {
+    const markdown = layoutToMarkdown([{
+      items: [
+        item('John Smith', 72, 50, { fontSize: 20 }),
+        item('Experience', 72, 90, { fontSize: 14 }),
+        item('Staff Engineer, Initech', 72, 110),
+        item('2020 - Present', 470, 110),
+        item('Led the migration of the monolith to services, cutting deploy time', 72, 124),
+        item('Engineer, Hooli', 72, 150),
+        item('2017 - 2020', 470, 150),
+        item('Shipped the search ranking pipeline used by every product team', 72, 164)
+      ]
+    }]);
+
+    expect(markdown).toContain('Staff Engineer, Initech | 2020 - Present\n\nLed the migration');
+    expect(markdown).toContain('Engineer, Hooli | 2017 - 2020\n\nShipped the search');
+  });
+
+  it('should rank headings by font size and weight', () => {
+    const markdown = layoutToMarkdown([{
+      items: [
+        item('John Smith', 72, 50, { fontSize: 20 }),
+        item('Experience', 72, 90, { fontSize: 14 }),
+        item('Staff Engineer, Initech', 72, 110, { bold: true }),
+        item('Built the billing platform for all products.', 72, 124),
+        item('Education', 72, 150, { fontSize: 14 }),
+        item('BSc Mathematics, University of Somewhere', 72, 170)
+      ]
+    }]);
+
+    expect(markdown).toMatch(/^# John Smith$/m);
+    expect(markdown).toMatch(/^## Experience$/m);
+    expect(markdown).toMatch(/^### Staff Engineer, Initech$/m);
+    expect(markdown).toMatch(/^## Education$/m);
+    expect(markdown).toMatch(/^BSc Mathematics, University of Somewhere$/m);
+  });
+
+  it('should use bold body text as section headings when all text has the same size', () => {
+    const markdown = layoutToMarkdown([{
+      items: [
+        item('John Smith', 72, 50),
+        item('EXPERIENCE', 72, 80, { bold: true }),
+        item('Staff Engineer, Initech', 72, 100, { bold: true }),
+        item('Built the billing platform for all products.', 72, 114)
+      ]
+    }]);
+
+    expect(markdown).toMatch(/^# John Smith$/m);
+    expect(markdown).toMatch(/^## EXPERIENCE$/m);
+    expect(markdown).toMatch(/^### Staff Engineer, Initech$/m);
+  });
+
+  it('should merge items split across a line and wrapped bullet text', () => {
+    const markdown = layoutToMarkdown([{
+      items: [
+        item('John Smith', 72, 50, { fontSize: 20 }),
+        item('• Cut cloud', 72, 90),
+        item('spend by 30% across all regions and', 130, 90),
+        item('environments', 82, 104),
+        item('• Hired a team', 72, 118)
+      ]
+    }]);
+
+    expect(markdown).toContain('- Cut cloud spend by 30% across all regions and environments\n- Hired a team');
+  });
+
+  it('should return an empty string for pages without text', () => {
+    expect(layoutToMarkdown([{ items: [] }])).toBe('');
+  });
+});
+
+describe('convertPdfToMarkdown', () => {
+  const originalMode = config.conversion.pdfExtractionMode;
+
+  afterEach(() => {
+    config.conversion.pdfExtractionMode = originalMode;
+  });
+
+  it('should use layout extraction when configured', async () => {
+    config.conversion.pdfExtractionMode = 'layout';
+
+    const markdown = await convertPdfToMarkdown(twoColumnPdf);
+
+    expect(markdown).toContain('## SKILLS\n\nNode.js');
+  });
+
+  it('should use the heuristic converter when configured', async () => {
+    config.conversion.pdfExtractionMode = 'heuristic';
+
+    const markdown = await convertPdfToMarkdown(twoColumnPdf);
+
+    // pdf-parse is mocked by the shared test setup
+    expect(markdown).toMatch(/^# MOCK PDF CONTENT/);
+  });
+
+  it('should fall back to the heuristic converter when layout extraction fails', async () => {
+    config.conversion.pdfExtractionMode = 'layout';
+
+    const markdown = await convertPdfToMarkdown(Buffer.from('not a pdf'));
+
+    expect(markdown).toMatch(/^# MOCK PDF CONTENT/);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Unit Tests for prompt template rendering
+ */
+
+const { extractVariables, renderTemplate } = require('../../../src/utils/promptTemplate');
+
+describe('extractVariables', () => {
+  it('should list placeholders and sections once, in order of first use', () => {
+    const variables = extractVariables('{{profile}} and {{ jobAnalysis }}{{#jobTitle}} as {{jobTitle}}{{/jobTitle}} {{profile}}');
+
+    expect(variables).toEqual(['profile', 'jobAnalysis', 'jobTitle']);
+  });
+
+  it('should return no variables for plain text', () => {
+    expect(extractVariables('No placeholders here')).toEqual([]);
+    expect(extractVariables()).toEqual([]);
+  });
+});
+
+describe('renderTemplate', () => {
+  const template = 'Resume for {{name}}{{#jobTitle}} for the role of {{jobTitle}}{{/jobTitle}}{{#companyName}} at {{companyName}}{{/companyName}}';
+
+  it('should replace placeholders and keep sections with a value', () => {
+    // Act
+    const rendered = renderTemplate(template, { name: 'Jane', jobTitle: 'Designer', companyName: 'Acme' });
+
+    // Assert
+    expect(rendered).toBe('Resume for Jane for the role of Designer at Acme');
+  });
+
+  it('should drop sections without a value', () => {
+    // Act
+    const rendered = renderTemplate(template, { name: 'Jane', jobTitle: '', companyName: 'Acme' });
+
+    // Assert
+    expect(rendered).toBe('Resume for Jane at Acme');
+  });
+
+  it('should render missing variables and unbalanced markers as empty text', () => {
+    // Act
+    const rendered = renderTemplate('{{#open}}Hello {{name}}{{missing}}', { name: 'Jane', open: 'yes' });
+
+    // Assert
+    expect(rendered).toBe('Hello Jane');
+  });
+});
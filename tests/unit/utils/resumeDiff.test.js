@@ -0,0 +1,142 @@
+/**
+ * Unit Tests for resume diffs
+ */
+
+const { diffResumes, renderDiffHtml } = require('../../../src/utils/resumeDiff');
+
+const originalResume = [
+  '# Jane Doe',
+  '',
+  'jane@example.com | Berlin',
+  '',
+  '## Summary',
+  '',
+  'Backend engineer with ten years of experience.',
+  '',
+  '## Work History',
+  '',
+  '### Senior Engineer | Acme Corp',
+  '',
+  '- Reduced API latency by 40%',
+  '- Mentored 5 engineers',
+  '- Organised team offsites',
+  '',
+  '### Engineer | Globex',
+  '',
+  '- Built billing services',
+  '',
+  '## Hobbies',
+  '',
+  '- Cycling'
+].join('\n');
+
+const customizedResume = [
+  '# Jane Doe',
+  '',
+  'jane@example.com | Berlin',
+  '',
+  '## Summary',
+  '',
+  'Backend engineer with ten years of experience building **payment** systems.',
+  '',
+  '## Professional Experience',
+  '',
+  '### Senior Engineer | Acme Corp',
+  '',
+  '- Reduced payment API latency by 40%',
+  '- Mentored 5 engineers',
+  '- Led PCI compliance work',
+  '',
+  '### Engineer | Globex',
+  '',
+  '- Built billing services',
+  '',
+  '## Skills',
+  '',
+  '- Node.js, PostgreSQL'
+].join('\n');
+
+describe('diffResumes', () => {
+  let diff;
+
+  beforeAll(() => {
+    diff = diffResumes(originalResume, customizedResume);
+  });
+
+  const findSection = (heading) => diff.sections.find(section => section.heading === heading);
+
+  it('should count the changes by type', () => {
+    expect(diff.stats).toEqual({ added: 2, removed: 2, rewritten: 2, unchanged: 4 });
+  });
+
+  it('should match renamed sections by their content type', () => {
+    const experience = findSection('Professional Experience');
+
+    expect(experience.originalHeading).toBe('Work History');
+    expect(experience.status).toBe('changed');
+    expect(experience.entries.map(entry => entry.status)).toEqual(['changed', 'unchanged']);
+  });
+
+  it('should list added, removed and rewritten bullets per entry', () => {
+    const [acme] = findSection('Professional Experience').entries;
+
+    expect(acme.heading).toBe('Senior Engineer | Acme Corp');
+    expect(acme.changes).toEqual([
+      {
+        type: 'rewritten',
+        kind: 'bullet',
+        original: 'Reduced API latency by 40%',
+        customized: 'Reduced payment API latency by 40%',
+        similarity: 0.91
+      },
+      { type: 'unchanged', kind: 'bullet', original: 'Mentored 5 engineers', customized: 'Mentored 5 engineers' },
+      { type: 'added', kind: 'bullet', customized: 'Led PCI compliance work' },
+      { type: 'removed', kind: 'bullet', original: 'Organised team offsites' }
+    ]);
+  });
+
+  it('should compare text without inline formatting', () => {
+    const [summary] = findSection('Summary').entries;
+
+    expect(summary.changes).toEqual([expect.objectContaining({
+      type: 'rewritten',
+      kind: 'text',
+      customized: 'Backend engineer with ten years of experience building payment systems.'
+    })]);
+  });
+
+  it('should report added and removed sections', () => {
+    expect(findSection('Skills').status).toBe('added');
+    expect(findSection('Hobbies').status).toBe('removed');
+    expect(findSection('Hobbies').entries[0].changes).toEqual([
+      { type: 'removed', kind: 'bullet', original: 'Cycling' }
+    ]);
+  });
+
+  it('should report identical resumes as unchanged', () => {
+    const result = diffResumes(originalResume, originalResume);
+
+    expect(result.stats).toEqual(expect.objectContaining({ added: 0, removed: 0, rewritten: 0 }));
+    expect(result.sections.every(section => section.status === 'unchanged')).toBe(true);
+  });
+});
+
+describe('renderDiffHtml', () => {
+  it('should render a redline with insertions and deletions', () => {
+    const html = renderDiffHtml(diffResumes(originalResume, customizedResume), { title: 'Changes' });
+
+    expect(html).toMatch(/^<!DOCTYPE html>/);
+    expect(html).toContain('<title>Changes</title>');
+    expect(html).toContain('2 added, 2 removed, 2 rewritten');
+    expect(html).toContain('Reduced <ins>payment </ins>API latency by 40%');
+    expect(html).toContain('<del>Organised team offsites</del>');
+    expect(html).toContain('<h2><ins>Skills</ins></h2>');
+  });
+
+  it('should escape resume content', () => {
+    const html = renderDiffHtml(diffResumes('## Skills\n\n- C', '## Skills\n\n- C\n- <script>alert(1)</script>'));
+
+    expect(html).not.toContain('<script>');
+    expect(html).toContain('&lt;script&gt;');
+  });
+});
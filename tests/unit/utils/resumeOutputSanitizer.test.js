@@ -0,0 +1,125 @@
+/**
+ * Unit Tests for the resume output sanitizer
+ */
+
+const { sanitizeResumeOutput, sanitizeCoverLetterOutput, findResumeIssues } = require('../../../src/utils/resumeOutputSanitizer');
+
+const resume = '# Jane Doe\n\njane@example.com\n\n## Experience\n\n- Head nurse at City Hospital\n\n## Education\n\n- BSc Nursing';
+
+describe('sanitizeResumeOutput', () => {
+  it('should leave a clean resume untouched', () => {
+    expect(sanitizeResumeOutput(resume)).toEqual({ content: resume, repairs: [] });
+  });
+
+  it('should remove reasoning blocks', () => {
+    const { content, repairs } = sanitizeResumeOutput(`<think>\nThe job asks for leadership.\n</think>\n\n${resume}`);
+
+    expect(content).toBe(resume);
+    expect(repairs).toEqual(['reasoning']);
+  });
+
+  it('should remove reasoning whose opening tag was part of the prompt', () => {
+    expect(sanitizeResumeOutput(`Let me think about the job.\n</think>\n${resume}`).content).toBe(resume);
+  });
+
+  it('should drop reasoning that was cut off', () => {
+    expect(sanitizeResumeOutput('<think>The candidate has').content).toBe('');
+  });
+
+  it('should unwrap a resume in a code fence and drop the text around it', () => {
+    const { content, repairs } = sanitizeResumeOutput(
+      `Sure! Here is your tailored resume:\n\n\`\`\`markdown\n${resume}\n\`\`\`\n\nI emphasized your leadership experience.`
+    );
+
+    expect(content).toBe(resume);
+    expect(repairs).toEqual(['code_fence']);
+  });
+
+  it('should unwrap a resume in a JSON wrapper', () => {
+    const { content, repairs } = sanitizeResumeOutput(`\`\`\`json\n${JSON.stringify({ resume })}\n\`\`\``);
+
+    expect(content).toBe(resume);
+    expect(repairs).toEqual(['code_fence', 'json_wrapper']);
+  });
+
+  it('should remove a preamble and trailing commentary', () => {
+    const { content, repairs } = sanitizeResumeOutput(
+      `Here is the updated resume.\n\n${resume}\n\n---\n\n**Notes:**\n- Added ATS keywords\n\nLet me know if you want changes.`
+    );
+
+    expect(content).toBe(resume);
+    expect(repairs).toEqual(['preamble', 'commentary']);
+  });
+
+  it('should keep horizontal rules that are part of the resume', () => {
+    const withRule = '# Jane Doe\n\n---\n\n## Experience\n\n- Head nurse';
+
+    expect(sanitizeResumeOutput(withRule).content).toBe(withRule);
+  });
+});
+
+describe('sanitizeCoverLetterOutput', () => {
+  const letter = 'Dear Hiring Manager,\n\nI am excited to apply for the Head Nurse role.\n\n' +
+    'I hope to bring the same care to your ward.\n\nSincerely,\nJane Doe';
+
+  it('should leave a clean letter untouched, closing sentences included', () => {
+    expect(sanitizeCoverLetterOutput(letter)).toEqual({ content: letter, repairs: [] });
+  });
+
+  it('should remove the preamble and the commentary after the sign-off', () => {
+    const { content, repairs } = sanitizeCoverLetterOutput(
+      `Sure! Here is your cover letter:\n\n${letter}\n\nLet me know if you want a shorter version.`
+    );
+
+    expect(content).toBe(letter);
+    expect(repairs).toEqual(['preamble', 'commentary']);
+  });
+
+  it('should keep the name after a sign-off on its own paragraph', () => {
+    const spaced = 'Dear Hiring Manager,\n\nI am excited to apply.\n\nBest regards,\n\nJane Doe\n\nFeel free to adjust the tone.';
+
+    expect(sanitizeCoverLetterOutput(spaced).content)
+      .toBe('Dear Hiring Manager,\n\nI am excited to apply.\n\nBest regards,\n\nJane Doe');
+  });
+
+  it('should unwrap a letter from a fence or a JSON wrapper', () => {
+    expect(sanitizeCoverLetterOutput(`\`\`\`\n${letter}\n\`\`\``).content).toBe(letter);
+    expect(sanitizeCoverLetterOutput(JSON.stringify({ coverLetter: letter })).content).toBe(letter);
+  });
+});
+
+describe('findResumeIssues', () => {
+  it('should accept a well-formed resume', () => {
+    expect(findResumeIssues(resume)).toEqual([]);
+  });
+
+  it('should report an empty resume', () => {
+    expect(findResumeIssues('  \n')).toEqual(['The resume is empty']);
+  });
+
+  it('should report a missing or repeated H1 heading', () => {
+    expect(findResumeIssues('## Experience\n\n- Head nurse')).toEqual(['It has no H1 heading with the candidate name']);
+    expect(findResumeIssues(`${resume}\n\n# Jane Doe\n\n## Skills`))
+      .toEqual(['It has 2 H1 headings instead of one with the candidate name']);
+  });
+
+  it('should report a resume without section headings', () => {
+    expect(findResumeIssues('# Jane Doe\n\nHead nurse at City Hospital'))
+      .toEqual(['It has no ## section headings such as Experience or Education']);
+  });
+
+  it('should report sentences used as section headings', () => {
+    const issues = findResumeIssues(`${resume}\n\n## ${'I rewrote the experience section so it highlights leadership and patient care outcomes'}`);
+
+    expect(issues).toEqual([expect.stringMatching(/^The section heading "I rewrote the experience section so it h\.\.\." is a sentence/)]);
+  });
+
+  it('should report leftover JSON, fences and reasoning tags', () => {
+    expect(findResumeIssues('{"name": "Jane Doe"}')).toEqual(expect.arrayContaining(['It contains JSON instead of Markdown']));
+    expect(findResumeIssues(`${resume}\n\n\`\`\`\n"skills": ["triage"]\n\`\`\``)).toEqual([
+      'It contains code fences',
+      'It contains JSON instead of Markdown'
+    ]);
+    expect(findResumeIssues(`${resume}\n</think>`)).toEqual(['It contains reasoning tags']);
+  });
+});
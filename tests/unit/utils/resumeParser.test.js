@@ -0,0 +1,133 @@
+/**
+ * Unit Tests for the structured resume parser
+ */
+
+const sampleJsonResume = require('../../fixtures/sample-resume.json');
+const { renderJsonResumeToMarkdown } = require('../../../src/utils/jsonResume');
+const { parseResumeMarkdown, STRUCTURED_RESUME_VERSION } = require('../../../src/utils/resumeParser');
+const { mapToDetailedResponse } = require('../../../src/utils/resumeMapper');
+
+describe('parseResumeMarkdown', () => {
+  let structured;
+
+  beforeAll(() => {
+    structured = parseResumeMarkdown(renderJsonResumeToMarkdown(sampleJsonResume));
+  });
+
+  it('should parse the contact block', () => {
+    expect(structured.version).toBe(STRUCTURED_RESUME_VERSION);
+    expect(structured.contact).toEqual({
+      name: 'Jane Doe',
+      headline: 'Senior Software Engineer',
+      email: 'jane@example.com',
+      phone: '+1 555 010 2030',
+      location: 'Berlin, BE',
+      website: 'https://jane.example.com',
+      profiles: [{ network: 'GitHub', username: 'janedoe', url: 'https://github.com/janedoe' }]
+    });
+    expect(structured.summary).toBe('Backend engineer with ten years of experience building payment systems.');
+  });
+
+  it('should parse experience entries with company, title, dates and bullets', () => {
+    expect(structured.experience).toEqual([
+      {
+        company: 'Acme Corp',
+        title: 'Senior Engineer',
+        location: 'Berlin',
+        startDate: '2019-03',
+        endDate: null,
+        current: true,
+        description: 'Led the payments platform team.',
+        bullets: ['Reduced API latency by 40%', 'Mentored 5 engineers']
+      },
+      {
+        company: 'Globex',
+        title: 'Engineer',
+        location: null,
+        startDate: '2016-01',
+        endDate: '2019-02',
+        current: false,
+        description: null,
+        bullets: ['Built billing services processing two million invoices per month']
+      }
+    ]);
+  });
+
+  it('should parse education, skills, projects and certifications', () => {
+    expect(structured.education).toEqual([{
+      institution: 'State University',
+      degree: 'BSc',
+      field: 'Computer Science',
+      startDate: '2012',
+      endDate: '2015',
+      score: null,
+      details: ['Distributed Systems']
+    }]);
+    expect(structured.skills).toEqual([{ category: 'Backend', items: ['Node.js', 'PostgreSQL'] }]);
+    expect(structured.projects).toEqual([expect.objectContaining({
+      name: 'ledger-kit',
+      url: 'https://github.com/janedoe/ledger-kit',
+      bullets: ['1,200 stars on GitHub']
+    })]);
+    expect(structured.certifications).toEqual([{
+      name: 'AWS Certified Solutions Architect',
+      issuer: 'Amazon',
+      date: '2021-06'
+    }]);
+  });
+
+  it('should collect uncategorised skills into one group', () => {
+    const result = parseResumeMarkdown([
+      '# John Smith',
+      '',
+      '## Skills',
+      '',
+      '- Languages: Go, Python',
+      '- Docker',
+      '',
+      'Terraform, Kubernetes'
+    ].join('\n'));
+
+    expect(result.skills).toEqual([
+      { category: 'Languages', items: ['Go', 'Python'] },
+      { category: null, items: ['Docker', 'Terraform', 'Kubernetes'] }
+    ]);
+  });
+
+  it('should return an empty model for empty Markdown', () => {
+    expect(parseResumeMarkdown('')).toEqual({
+      version: STRUCTURED_RESUME_VERSION,
+      contact: {
+        name: null,
+        headline: null,
+        email: null,
+        phone: null,
+        location: null,
+        website: null,
+        profiles: []
+      },
+      summary: null,
+      experience: [],
+      education: [],
+      skills: [],
+      projects: [],
+      certifications: []
+    });
+  });
+
+  it('should not reject Markdown that would not make a valid JSON Resume', () => {
+    const result = parseResumeMarkdown('# John Smith\n\n## Projects\n\n### Side project\n\nnot a url: http://');
+
+    expect(result.projects).toHaveLength(1);
+  });
+});
+
+describe('mapToDetailedResponse', () => {
+  it('should include the structured model', () => {
+    const structuredContent = parseResumeMarkdown('# Jane Doe');
+
+    const response = mapToDetailedResponse({ id: '1', markdownContent: '# Jane Doe', structuredContent });
+
+    expect(response.structuredContent).toBe(structuredContent);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Tests for the resume verifier
+ */
+
+const sampleJsonResume = require('../../fixtures/sample-resume.json');
+const { renderJsonResumeToMarkdown } = require('../../../src/utils/jsonResume');
+const { verifyCustomizedResume, ViolationType } = require('../../../src/utils/resumeVerifier');
+
+const originalResume = renderJsonResumeToMarkdown(sampleJsonResume);
+
+/**
+ * Verify a copy of the original resume with replacements applied
+ */
+const verifyWith = (...replacements) => {
+  const customized = replacements.reduce((markdown, [from, to]) => {
+    if (!markdown.includes(from)) {
+      throw new Error(`Fixture does not contain "${from}"`);
+    }
+    return markdown.replace(from, to);
+  }, originalResume);
+  return verifyCustomizedResume(originalResume, customized);
+};
+
+describe('verifyCustomizedResume', () => {
+  it('should pass a resume that only reorders and rewords content', () => {
+    const report = verifyWith(
+      ['Led the payments platform team.', 'Led the team behind the payments platform.'],
+      ['- Reduced API latency by 40%\n- Mentored 5 engineers', '- Mentored 5 engineers\n- Cut API latency by 40%'],
+      ['### Senior Engineer | Acme Corp', '### Senior Engineer | Acme']
+    );
+
+    expect(report).toEqual({
+      passed: true,
+      violationCount: 0,
+      violations: [],
+      checkedAt: expect.any(String)
+    });
+  });
+
+  it('should flag employers that are not in the original', () => {
+    const report = verifyWith(['### Engineer | Globex', '### Engineer | Initech']);
+
+    expect(report.violations).toEqual([{
+      type: ViolationType.EMPLOYER,
+      value: 'Initech',
+      message: 'Employer does not appear in the original resume',
+      context: 'Engineer | Initech'
+    }]);
+  });
+
+  it('should flag changed job titles', () => {
+    const report = verifyWith(['### Engineer | Globex', '### Staff Engineer | Globex']);
+
+    expect(report.violations).toEqual([expect.objectContaining({
+      type: ViolationType.TITLE,
+      value: 'Staff Engineer',
+      message: 'Job title differs from the original (Engineer)'
+    })]);
+  });
+
+  it('should flag changed dates and positions shown as current', () => {
+    const report = verifyWith(['Jan 2016 - Feb 2019', 'Jan 2015 - Present']);
+
+    expect(report.violations.map(item => [item.type, item.value])).toEqual([
+      [ViolationType.DATE, '2015-01'],
+      [ViolationType.DATE, 'Present']
+    ]);
+  });
+
+  it('should flag upgraded degrees', () => {
+    const report = verifyWith(['### BSc in Computer Science', '### MSc in Computer Science']);
+
+    expect(report.violations).toEqual([expect.objectContaining({ type: ViolationType.DEGREE, value: 'MSc' })]);
+  });
+
+  it('should flag certifications that are not in the original', () => {
+    const report = verifyWith([
+      '- AWS Certified Solutions Architect | Amazon | Jun 2021',
+      '- AWS Certified Solutions Architect | Amazon | Jun 2021\n- Certified Kubernetes Administrator'
+    ]);
+
+    expect(report.violations).toEqual([expect.objectContaining({
+      type: ViolationType.CERTIFICATION,
+      value: 'Certified Kubernetes Administrator'
+    })]);
+  });
+
+  it('should flag figures that are not in the original once each', () => {
+    const report = verifyWith(
+      ['Reduced API latency by 40%', 'Reduced API latency by 65% for 3M users'],
+      ['Mentored 5 engineers', 'Mentored 5 engineers across 65% of the org']
+    );
+
+    expect(report.violations).toEqual([
+      {
+        type: ViolationType.NUMBER,
+        value: '65%',
+        message: 'Figure does not appear in the original resume',
+        context: 'Reduced API latency by 65% for 3M users'
+      },
+      expect.objectContaining({ type: ViolationType.NUMBER, value: '3M' })
+    ]);
+    expect(report.passed).toBe(false);
+    expect(report.violationCount).toBe(2);
+  });
+
+  it('should accept figures written differently', () => {
+    const report = verifyWith(['1,200 stars on GitHub', 'Over 1200 stars on GitHub']);
+
+    expect(report.passed).toBe(true);
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit Tests for the skill gap analyzer
+ */
+
+const { analyzeSkillGaps, GapStatus } = require('../../../src/utils/skillGapAnalyzer');
+const { parseJobDescription } = require('../../../src/utils/jobDescriptionParser');
+
+const resume = `# Jane Doe
+Backend Engineer
+
+## Experience
+### Senior Backend Engineer | Acme Corp | Jan 2021 - Present
+- Built payment APIs in Node.js and MySQL
+- Deployed services with Docker on AWS
+
+### Backend Developer | Globex | 2018 - 2020
+- Wrote Python services
+
+## Skills
+- JavaScript, TypeScript, GraphQL`;
+
+const nursingResume = `# Ann Lee
+Registered Nurse
+
+## Experience
+### Staff Nurse | Seton Medical Center | 2019-03 - Present
+- Cared for four critically ill ICU patients per shift
+- Documented assessments and titrations in Epic
+
+## Education
+### Bachelor of Science in Nursing | University of Texas | 2013 - 2017
+
+## Licenses and Certifications
+- RN, Texas Board of Nursing
+- BLS (American Heart Association)`;
+
+const now = new Date('2025-06-15T00:00:00Z');
+
+// Report entry of a requirement
+const entryOf = (report, requirement) => report.requirements.find(entry => entry.requirement === requirement);
+
+describe('analyzeSkillGaps', () => {
+  it('should quote the resume lines showing a met requirement', () => {
+    // Arrange
+    const requirements = parseJobDescription('Requirements:\n- Node.js and AWS');
+
+    // Act
+    const report = analyzeSkillGaps(requirements, resume, { now });
+
+    // Assert
+    expect(entryOf(report, 'node.js')).toEqual({
+      requirement: 'node.js',
+      type: 'skill',
+      importance: 'must_have',
+      confidence: 0.8,
+      status: GapStatus.MET,
+      evidence: ['Built payment APIs in Node.js and MySQL'],
+      advice: null
+    });
+    expect(report.summary).toEqual({ met: 2, partial: 0, missing: 0, unassessed: 0 });
+  });
+
+  it('should advise showing a skill in use when the resume only lists it', () => {
+    // Arrange
+    const requirements = parseJobDescription('Requirements:\n- GraphQL');
+
+    // Act
+    const report = analyzeSkillGaps(requirements, resume, { now });
+
+    // Assert
+    expect(entryOf(report, 'graphql')).toEqual(expect.objectContaining({
+      status: GapStatus.MET,
+      evidence: ['JavaScript, TypeScript, GraphQL'],
+      advice: expect.stringContaining('experience bullet')
+    }));
+  });
+
+  it('should count a related skill as partly meeting a requirement', () => {
+    // Arrange
+    const requirements = parseJobDescription('Requirements:\n- PostgreSQL and Kubernetes');
+
+    // Act
+    const report = analyzeSkillGaps(requirements, resume, { now });
+
+    // Assert
+    expect(entryOf(report, 'postgresql')).toEqual(expect.objectContaining({
+      status: GapStatus.PARTIAL,
+      evidence: ['Built payment APIs in Node.js and MySQL'],
+      advice: expect.stringContaining('transferable relational databases experience')
+    }));
+    expect(entryOf(report, 'kubernetes')).toEqual(expect.objectContaining({
+      status: GapStatus.PARTIAL,
+      evidence: ['Deployed services with Docker on AWS']
+    }));
+  });
+
+  it('should report missing skills with advice by how much the job needs them', () => {
+    // Arrange
+    const requirements = parseJobDescription('## Requirements\n- Terraform\n\n## Nice to have\n- Figma');
+
+    // Act
+    const report = analyzeSkillGaps(requirements, resume, { now });
+
+    // Assert
+    expect(entryOf(report, 'terraform')).toEqual(expect.objectContaining({
+      importance: 'must_have',
+      status: GapStatus.MISSING,
+      evidence: [],
+      advice: expect.stringContaining('Do not claim it')
+    }));
+    expect(entryOf(report, 'figma')).toEqual(expect.objectContaining({
+      importance: 'nice_to_have',
+      status: GapStatus.MISSING,
+      advice: expect.stringContaining('nice-to-have')
+    }));
+    expect(report.summary).toEqual({ met: 0, partial: 0, missing: 2, unassessed: 0 });
+  });
+
+  it('should compare the years of the dated positions with the years asked for', () => {
+    // Arrange
+    const asking = years => parseJobDescription(`Requirements:\n- ${years}+ years of experience`);
+
+    // Act
+    const met = analyzeSkillGaps(asking(7), resume, { now });
+    const partial = analyzeSkillGaps(asking(10), resume, { now });
+    const missing = analyzeSkillGaps(asking(20), resume, { now });
+
+    // Assert
+    expect(entryOf(met, '7+ years of experience')).toEqual({
+      requirement: '7+ years of experience',
+      type: 'experience',
+      importance: 'must_have',
+      confidence: 0.9,
+      status: GapStatus.MET,
+      evidence: [
+        'Senior Backend Engineer at Acme Corp (2021-01 to present)',
+        'Backend Developer at Globex (2018 to 2020)'
+      ],
+      advice: null
+    });
+    expect(entryOf(partial, '10+ years of experience')).toEqual(expect.objectContaining({
+      status: GapStatus.PARTIAL,
+      advice: expect.stringContaining('about 7.5 years against the 10 asked for')
+    }));
+    expect(entryOf(missing, '20+ years of experience').status).toBe(GapStatus.MISSING);
+  });
+
+  it('should assess the licences, certifications and degrees of a posting outside the skill list', () => {
+    // Arrange
+    const requirements = parseJobDescription([
+      '## Requirements',
+      '- Active RN license in the State of Texas',
+      '- BLS and ACLS certification from the American Heart Association',
+      '- Bachelor of Science in Nursing (BSN)',
+      '- Experience charting in Epic',
+      '',
+      '## Preferred Qualifications',
+      '- CCRN certification',
+      '- Master of Science in Nursing'
+    ].join('\n'));
+
+    // Act
+    const report = analyzeSkillGaps(requirements, nursingResume, { now });
+
+    // Assert
+    expect(entryOf(report, 'Active RN license in the State of Texas')).toEqual(expect.objectContaining({
+      type: 'credential',
+      status: GapStatus.MET,
+      evidence: ['RN, Texas Board of Nursing']
+    }));
+    expect(entryOf(report, 'BLS and ACLS certification from the American Heart Association')).toEqual(expect.objectContaining({
+      status: GapStatus.PARTIAL,
+      evidence: ['BLS (American Heart Association)'],
+      advice: expect.stringContaining('shows BLS but not ACLS')
+    }));
+    expect(entryOf(report, 'Bachelor of Science in Nursing (BSN)')).toEqual(expect.objectContaining({
+      type: 'education',
+      status: GapStatus.MET,
+      evidence: ['Bachelor of Science in Nursing | University of Texas | 2013 - 2017']
+    }));
+    expect(entryOf(report, 'Experience charting in Epic')).toEqual(expect.objectContaining({
+      type: 'experience',
+      status: GapStatus.MET,
+      evidence: ['Documented assessments and titrations in Epic']
+    }));
+    expect(entryOf(report, 'CCRN certification')).toEqual(expect.objectContaining({
+      importance: 'nice_to_have',
+      status: GapStatus.MISSING,
+      advice: expect.stringContaining('nice-to-have')
+    }));
+    expect(entryOf(report, 'Master of Science in Nursing')).toEqual(expect.objectContaining({
+      status: GapStatus.PARTIAL,
+      advice: expect.stringContaining('a bachelor\'s degree against a master\'s degree')
+    }));
+  });
+
+  it('should report requirements a resume cannot show as unassessed', () => {
+    // Arrange
+    const requirements = parseJobDescription('## Requirements\n- Able to lift 50 pounds\n- Comfortable working night shifts');
+
+    // Act
+    const report = analyzeSkillGaps(requirements, nursingResume, { now });
+
+    // Assert
+    expect(report.requirements.map(entry => entry.status)).toEqual([GapStatus.UNASSESSED, GapStatus.UNASSESSED]);
+    expect(report.summary).toEqual({ met: 0, partial: 0, missing: 0, unassessed: 2 });
+  });
+
+  it('should leave out requirements parsed with too little confidence', () => {
+    // Arrange
+    const requirements = {
+      mustHaveSkills: { value: ['terraform'], confidence: 0.4 },
+      niceToHaveSkills: { value: [], confidence: 0 },
+      yearsOfExperience: { value: null, confidence: 0 }
+    };
+
+    // Act
+    const report = analyzeSkillGaps(requirements, resume, { now });
+
+    // Assert
+    expect(report.requirements).toEqual([]);
+    expect(analyzeSkillGaps(null, resume).summary).toEqual({ met: 0, partial: 0, missing: 0, unassessed: 0 });
+  });
+});